@@ -28,6 +28,46 @@ export class LambdaHackathonStack extends cdk.Stack {
       stream: cdk.aws_dynamodb.StreamViewType.NEW_IMAGE,
     });
 
+    // Per-user report history, newest first
+    costReportTable.addGlobalSecondaryIndex({
+      indexName: 'OwnerEmailCreatedAtIndex',
+      partitionKey: { name: 'ownerEmail', type: cdk.aws_dynamodb.AttributeType.STRING },
+      sortKey: { name: 'createdAt', type: cdk.aws_dynamodb.AttributeType.STRING },
+      projectionType: cdk.aws_dynamodb.ProjectionType.ALL,
+    });
+
+    // DDB for scheduled cost reports
+    const scheduleTable = new cdk.aws_dynamodb.Table(this, 'CostReportSchedules', {
+      tableName: 'CostReportSchedules',
+      partitionKey: { name: 'scheduleId', type: cdk.aws_dynamodb.AttributeType.STRING },
+      billingMode: cdk.aws_dynamodb.BillingMode.PAY_PER_REQUEST,
+      removalPolicy: cdk.RemovalPolicy.DESTROY,
+    });
+
+    // Schedules by owner
+    scheduleTable.addGlobalSecondaryIndex({
+      indexName: 'OwnerEmailCreatedAtIndex',
+      partitionKey: { name: 'ownerEmail', type: cdk.aws_dynamodb.AttributeType.STRING },
+      sortKey: { name: 'createdAt', type: cdk.aws_dynamodb.AttributeType.STRING },
+      projectionType: cdk.aws_dynamodb.ProjectionType.ALL,
+    });
+
+    // DDB for cost budgets
+    const budgetTable = new cdk.aws_dynamodb.Table(this, 'CostBudgets', {
+      tableName: 'CostBudgets',
+      partitionKey: { name: 'budgetId', type: cdk.aws_dynamodb.AttributeType.STRING },
+      billingMode: cdk.aws_dynamodb.BillingMode.PAY_PER_REQUEST,
+      removalPolicy: cdk.RemovalPolicy.DESTROY,
+    });
+
+    // Budgets by owner
+    budgetTable.addGlobalSecondaryIndex({
+      indexName: 'OwnerEmailCreatedAtIndex',
+      partitionKey: { name: 'ownerEmail', type: cdk.aws_dynamodb.AttributeType.STRING },
+      sortKey: { name: 'createdAt', type: cdk.aws_dynamodb.AttributeType.STRING },
+      projectionType: cdk.aws_dynamodb.ProjectionType.ALL,
+    });
+
     // DDB for Cost Explorer cache
     const costExplorerCacheTable = new cdk.aws_dynamodb.Table(this, 'CostExplorerCache', {
       tableName: 'CostExplorerCache',
@@ -80,6 +120,7 @@ export class LambdaHackathonStack extends cdk.Stack {
         "ce:GetCostAndUsage",
         "ce:GetCostForecast",
         "ce:GetDimensionValues",
+        "ce:GetReservationCoverage",
         "ce:GetReservationUtilization",
         "ce:GetRightsizingRecommendation",
         "ce:GetSavingsPlansUtilization",
@@ -95,11 +136,31 @@ export class LambdaHackathonStack extends cdk.Stack {
     const ssmPolicy = new cdk.aws_iam.PolicyStatement({
       actions: [
         "ssm:List*",
+        "ssm:DescribeOpsItems",
         "ssm-incidents:List*",
+      ],
+      resources: ["*"],
+    });
+    // Multi-account reports: the account registry parameter and the member roles it lists.
+    // Which roles can be assumed is decided by each role's trust policy.
+    const accountRegistryPolicy = new cdk.aws_iam.PolicyStatement({
+      actions: ['ssm:GetParameter'],
+      resources: [`arn:aws:ssm:${this.region}:${this.account}:parameter/cost-reports/accounts`],
+    });
+    const assumeRolePolicy = new cdk.aws_iam.PolicyStatement({
+      actions: ['sts:AssumeRole'],
+      resources: ['arn:aws:iam::*:role/*'],
+    });
+    const eventsPolicy = new cdk.aws_iam.PolicyStatement({
+      actions: [
         "events:PutRule",
         "events:PutTargets",
+        "events:EnableRule",
+        "events:DisableRule",
+        "events:RemoveTargets",
+        "events:DeleteRule",
       ],
-      resources: ["*"],
+      resources: [`arn:aws:events:${this.region}:${this.account}:rule/ScheduledCostReport-*`],
     });
     const s3PutPolicy = new cdk.aws_iam.PolicyStatement({
       actions: ['s3:PutObject'],
@@ -107,9 +168,14 @@ export class LambdaHackathonStack extends cdk.Stack {
     });
     const ddbRWPolicy = new cdk.aws_iam.PolicyStatement({
       actions: [
-        'dynamodb:GetItem', 'dynamodb:UpdateItem', 'dynamodb:PutItem', 'dynamodb:Scan', 'dynamodb:Query', 'dynamodb:GetRecords'
+        'dynamodb:GetItem', 'dynamodb:UpdateItem', 'dynamodb:PutItem', 'dynamodb:DeleteItem', 'dynamodb:Scan', 'dynamodb:Query', 'dynamodb:GetRecords'
+      ],
+      resources: [
+        costReportTable.tableArn, `${costReportTable.tableArn}/index/*`,
+        scheduleTable.tableArn, `${scheduleTable.tableArn}/index/*`,
+        budgetTable.tableArn, `${budgetTable.tableArn}/index/*`,
+        costExplorerCacheTable.tableArn,
       ],
-      resources: [costReportTable.tableArn, costExplorerCacheTable.tableArn],
     });
     const sesPolicy = new cdk.aws_iam.PolicyStatement({
       actions: ['ses:SendEmail', 'ses:SendRawEmail'],
@@ -118,10 +184,29 @@ export class LambdaHackathonStack extends cdk.Stack {
 
     // === Lambda Functions ===
 
+    // Models per task: a smaller model turns commands into JSON, a stronger one writes the reports
+    const llmEnvironment = {
+      LLM_PARSE_MODEL_ID: 'us.amazon.nova-lite-v1:0',
+      LLM_SUMMARY_MODEL_ID: 'us.amazon.nova-premier-v1:0',
+    };
+
+    // Per-attempt model timeouts. Background Lambdas have 300s; the chat Lambda answers
+    // through API Gateway, which gives up after 29s, so parsing and the summary share that
+    const backgroundLlmTimeouts = {
+      LLM_TIMEOUT_MS: '60000',
+    };
+    const apiLlmTimeouts = {
+      LLM_PARSE_TIMEOUT_MS: '4000',
+      LLM_SUMMARY_TIMEOUT_MS: '18000',
+    };
+
+    // Default HMAC secret for webhook delivery targets that do not bring their own
+    const webhookSigningSecret = cdk.aws_ssm.StringParameter.valueForStringParameter(this, '/webhooks/signingSecret');
+
     // Lambda for scheduled cost/anomaly reports
     const scheduledCostReportLambda = new cdk.aws_lambda.Function(this, 'ScheduledCostReportLambda', {
       functionName: 'ScheduledCostReportLambda',
-      description: 'Lambda function for scheduled cost and anomaly reports',
+      description: 'Lambda function for scheduled cost, anomaly and incident reports',
       runtime: cdk.aws_lambda.Runtime.NODEJS_22_X,
       handler: 'lambdas/scheduled-cost-report.scheduledCostReportHandler',
       code: cdk.aws_lambda.Code.fromAsset('src'),
@@ -132,11 +217,21 @@ export class LambdaHackathonStack extends cdk.Stack {
         CF_URL: domainName,
         REPORTS_DDB_TABLE: costReportTable.tableName,
         COST_EXPLORER_CACHE_TABLE: costExplorerCacheTable.tableName,
+        SCHEDULES_DDB_TABLE: scheduleTable.tableName,
+        WEBHOOK_SIGNING_SECRET: webhookSigningSecret,
+        ...llmEnvironment,
+        ...backgroundLlmTimeouts,
       },
-      initialPolicy: [s3PutPolicy, cePolicy, bedrockPolicy, ddbRWPolicy, sesPolicy],
+      initialPolicy: [s3PutPolicy, cePolicy, bedrockPolicy, ddbRWPolicy, sesPolicy, ssmPolicy, accountRegistryPolicy, assumeRolePolicy],
       tracing: cdk.aws_lambda.Tracing.ACTIVE,
     });
 
+    // Allow the runtime-created schedule rules to invoke the scheduled report Lambda
+    scheduledCostReportLambda.addPermission('AllowScheduledCostReportRules', {
+      principal: new cdk.aws_iam.ServicePrincipal('events.amazonaws.com'),
+      sourceArn: `arn:aws:events:${this.region}:${this.account}:rule/ScheduledCostReport-*`,
+    });
+
     // Main Lambda function for DevOps ChatOps
     const lambdaFunction = new cdk.aws_lambda.Function(this, 'MyLambdaFunction', {
       functionName: 'DevOpsChatOpsLambda',
@@ -151,16 +246,20 @@ export class LambdaHackathonStack extends cdk.Stack {
         REPORTS_BUCKET: reportsBucket.bucketName,
         REPORTS_DDB_TABLE: costReportTable.tableName,
         COST_EXPLORER_CACHE_TABLE: costExplorerCacheTable.tableName,
+        SCHEDULES_DDB_TABLE: scheduleTable.tableName,
         SCHEDULED_COST_REPORT_LAMBDA_ARN: scheduledCostReportLambda.functionArn,
+        BUDGETS_DDB_TABLE: budgetTable.tableName,
+        ...llmEnvironment,
+        ...apiLlmTimeouts,
       },
-      initialPolicy: [bedrockPolicy, cePolicy, ssmPolicy, ddbRWPolicy, s3PutPolicy],
+      initialPolicy: [bedrockPolicy, cePolicy, ssmPolicy, eventsPolicy, ddbRWPolicy, s3PutPolicy, accountRegistryPolicy, assumeRolePolicy],
       tracing: cdk.aws_lambda.Tracing.ACTIVE,
     });
 
     // Async Lambda for sending resource-level reports
     const asyncCostReportSender = new cdk.aws_lambda.Function(this, 'AsyncCostReportSender', {
       functionName: 'AsyncCostReportSender',
-      description: 'Sends resource-level cost reports asynchronously when email is provided',
+      description: 'Sends resource-level cost reports asynchronously and delivers reports to webhook targets',
       runtime: cdk.aws_lambda.Runtime.NODEJS_22_X,
       handler: 'lambdas/async-cost-report-sender.handler',
       code: cdk.aws_lambda.Code.fromAsset('src'),
@@ -172,17 +271,134 @@ export class LambdaHackathonStack extends cdk.Stack {
         REPORTS_DDB_TABLE: costReportTable.tableName,
         COST_EXPLORER_CACHE_TABLE: costExplorerCacheTable.tableName,
         SES_IDENTITY: sesIdentity.emailIdentityName,
+        WEBHOOK_SIGNING_SECRET: webhookSigningSecret,
         AWS_NODEJS_CONNECTION_REUSE_ENABLED: '1',
+        ...llmEnvironment,
+        ...backgroundLlmTimeouts,
+      },
+      initialPolicy: [ddbRWPolicy, sesPolicy, s3PutPolicy, cePolicy, bedrockPolicy, accountRegistryPolicy, assumeRolePolicy],
+      tracing: cdk.aws_lambda.Tracing.ACTIVE,
+    });
+
+    // Lambda for the report status/retrieval API
+    const reportsApiLambda = new cdk.aws_lambda.Function(this, 'ReportsApiLambda', {
+      functionName: 'ReportsApiLambda',
+      description: 'Lambda function for report status and retrieval',
+      runtime: cdk.aws_lambda.Runtime.NODEJS_22_X,
+      handler: 'lambdas/reports-api.handler',
+      code: cdk.aws_lambda.Code.fromAsset('src'),
+      timeout: cdk.Duration.seconds(30),
+      memorySize: 256,
+      environment: {
+        REPORTS_DDB_TABLE: costReportTable.tableName,
+        COST_EXPLORER_CACHE_TABLE: costExplorerCacheTable.tableName,
+      },
+      initialPolicy: [ddbRWPolicy],
+      tracing: cdk.aws_lambda.Tracing.ACTIVE,
+    });
+
+    // Lambda for managing scheduled reports
+    const schedulesApiLambda = new cdk.aws_lambda.Function(this, 'SchedulesApiLambda', {
+      functionName: 'SchedulesApiLambda',
+      description: 'Lambda function for listing, pausing, editing and deleting scheduled reports',
+      runtime: cdk.aws_lambda.Runtime.NODEJS_22_X,
+      handler: 'lambdas/schedules-api.handler',
+      code: cdk.aws_lambda.Code.fromAsset('src'),
+      timeout: cdk.Duration.seconds(30),
+      memorySize: 256,
+      environment: {
+        SCHEDULES_DDB_TABLE: scheduleTable.tableName,
+        SCHEDULED_COST_REPORT_LAMBDA_ARN: scheduledCostReportLambda.functionArn,
+      },
+      initialPolicy: [ddbRWPolicy, eventsPolicy],
+      tracing: cdk.aws_lambda.Tracing.ACTIVE,
+    });
+
+    // Lambda for the Slack slash command and interactive buttons. It acknowledges
+    // Slack straight away and does the work in an asynchronous invocation of itself.
+    const slackCommandLambda = new cdk.aws_lambda.Function(this, 'SlackCommandLambda', {
+      functionName: 'SlackCommandLambda',
+      description: 'Lambda function for Slack slash commands and interactive messages',
+      runtime: cdk.aws_lambda.Runtime.NODEJS_22_X,
+      handler: 'lambdas/slack-command.handler',
+      code: cdk.aws_lambda.Code.fromAsset('src'),
+      timeout: cdk.Duration.seconds(300),
+      memorySize: 1024,
+      environment: {
+        CF_URL: domainName,
+        REPORTS_BUCKET: reportsBucket.bucketName,
+        REPORTS_DDB_TABLE: costReportTable.tableName,
+        COST_EXPLORER_CACHE_TABLE: costExplorerCacheTable.tableName,
+        SCHEDULES_DDB_TABLE: scheduleTable.tableName,
+        SCHEDULED_COST_REPORT_LAMBDA_ARN: scheduledCostReportLambda.functionArn,
+        BUDGETS_DDB_TABLE: budgetTable.tableName,
+        SLACK_SIGNING_SECRET: cdk.aws_ssm.StringParameter.valueForStringParameter(this, '/slack/signingSecret'),
+        SLACK_BOT_TOKEN: cdk.aws_ssm.StringParameter.valueForStringParameter(this, '/slack/botToken'),
+        ...llmEnvironment,
+        ...backgroundLlmTimeouts,
+      },
+      initialPolicy: [
+        bedrockPolicy, cePolicy, ssmPolicy, eventsPolicy, ddbRWPolicy, s3PutPolicy, sesPolicy, accountRegistryPolicy, assumeRolePolicy,
+        new cdk.aws_iam.PolicyStatement({
+          actions: ['lambda:InvokeFunction'],
+          resources: [`arn:aws:lambda:${this.region}:${this.account}:function:SlackCommandLambda`],
+        }),
+      ],
+      tracing: cdk.aws_lambda.Tracing.ACTIVE,
+    });
+
+    // Lambda for managing budgets
+    const budgetsApiLambda = new cdk.aws_lambda.Function(this, 'BudgetsApiLambda', {
+      functionName: 'BudgetsApiLambda',
+      description: 'Lambda function for creating, listing, editing and deleting cost budgets',
+      runtime: cdk.aws_lambda.Runtime.NODEJS_22_X,
+      handler: 'lambdas/budgets-api.handler',
+      code: cdk.aws_lambda.Code.fromAsset('src'),
+      timeout: cdk.Duration.seconds(30),
+      memorySize: 256,
+      environment: {
+        BUDGETS_DDB_TABLE: budgetTable.tableName,
       },
-      initialPolicy: [ddbRWPolicy, sesPolicy, s3PutPolicy, cePolicy, bedrockPolicy],
+      initialPolicy: [ddbRWPolicy],
       tracing: cdk.aws_lambda.Tracing.ACTIVE,
     });
 
-    // DynamoDB stream as event source
+    // Lambda that checks budgets and sends threshold alerts
+    const budgetEvaluatorLambda = new cdk.aws_lambda.Function(this, 'BudgetEvaluatorLambda', {
+      functionName: 'BudgetEvaluatorLambda',
+      description: 'Checks cost budgets against actual and forecast spend and emails alerts',
+      runtime: cdk.aws_lambda.Runtime.NODEJS_22_X,
+      handler: 'lambdas/budget-evaluator.budgetEvaluatorHandler',
+      code: cdk.aws_lambda.Code.fromAsset('src'),
+      timeout: cdk.Duration.seconds(300),
+      memorySize: 256,
+      environment: {
+        BUDGETS_DDB_TABLE: budgetTable.tableName,
+      },
+      initialPolicy: [cePolicy, ddbRWPolicy, sesPolicy],
+      tracing: cdk.aws_lambda.Tracing.ACTIVE,
+    });
+
+    // Cost Explorer refreshes data a few times a day; one evaluation per day is enough
+    new cdk.aws_events.Rule(this, 'BudgetEvaluationRule', {
+      ruleName: 'BudgetEvaluation',
+      schedule: cdk.aws_events.Schedule.expression('cron(0 8 * * ? *)'),
+      targets: [new cdk.aws_events_targets.LambdaFunction(budgetEvaluatorLambda)],
+    });
+
+    // DynamoDB stream as event source: new requests, and pending requests that just got an email.
+    // The sender's own RUNNING/DONE updates are filtered out.
     asyncCostReportSender.addEventSource(new cdk.aws_lambda_event_sources.DynamoEventSource(costReportTable, {
       startingPosition: cdk.aws_lambda.StartingPosition.LATEST,
       batchSize: 5,
       retryAttempts: 2,
+      filters: [
+        cdk.aws_lambda.FilterCriteria.filter({ eventName: cdk.aws_lambda.FilterRule.isEqual('INSERT') }),
+        cdk.aws_lambda.FilterCriteria.filter({
+          eventName: cdk.aws_lambda.FilterRule.isEqual('MODIFY'),
+          dynamodb: { NewImage: { status: { S: cdk.aws_lambda.FilterRule.isEqual('PENDING') } } },
+        }),
+      ],
     }));
 
     // Pre-signup Lambda for Cognito User Pool
@@ -246,7 +462,7 @@ export class LambdaHackathonStack extends cdk.Stack {
       defaultCorsPreflightOptions: {
         allowOrigins: ["*"],
         allowHeaders: ["Content-Type", "X-Amz-Date", "Authorization", "X-Api-Key", "X-Amz-Security-Token"],
-        allowMethods: ["OPTIONS", "POST"],
+        allowMethods: ["OPTIONS", "GET", "POST", "PATCH", "DELETE"],
       },
     });
     const chatResource = api.root.addResource('chat');
@@ -256,6 +472,55 @@ export class LambdaHackathonStack extends cdk.Stack {
       authorizationType: cdk.aws_apigateway.AuthorizationType.COGNITO,
     });
 
+    const reportsResource = api.root.addResource('reports');
+    const reportByIdResource = reportsResource.addResource('{requestId}');
+
+    reportsResource.addMethod('GET', new cdk.aws_apigateway.LambdaIntegration(reportsApiLambda), {
+      authorizer,
+      authorizationType: cdk.aws_apigateway.AuthorizationType.COGNITO,
+    });
+
+    reportByIdResource.addMethod('GET', new cdk.aws_apigateway.LambdaIntegration(reportsApiLambda), {
+      authorizer,
+      authorizationType: cdk.aws_apigateway.AuthorizationType.COGNITO,
+    });
+
+    const schedulesIntegration = new cdk.aws_apigateway.LambdaIntegration(schedulesApiLambda);
+    const schedulesResource = api.root.addResource('schedules');
+    const scheduleByIdResource = schedulesResource.addResource('{scheduleId}');
+
+    schedulesResource.addMethod('GET', schedulesIntegration, {
+      authorizer,
+      authorizationType: cdk.aws_apigateway.AuthorizationType.COGNITO,
+    });
+    for (const method of ['GET', 'PATCH', 'DELETE']) {
+      scheduleByIdResource.addMethod(method, schedulesIntegration, {
+        authorizer,
+        authorizationType: cdk.aws_apigateway.AuthorizationType.COGNITO,
+      });
+    }
+
+    // Slack requests are authenticated by their signature, not Cognito
+    const slackResource = api.root.addResource('slack');
+    slackResource.addResource('command').addMethod('POST', new cdk.aws_apigateway.LambdaIntegration(slackCommandLambda));
+
+    const budgetsIntegration = new cdk.aws_apigateway.LambdaIntegration(budgetsApiLambda);
+    const budgetsResource = api.root.addResource('budgets');
+    const budgetByIdResource = budgetsResource.addResource('{budgetId}');
+
+    for (const method of ['GET', 'POST']) {
+      budgetsResource.addMethod(method, budgetsIntegration, {
+        authorizer,
+        authorizationType: cdk.aws_apigateway.AuthorizationType.COGNITO,
+      });
+    }
+    for (const method of ['GET', 'PATCH', 'DELETE']) {
+      budgetByIdResource.addMethod(method, budgetsIntegration, {
+        authorizer,
+        authorizationType: cdk.aws_apigateway.AuthorizationType.COGNITO,
+      });
+    }
+
     // === Outputs ===
     new cdk.CfnOutput(this, 'CFDistributionDomainName', {
       value: distribution.distributionDomainName,
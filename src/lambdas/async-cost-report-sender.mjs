@@ -1,9 +1,10 @@
 import { S3Client, PutObjectCommand } from "@aws-sdk/client-s3";
-import { SESClient, SendEmailCommand } from "@aws-sdk/client-ses";
 import { generateCostReportPDF } from "../utils/pdf-utils.mjs";
-import { askBedrock, buildCostSummaryPrompt } from "../utils/bedrock-utils.mjs";
-import { getResourceLevelCosts } from "../utils/cost-explorer-utils.mjs";
-import { DDBUtils } from "../utils/dynamodb-utils.mjs";
+import { buildCostSummaryPrompt } from "../utils/bedrock-utils.mjs";
+import { ReportUtils, resolveDateRange, summarizeReportTotals, writeCheckedSummary } from "../utils/report-utils.mjs";
+import { DDBUtils, REPORT_STATUS } from "../utils/dynamodb-utils.mjs";
+import { sendEmail } from "../utils/ses-utils.mjs";
+import { deliverReport, TARGET_STATUS } from "../utils/delivery-utils.mjs";
 
 const region = 'ap-south-1';
 const ddbUtils = new DDBUtils({
@@ -13,88 +14,77 @@ const ddbUtils = new DDBUtils({
 });
 
 const s3 = new S3Client({region});
-const ses = new SESClient({region});
 
 const S3_BUCKET = process.env.REPORTS_BUCKET;
 const CF_URL = process.env.CF_URL;
 
-export const handler = async (event) => {
-    for (const record of event.Records) {
-        // Only process INSERT events
-        if (record.eventName !== "INSERT") continue;
-        const newImage = record.dynamodb.NewImage;
-        if (!newImage) continue;
-        const requestId = newImage.requestId?.S;
-        const parsedJsonQueryStr = newImage.parsedJsonQuery?.S;
-        const email = newImage.email?.S;
-        const reportUrl = newImage.reportUrl?.S;
-        const userCommand = newImage.userCommand?.S;
-        if (!requestId || !parsedJsonQueryStr || !email) continue;
-        if (reportUrl && reportUrl !== "PENDING") continue;
+const reportUtils = new ReportUtils({ region, bucket: S3_BUCKET, cfUrl: CF_URL, ddbUtils });
 
-        let parsedQuery;
-        try {
-            parsedQuery = JSON.parse(parsedJsonQueryStr);
-        } catch {
-            continue;
-        }
+/**
+ * Sends a finished report to the request's delivery targets and appends
+ * every attempt to the request's delivery log. Failures are logged, never
+ * thrown, so one bad target does not hold up the rest of the stream batch.
+ * @param {Object} params
+ * @param {string} params.requestId
+ * @param {string} params.userCommand
+ * @param {string} params.reportUrl
+ * @param {string} params.summary
+ * @param {Object} params.totals
+ * @param {Array<Object>} params.deliveryTargets
+ * @returns {Promise<void>}
+ */
+async function deliverToTargets({ requestId, userCommand, reportUrl, summary, totals, deliveryTargets }) {
+    try {
+        const results = await deliverReport({
+            targets: deliveryTargets,
+            report: { requestId, title: `AWS Cost Report: ${userCommand || requestId}`.slice(0, 150), userCommand, reportUrl, summary, totals }
+        });
+        await ddbUtils.appendDeliveryLog(requestId, results);
+        console.log(JSON.stringify({
+            level: 'info',
+            msg: 'Report delivered to targets',
+            requestId,
+            delivered: results.filter(r => r.status === TARGET_STATUS.DELIVERED).length,
+            failed: results.filter(r => r.status === TARGET_STATUS.FAILED).length
+        }));
+    } catch (err) {
+        console.error(JSON.stringify({ level: 'error', msg: 'Report delivery to targets failed', requestId, error: err.message }));
+    }
+}
 
-        console.log(`Parsed query for request ${requestId}:`, parsedQuery);
+/**
+ * Generates a pending resource-level report, emails it and delivers it to
+ * the request's targets. The caller has already claimed the request, so a
+ * failure, including one writing the DONE status, marks it ERROR instead of
+ * leaving it RUNNING. The email is only sent once DONE is recorded.
+ * @param {Object} params
+ * @param {string} params.requestId
+ * @param {Object} params.parsedQuery
+ * @param {string} params.userCommand
+ * @param {string|undefined} params.email
+ * @param {Array<Object>} params.deliveryTargets
+ * @returns {Promise<void>}
+ */
+async function generatePendingReport({ requestId, parsedQuery, userCommand, email, deliveryTargets }) {
+    // Same window the chat path resolved when it queued the report
+    const { start, end } = resolveDateRange(parsedQuery);
+    console.log(`Using start date: ${start.toISOString()}, end date: ${end.toISOString()}`);
+
+    const granularity = "DAILY";
+
+    let finalReportUrl;
+    let costSummaryText;
+    let totals;
+    try {
+        // Same key the chat path checks before queueing a resource report
+        const cacheKey = reportUtils.resourceCacheKey({ parsedQuery, start, end });
+        const { data, groupLabels, metric } = await reportUtils.fetchResourceCosts({ parsedQuery, start, end });
 
-        // Determine date range
-        let end, start;
-        if (parsedQuery.startDate && parsedQuery.endDate) {
-            start = new Date(parsedQuery.startDate);
-            end = new Date(parsedQuery.endDate);
-        } else if (parsedQuery.days) {
-            const days = parsedQuery.days;
-            end = new Date();
-            start = new Date();
-            start.setDate(end.getDate() - days);
-        } else {
-            end = new Date();
-            start = new Date();
-            start.setDate(end.getDate() - 14);
-        }
-        
-        console.log(`Using start date: ${start.toISOString()}, end date: ${end.toISOString()}`);
-        
-        const granularity = "DAILY";
-        const groupBy = [{ Type: "DIMENSION", Key: "RESOURCE_ID" }];
-        
-        // Generate cache key for storing the result after report generation
-        const cacheKeyObj = {
-            start: start.toISOString().split("T")[0],
-            end: end.toISOString().split("T")[0],
-            groupBy,
-            granularity
-        };
-        const cacheKey = Buffer.from(JSON.stringify(cacheKeyObj)).toString('base64');
-        
-        let data;
-        // Fetch cost data using utility function
-        try {
-            data = await getResourceLevelCosts({
-                startDate: start.toISOString().split("T")[0],
-                endDate: end.toISOString().split("T")[0],
-                granularity,
-                groupBy
-            });
-        } catch (err) {
-            await ddbUtils.updateReportStatus(requestId, {
-                reportUrl: "ERROR",
-                costSummaryText: `Failed to generate report: ${err.message}`
-            });
-            continue;
-        }
-        
-        // Proceed with report generation
         console.log(`Generating report for request ${requestId}`);
 
-        const summaryPrompt = buildCostSummaryPrompt(data, userCommand, granularity);
-        const bedrockCostResponse = await askBedrock(summaryPrompt);
-        const costSummaryText = bedrockCostResponse.trim();
-        const pdfBuffer = await generateCostReportPDF(costSummaryText, data);
+        const summaryPrompt = buildCostSummaryPrompt(data, userCommand, granularity, groupLabels, metric);
+        ({ summary: costSummaryText } = await writeCheckedSummary(summaryPrompt, "cost", data, metric));
+        const pdfBuffer = await generateCostReportPDF(costSummaryText, data, { groupLabels, metric });
         const pdfKey = `cost-reports/${requestId}.pdf`;
         await s3.send(new PutObjectCommand({
             Bucket: S3_BUCKET,
@@ -102,32 +92,112 @@ export const handler = async (event) => {
             Body: pdfBuffer,
             ContentType: "application/pdf",
         }));
-        const finalReportUrl = `${CF_URL}/${pdfKey}`;
+        finalReportUrl = `${CF_URL}/${pdfKey}`;
         console.log(`PDF report generated for request ${requestId}: ${finalReportUrl}`);
 
         // Use DDBUtils for atomic cache write with summary
         await ddbUtils.setCache({ cacheKey, data, reportUrl: finalReportUrl, costSummaryText });
+        totals = summarizeReportTotals("cost", data, metric);
+        // Inside the try so a failed write still ends in ERROR rather than RUNNING
+        await ddbUtils.updateReportStatus(requestId, {
+            reportUrl: finalReportUrl,
+            costSummaryText,
+            status: REPORT_STATUS.DONE,
+            totals
+        });
+    } catch (err) {
+        console.error(JSON.stringify({ level: 'error', msg: 'Report generation failed', requestId, error: err.message }));
+        await ddbUtils.updateReportStatus(requestId, {
+            reportUrl: REPORT_STATUS.ERROR,
+            costSummaryText: `Failed to generate report: ${err.message}`,
+            status: REPORT_STATUS.ERROR,
+            errorMessage: err.message
+        });
+        return;
+    }
 
-        console.log(`Generated report for request ${requestId}: ${finalReportUrl}`);
-        // Send email
-        const emailParams = {
-            Destination: { ToAddresses: [email] },
-            Message: {
-                Body: { Text: { Data: `Your AWS Resource-level Cost Report is ready.\n\nYou can download the PDF report here: ${finalReportUrl}\n\nSummary:\n${costSummaryText}` } },
-                Subject: { Data: "Your AWS Resource-level Cost Report" },
-            },
-            Source: "cost-reports@learnmorecloud.com"
-        };
+    console.log(`Generated report for request ${requestId}: ${finalReportUrl}`);
+    // Send email
+    if (email) {
         try {
-            await ses.send(new SendEmailCommand(emailParams));
+            await sendEmail({
+                to: [email],
+                subject: "Your AWS Resource-level Cost Report",
+                body: `Your AWS Resource-level Cost Report is ready.\n\nYou can download the PDF report here: ${finalReportUrl}\n\nSummary:\n${costSummaryText}`
+            });
         } catch (err) {
             console.error(`Failed to send email for request ${requestId}:`, err);
         }
-        // Use DDBUtils to update report status
-        await ddbUtils.updateReportStatus(requestId, {
-            reportUrl: finalReportUrl,
-            costSummaryText
-        });
+    }
+    if (deliveryTargets.length > 0) {
+        await deliverToTargets({ requestId, userCommand, reportUrl: finalReportUrl, summary: costSummaryText, totals, deliveryTargets });
+    }
+}
+
+export const handler = async (event) => {
+    for (const record of event.Records) {
+        // New requests arrive as INSERTs; an email attached to a pending request arrives as a MODIFY
+        if (record.eventName !== "INSERT" && record.eventName !== "MODIFY") continue;
+        const newImage = record.dynamodb.NewImage;
+        if (!newImage) continue;
+        const requestId = newImage.requestId?.S;
+        const parsedJsonQueryStr = newImage.parsedJsonQuery?.S;
+        const email = newImage.email?.S;
+        const userCommand = newImage.userCommand?.S;
+        let deliveryTargets;
+        try {
+            deliveryTargets = newImage.deliveryTargets?.S ? JSON.parse(newImage.deliveryTargets.S) : [];
+        } catch (err) {
+            console.warn(JSON.stringify({ level: 'warn', msg: 'Skipping record with unreadable deliveryTargets', requestId, error: err.message }));
+            continue;
+        }
+
+        // Reports finished by the chat Lambda only need delivering
+        if (record.eventName === "INSERT" && requestId && newImage.status?.S === REPORT_STATUS.DONE && deliveryTargets.length > 0) {
+            // Parsed before the claim so an unreadable record does not use it up
+            let totals;
+            try {
+                totals = newImage.totals?.S ? JSON.parse(newImage.totals.S) : {};
+            } catch (err) {
+                console.warn(JSON.stringify({ level: 'warn', msg: 'Skipping record with unreadable totals', requestId, error: err.message }));
+                continue;
+            }
+            if (!(await ddbUtils.claimReportDelivery(requestId))) {
+                console.log(JSON.stringify({ level: 'info', msg: 'Report already delivered, skipping replayed record', requestId }));
+                continue;
+            }
+            await deliverToTargets({
+                requestId,
+                userCommand,
+                reportUrl: newImage.reportUrl?.S,
+                summary: newImage.summary?.S || "",
+                totals,
+                deliveryTargets
+            });
+            continue;
+        }
+
+        // Requests without an email or target wait for the needEmail follow-up
+        if (!requestId || !parsedJsonQueryStr || (!email && deliveryTargets.length === 0)) continue;
+        if (newImage.status?.S !== REPORT_STATUS.PENDING) continue;
+
+        let parsedQuery;
+        try {
+            parsedQuery = JSON.parse(parsedJsonQueryStr);
+        } catch (err) {
+            console.warn(JSON.stringify({ level: 'warn', msg: 'Skipping record with unreadable parsedJsonQuery', requestId, error: err.message }));
+            continue;
+        }
+
+        // Duplicate and replayed records lose the claim once one of them has it
+        if (!(await ddbUtils.claimPendingReport(requestId))) {
+            console.log(JSON.stringify({ level: 'info', msg: 'Report already claimed, skipping record', requestId, eventName: record.eventName }));
+            continue;
+        }
+
+        console.log(`Parsed query for request ${requestId}:`, parsedQuery);
+
+        await generatePendingReport({ requestId, parsedQuery, userCommand, email, deliveryTargets });
     }
     return { statusCode: 200 };
 };
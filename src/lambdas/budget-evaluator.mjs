@@ -0,0 +1,101 @@
+// Lambda to check cost budgets on a schedule and email threshold alerts
+import { DDBUtils } from "../utils/dynamodb-utils.mjs";
+import { BudgetUtils, evaluateBudgetThresholds, buildBudgetAlertEmail } from "../utils/budget-utils.mjs";
+import { sendEmails, DELIVERY_STATUS } from "../utils/ses-utils.mjs";
+
+const region = process.env.AWS_REGION || 'ap-south-1';
+const BUDGETS_DDB_TABLE = process.env.BUDGETS_DDB_TABLE;
+
+const requiredEnvVars = { BUDGETS_DDB_TABLE };
+for (const [key, value] of Object.entries(requiredEnvVars)) {
+    if (!value) {
+        throw new Error(`Missing required environment variable: ${key}`);
+    }
+}
+
+const ddbUtils = new DDBUtils({ region, budgetsTable: BUDGETS_DDB_TABLE });
+const budgetUtils = new BudgetUtils({ ddbUtils });
+
+/**
+ * Evaluates one budget: measures spend, claims each newly crossed threshold
+ * and sends a single alert email covering all of them. Claims are released
+ * if no recipient could be emailed, so the next run tries again.
+ * @param {Object} budget - Stored budget.
+ * @param {Date} now - Evaluation time.
+ * @returns {Promise<Object>} Evaluation recorded on the budget.
+ */
+async function evaluateBudget(budget, now) {
+    const spend = await budgetUtils.measureSpend(budget, now);
+    const { pending } = evaluateBudgetThresholds(budget, spend);
+
+    const claimed = [];
+    for (const alert of pending) {
+        if (await ddbUtils.claimBudgetAlert(budget.budgetId, alert.alertKey)) {
+            claimed.push(alert);
+        }
+    }
+
+    const evaluation = {
+        at: now.toISOString(),
+        period: spend.period,
+        actual: spend.actual,
+        forecast: spend.forecast,
+        drivers: spend.drivers,
+        alerts: claimed.map(a => a.alertKey)
+    };
+    if (claimed.length === 0) {
+        return evaluation;
+    }
+
+    const { subject, body } = buildBudgetAlertEmail(budget, spend, claimed);
+    evaluation.delivery = await sendEmails({ recipients: budget.recipients, subject, body });
+    if (evaluation.delivery.status === DELIVERY_STATUS.FAILED) {
+        await ddbUtils.releaseBudgetAlerts(budget.budgetId, claimed.map(a => a.alertKey));
+        evaluation.alerts = [];
+    }
+    console.log(JSON.stringify({ level: 'info', msg: 'Budget alert sent', budgetId: budget.budgetId, alerts: claimed.map(a => a.alertKey), delivery: evaluation.delivery.status }));
+    return evaluation;
+}
+
+/**
+ * Lambda handler for the scheduled budget evaluation. Every budget is
+ * evaluated independently, so one failing budget does not block the others.
+ * @param {Object} event - EventBridge scheduled event.
+ * @returns {Promise<{evaluated: number, alerted: number, failed: number}>} Outcome of the run.
+ */
+export const budgetEvaluatorHandler = async (event) => {
+    console.log("Received event:", JSON.stringify(event, null, 2));
+
+    const now = new Date();
+    const budgets = await ddbUtils.listAllBudgets();
+    const outcome = { evaluated: 0, alerted: 0, failed: 0 };
+
+    for (const budget of budgets) {
+        let evaluation;
+        try {
+            evaluation = await evaluateBudget(budget, now);
+            outcome.evaluated += 1;
+            if (evaluation.alerts.length > 0) outcome.alerted += 1;
+        } catch (error) {
+            console.error(JSON.stringify({
+                level: 'error',
+                msg: 'Budget evaluation failed',
+                budgetId: budget.budgetId,
+                error: error.message,
+                stack: error.stack
+            }));
+            outcome.failed += 1;
+            evaluation = { at: now.toISOString(), error: error.message };
+        }
+
+        try {
+            await ddbUtils.recordBudgetEvaluation(budget.budgetId, evaluation);
+        } catch (err) {
+            // The budget may have been deleted while it was being evaluated
+            console.error(JSON.stringify({ level: 'error', msg: 'Failed to record budget evaluation', budgetId: budget.budgetId, error: err.message }));
+        }
+    }
+
+    console.log(JSON.stringify({ level: 'info', msg: 'Budget evaluation complete', ...outcome }));
+    return outcome;
+};
@@ -0,0 +1,136 @@
+// Budgets API Lambda: create, list, edit and delete cost budgets
+import { DDBUtils } from "../utils/dynamodb-utils.mjs";
+import { BudgetUtils } from "../utils/budget-utils.mjs";
+import { createApiResponder, validateEmail } from "../utils/api-utils.mjs";
+
+const region = process.env.AWS_REGION || 'ap-south-1';
+const BUDGETS_DDB_TABLE = process.env.BUDGETS_DDB_TABLE;
+
+const requiredEnvVars = { BUDGETS_DDB_TABLE };
+for (const [key, value] of Object.entries(requiredEnvVars)) {
+    if (!value) {
+        throw new Error(`Missing required environment variable: ${key}`);
+    }
+}
+
+const ddbUtils = new DDBUtils({ region, budgetsTable: BUDGETS_DDB_TABLE });
+const budgetUtils = new BudgetUtils({ ddbUtils });
+
+const createApiResponse = createApiResponder(["GET", "POST", "PATCH", "DELETE"]);
+
+/**
+ * Trims a budget down to the fields returned by the API.
+ * @param {Object} budget
+ * @returns {Object}
+ */
+function toBudgetView(budget) {
+    const { budgetId, name, amount, period, thresholds, filters, recipients, userCommand, createdAt, updatedAt, lastEvaluation } = budget;
+    return { budgetId, name, amount, period, thresholds, filters, recipients, userCommand, createdAt, updatedAt, lastEvaluation: lastEvaluation || null };
+}
+
+/**
+ * Checks the recipients field of a request body, if present.
+ * @param {*} recipients
+ * @returns {Object|null} A 400 response, or null when the field is valid or absent.
+ */
+function validateRecipients(recipients) {
+    if (recipients === undefined) return null;
+    if (!Array.isArray(recipients) || recipients.length === 0) {
+        return createApiResponse(400, { message: '❌ "recipients" must be a non-empty array of email addresses.' });
+    }
+    const invalid = recipients.filter(r => !validateEmail(r));
+    if (invalid.length > 0) {
+        return createApiResponse(400, { message: `❌ Invalid recipient email address(es): ${invalid.join(", ")}` });
+    }
+    return null;
+}
+
+/**
+ * Runs a budget change and maps validation errors to 400 responses.
+ * @param {function(): Promise<Object>} change
+ * @param {number} statusCode - Status code on success.
+ * @returns {Promise<Object>} API Gateway response.
+ */
+async function applyBudgetChange(change, statusCode) {
+    try {
+        const budget = await change();
+        return createApiResponse(statusCode, { budget: toBudgetView(budget) });
+    } catch (err) {
+        if (err.message.startsWith('Invalid ')) {
+            return createApiResponse(400, { message: `❌ ${err.message}` });
+        }
+        throw err;
+    }
+}
+
+/**
+ * Lambda entry point for the /budgets API Gateway routes.
+ * @param {Object} event - API Gateway event.
+ * @returns {Promise<Object>} API Gateway response.
+ */
+export const handler = async (event) => {
+    try {
+        const callerEmail = event.requestContext?.authorizer?.claims?.email?.toLowerCase();
+        if (!callerEmail) {
+            return createApiResponse(401, { message: '❌ Unauthorized.' });
+        }
+        const body = event.body ? JSON.parse(event.body) : {};
+
+        if (event.resource === '/budgets') {
+            if (event.httpMethod === 'GET') {
+                const budgets = await budgetUtils.listForOwner(callerEmail);
+                return createApiResponse(200, { budgets: budgets.map(toBudgetView) });
+            }
+            if (event.httpMethod === 'POST') {
+                const invalidRecipients = validateRecipients(body.recipients);
+                if (invalidRecipients) return invalidRecipients;
+                const { name, amount, period, thresholds, filters, recipients } = body;
+                return await applyBudgetChange(
+                    () => budgetUtils.create({ ownerEmail: callerEmail, name, amount, period, thresholds, filters, recipients }),
+                    201
+                );
+            }
+            return createApiResponse(405, { message: `❌ Method ${event.httpMethod} not allowed.` });
+        }
+
+        if (event.resource !== '/budgets/{budgetId}') {
+            return createApiResponse(404, { message: `❌ Unsupported route: ${event.httpMethod} ${event.resource}` });
+        }
+
+        const budgetId = event.pathParameters?.budgetId;
+        const budget = budgetId ? await budgetUtils.getForOwner(budgetId, callerEmail) : null;
+        if (!budget) {
+            return createApiResponse(404, { message: `❌ No budget found with ID ${budgetId}.` });
+        }
+
+        switch (event.httpMethod) {
+            case 'GET':
+                return createApiResponse(200, { budget: toBudgetView(budget) });
+            case 'PATCH': {
+                const invalidRecipients = validateRecipients(body.recipients);
+                if (invalidRecipients) return invalidRecipients;
+                const { name, amount, period, thresholds, filters, recipients } = body;
+                return await applyBudgetChange(
+                    () => budgetUtils.update(budget, { name, amount, period, thresholds, filters, recipients }),
+                    200
+                );
+            }
+            case 'DELETE':
+                await budgetUtils.delete(budget);
+                return createApiResponse(200, { message: `Deleted budget '${budget.name}'.`, budgetId });
+            default:
+                return createApiResponse(405, { message: `❌ Method ${event.httpMethod} not allowed.` });
+        }
+    } catch (error) {
+        console.error(JSON.stringify({
+            level: 'error',
+            msg: 'budgets-api handler error',
+            error: error.message,
+            stack: error.stack
+        }));
+        const statusCode = error instanceof SyntaxError ? 400 : 500;
+        return createApiResponse(statusCode, {
+            message: `❌ An error occurred: ${error.message}`,
+        });
+    }
+};
@@ -1,11 +1,16 @@
 // ChatOps Lambda Functions: Cost + Incident AI Query Support via Amazon Bedrock (AWS SDK v3)
 
-import { S3Client, PutObjectCommand } from "@aws-sdk/client-s3";
-import { EventBridgeClient, PutRuleCommand, PutTargetsCommand } from "@aws-sdk/client-eventbridge";
-import { askBedrock, buildCostSummaryPrompt, buildUserRequestPrompt, buildMonthComparisonSummaryPrompt } from "../utils/bedrock-utils.mjs";
-import { getCostAndUsageComparisons, prepareComparisonPeriods, getCostAndUsage } from "../utils/cost-explorer-utils.mjs";
-import { generateCostReportPDF } from "../utils/pdf-utils.mjs";
-import { DDBUtils } from "../utils/dynamodb-utils.mjs";
+import { askBedrock, buildUserRequestPrompt, buildQueryRepairPrompt } from "../utils/bedrock-utils.mjs";
+import { LLM_TASKS } from "../utils/llm-utils.mjs";
+import { DDBUtils, REPORT_STATUS, SCHEDULE_STATE } from "../utils/dynamodb-utils.mjs";
+import { ScheduleUtils } from "../utils/schedule-utils.mjs";
+import { BudgetUtils } from "../utils/budget-utils.mjs";
+import { ReportUtils, resolveDateRange, resolveComparisonPeriods, summarizeReportTotals, checkSummary } from "../utils/report-utils.mjs";
+import { normalizeDeliveryTargets, toDeliveryTargetViews } from "../utils/delivery-utils.mjs";
+import { parseCommandWithRules, buildClarification, formatClarification, PARSE_CONFIDENCE } from "../utils/command-parser-utils.mjs";
+import { validateParsedQuery, formatQueryErrors } from "../utils/query-schema-utils.mjs";
+import { resolveCostMetric } from "../utils/cost-explorer-utils.mjs";
+import { createApiResponder, validateEmail } from "../utils/api-utils.mjs";
 import { v4 as uuidv4 } from "uuid";
 
 const region = process.env.AWS_REGION || 'ap-south-1';
@@ -13,44 +18,32 @@ const S3_BUCKET = process.env.REPORTS_BUCKET;
 const CF_URL = process.env.CF_URL;
 const REPORTS_DDB_TABLE = process.env.REPORTS_DDB_TABLE;
 const COST_EXPLORER_CACHE_TABLE = process.env.COST_EXPLORER_CACHE_TABLE;
+const SCHEDULES_DDB_TABLE = process.env.SCHEDULES_DDB_TABLE;
 const SCHEDULED_COST_REPORT_LAMBDA_ARN = process.env.SCHEDULED_COST_REPORT_LAMBDA_ARN;
+const BUDGETS_DDB_TABLE = process.env.BUDGETS_DDB_TABLE;
 
-const requiredEnvVars = { S3_BUCKET, CF_URL, REPORTS_DDB_TABLE, SCHEDULED_COST_REPORT_LAMBDA_ARN };
+const requiredEnvVars = { S3_BUCKET, CF_URL, REPORTS_DDB_TABLE, SCHEDULES_DDB_TABLE, SCHEDULED_COST_REPORT_LAMBDA_ARN, BUDGETS_DDB_TABLE };
 for (const [key, value] of Object.entries(requiredEnvVars)) {
     if (!value) {
         throw new Error(`Missing required environment variable: ${key}`);
     }
 }
 
-const s3 = new S3Client({ region });
-const eventBridge = new EventBridgeClient({ region });
 const ddbUtils = new DDBUtils({
     region,
     reportsTable: REPORTS_DDB_TABLE,
-    cacheTable: COST_EXPLORER_CACHE_TABLE
+    cacheTable: COST_EXPLORER_CACHE_TABLE,
+    schedulesTable: SCHEDULES_DDB_TABLE,
+    budgetsTable: BUDGETS_DDB_TABLE
 });
+const scheduleUtils = new ScheduleUtils({ ddbUtils, targetArn: SCHEDULED_COST_REPORT_LAMBDA_ARN });
+const budgetUtils = new BudgetUtils({ ddbUtils });
+const reportUtils = new ReportUtils({ region, bucket: S3_BUCKET, cfUrl: CF_URL, ddbUtils });
 
-const REPORT_STATUS_PENDING = "PENDING";
-const CORS_HEADERS = {
-    "Access-Control-Allow-Origin": "*", // Consider restricting this in production
-    "Access-Control-Allow-Methods": "OPTIONS,POST",
-    "Access-Control-Allow-Headers": "Content-Type,Authorization"
-};
+const createApiResponse = createApiResponder(["POST"]);
 
 // --- Helper Functions ---
 
-/**
- * Creates a standard API response object.
- * @param {number} statusCode - The HTTP status code.
- * @param {object} body - The response body.
- * @returns {object} The formatted API Gateway response.
- */
-const createApiResponse = (statusCode, body) => ({
-    statusCode,
-    headers: CORS_HEADERS,
-    body: JSON.stringify(body),
-});
-
 /**
  * Parses the JSON object from a Bedrock response string.
  * @param {string} bedrockResponse - The raw string response from Bedrock.
@@ -69,67 +62,6 @@ const parseBedrockResponse = (bedrockResponse) => {
     throw new Error("No valid JSON object found in the Bedrock response.");
 };
 
-/**
- * Determines the start and end dates for a cost report.
- * @param {object} parsedQuery - The query object from Bedrock.
- * @returns {{start: Date, end: Date}}
- */
-const getDateRange = (parsedQuery) => {
-    let start, end;
-    const intent = (parsedQuery.intent || "").toLowerCase();
-
-    if (parsedQuery.startDate && parsedQuery.endDate) {
-        start = new Date(parsedQuery.startDate);
-        end = new Date(parsedQuery.endDate);
-    } else if (intent.includes("month")) {
-        const now = new Date();
-        start = new Date(now.getFullYear(), now.getMonth() - 1, 1);
-        end = new Date(now.getFullYear(), now.getMonth(), 1);
-    } else {
-        const days = parsedQuery.days || 7;
-        end = new Date();
-        start = new Date();
-        start.setDate(end.getDate() - days);
-    }
-    return { start, end };
-};
-
-/**
- * Generates a deterministic cache key from request parameters.
- * @param {object} params - The parameters to include in the key.
- * @returns {string} A base64 encoded cache key.
- */
-const generateCacheKey = (params) => {
-    const keyString = JSON.stringify(params);
-    return Buffer.from(keyString).toString('base64');
-};
-
-
-// Helper to create a recurring EventBridge rule for scheduled cost reports
-async function createRecurringCostReportRule({ query, cronExpression }) {
-    const ruleName = `ScheduledCostReport-${Date.now()}`;
-    await eventBridge.send(new PutRuleCommand({
-        Name: ruleName,
-        ScheduleExpression: cronExpression, // e.g., 'cron(0 8 * * ? *)' for 8am UTC daily
-        State: "ENABLED",
-    }));
-    // Set the Lambda as the target
-    await eventBridge.send(new PutTargetsCommand({
-        Rule: ruleName,
-        Targets: [
-            {
-                Id: `ScheduledCostReportTarget-${Date.now()}`,
-                Arn: SCHEDULED_COST_REPORT_LAMBDA_ARN,
-                Input: JSON.stringify({
-                    isScheduled: true,
-                    parsedQuery: query
-                })
-            }
-        ]
-    }));
-    return ruleName;
-}
-
 /**
  * Saves a report entry to DynamoDB.
  * @param {Object} params
@@ -139,14 +71,53 @@ async function createRecurringCostReportRule({ query, cronExpression }) {
  * @param {string} params.reportUrl - S3 URL or status.
  * @param {string} params.costSummaryText - Cost summary text or status.
  * @param {string} [params.email] - User email (optional).
+ * @param {string} [params.ownerEmail] - Email of the authenticated user who made the request (optional).
+ * @param {string} [params.status] - Report status, one of REPORT_STATUS (optional).
+ * @param {Object} [params.totals] - Headline numbers of a finished report (optional).
+ * @param {Array<Object>} [params.deliveryTargets] - Slack, Teams or webhook targets (optional).
  * @returns {Promise<any>} DynamoDB operation result.
  */
-async function saveReportToDynamo({ requestId, userCommand, parsedJsonQuery, reportUrl, costSummaryText, email }) {
-    return ddbUtils.saveReport({ requestId, userCommand, parsedJsonQuery, reportUrl, costSummaryText, email });
+async function saveReportToDynamo({ requestId, userCommand, parsedJsonQuery, reportUrl, costSummaryText, email, ownerEmail, status, totals, deliveryTargets }) {
+    return ddbUtils.saveReport({ requestId, userCommand, parsedJsonQuery, reportUrl, costSummaryText, email, ownerEmail, status, totals, deliveryTargets });
 }
 
 /**
- * Helper to detect if the parsed query is a month-to-month comparison request.
+ * Records a finished report in the reports table so it shows up in the user's history.
+ * The new row also triggers delivery to the request's targets, if any.
+ * Failures are logged rather than thrown; the report itself was already delivered.
+ * @param {Object} params
+ * @param {string} params.requestId - Unique request ID.
+ * @param {string} params.userCommand - Original user command.
+ * @param {Object} params.parsedQuery - Parsed query from Bedrock.
+ * @param {string} params.reportUrl - Report URL.
+ * @param {string} params.summary - Cost summary text.
+ * @param {string|null} params.email - User email.
+ * @param {string|null} params.ownerEmail - Email of the authenticated caller.
+ * @param {Object} [params.totals] - Headline numbers of the report.
+ * @param {Array<Object>} [params.deliveryTargets] - Slack, Teams or webhook targets.
+ * @returns {Promise<void>}
+ */
+async function recordCompletedReport({ requestId, userCommand, parsedQuery, reportUrl, summary, email, ownerEmail, totals, deliveryTargets }) {
+    try {
+        await saveReportToDynamo({
+            requestId,
+            userCommand,
+            parsedJsonQuery: parsedQuery,
+            reportUrl,
+            costSummaryText: summary || "",
+            email,
+            ownerEmail,
+            status: REPORT_STATUS.DONE,
+            totals,
+            deliveryTargets
+        });
+    } catch (err) {
+        console.error(JSON.stringify({ level: 'error', msg: 'Failed to record report history', requestId, error: err.message }));
+    }
+}
+
+/**
+ * Helper to detect if the parsed query is a period comparison request ("compare-months" covers any two periods).
  * @param {Object} parsedQuery
  * @returns {boolean}
  */
@@ -157,96 +128,137 @@ function isMonthComparisonRequest(parsedQuery) {
 }
 
 /**
- * Main cost report handler for all report types, including month-to-month comparison.
+ * Main cost report handler for all report types, including period comparisons.
  * @param {Object} parsedQuery - Parsed query from Bedrock.
  * @param {string|null} userEmail - User's email address.
  * @param {string|null} requestId - Request ID for tracking.
  * @param {string} userCommand - Original user command.
+ * @param {string|null} ownerEmail - Email of the authenticated caller, used for access checks.
+ * @param {Array<Object>} deliveryTargets - Slack, Teams or webhook targets that also receive the report.
  * @returns {Promise<Object>} API response object.
  */
-async function costReportHandler(parsedQuery, userEmail = null, requestId = null, userCommand = "") {
+async function costReportHandler(parsedQuery, userEmail = null, requestId = null, userCommand = "", ownerEmail = null, deliveryTargets = []) {
     const intent = (parsedQuery.intent || "").toLowerCase();
     requestId = requestId || uuidv4();
 
-    // --- Month-to-month cost comparison feature ---
+    // --- Period-over-period cost comparison feature ---
     if (isMonthComparisonRequest(parsedQuery)) {
-        const { period1, period2 } = parsedQuery;
-        if (!period1 || !period2 || !period1.start || !period1.end || !period2.start || !period2.end) {
+        const periods = resolveComparisonPeriods(parsedQuery);
+        if (!periods) {
             return createApiResponse(400, { message: "Invalid comparison periods provided.", requestId });
         }
-        
-        const { baseline, comparison } = prepareComparisonPeriods(period1, period2);
-        
-        // Generate cache key for comparison report
-        const comparisonCacheKeyParams = {
-            type: "comparison",
-            baseline: baseline,
-            comparison: comparison,
-            metricForComparison: "UnblendedCost",
-            granularity: "MONTHLY",
-            groupBy: [{ Type: "DIMENSION", Key: "SERVICE" }]
-        };
-        
-        // Add specialRequirements to cache key if present
-        if (parsedQuery.specialRequirements) {
-            comparisonCacheKeyParams.specialRequirements = parsedQuery.specialRequirements;
+
+        let result;
+        try {
+            result = await reportUtils.comparisonReport({ parsedQuery, ...periods });
+        } catch (err) {
+            if (err.message.startsWith('Invalid ')) {
+                return createApiResponse(400, { message: `❌ ${err.message}`, requestId });
+            }
+            return createApiResponse(500, { message: `Failed to generate comparison report: ${err.message}` , requestId });
         }
-        
-        const cacheKey = generateCacheKey(comparisonCacheKeyParams);
-        
-        // Check cache first
-        const cacheResult = await ddbUtils.getCache({ cacheKey });
-        if (cacheResult.hit && cacheResult.reportUrl) {
-            console.log("Using cached comparison report URL:", cacheResult.reportUrl);
+        await recordCompletedReport({ requestId, userCommand, parsedQuery, reportUrl: result.reportUrl, summary: result.summary, email: userEmail, ownerEmail, totals: result.totals, deliveryTargets });
+
+        if (result.cached) {
             return createApiResponse(200, {
-                message: `Please view the comparison report here: ${cacheResult.reportUrl}`,
-                reportUrl: cacheResult.reportUrl,
-                summary: cacheResult.summary || "",
+                message: `Please view the comparison report here: ${result.reportUrl}`,
+                reportUrl: result.reportUrl,
+                summary: result.summary,
+                factCheck: result.factCheck,
                 requestId
             });
         }
-        
-        let comparisonData = cacheResult.data;
-        if (!cacheResult.hit) {
-            try {
-                comparisonData = await getCostAndUsageComparisons({
-                    baselineTimePeriod: baseline,
-                    comparisonTimePeriod: comparison,
-                    metricForComparison: "UnblendedCost",
-                    granularity: "MONTHLY",
-                    groupBy: [{ Type: "DIMENSION", Key: "SERVICE" }]
-                });
-                console.log(JSON.stringify({ level: 'info', msg: 'Fetched Cost Comparison result', cacheKey }));
-            } catch (err) {
-                console.error(JSON.stringify({ level: 'error', msg: 'Cost Comparison fetch failed', cacheKey, error: err.message }));
-                return createApiResponse(500, { message: `Failed to generate comparison report: ${err.message}` , requestId });
+        return createApiResponse(200, {
+            message: `Cost Comparison Report generated successfully✅. You can view the report here: ${result.reportUrl}`,
+            reportUrl: result.reportUrl,
+            summary: result.summary,
+            factCheck: result.factCheck,
+            requestId
+        });
+    }
+
+    if (intent.includes("forecast")) {
+        let result;
+        try {
+            result = await reportUtils.forecastReport({ parsedQuery, userCommand });
+        } catch (err) {
+            if (err.message.startsWith('Invalid ')) {
+                return createApiResponse(400, { message: `❌ ${err.message}`, requestId });
             }
+            return createApiResponse(500, { message: `Failed to generate forecast report: ${err.message}`, requestId });
         }
-        
-        // Build a summary prompt for Bedrock for comparison (moved to bedrock-utils)
-        const summaryPrompt = buildMonthComparisonSummaryPrompt(period1, period2, comparisonData);
-        const bedrockCostResponse = await askBedrock(summaryPrompt);
-        const costSummaryText = bedrockCostResponse.trim();
-        
-        // Save as PDF and S3 as usual
-        const reportId = uuidv4();
-        const pdfKey = `cost-reports/${reportId}-comparison.pdf`;
-        const pdfBuffer = await generateCostReportPDF(costSummaryText, comparisonData);
-        await s3.send(new PutObjectCommand({
-            Bucket: S3_BUCKET,
-            Key: pdfKey,
-            Body: pdfBuffer,
-            ContentType: "application/pdf",
-        }));
-        const reportUrl = `${CF_URL}/${pdfKey}`;
-        
-        // Update cache with new data, report URL, and summary
-        await ddbUtils.setCache({ cacheKey, data: comparisonData, reportUrl, costSummaryText });
-        
+        await recordCompletedReport({ requestId, userCommand, parsedQuery, reportUrl: result.reportUrl, summary: result.summary, email: userEmail, ownerEmail, totals: result.totals, deliveryTargets });
+
         return createApiResponse(200, {
-            message: `Cost Comparison Report generated successfully✅. You can view the report here: ${reportUrl}`,
-            reportUrl,
-            summary: costSummaryText,
+            message: result.cached
+                ? `Please view the forecast report here: ${result.reportUrl}`
+                : `Cost Forecast Report generated successfully✅. You can view the report here: ${result.reportUrl}`,
+            reportUrl: result.reportUrl,
+            summary: result.summary,
+            requestId
+        });
+    }
+
+    if (intent.includes("anomal")) {
+        const { start, end } = resolveDateRange(parsedQuery);
+        const result = await reportUtils.anomalyReport({ parsedQuery, userCommand, start, end });
+        await recordCompletedReport({ requestId, userCommand, parsedQuery, reportUrl: result.reportUrl, summary: result.summary, email: userEmail, ownerEmail, totals: result.totals, deliveryTargets });
+
+        return createApiResponse(200, {
+            message: result.cached
+                ? `Please view the anomaly report here: ${result.reportUrl}`
+                : `Cost Anomaly Report generated successfully✅. Found ${result.anomalies.length} anomal${result.anomalies.length === 1 ? 'y' : 'ies'}. You can view the report here: ${result.reportUrl}`,
+            reportUrl: result.reportUrl,
+            summary: result.summary,
+            anomalies: result.anomalies.slice(0, 10),
+            requestId
+        });
+    }
+
+    if (intent.includes("rightsiz")) {
+        const result = await reportUtils.rightsizingReport({ parsedQuery, userCommand });
+        await recordCompletedReport({ requestId, userCommand, parsedQuery, reportUrl: result.reportUrl, summary: result.summary, email: userEmail, ownerEmail, totals: result.totals, deliveryTargets });
+
+        const savings = result.rightsizing?.totalMonthlySavings || 0;
+        return createApiResponse(200, {
+            message: result.cached
+                ? `Please view the rightsizing report here: ${result.reportUrl}`
+                : `Rightsizing Report generated successfully✅. Estimated savings: $${savings.toFixed(2)}/month. You can view the report here: ${result.reportUrl}`,
+            reportUrl: result.reportUrl,
+            summary: result.summary,
+            estimatedMonthlySavings: savings,
+            requestId
+        });
+    }
+
+    if (intent.includes("commitment")) {
+        const { start, end } = resolveDateRange(parsedQuery);
+        const result = await reportUtils.commitmentReport({ parsedQuery, userCommand, start, end });
+        await recordCompletedReport({ requestId, userCommand, parsedQuery, reportUrl: result.reportUrl, summary: result.summary, email: userEmail, ownerEmail, totals: result.totals, deliveryTargets });
+
+        return createApiResponse(200, {
+            message: result.cached
+                ? `Please view the commitment report here: ${result.reportUrl}`
+                : `Commitment Report generated successfully✅. You can view the report here: ${result.reportUrl}`,
+            reportUrl: result.reportUrl,
+            summary: result.summary,
+            requestId
+        });
+    }
+
+    if (intent.includes("incident")) {
+        const { start, end } = resolveDateRange(parsedQuery);
+        const result = await reportUtils.incidentReport({ parsedQuery, userCommand, start, end });
+        await recordCompletedReport({ requestId, userCommand, parsedQuery, reportUrl: result.reportUrl, summary: result.summary, email: userEmail, ownerEmail, totals: result.totals, deliveryTargets });
+
+        const correlated = result.incidents.filter(i => i.correlated).length;
+        return createApiResponse(200, {
+            message: result.cached
+                ? `Please view the incident report here: ${result.reportUrl}`
+                : `Incident Report generated successfully✅. Found ${result.incidents.length} incident(s) and OpsItem(s), ${correlated} coinciding with a cost change. You can view the report here: ${result.reportUrl}`,
+            reportUrl: result.reportUrl,
+            summary: result.summary,
+            incidents: result.incidents.slice(0, 10),
             requestId
         });
     }
@@ -254,31 +266,20 @@ async function costReportHandler(parsedQuery, userEmail = null, requestId = null
     // For resource-level breakdown, which can be long-running, we save state and return immediately.
     if (intent.includes("resource")) {
         // First check cache for existing resource-level report
-        const { start, end } = getDateRange(parsedQuery);
-        const granularity = "DAILY";
-        const groupBy = [{ Type: "DIMENSION", Key: "RESOURCE_ID" }];
-
-        const resourceCacheKeyParams = {
-            start: start.toISOString().split("T")[0],
-            end: end.toISOString().split("T")[0],
-            groupBy,
-            granularity
-        };
-        
-        // Add specialRequirements to cache key if present
-        if (parsedQuery.specialRequirements) {
-            resourceCacheKeyParams.specialRequirements = parsedQuery.specialRequirements;
-        }
-        
-        const resourceCacheKey = generateCacheKey(resourceCacheKeyParams);
+        const { start, end } = resolveDateRange(parsedQuery);
+        const resourceCacheKey = reportUtils.resourceCacheKey({ parsedQuery, start, end });
+        const metric = resolveCostMetric(parsedQuery.metric);
 
         // Check cache first for resource-level reports
         const resourceCacheResult = await ddbUtils.getCache({ cacheKey: resourceCacheKey });
         if (resourceCacheResult.hit && resourceCacheResult.reportUrl) {
+            await recordCompletedReport({ requestId, userCommand, parsedQuery, reportUrl: resourceCacheResult.reportUrl, summary: resourceCacheResult.summary, email: userEmail, ownerEmail,
+                totals: summarizeReportTotals("cost", resourceCacheResult.data, metric), deliveryTargets });
             return createApiResponse(200, {
                 message: `Please view the cached resource-level report here: ${resourceCacheResult.reportUrl}`,
                 reportUrl: resourceCacheResult.reportUrl,
                 summary: resourceCacheResult.summary || "",
+                factCheck: checkSummary(resourceCacheResult.summary || "", "cost", resourceCacheResult.data, metric),
                 requestId
             });
         }
@@ -288,14 +289,23 @@ async function costReportHandler(parsedQuery, userEmail = null, requestId = null
             requestId,
             userCommand,
             parsedJsonQuery: parsedQuery,
-            reportUrl: REPORT_STATUS_PENDING,
-            costSummaryText: REPORT_STATUS_PENDING,
-            email: userEmail
+            reportUrl: REPORT_STATUS.PENDING,
+            costSummaryText: REPORT_STATUS.PENDING,
+            email: userEmail,
+            ownerEmail,
+            status: REPORT_STATUS.PENDING,
+            deliveryTargets
         });
 
+        if (!userEmail && deliveryTargets.length > 0) {
+            return createApiResponse(202, {
+                message: `Your cost report with resource-level breakdown is being generated and will be sent to your delivery target(s) when ready. Your Request ID is ${requestId}.`,
+                requestId
+            });
+        }
         if (!userEmail) {
             return createApiResponse(202, {
-                message: `Your cost report with resource-level breakdown is being generated. Please provide your email address to receive the report when it's ready.`,
+                message: `Your cost report with resource-level breakdown is ready to be generated. Please provide your email address to receive the report when it's ready.`,
                 needEmail: true,
                 requestId
             });
@@ -307,101 +317,52 @@ async function costReportHandler(parsedQuery, userEmail = null, requestId = null
     }
 
     // --- For standard, non-resource-level reports ---
-    const { start, end } = getDateRange(parsedQuery);
+    const { start, end } = resolveDateRange(parsedQuery);
     const granularity = intent.includes("month") ? "MONTHLY" : "DAILY";
-    const groupBy = [{ Type: "DIMENSION", Key: "SERVICE" }];
 
-    const cacheKeyParams = {
-        start: start.toISOString().split("T")[0],
-        end: end.toISOString().split("T")[0],
-        groupBy,
-        granularity
-    };
-    
-    // Add specialRequirements to cache key if present
-    if (parsedQuery.specialRequirements) {
-        cacheKeyParams.specialRequirements = parsedQuery.specialRequirements;
-    }
-    
-    const cacheKey = generateCacheKey(cacheKeyParams);
+    const result = await reportUtils.costReport({ parsedQuery, userCommand, start, end, granularity });
+    await recordCompletedReport({ requestId, userCommand, parsedQuery, reportUrl: result.reportUrl, summary: result.summary, email: userEmail, ownerEmail, totals: result.totals, deliveryTargets });
 
-    // Check cache first
-    const cacheResult = await ddbUtils.getCache({ cacheKey });
-    if (cacheResult.hit && cacheResult.reportUrl) {
-        console.log("Using cached report URL:", cacheResult.reportUrl);
+    if (result.cached) {
         return createApiResponse(200, {
-            message: `Please view the report here: ${cacheResult.reportUrl}`,
-            reportUrl: cacheResult.reportUrl,
-            summary: cacheResult.summary || "",
+            message: `Please view the report here: ${result.reportUrl}`,
+            reportUrl: result.reportUrl,
+            summary: result.summary,
+            factCheck: result.factCheck,
             requestId
         });
     }
-
-    let data = cacheResult.data;
-    if (!cacheResult.hit) {
-        try {
-            data = await getCostAndUsage({
-                startDate: start.toISOString().split("T")[0],
-                endDate: end.toISOString().split("T")[0],
-                granularity,
-                groupBy
-            });
-            console.log(JSON.stringify({ level: 'info', msg: 'Fetched Cost Explorer result', cacheKey }));
-        } catch (err) {
-            console.error(JSON.stringify({ level: 'error', msg: 'Cost Explorer fetch failed', cacheKey, error: err.message }));
-            throw err;
-        }
-    }
-
-    // Generate summary and reports
-    const summaryPrompt = buildCostSummaryPrompt(data, userCommand, granularity);
-    const bedrockCostResponse = await askBedrock(summaryPrompt);
-    const costSummaryText = bedrockCostResponse.trim();
-    console.log("Bedrock cost summary response:", bedrockCostResponse);
-
-    const reportId = uuidv4();
-    const pdfKey = `cost-reports/${reportId}.pdf`;
-    const textKey = `cost-reports/${reportId}.txt`;
-
-    // Generate PDF and upload both reports to S3 in parallel
-    const pdfBuffer = await generateCostReportPDF(costSummaryText, data);
-    await Promise.all([
-        s3.send(new PutObjectCommand({ Bucket: S3_BUCKET, Key: pdfKey, Body: pdfBuffer, ContentType: "application/pdf" })),
-        s3.send(new PutObjectCommand({ Bucket: S3_BUCKET, Key: textKey, Body: costSummaryText, ContentType: "text/plain" }))
-    ]);
-
-    const reportUrl = `${CF_URL}/${pdfKey}`;
-    console.log("Cost report generated:", reportUrl);
-
-    // Update cache with new data and report URL
-    await ddbUtils.setCache({ cacheKey, data, reportUrl, costSummaryText });
-
     return createApiResponse(200, {
-        message: `Cost Report generated successfully✅. You can view the report here: ${reportUrl}`,
-        reportUrl,
-        summary: costSummaryText,
+        message: `Cost Report generated successfully✅. You can view the report here: ${result.reportUrl}`,
+        reportUrl: result.reportUrl,
+        summary: result.summary,
+        factCheck: result.factCheck,
         requestId
     });
 }
 
-/**
- * Validates an email address.
- * @param {string} email
- * @returns {boolean}
- */
-function validateEmail(email) {
-    return /^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(email);
-}
-
 /**
  * Intent handler mapping for Bedrock output.
  * @type {Object<string, function>}
  */
 const INTENT_HANDLERS = {
     scheduled: handleScheduledCostReport,
-    resource: (query, email, requestId, command) => costReportHandler(query, email, requestId, command),
-    monthly: (query, email, requestId, command) => costReportHandler(query, email, requestId, command),
-    daily: (query, email, requestId, command) => costReportHandler(query, email, requestId, command),
+    "list-schedules": handleListSchedules,
+    "pause-schedule": (query, email, requestId, command, owner) => handleScheduleChange("pause", query, email, owner),
+    "resume-schedule": (query, email, requestId, command, owner) => handleScheduleChange("resume", query, email, owner),
+    "update-schedule": (query, email, requestId, command, owner, targets) => handleScheduleChange("update", query, email, owner, targets),
+    "delete-schedule": (query, email, requestId, command, owner) => handleScheduleChange("delete", query, email, owner),
+    "create-budget": handleCreateBudget,
+    "list-budgets": handleListBudgets,
+    "delete-budget": handleDeleteBudget,
+    forecast: (query, email, requestId, command, owner, targets) => costReportHandler(query, email, requestId, command, owner, targets),
+    anomalies: (query, email, requestId, command, owner, targets) => costReportHandler(query, email, requestId, command, owner, targets),
+    commitments: (query, email, requestId, command, owner, targets) => costReportHandler(query, email, requestId, command, owner, targets),
+    rightsizing: (query, email, requestId, command, owner, targets) => costReportHandler(query, email, requestId, command, owner, targets),
+    incidents: (query, email, requestId, command, owner, targets) => costReportHandler(query, email, requestId, command, owner, targets),
+    resource: (query, email, requestId, command, owner, targets) => costReportHandler(query, email, requestId, command, owner, targets),
+    monthly: (query, email, requestId, command, owner, targets) => costReportHandler(query, email, requestId, command, owner, targets),
+    daily: (query, email, requestId, command, owner, targets) => costReportHandler(query, email, requestId, command, owner, targets),
 };
 
 /**
@@ -422,9 +383,35 @@ function identifyIntent(parsedQuery) {
     }
     
     // Fallback for more complex intents
+    if (intent.includes('schedule')) {
+        const action = ['list', 'pause', 'resume', 'update', 'delete'].find(a => intent.includes(a));
+        if (action) {
+            const type = action === 'list' ? 'list-schedules' : `${action}-schedule`;
+            return { type, handler: INTENT_HANDLERS[type], confidence: 'medium' };
+        }
+    }
+    if (intent.includes('budget')) {
+        const type = intent.includes('list') ? 'list-budgets' : (intent.includes('delete') ? 'delete-budget' : 'create-budget');
+        return { type, handler: INTENT_HANDLERS[type], confidence: 'medium' };
+    }
     if (intent.includes('schedule') || intent.includes('recurring')) {
         return { type: 'scheduled', handler: INTENT_HANDLERS.scheduled, confidence: 'medium' };
     }
+    if (intent.includes('rightsiz')) {
+        return { type: 'rightsizing', handler: INTENT_HANDLERS.rightsizing, confidence: 'medium' };
+    }
+    if (intent.includes('commitment')) {
+        return { type: 'commitments', handler: INTENT_HANDLERS.commitments, confidence: 'medium' };
+    }
+    if (intent.includes('incident')) {
+        return { type: 'incidents', handler: INTENT_HANDLERS.incidents, confidence: 'medium' };
+    }
+    if (intent.includes('anomal')) {
+        return { type: 'anomalies', handler: INTENT_HANDLERS.anomalies, confidence: 'medium' };
+    }
+    if (intent.includes('forecast')) {
+        return { type: 'forecast', handler: INTENT_HANDLERS.forecast, confidence: 'medium' };
+    }
     if (intent.includes('resource')) {
         return { type: 'resource', handler: INTENT_HANDLERS.resource, confidence: 'medium' };
     }
@@ -439,60 +426,376 @@ function identifyIntent(parsedQuery) {
     };
 }
 
+/**
+ * Formats a schedule as a single line for chat replies.
+ * @param {Object} schedule
+ * @returns {string}
+ */
+function describeSchedule(schedule) {
+    return `- ${schedule.name} [ID ${schedule.scheduleId}] ${schedule.cronExpression} (${schedule.state}) → ${schedule.recipients.join(", ")}`;
+}
+
+/**
+ * Trims a schedule down to the fields returned by the API.
+ * @param {Object} schedule
+ * @returns {Object}
+ */
+function toScheduleView(schedule) {
+    const { scheduleId, name, cronExpression, state, recipients, deliveryTargets, parsedQuery, createdAt, updatedAt, lastRun } = schedule;
+    return {
+        scheduleId, name, cronExpression, state, recipients, deliveryTargets: toDeliveryTargetViews(deliveryTargets),
+        parsedQuery, createdAt, updatedAt, lastRun: lastRun || null
+    };
+}
+
 /**
  * Handler for scheduled cost report creation.
  * @param {Object} parsedQuery
+ * @param {string|null} userEmail - User's email address.
+ * @param {string|null} requestId - Request ID for tracking.
+ * @param {string} userCommand - Original user command.
+ * @param {string|null} ownerEmail - Email of the authenticated caller.
+ * @param {Array<Object>} deliveryTargets - Slack, Teams or webhook targets for each run.
  * @returns {Promise<Object>} API response object.
  */
-async function handleScheduledCostReport(parsedQuery) {
+async function handleScheduledCostReport(parsedQuery, userEmail = null, requestId = null, userCommand = "", ownerEmail = null, deliveryTargets = []) {
     if (!parsedQuery.cronExpression) {
         throw new Error("Cron expression is required for scheduled reports");
     }
+    const owner = ownerEmail || userEmail;
+    if (!owner) {
+        return createApiResponse(400, { message: "❌ An email address is required to own a scheduled report." });
+    }
+    const invalidRecipients = (parsedQuery.recipients || []).filter(r => !validateEmail(r));
+    if (invalidRecipients.length > 0) {
+        return createApiResponse(400, { message: `❌ Invalid recipient email address(es): ${invalidRecipients.join(", ")}` });
+    }
 
-    const ruleName = await createRecurringCostReportRule({
-        query: parsedQuery,
+    const schedule = await scheduleUtils.create({
+        ownerEmail: owner,
+        name: parsedQuery.scheduleName,
+        userCommand,
+        parsedQuery,
         cronExpression: parsedQuery.cronExpression,
+        recipients: parsedQuery.recipients,
+        deliveryTargets
+    });
+
+    return createApiResponse(200, {
+        message: `✅ Scheduled cost report '${schedule.name}' created with ID ${schedule.scheduleId}. It will run according to the specified cron expression: ${schedule.cronExpression}.`,
+        schedule: toScheduleView(schedule)
     });
+}
 
+/**
+ * Handler for "list my schedules".
+ * @param {Object} parsedQuery
+ * @param {string|null} userEmail - User's email address.
+ * @param {string|null} requestId - Request ID for tracking.
+ * @param {string} userCommand - Original user command.
+ * @param {string|null} ownerEmail - Email of the authenticated caller.
+ * @returns {Promise<Object>} API response object.
+ */
+async function handleListSchedules(parsedQuery, userEmail = null, requestId = null, userCommand = "", ownerEmail = null) {
+    const owner = ownerEmail || userEmail;
+    if (!owner) {
+        return createApiResponse(400, { message: "❌ Sign in to see your scheduled reports." });
+    }
+    const schedules = await scheduleUtils.listForOwner(owner);
+    if (schedules.length === 0) {
+        return createApiResponse(200, { message: "You have no scheduled reports.", schedules: [] });
+    }
     return createApiResponse(200, {
-        message: `✅ Scheduled cost report successfully with rule '${ruleName}'. It will run according to the specified cron expression: ${parsedQuery.cronExpression}.`
+        message: `You have ${schedules.length} scheduled report(s):\n${schedules.map(describeSchedule).join("\n")}`,
+        schedules: schedules.map(toScheduleView)
     });
 }
 
 /**
- * Validates parsed query parameters for each intent type.
+ * Handler for pausing, resuming, editing and deleting a schedule from chat.
+ * The schedule is looked up from parsedQuery.scheduleRef (an ID or a description).
+ * @param {string} action - "pause", "resume", "update" or "delete".
  * @param {Object} parsedQuery
- * @param {string} intentType
+ * @param {string|null} userEmail - User's email address.
+ * @param {string|null} ownerEmail - Email of the authenticated caller.
+ * @param {Array<Object>} deliveryTargets - Replacement delivery targets for "update"; empty keeps the current ones.
+ * @returns {Promise<Object>} API response object.
  */
-function validateParsedQuery(parsedQuery, intentType) {
-    const validations = {
-        SCHEDULED_COST_REPORT: () => {
-            if (!parsedQuery.cronExpression) {
-                throw new Error("Cron expression is required for scheduled reports");
-            }
-        },
-        RESOURCE_BREAKDOWN: () => {
-            // Add specific validations for resource breakdown
-            if (parsedQuery.days && (parsedQuery.days < 1 || parsedQuery.days > 14)) {
-                throw new Error("Days must be between 1 and 14");
-            }
-        },
-        BILLING_REPORT: () => {
-            // Add specific validations for billing reports
-            if (parsedQuery.startDate && parsedQuery.endDate) {
-                const start = new Date(parsedQuery.startDate);
-                const end = new Date(parsedQuery.endDate);
-                if (start > end) {
-                    throw new Error("Start date cannot be after end date");
-                }
-            }
-        },
-    };
+async function handleScheduleChange(action, parsedQuery, userEmail = null, ownerEmail = null, deliveryTargets = []) {
+    const owner = ownerEmail || userEmail;
+    if (!owner) {
+        return createApiResponse(400, { message: "❌ Sign in to manage your scheduled reports." });
+    }
 
-    const validator = validations[intentType];
-    if (validator) {
-        validator();
+    const { schedule, candidates } = await scheduleUtils.findByReference(owner, parsedQuery.scheduleRef);
+    if (!schedule) {
+        if (candidates.length === 0) {
+            return createApiResponse(404, {
+                message: `❌ No scheduled report matches '${parsedQuery.scheduleRef || ""}'. Say "list my schedules" to see them.`
+            });
+        }
+        return createApiResponse(409, {
+            message: `Which scheduled report did you mean?\n${candidates.map(describeSchedule).join("\n")}`,
+            candidates: candidates.map(toScheduleView)
+        });
+    }
+
+    const requestedRecipients = [...(parsedQuery.recipients || []), ...(parsedQuery.addRecipients || [])];
+    const invalidRecipients = requestedRecipients.filter(r => !validateEmail(r));
+    if (invalidRecipients.length > 0) {
+        return createApiResponse(400, { message: `❌ Invalid recipient email address(es): ${invalidRecipients.join(", ")}` });
+    }
+
+    let updated = schedule;
+    if (action === "pause") {
+        updated = await scheduleUtils.pause(schedule);
+    } else if (action === "resume") {
+        updated = await scheduleUtils.resume(schedule);
+    } else if (action === "delete") {
+        await scheduleUtils.delete(schedule);
+        return createApiResponse(200, { message: `🗑️ Deleted scheduled report '${schedule.name}'.`, scheduleId: schedule.scheduleId });
+    } else {
+        let recipients = parsedQuery.recipients;
+        if (parsedQuery.addRecipients || parsedQuery.removeRecipients) {
+            const removed = new Set((parsedQuery.removeRecipients || []).map(r => r.toLowerCase()));
+            recipients = [...new Set([...(recipients || schedule.recipients), ...(parsedQuery.addRecipients || [])])]
+                .filter(r => !removed.has(r.toLowerCase()));
+        }
+        if (recipients && recipients.length === 0) {
+            return createApiResponse(400, { message: "❌ A scheduled report needs at least one recipient." });
+        }
+        updated = await scheduleUtils.update(schedule, {
+            name: parsedQuery.scheduleName,
+            cronExpression: parsedQuery.cronExpression,
+            recipients,
+            deliveryTargets: deliveryTargets.length ? deliveryTargets : undefined
+        });
     }
+
+    const verb = { pause: "Paused", resume: "Resumed", update: "Updated" }[action];
+    return createApiResponse(200, {
+        message: `✅ ${verb} scheduled report '${updated.name}'. ${updated.state === SCHEDULE_STATE.PAUSED ? "It will not run until resumed." : `It runs on ${updated.cronExpression}.`}`,
+        schedule: toScheduleView(updated)
+    });
+}
+
+/**
+ * Formats a budget as a single line for chat replies.
+ * @param {Object} budget
+ * @returns {string}
+ */
+function describeBudget(budget) {
+    const thresholds = budget.thresholds.map(t => `${t.percent}% ${t.type.toLowerCase()}`).join(", ");
+    const spend = budget.lastEvaluation?.actual !== undefined ? `, spent $${budget.lastEvaluation.actual.toFixed(2)} so far` : "";
+    return `- ${budget.name} [ID ${budget.budgetId}] $${budget.amount} ${budget.period.toLowerCase()}, alerts at ${thresholds}${spend} → ${budget.recipients.join(", ")}`;
+}
+
+/**
+ * Trims a budget down to the fields returned by the API.
+ * @param {Object} budget
+ * @returns {Object}
+ */
+function toBudgetView(budget) {
+    const { budgetId, name, amount, period, thresholds, filters, recipients, createdAt, updatedAt, lastEvaluation } = budget;
+    return { budgetId, name, amount, period, thresholds, filters, recipients, createdAt, updatedAt, lastEvaluation: lastEvaluation || null };
+}
+
+/**
+ * Handler for creating a budget from chat, e.g. "alert me if EC2 exceeds $2,000 this month".
+ * @param {Object} parsedQuery
+ * @param {string|null} userEmail - User's email address.
+ * @param {string|null} requestId - Request ID for tracking.
+ * @param {string} userCommand - Original user command.
+ * @param {string|null} ownerEmail - Email of the authenticated caller.
+ * @returns {Promise<Object>} API response object.
+ */
+async function handleCreateBudget(parsedQuery, userEmail = null, requestId = null, userCommand = "", ownerEmail = null) {
+    const owner = ownerEmail || userEmail;
+    if (!owner) {
+        return createApiResponse(400, { message: "❌ An email address is required to own a budget." });
+    }
+    const invalidRecipients = (parsedQuery.recipients || []).filter(r => !validateEmail(r));
+    if (invalidRecipients.length > 0) {
+        return createApiResponse(400, { message: `❌ Invalid recipient email address(es): ${invalidRecipients.join(", ")}` });
+    }
+
+    const budget = await budgetUtils.create({
+        ownerEmail: owner,
+        name: parsedQuery.budgetName,
+        userCommand,
+        amount: parsedQuery.budgetAmount,
+        period: parsedQuery.budgetPeriod,
+        thresholds: parsedQuery.thresholds,
+        filters: parsedQuery.filters,
+        recipients: parsedQuery.recipients
+    });
+
+    return createApiResponse(200, {
+        message: `✅ Budget '${budget.name}' created with ID ${budget.budgetId}. Spend is checked daily and alerts go to ${budget.recipients.join(", ")}.`,
+        budget: toBudgetView(budget)
+    });
+}
+
+/**
+ * Handler for "list my budgets".
+ * @param {Object} parsedQuery
+ * @param {string|null} userEmail - User's email address.
+ * @param {string|null} requestId - Request ID for tracking.
+ * @param {string} userCommand - Original user command.
+ * @param {string|null} ownerEmail - Email of the authenticated caller.
+ * @returns {Promise<Object>} API response object.
+ */
+async function handleListBudgets(parsedQuery, userEmail = null, requestId = null, userCommand = "", ownerEmail = null) {
+    const owner = ownerEmail || userEmail;
+    if (!owner) {
+        return createApiResponse(400, { message: "❌ Sign in to see your budgets." });
+    }
+    const budgets = await budgetUtils.listForOwner(owner);
+    if (budgets.length === 0) {
+        return createApiResponse(200, { message: "You have no budgets.", budgets: [] });
+    }
+    return createApiResponse(200, {
+        message: `You have ${budgets.length} budget(s):\n${budgets.map(describeBudget).join("\n")}`,
+        budgets: budgets.map(toBudgetView)
+    });
+}
+
+/**
+ * Handler for deleting a budget from chat. The budget is looked up from
+ * parsedQuery.budgetRef (an ID or words from its name).
+ * @param {Object} parsedQuery
+ * @param {string|null} userEmail - User's email address.
+ * @param {string|null} requestId - Request ID for tracking.
+ * @param {string} userCommand - Original user command.
+ * @param {string|null} ownerEmail - Email of the authenticated caller.
+ * @returns {Promise<Object>} API response object.
+ */
+async function handleDeleteBudget(parsedQuery, userEmail = null, requestId = null, userCommand = "", ownerEmail = null) {
+    const owner = ownerEmail || userEmail;
+    if (!owner) {
+        return createApiResponse(400, { message: "❌ Sign in to manage your budgets." });
+    }
+
+    const { budget, candidates } = await budgetUtils.findByReference(owner, parsedQuery.budgetRef);
+    if (!budget) {
+        if (candidates.length === 0) {
+            return createApiResponse(404, {
+                message: `❌ No budget matches '${parsedQuery.budgetRef || ""}'. Say "list my budgets" to see them.`
+            });
+        }
+        return createApiResponse(409, {
+            message: `Which budget did you mean?\n${candidates.map(describeBudget).join("\n")}`,
+            candidates: candidates.map(toBudgetView)
+        });
+    }
+
+    await budgetUtils.delete(budget);
+    return createApiResponse(200, { message: `🗑️ Deleted budget '${budget.name}'.`, budgetId: budget.budgetId });
+}
+
+/**
+ * Parses a Bedrock answer and validates the query against the schema.
+ * @param {string} bedrockResponse
+ * @returns {{parsedQuery: Object|null, errors: Array<{field: string, message: string}>}}
+ */
+function checkBedrockQuery(bedrockResponse) {
+    try {
+        const parsedQuery = parseBedrockResponse(bedrockResponse);
+        return { parsedQuery, errors: validateParsedQuery(parsedQuery) };
+    } catch (error) {
+        return { parsedQuery: null, errors: [{ field: "(response)", message: error.message }] };
+    }
+}
+
+/**
+ * Turns a user command into a query. Bedrock parses the command and its
+ * answer is validated against the query schema; an invalid answer gets one
+ * repair prompt listing the errors. When Bedrock fails (throttling, prose
+ * instead of JSON) or returns an intent no handler knows, the rule-based
+ * parser is used instead if it is confident.
+ * @param {string} userCommand
+ * @returns {Promise<{parsedQuery: Object, intentResult: Object, parser: string}|{clarification: Object}|{errors: Array<Object>}>}
+ *   A query and its intent, a clarification to send back when neither parser
+ *   is sure, or the field-level errors of a query that is still invalid after repair
+ */
+async function interpretCommand(userCommand) {
+    let checked = { parsedQuery: null, errors: [] };
+    try {
+        const bedrockUserCommandResponse = await askBedrock(buildUserRequestPrompt(userCommand), { task: LLM_TASKS.PARSE });
+        checked = checkBedrockQuery(bedrockUserCommandResponse);
+        if (checked.errors.length > 0) {
+            console.warn(JSON.stringify({ level: 'warn', msg: 'Parsed query failed validation, asking Bedrock to repair it', errors: checked.errors }));
+            checked = checkBedrockQuery(await askBedrock(buildQueryRepairPrompt(userCommand, bedrockUserCommandResponse, checked.errors), { task: LLM_TASKS.PARSE }));
+        }
+    } catch (error) {
+        console.warn(JSON.stringify({ level: 'warn', msg: 'Bedrock could not parse the command', error: error.message }));
+        checked = { parsedQuery: null, errors: [] };
+    }
+
+    const { parsedQuery, errors } = checked;
+    const intentResult = parsedQuery ? identifyIntent(parsedQuery) : null;
+    if (intentResult && intentResult.type !== 'UNKNOWN') {
+        return errors.length === 0 ? { parsedQuery, intentResult, parser: "model" } : { errors };
+    }
+    if (parsedQuery) {
+        console.warn(JSON.stringify({ level: 'warn', msg: 'Bedrock returned an unknown intent', intent: parsedQuery.intent || null }));
+    }
+
+    const ruleResult = parseCommandWithRules(userCommand);
+    if (ruleResult.confidence === PARSE_CONFIDENCE.HIGH) {
+        return { parsedQuery: ruleResult.query, intentResult: identifyIntent(ruleResult.query), parser: "rules" };
+    }
+    return { clarification: buildClarification(ruleResult) };
+}
+
+/**
+ * Answers the needEmail follow-up of a resource report: `{ requestId, email }`
+ * attaches the email to the pending request, and the stream record of that
+ * change starts generation in AsyncCostReportSender. Only the owner of the
+ * request may do this; a request saved without an owner becomes the caller's.
+ * Sending the same email again is harmless.
+ * @param {string} requestId - Request ID returned with needEmail.
+ * @param {string} email - Address to send the report to.
+ * @param {string|null} ownerEmail - Email claim of the caller.
+ * @returns {Promise<Object>} API Gateway response.
+ */
+async function attachEmailToReport(requestId, email, ownerEmail) {
+    if (!ownerEmail) {
+        return createApiResponse(401, { message: '❌ Unauthorized.', requestId });
+    }
+    if (!validateEmail(email)) {
+        return createApiResponse(400, { message: '❌ Invalid email address.', requestId });
+    }
+    const item = await ddbUtils.getReport(requestId);
+    if (!item) {
+        return createApiResponse(404, { message: `❌ No report found for request ${requestId}.`, requestId });
+    }
+    const isOwnedByOther = (report) => Boolean(report?.ownerEmail?.S) && report.ownerEmail.S !== ownerEmail;
+    if (isOwnedByOther(item)) {
+        return createApiResponse(403, { message: '❌ You do not have access to this report.', requestId });
+    }
+
+    const attached = await ddbUtils.updateEmail(requestId, email, ownerEmail);
+    if (!attached) {
+        // Lost a race or a repeated submission: re-read to tell them apart
+        const current = await ddbUtils.getReport(requestId);
+        if (isOwnedByOther(current)) {
+            return createApiResponse(403, { message: '❌ You do not have access to this report.', requestId });
+        }
+        if (current?.email?.S?.toLowerCase() !== email.toLowerCase()) {
+            return createApiResponse(409, {
+                message: current?.email?.S
+                    ? `❌ Request ${requestId} will already be sent to another address.`
+                    : `❌ Request ${requestId} is no longer waiting for an email address.`,
+                requestId
+            });
+        }
+    }
+    console.log(JSON.stringify({ level: 'info', msg: 'Email attached to pending report', requestId, repeated: !attached }));
+    return createApiResponse(200, {
+        message: `Thank you! The resource-level cost report will be sent to ${email} when ready. Your Request ID is ${requestId}.`,
+        requestId
+    });
 }
 
 /**
@@ -507,7 +810,15 @@ export const mainHandler = async (event) => {
         }
         const body = JSON.parse(event.body);
         const { message: userCommand, requestId, email } = body;
-        const userEmail = email || event.requestContext?.authorizer?.claims?.email;
+        const deliveryTargets = normalizeDeliveryTargets(body.deliveryTargets);
+        // Lower-cased once so owner writes, conditions and the owner index all see the same value
+        const ownerEmail = event.requestContext?.authorizer?.claims?.email?.toLowerCase() || null;
+        const userEmail = email || ownerEmail;
+
+        // needEmail follow-up: the client sends the email for an earlier request
+        if (!userCommand && requestId && email) {
+            return await attachEmailToReport(requestId, email, ownerEmail);
+        }
 
         // Input validation
         if (!userCommand) {
@@ -516,25 +827,35 @@ export const mainHandler = async (event) => {
         if (userEmail && !validateEmail(userEmail)) {
             return createApiResponse(400, { message: '❌ Invalid email address.' });
         }
+        // A requestId may only be reused to retry the same command; the finished
+        // report's history write would otherwise fail after the work is done
+        if (requestId) {
+            const existing = await ddbUtils.getReport(requestId);
+            if (existing && (existing.ownerEmail?.S !== ownerEmail || existing.userCommand?.S !== userCommand)) {
+                return createApiResponse(400, { message: `❌ Invalid requestId: ${requestId} is already used by another request.`, requestId });
+            }
+        }
 
-        // Build the user request prompt for Bedrock
-        const bedrockPrompt = buildUserRequestPrompt(userCommand);
-        const bedrockUserCommandResponse = await askBedrock(bedrockPrompt);
-        const parsedJsonQuery = parseBedrockResponse(bedrockUserCommandResponse);
-        
-        console.log("Parsed JSON query:", parsedJsonQuery);
-
-        // Identify intent and execute the appropriate handler
-        const intentResult = identifyIntent(parsedJsonQuery);
-        if (intentResult.type === 'UNKNOWN') {
+        // Parse the command and identify the intent
+        const interpretation = await interpretCommand(userCommand);
+        if (interpretation.clarification) {
+            return createApiResponse(200, {
+                message: formatClarification(interpretation.clarification),
+                needsClarification: true,
+                clarification: interpretation.clarification
+            });
+        }
+        if (interpretation.errors) {
             return createApiResponse(400, {
-                message: "Sorry, I couldn't understand your request. Please try a cost or incident query, or ask to schedule a cost report.",
+                message: `❌ Some details of your request are not valid:\n${formatQueryErrors(interpretation.errors)}`,
+                errors: interpretation.errors
             });
         }
+        const { parsedQuery: parsedJsonQuery, intentResult, parser } = interpretation;
 
-        validateParsedQuery(parsedJsonQuery, intentResult.type);
+        console.log("Parsed JSON query:", parser, parsedJsonQuery);
 
-        return await intentResult.handler(parsedJsonQuery, userEmail, requestId, userCommand);
+        return await intentResult.handler(parsedJsonQuery, userEmail, requestId, userCommand, ownerEmail, deliveryTargets);
 
     } catch (error) {
         console.error(JSON.stringify({ 
@@ -544,7 +865,7 @@ export const mainHandler = async (event) => {
             stack: error.stack
         }));
 
-        const isValidationError = error.message.includes('validation') || error instanceof SyntaxError || error.message.includes('Bedrock');
+        const isValidationError = error.message.includes('validation') || error.message.startsWith('Invalid ') || error instanceof SyntaxError || error.message.includes('Bedrock');
         const statusCode = isValidationError ? 400 : 500;
 
         return createApiResponse(statusCode, {
@@ -0,0 +1,217 @@
+// Reports API Lambda: read access to report requests stored in DynamoDB
+import { DDBUtils, REPORT_STATUS } from "../utils/dynamodb-utils.mjs";
+import { toDeliveryTargetViews } from "../utils/delivery-utils.mjs";
+import { createApiResponder } from "../utils/api-utils.mjs";
+
+const region = process.env.AWS_REGION || 'ap-south-1';
+const REPORTS_DDB_TABLE = process.env.REPORTS_DDB_TABLE;
+const COST_EXPLORER_CACHE_TABLE = process.env.COST_EXPLORER_CACHE_TABLE || 'CostExplorerCache';
+
+const requiredEnvVars = { REPORTS_DDB_TABLE };
+for (const [key, value] of Object.entries(requiredEnvVars)) {
+    if (!value) {
+        throw new Error(`Missing required environment variable: ${key}`);
+    }
+}
+
+const ddbUtils = new DDBUtils({
+    region,
+    reportsTable: REPORTS_DDB_TABLE,
+    cacheTable: COST_EXPLORER_CACHE_TABLE
+});
+
+const createApiResponse = createApiResponder(["GET"]);
+
+const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Works out the status of a report row. Rows written before the status
+ * attribute existed only carry the PENDING/ERROR markers in reportUrl.
+ * @param {Object} item - Raw DynamoDB item.
+ * @returns {string} One of REPORT_STATUS.
+ */
+function resolveReportStatus(item) {
+    if (item.status?.S) return item.status.S;
+    const reportUrl = item.reportUrl?.S;
+    if (reportUrl === REPORT_STATUS.PENDING) return REPORT_STATUS.PENDING;
+    if (reportUrl === REPORT_STATUS.ERROR) return REPORT_STATUS.ERROR;
+    return REPORT_STATUS.DONE;
+}
+
+/**
+ * Converts a raw report row into the shape returned by the API.
+ * @param {Object} item - Raw DynamoDB item.
+ * @returns {Object}
+ */
+export function toReportView(item) {
+    const status = resolveReportStatus(item);
+    const summary = item.summary?.S ?? item.costSummaryText?.S ?? null;
+
+    let parsedQuery = null;
+    if (item.parsedJsonQuery?.S) {
+        try {
+            parsedQuery = JSON.parse(item.parsedJsonQuery.S);
+        } catch {
+            parsedQuery = null;
+        }
+    }
+
+    let error = null;
+    if (status === REPORT_STATUS.ERROR) {
+        error = item.errorMessage?.S || summary;
+    }
+
+    return {
+        requestId: item.requestId?.S,
+        status,
+        userCommand: item.userCommand?.S || null,
+        intent: item.intent?.S || parsedQuery?.intent || null,
+        parsedQuery,
+        reportUrl: status === REPORT_STATUS.DONE ? item.reportUrl?.S || null : null,
+        summary: status === REPORT_STATUS.DONE ? summary : null,
+        error,
+        totals: status === REPORT_STATUS.DONE && item.totals?.S ? JSON.parse(item.totals.S) : null,
+        deliveryTargets: item.deliveryTargets?.S ? toDeliveryTargetViews(JSON.parse(item.deliveryTargets.S)) : [],
+        deliveryLog: (item.deliveryLog?.L || []).map(entry => JSON.parse(entry.S)),
+        createdAt: item.createdAt?.S || null,
+        updatedAt: item.updatedAt?.S || null
+    };
+}
+
+/**
+ * Checks whether the caller may read a report row. The Cognito user that
+ * made the request owns it; older rows fall back to the delivery email.
+ * @param {Object} item - Raw DynamoDB item.
+ * @param {string} callerEmail - Email claim of the authenticated caller.
+ * @returns {boolean}
+ */
+function isReportOwner(item, callerEmail) {
+    const owner = item.ownerEmail?.S || item.email?.S;
+    return Boolean(owner) && owner.toLowerCase() === callerEmail.toLowerCase();
+}
+
+/**
+ * GET /reports/{requestId}: returns the status and result of a report request.
+ * @param {Object} event - API Gateway event.
+ * @param {string} callerEmail - Email claim of the authenticated caller.
+ * @returns {Promise<Object>} API Gateway response.
+ */
+async function getReportHandler(event, callerEmail) {
+    const requestId = event.pathParameters?.requestId;
+    if (!requestId) {
+        return createApiResponse(400, { message: '❌ Missing requestId in path.' });
+    }
+
+    const item = await ddbUtils.getReport(requestId);
+    if (!item) {
+        return createApiResponse(404, { message: `❌ No report found for request ${requestId}.` });
+    }
+    if (!isReportOwner(item, callerEmail)) {
+        return createApiResponse(403, { message: '❌ You do not have access to this report.' });
+    }
+
+    return createApiResponse(200, toReportView(item));
+}
+
+/**
+ * Normalizes a from/to query parameter into an ISO timestamp comparable with createdAt.
+ * Date-only values cover the whole day.
+ * @param {string|undefined} value - Raw query string value.
+ * @param {boolean} endOfDay - Whether a date-only value should resolve to the end of the day.
+ * @returns {string|null} ISO timestamp, or null if the value is absent.
+ * @throws {Error} If the value is not a valid date.
+ */
+function normalizeDateParam(value, endOfDay) {
+    if (!value) return null;
+    const raw = DATE_ONLY_PATTERN.test(value)
+        ? `${value}T${endOfDay ? '23:59:59.999' : '00:00:00.000'}Z`
+        : value;
+    const date = new Date(raw);
+    if (isNaN(date.getTime())) {
+        throw new Error(`Invalid date: ${value}`);
+    }
+    return date.toISOString();
+}
+
+/**
+ * GET /reports: lists the caller's report history, newest first.
+ * Supports ?from=&to=&intent=&cursor=&limit= query parameters.
+ * @param {Object} event - API Gateway event.
+ * @param {string} callerEmail - Email claim of the authenticated caller.
+ * @returns {Promise<Object>} API Gateway response.
+ */
+async function listReportsHandler(event, callerEmail) {
+    const { from, to, intent, cursor, limit } = event.queryStringParameters || {};
+
+    let fromIso, toIso;
+    try {
+        fromIso = normalizeDateParam(from, false);
+        toIso = normalizeDateParam(to, true);
+    } catch (err) {
+        return createApiResponse(400, { message: `❌ ${err.message}` });
+    }
+    if (fromIso && toIso && fromIso > toIso) {
+        return createApiResponse(400, { message: '❌ "from" cannot be after "to".' });
+    }
+
+    const pageSize = limit ? Number(limit) : undefined;
+    if (pageSize !== undefined && (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE)) {
+        return createApiResponse(400, { message: `❌ "limit" must be an integer between 1 and ${MAX_PAGE_SIZE}.` });
+    }
+
+    let result;
+    try {
+        result = await ddbUtils.listReportsByOwner({
+            ownerEmail: callerEmail,
+            from: fromIso,
+            to: toIso,
+            intent,
+            cursor,
+            limit: pageSize
+        });
+    } catch (err) {
+        if (err.message === 'Invalid pagination cursor') {
+            return createApiResponse(400, { message: `❌ ${err.message}.` });
+        }
+        throw err;
+    }
+
+    return createApiResponse(200, {
+        reports: result.items.map(toReportView),
+        cursor: result.cursor
+    });
+}
+
+/**
+ * Lambda entry point for the /reports API Gateway routes.
+ * @param {Object} event - API Gateway event.
+ * @returns {Promise<Object>} API Gateway response.
+ */
+export const handler = async (event) => {
+    try {
+        const callerEmail = event.requestContext?.authorizer?.claims?.email?.toLowerCase();
+        if (!callerEmail) {
+            return createApiResponse(401, { message: '❌ Unauthorized.' });
+        }
+
+        if (event.httpMethod === 'GET' && event.resource === '/reports') {
+            return await listReportsHandler(event, callerEmail);
+        }
+        if (event.httpMethod === 'GET' && event.resource === '/reports/{requestId}') {
+            return await getReportHandler(event, callerEmail);
+        }
+
+        return createApiResponse(404, { message: `❌ Unsupported route: ${event.httpMethod} ${event.resource}` });
+    } catch (error) {
+        console.error(JSON.stringify({
+            level: 'error',
+            msg: 'reports-api handler error',
+            error: error.message,
+            stack: error.stack
+        }));
+        return createApiResponse(500, {
+            message: `❌ An error occurred: ${error.message}`,
+        });
+    }
+};
@@ -1,152 +1,174 @@
-// Lambda to generate scheduled cost/anomaly reports and save to S3
-import { S3Client, PutObjectCommand } from "@aws-sdk/client-s3";
-import { askBedrock, buildCostSummaryPrompt, buildUserRequestPrompt } from "../utils/bedrock-utils.mjs";
-import { getCostAndUsage, getResourceLevelCosts } from "../utils/cost-explorer-utils.mjs";
-import { generateCostReportPDF } from "../utils/pdf-utils.mjs";
-import { DDBUtils } from "../utils/dynamodb-utils.mjs";
-import { v4 as uuidv4 } from "uuid";
+// Lambda to generate scheduled cost/anomaly/incident reports and save to S3
+import { DDBUtils, SCHEDULE_STATE } from "../utils/dynamodb-utils.mjs";
+import { ReportUtils, resolveDateRange, resolveComparisonPeriods, resolveReportIntent } from "../utils/report-utils.mjs";
+import { sendReportEmails } from "../utils/ses-utils.mjs";
+import { deliverReport } from "../utils/delivery-utils.mjs";
 
 const region = process.env.AWS_REGION || 'ap-south-1';
 const S3_BUCKET = process.env.REPORTS_BUCKET;
 const CF_URL = process.env.CF_URL;
 const REPORTS_DDB_TABLE = process.env.REPORTS_DDB_TABLE;
 const COST_EXPLORER_CACHE_TABLE = process.env.COST_EXPLORER_CACHE_TABLE || 'CostExplorerCache';
+const SCHEDULES_DDB_TABLE = process.env.SCHEDULES_DDB_TABLE;
 
-const requiredEnvVars = { S3_BUCKET, CF_URL, REPORTS_DDB_TABLE };
+const requiredEnvVars = { S3_BUCKET, CF_URL, REPORTS_DDB_TABLE, SCHEDULES_DDB_TABLE };
 for (const [key, value] of Object.entries(requiredEnvVars)) {
     if (!value) {
         throw new Error(`Missing required environment variable: ${key}`);
     }
 }
 
-const s3 = new S3Client({ region });
 const ddbUtils = new DDBUtils({
     region,
     reportsTable: REPORTS_DDB_TABLE,
-    cacheTable: COST_EXPLORER_CACHE_TABLE
+    cacheTable: COST_EXPLORER_CACHE_TABLE,
+    schedulesTable: SCHEDULES_DDB_TABLE
 });
+const reportUtils = new ReportUtils({ region, bucket: S3_BUCKET, cfUrl: CF_URL, ddbUtils, keyPrefix: "scheduled-cost-reports" });
 
-const CORS_HEADERS = {
-    "Access-Control-Allow-Origin": "*",
-    "Access-Control-Allow-Methods": "OPTIONS,POST",
-    "Access-Control-Allow-Headers": "Content-Type,Authorization"
-};
+/**
+ * Builds the query to run from the event. Schedules send the full parsed
+ * query; direct invocations may still pass startDate/endDate/days/granularity.
+ * @param {Object} event - Lambda event object.
+ * @returns {Object} Parsed query.
+ */
+function getScheduledQuery(event) {
+    if (event.parsedQuery && typeof event.parsedQuery === 'object') {
+        return event.parsedQuery;
+    }
+    const { startDate, endDate, days, granularity } = event;
+    return { startDate, endDate, days, granularity };
+}
 
 /**
- * Helper to create a standard API response.
- * @param {number} statusCode
- * @param {object} body
- * @returns {object}
+ * Runs the report described by a parsed query, using the same intent logic
+ * as the chat path. Dates are resolved now, so relative windows such as
+ * "last-full-month" move with each run.
+ * @param {Object} parsedQuery - Parsed query stored with the schedule.
+ * @param {string} userCommand - Text that tells the summary what to focus on.
+ * @returns {Promise<{reportUrl: string, summary: string, cached: boolean}>}
  */
-const createApiResponse = (statusCode, body) => ({
-    statusCode,
-    headers: CORS_HEADERS,
-    body: JSON.stringify(body),
-});
+async function runScheduledReport(parsedQuery, userCommand) {
+    const reportIntent = resolveReportIntent(parsedQuery);
+    console.log(JSON.stringify({ level: 'info', msg: 'Running scheduled report', reportIntent, relativeWindow: parsedQuery.relativeWindow || null }));
+
+    if (reportIntent === "rightsizing") {
+        return reportUtils.rightsizingReport({ parsedQuery, userCommand });
+    }
+    if (reportIntent === "forecast") {
+        return reportUtils.forecastReport({ parsedQuery, userCommand });
+    }
+    if (reportIntent === "compare-months") {
+        const periods = resolveComparisonPeriods(parsedQuery);
+        if (!periods) {
+            throw new Error("Invalid comparison periods in scheduled query");
+        }
+        return reportUtils.comparisonReport({ parsedQuery, ...periods });
+    }
+
+    const { start, end } = resolveDateRange({ ...parsedQuery, intent: reportIntent });
+    if (reportIntent === "commitments") {
+        return reportUtils.commitmentReport({ parsedQuery, userCommand, start, end });
+    }
+    if (reportIntent === "incidents") {
+        return reportUtils.incidentReport({ parsedQuery, userCommand, start, end });
+    }
+    if (reportIntent === "anomalies") {
+        return reportUtils.anomalyReport({ parsedQuery, userCommand, start, end });
+    }
+    if (reportIntent === "resource") {
+        return reportUtils.resourceReport({ parsedQuery, userCommand, start, end });
+    }
+    const granularity = reportIntent === "monthly" ? "MONTHLY" : (parsedQuery.granularity || "DAILY");
+    return reportUtils.costReport({ parsedQuery, userCommand, start, end, granularity });
+}
 
 /**
  * Lambda handler for scheduled cost report generation.
+ * Generates the report, emails it to the schedule's recipients, sends it to
+ * the schedule's delivery targets and records the outcome of the run on the schedule.
  * @param {Object} event - Lambda event object.
- * @param {string} [event.startDate] - Optional ISO start date.
- * @param {string} [event.endDate] - Optional ISO end date.
- * @param {number} [event.days] - Optional number of days for the report window.
- * @returns {Promise<Object>} API Gateway response object.
+ * @param {boolean} [event.isScheduled] - Set by the EventBridge rule of a schedule.
+ * @param {string} [event.scheduleId] - ID of the schedule that fired.
+ * @param {Object} [event.parsedQuery] - Parsed query stored with the schedule.
+ * @param {Array<string>} [event.recipients] - Recipients for direct invocations without a schedule.
+ * @param {string} [event.startDate] - Optional ISO start date (direct invocation).
+ * @param {string} [event.endDate] - Optional ISO end date (direct invocation).
+ * @param {number} [event.days] - Optional number of days for the report window (direct invocation).
+ * @returns {Promise<Object>} Outcome of the run.
  */
 export const scheduledCostReportHandler = async (event) => {
-    try {
-        console.log("Received event:", JSON.stringify(event, null, 2));
-
-        // Prefer explicit startDate/endDate if provided, else fallback to days
-        let start, end;
-        if (event.startDate && event.endDate) {
-            start = new Date(event.startDate);
-            end = new Date(event.endDate);
-        } else {
-            const days = event.days || 7;
-            end = new Date();
-            start = new Date();
-            start.setDate(end.getDate() - days);
+    console.log("Received event:", JSON.stringify(event, null, 2));
+
+    let schedule = null;
+    if (event.scheduleId) {
+        schedule = await ddbUtils.getSchedule(event.scheduleId);
+        if (!schedule) {
+            console.warn(JSON.stringify({ level: 'warn', msg: 'Schedule no longer exists, skipping run', scheduleId: event.scheduleId }));
+            return { scheduleId: event.scheduleId, status: "SKIPPED" };
         }
+        if (schedule.state === SCHEDULE_STATE.PAUSED) {
+            console.log(JSON.stringify({ level: 'info', msg: 'Schedule is paused, skipping run', scheduleId: event.scheduleId }));
+            return { scheduleId: event.scheduleId, status: "SKIPPED" };
+        }
+    }
 
-        const granularity = event.granularity || "DAILY"; // Default to DAILY if not specified
+    // The stored schedule is the source of truth; the rule input may predate an edit
+    const parsedQuery = schedule?.parsedQuery || getScheduledQuery(event);
+    const userCommand = schedule?.userCommand || parsedQuery.specialRequirements || "Scheduled cost report";
+    const recipients = schedule?.recipients?.length ? schedule.recipients : (event.recipients || []);
+    const lastRun = { at: new Date().toISOString() };
 
-        const groupBy = [{ Type: "DIMENSION", Key: "SERVICE" }];
-        // --- DynamoDB-based caching for Cost Explorer API ---
-        const cacheKeyObj = {
-            start: start.toISOString().split("T")[0],
-            end: end.toISOString().split("T")[0],
-            groupBy,
-            granularity
-        };
-        const cacheKey = Buffer.from(JSON.stringify(cacheKeyObj)).toString('base64');
-        let data;
-        let cachedReportUrl = null;
-        // Use cache utility
-        const cacheResult = await ddbUtils.getCache({ cacheKey });
-        if (cacheResult.hit) {
-            data = cacheResult.data;
-            cachedReportUrl = cacheResult.reportUrl;
-            if (cachedReportUrl) {
-                console.log("Using cached report URL:", cachedReportUrl);
-                return createApiResponse(200, {
-                    message: `Please view the cost report here: ${cachedReportUrl}`,
-                });
-            }
-        } else {
-            data = await getCostAndUsage({
-                startDate: start.toISOString().split("T")[0],
-                endDate: end.toISOString().split("T")[0],
-                granularity,
-                groupBy
+    try {
+        const result = await runScheduledReport(parsedQuery, userCommand);
+        console.log("Cost report PDF stored at:", result.reportUrl);
+        lastRun.status = "DONE";
+        lastRun.reportUrl = result.reportUrl;
+
+        if (recipients.length > 0) {
+            lastRun.delivery = await sendReportEmails({
+                recipients,
+                subject: `Scheduled AWS Cost Report: ${schedule?.name || "Cost report"}`,
+                intro: `Your scheduled AWS cost report${schedule ? ` "${schedule.name}"` : ""} is ready.`,
+                reportUrl: result.reportUrl,
+                summary: result.summary
             });
-            console.log("Cost Explorer output:", JSON.stringify(data, null, 2));
+            console.log(JSON.stringify({ level: 'info', msg: 'Scheduled report delivery', scheduleId: event.scheduleId, delivery: lastRun.delivery }));
+        }
+        if (schedule?.deliveryTargets?.length) {
+            lastRun.targets = await deliverReport({
+                targets: schedule.deliveryTargets,
+                report: {
+                    scheduleId: schedule.scheduleId,
+                    title: `Scheduled AWS Cost Report: ${schedule.name}`,
+                    userCommand,
+                    reportUrl: result.reportUrl,
+                    summary: result.summary,
+                    totals: result.totals
+                }
+            });
+            console.log(JSON.stringify({ level: 'info', msg: 'Scheduled report sent to targets', scheduleId: event.scheduleId, targets: lastRun.targets.map(t => `${t.target}: ${t.status}`) }));
         }
-
-        // Prepare a summary prompt for Bedrock using utils
-        const summaryPrompt = buildCostSummaryPrompt(data, granularity, groupBy);
-        const responseText = await askBedrock(summaryPrompt);
-        console.log("Cost report summary:", responseText);
-
-        // Save the report to S3
-        const reportId = uuidv4();
-        const reportKey = `scheduled-cost-reports/${reportId}.txt`;
-        await s3.send(new PutObjectCommand({
-            Bucket: S3_BUCKET,
-            Key: reportKey,
-            Body: responseText,
-            ContentType: "text/plain",
-        }));
-
-        // Generate a PDF using pdf-utils
-        const pdfBuffer = await generateCostReportPDF(responseText, data);
-
-        // Save PDF to S3
-        const pdfKey = `scheduled-cost-reports/${reportId}.pdf`;
-        await s3.send(new PutObjectCommand({
-            Bucket: S3_BUCKET,
-            Key: pdfKey,
-            Body: pdfBuffer,
-            ContentType: "application/pdf",
-        }));
-
-        const reportUrl = `${CF_URL}/${pdfKey}`;
-        console.log("Cost report PDF stored at:", reportUrl);
-
-        // Use DDBUtils to set cache
-        await ddbUtils.setCache({ cacheKey, data, reportUrl });
-
-        return createApiResponse(200, {
-            message: `Cost Report generated successfully✅. You can view the report here: ${reportUrl}`,
-        });
     } catch (error) {
         console.error(JSON.stringify({
             level: 'error',
             msg: 'scheduledCostReportHandler error',
+            scheduleId: event.scheduleId,
             error: error.message,
             stack: error.stack
         }));
-        return createApiResponse(500, {
-            message: `❌ An error occurred: ${error.message}`,
-        });
+        lastRun.status = "ERROR";
+        lastRun.error = error.message;
     }
-};
\ No newline at end of file
+
+    if (schedule) {
+        try {
+            await ddbUtils.recordScheduleRun(schedule.scheduleId, lastRun);
+        } catch (err) {
+            // The schedule may have been deleted while the report was running
+            console.error(JSON.stringify({ level: 'error', msg: 'Failed to record scheduled run', scheduleId: schedule.scheduleId, error: err.message }));
+        }
+    }
+
+    return { scheduleId: event.scheduleId || null, ...lastRun };
+};
@@ -0,0 +1,126 @@
+// Schedules API Lambda: list, pause/resume, edit and delete scheduled cost reports
+import { DDBUtils, SCHEDULE_STATE } from "../utils/dynamodb-utils.mjs";
+import { ScheduleUtils } from "../utils/schedule-utils.mjs";
+import { toDeliveryTargetViews } from "../utils/delivery-utils.mjs";
+import { createApiResponder, validateEmail } from "../utils/api-utils.mjs";
+
+const region = process.env.AWS_REGION || 'ap-south-1';
+const SCHEDULES_DDB_TABLE = process.env.SCHEDULES_DDB_TABLE;
+const SCHEDULED_COST_REPORT_LAMBDA_ARN = process.env.SCHEDULED_COST_REPORT_LAMBDA_ARN;
+
+const requiredEnvVars = { SCHEDULES_DDB_TABLE, SCHEDULED_COST_REPORT_LAMBDA_ARN };
+for (const [key, value] of Object.entries(requiredEnvVars)) {
+    if (!value) {
+        throw new Error(`Missing required environment variable: ${key}`);
+    }
+}
+
+const ddbUtils = new DDBUtils({ region, schedulesTable: SCHEDULES_DDB_TABLE });
+const scheduleUtils = new ScheduleUtils({ ddbUtils, targetArn: SCHEDULED_COST_REPORT_LAMBDA_ARN });
+
+const createApiResponse = createApiResponder(["GET", "PATCH", "DELETE"]);
+
+/**
+ * Trims a schedule down to the fields returned by the API.
+ * @param {Object} schedule
+ * @returns {Object}
+ */
+function toScheduleView(schedule) {
+    const { scheduleId, name, cronExpression, state, recipients, deliveryTargets, parsedQuery, userCommand, createdAt, updatedAt, lastRun } = schedule;
+    return {
+        scheduleId, name, cronExpression, state, recipients, deliveryTargets: toDeliveryTargetViews(deliveryTargets),
+        parsedQuery, userCommand, createdAt, updatedAt, lastRun: lastRun || null
+    };
+}
+
+/**
+ * PATCH /schedules/{scheduleId}: edits name, cron, recipients, delivery targets and/or state.
+ * @param {Object} schedule - Current schedule, already checked for ownership.
+ * @param {Object} body - Parsed request body.
+ * @returns {Promise<Object>} API Gateway response.
+ */
+async function updateScheduleHandler(schedule, body) {
+    const { name, cronExpression, recipients, deliveryTargets, state } = body;
+
+    if (recipients !== undefined) {
+        if (!Array.isArray(recipients) || recipients.length === 0) {
+            return createApiResponse(400, { message: '❌ "recipients" must be a non-empty array of email addresses.' });
+        }
+        const invalid = recipients.filter(r => !validateEmail(r));
+        if (invalid.length > 0) {
+            return createApiResponse(400, { message: `❌ Invalid recipient email address(es): ${invalid.join(", ")}` });
+        }
+    }
+    if (state !== undefined && !Object.values(SCHEDULE_STATE).includes(state)) {
+        return createApiResponse(400, { message: `❌ "state" must be one of ${Object.values(SCHEDULE_STATE).join(", ")}.` });
+    }
+
+    let updated = schedule;
+    if (name !== undefined || cronExpression !== undefined || recipients !== undefined || deliveryTargets !== undefined) {
+        try {
+            updated = await scheduleUtils.update(updated, { name, cronExpression, recipients, deliveryTargets });
+        } catch (err) {
+            if (err.message.startsWith('Invalid ')) {
+                return createApiResponse(400, { message: `❌ ${err.message}` });
+            }
+            throw err;
+        }
+    }
+    if (state !== undefined && state !== updated.state) {
+        updated = await scheduleUtils.setState(updated, state);
+    }
+
+    return createApiResponse(200, { schedule: toScheduleView(updated) });
+}
+
+/**
+ * Lambda entry point for the /schedules API Gateway routes.
+ * @param {Object} event - API Gateway event.
+ * @returns {Promise<Object>} API Gateway response.
+ */
+export const handler = async (event) => {
+    try {
+        const callerEmail = event.requestContext?.authorizer?.claims?.email?.toLowerCase();
+        if (!callerEmail) {
+            return createApiResponse(401, { message: '❌ Unauthorized.' });
+        }
+
+        if (event.resource === '/schedules' && event.httpMethod === 'GET') {
+            const schedules = await scheduleUtils.listForOwner(callerEmail);
+            return createApiResponse(200, { schedules: schedules.map(toScheduleView) });
+        }
+
+        if (event.resource !== '/schedules/{scheduleId}') {
+            return createApiResponse(404, { message: `❌ Unsupported route: ${event.httpMethod} ${event.resource}` });
+        }
+
+        const scheduleId = event.pathParameters?.scheduleId;
+        const schedule = scheduleId ? await scheduleUtils.getForOwner(scheduleId, callerEmail) : null;
+        if (!schedule) {
+            return createApiResponse(404, { message: `❌ No scheduled report found with ID ${scheduleId}.` });
+        }
+
+        switch (event.httpMethod) {
+            case 'GET':
+                return createApiResponse(200, { schedule: toScheduleView(schedule) });
+            case 'PATCH':
+                return await updateScheduleHandler(schedule, event.body ? JSON.parse(event.body) : {});
+            case 'DELETE':
+                await scheduleUtils.delete(schedule);
+                return createApiResponse(200, { message: `Deleted scheduled report '${schedule.name}'.`, scheduleId });
+            default:
+                return createApiResponse(405, { message: `❌ Method ${event.httpMethod} not allowed.` });
+        }
+    } catch (error) {
+        console.error(JSON.stringify({
+            level: 'error',
+            msg: 'schedules-api handler error',
+            error: error.message,
+            stack: error.stack
+        }));
+        const statusCode = error instanceof SyntaxError ? 400 : 500;
+        return createApiResponse(statusCode, {
+            message: `❌ An error occurred: ${error.message}`,
+        });
+    }
+};
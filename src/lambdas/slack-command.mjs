@@ -0,0 +1,204 @@
+// Slack Lambda: /slack/command slash commands and Block Kit button clicks
+import { LambdaClient, InvokeCommand } from "@aws-sdk/client-lambda";
+import { mainHandler } from "./index.mjs";
+import { DDBUtils } from "../utils/dynamodb-utils.mjs";
+import { ScheduleUtils } from "../utils/schedule-utils.mjs";
+import { toScheduledQuery } from "../utils/report-utils.mjs";
+import { sendReportEmails, DELIVERY_STATUS } from "../utils/ses-utils.mjs";
+import {
+    SLACK_ACTIONS, verifySlackSignature, getHeader, buildSlackReportMessage, buildSlackText,
+    postToResponseUrl, lookupSlackUserEmail
+} from "../utils/slack-utils.mjs";
+
+const region = process.env.AWS_REGION || 'ap-south-1';
+const SLACK_SIGNING_SECRET = process.env.SLACK_SIGNING_SECRET;
+const REPORTS_DDB_TABLE = process.env.REPORTS_DDB_TABLE;
+const SCHEDULES_DDB_TABLE = process.env.SCHEDULES_DDB_TABLE;
+const SCHEDULED_COST_REPORT_LAMBDA_ARN = process.env.SCHEDULED_COST_REPORT_LAMBDA_ARN;
+const FUNCTION_NAME = process.env.AWS_LAMBDA_FUNCTION_NAME;
+
+const requiredEnvVars = { SLACK_SIGNING_SECRET, REPORTS_DDB_TABLE, SCHEDULES_DDB_TABLE, SCHEDULED_COST_REPORT_LAMBDA_ARN };
+for (const [key, value] of Object.entries(requiredEnvVars)) {
+    if (!value) {
+        throw new Error(`Missing required environment variable: ${key}`);
+    }
+}
+
+// "Schedule this weekly" runs every Monday at 08:00 UTC
+const WEEKLY_CRON = "cron(0 8 ? * MON *)";
+
+const lambda = new LambdaClient({ region });
+const ddbUtils = new DDBUtils({ region, reportsTable: REPORTS_DDB_TABLE, schedulesTable: SCHEDULES_DDB_TABLE });
+const scheduleUtils = new ScheduleUtils({ ddbUtils, targetArn: SCHEDULED_COST_REPORT_LAMBDA_ARN });
+
+/**
+ * Slack expects a reply within 3 seconds, so the work is handed to an
+ * asynchronous invocation of this function and the request is acknowledged.
+ * @param {Object} slackTask - { type: "command"|"action", userId, responseUrl, ... }
+ * @returns {Promise<void>}
+ */
+async function enqueueSlackTask(slackTask) {
+    await lambda.send(new InvokeCommand({
+        FunctionName: FUNCTION_NAME,
+        InvocationType: "Event",
+        Payload: JSON.stringify({ slackTask })
+    }));
+}
+
+/**
+ * Runs a slash command through the chat pipeline and posts the result.
+ * @param {Object} task
+ * @param {string} task.text - Command text
+ * @param {string|null} email - Email of the Slack user
+ * @returns {Promise<Object>} Slack message
+ */
+async function runCommand(task, email) {
+    const response = await mainHandler({
+        body: JSON.stringify({ message: task.text, ...(email ? { email } : {}) }),
+        ...(email ? { requestContext: { authorizer: { claims: { email } } } } : {})
+    });
+    const result = JSON.parse(response.body);
+    if (response.statusCode >= 400) {
+        return buildSlackText(result.message || "❌ Something went wrong.");
+    }
+    // The buttons act on the caller's reports, so they need to know who the caller is
+    return buildSlackReportMessage(result, { withActions: Boolean(email) });
+}
+
+/**
+ * Handles a report button click.
+ * @param {Object} task
+ * @param {string} task.actionId - One of SLACK_ACTIONS
+ * @param {string} task.value - Request ID of the report
+ * @param {string|null} email - Email of the Slack user
+ * @returns {Promise<Object|null>} Slack message, or null for clicks that need no reply
+ */
+async function runAction(task, email) {
+    if (!Object.values(SLACK_ACTIONS).includes(task.actionId)) {
+        return null;
+    }
+    if (!email) {
+        return buildSlackText("❌ Your Slack profile has no email address I can use.");
+    }
+
+    const item = await ddbUtils.getReport(task.value);
+    if (!item || item.ownerEmail?.S?.toLowerCase() !== email.toLowerCase()) {
+        return buildSlackText(`❌ No report found with ID ${task.value}.`);
+    }
+    const userCommand = item.userCommand?.S || "";
+
+    if (task.actionId === SLACK_ACTIONS.EMAIL_PDF) {
+        const delivery = await sendReportEmails({
+            recipients: [email],
+            subject: "AWS Cost Report",
+            intro: `Here is the AWS cost report you asked for in Slack: "${userCommand}".`,
+            reportUrl: item.reportUrl?.S,
+            summary: item.summary?.S || ""
+        });
+        return buildSlackText(delivery.status === DELIVERY_STATUS.SENT
+            ? `📧 Sent the report to ${email}.`
+            : `❌ Could not email the report to ${email}.`);
+    }
+
+    const parsedQuery = JSON.parse(item.parsedJsonQuery?.S || "{}");
+    const schedule = await scheduleUtils.create({
+        ownerEmail: email,
+        name: `Weekly: ${userCommand}`.slice(0, 100),
+        userCommand,
+        parsedQuery: toScheduledQuery(parsedQuery, WEEKLY_CRON),
+        cronExpression: WEEKLY_CRON,
+        recipients: [email]
+    });
+    return buildSlackText(`🗓️ Scheduled '${schedule.name}' every Monday at 08:00 UTC (ID ${schedule.scheduleId}). Say "list my schedules" to manage it.`);
+}
+
+/**
+ * Runs queued Slack work and posts the outcome to the response_url.
+ * @param {Object} task - Task from enqueueSlackTask
+ * @returns {Promise<void>}
+ */
+async function runSlackTask(task) {
+    let message;
+    try {
+        const email = await lookupSlackUserEmail(task.userId);
+        message = task.type === "action" ? await runAction(task, email) : await runCommand(task, email);
+    } catch (error) {
+        console.error(JSON.stringify({ level: 'error', msg: 'Slack task failed', type: task.type, error: error.message, stack: error.stack }));
+        message = buildSlackText(`❌ An error occurred: ${error.message}`);
+    }
+    if (message) {
+        await postToResponseUrl(task.responseUrl, message);
+    }
+}
+
+/**
+ * Wraps a Slack message as the immediate HTTP reply.
+ * @param {Object} message
+ * @returns {Object} API Gateway response
+ */
+function slackReply(message) {
+    return {
+        statusCode: 200,
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(message)
+    };
+}
+
+/**
+ * Lambda entry point. API Gateway requests are verified and acknowledged
+ * straight away; the asynchronous self-invocation carries `slackTask`.
+ * @param {Object} event - API Gateway event, or { slackTask } from enqueueSlackTask.
+ * @returns {Promise<Object|void>} API Gateway response.
+ */
+export const handler = async (event) => {
+    if (event.slackTask) {
+        return runSlackTask(event.slackTask);
+    }
+
+    const rawBody = event.isBase64Encoded ? Buffer.from(event.body || "", "base64").toString() : (event.body || "");
+    const verified = verifySlackSignature({
+        signingSecret: SLACK_SIGNING_SECRET,
+        timestamp: getHeader(event, "X-Slack-Request-Timestamp"),
+        signature: getHeader(event, "X-Slack-Signature"),
+        rawBody
+    });
+    if (!verified) {
+        return { statusCode: 401, body: "Invalid Slack signature" };
+    }
+
+    try {
+        const form = new URLSearchParams(rawBody);
+
+        // Button clicks arrive as a JSON "payload" field
+        if (form.has("payload")) {
+            const payload = JSON.parse(form.get("payload"));
+            const action = payload.actions?.[0];
+            // URL buttons such as "Open report" also send a click, which needs no work
+            if (payload.type === "block_actions" && Object.values(SLACK_ACTIONS).includes(action?.action_id) && payload.response_url) {
+                await enqueueSlackTask({
+                    type: "action",
+                    actionId: action.action_id,
+                    value: action.value,
+                    userId: payload.user?.id,
+                    responseUrl: payload.response_url
+                });
+            }
+            return { statusCode: 200, body: "" };
+        }
+
+        const text = (form.get("text") || "").trim();
+        if (!text) {
+            return slackReply(buildSlackText(`Ask me about your AWS costs, e.g. \`${form.get("command") || "/cost"} EC2 costs for last month by region\`.`));
+        }
+        await enqueueSlackTask({
+            type: "command",
+            text,
+            userId: form.get("user_id"),
+            responseUrl: form.get("response_url")
+        });
+        return slackReply(buildSlackText(`⏳ Working on "${text}"…`));
+    } catch (error) {
+        console.error(JSON.stringify({ level: 'error', msg: 'slack-command handler error', error: error.message, stack: error.stack }));
+        return slackReply(buildSlackText(`❌ An error occurred: ${error.message}`));
+    }
+};
@@ -0,0 +1,325 @@
+// Registry of the AWS accounts reports can cover, and how their costs are
+// read: member accounts through the role of their payer account, standalone
+// accounts through their own role. Results from several sources are merged
+// into one consolidated report.
+import { getParameterValue } from "./ssm-utils.mjs";
+
+const ACCOUNT_REGISTRY_PARAMETER = process.env.ACCOUNT_REGISTRY_PARAMETER || "/cost-reports/accounts";
+
+// The registry is read again after this long, so edits apply without a deploy
+const REGISTRY_TTL_MS = 5 * 60 * 1000;
+
+// Selection entry that covers every registered account
+export const ALL_ACCOUNTS = "all";
+
+const ACCOUNT_ID_PATTERN = /^\d{12}$/;
+const ROLE_ARN_PATTERN = /^arn:aws[\w-]*:iam::\d{12}:role\/[\w+=,.@/-]+$/;
+
+const LINKED_ACCOUNT_GROUP = { Type: "DIMENSION", Key: "LINKED_ACCOUNT" };
+
+let cachedRegistry = null;
+let cachedAt = 0;
+
+/**
+ * Validates the account registry stored in Parameter Store. Each entry is
+ * { accountId, alias, roleArn, externalId, payer, payerAccountId, groups }:
+ * - payer: true for a management (payer) account; selecting it covers every linked account
+ * - payerAccountId: the registered payer whose role reads this member account
+ * - roleArn: role to assume; without one the Lambda's own credentials are used
+ * - groups: names such as "prod" that select several accounts at once
+ * @param {Object|Array<Object>} raw - { accounts: [...] } or the array itself
+ * @returns {{accounts: Array<Object>}}
+ * @throws {Error} When an entry is malformed
+ */
+export function normalizeAccountRegistry(raw) {
+    const entries = Array.isArray(raw) ? raw : raw?.accounts;
+    if (!Array.isArray(entries)) {
+        throw new Error("Account registry must be an array or { accounts: [...] }");
+    }
+
+    const accounts = entries.map((entry, i) => {
+        const where = `Account registry entry ${i + 1}`;
+        const accountId = String(entry?.accountId ?? "").trim();
+        if (!ACCOUNT_ID_PATTERN.test(accountId)) {
+            throw new Error(`${where}: accountId must be a 12-digit account ID`);
+        }
+        if (entry.roleArn !== undefined && !ROLE_ARN_PATTERN.test(entry.roleArn)) {
+            throw new Error(`${where}: roleArn is not an IAM role ARN`);
+        }
+        if (entry.payerAccountId !== undefined && !ACCOUNT_ID_PATTERN.test(String(entry.payerAccountId))) {
+            throw new Error(`${where}: payerAccountId must be a 12-digit account ID`);
+        }
+        if (entry.payer && entry.payerAccountId !== undefined) {
+            throw new Error(`${where}: a payer account cannot have a payerAccountId`);
+        }
+        const groups = entry.groups ?? [];
+        if (!Array.isArray(groups) || groups.some(g => typeof g !== "string" || !g.trim())) {
+            throw new Error(`${where}: groups must be an array of names`);
+        }
+        return {
+            accountId,
+            alias: String(entry.alias || accountId).trim(),
+            roleArn: entry.roleArn || null,
+            externalId: entry.externalId || null,
+            payer: Boolean(entry.payer),
+            payerAccountId: entry.payerAccountId !== undefined ? String(entry.payerAccountId) : null,
+            groups: groups.map(g => g.trim().toLowerCase())
+        };
+    });
+
+    const seen = new Set();
+    accounts.forEach(account => {
+        for (const name of [account.accountId, account.alias.toLowerCase()]) {
+            if (seen.has(name)) {
+                throw new Error(`Account registry: "${name}" is used by more than one account`);
+            }
+            seen.add(name);
+        }
+    });
+    accounts.filter(a => a.payerAccountId).forEach(account => {
+        if (!accounts.some(a => a.payer && a.accountId === account.payerAccountId)) {
+            throw new Error(`Account registry: payer ${account.payerAccountId} of ${account.alias} is not a registered payer account`);
+        }
+    });
+    return { accounts };
+}
+
+/**
+ * Reads the account registry from Parameter Store, caching it for a few
+ * minutes. A missing parameter means no accounts are registered.
+ * @returns {Promise<{accounts: Array<Object>}>}
+ */
+export async function loadAccountRegistry() {
+    if (cachedRegistry && Date.now() - cachedAt < REGISTRY_TTL_MS) {
+        return cachedRegistry;
+    }
+    const value = await getParameterValue(ACCOUNT_REGISTRY_PARAMETER);
+    let raw = { accounts: [] };
+    if (value) {
+        try {
+            raw = JSON.parse(value);
+        } catch (err) {
+            throw new Error(`Account registry ${ACCOUNT_REGISTRY_PARAMETER} is not valid JSON: ${err.message}`);
+        }
+    }
+    cachedRegistry = normalizeAccountRegistry(raw);
+    cachedAt = Date.now();
+    return cachedRegistry;
+}
+
+/**
+ * Finds the registered accounts a request names. Entries may be account IDs,
+ * aliases, group names or "all".
+ * @param {{accounts: Array<Object>}} registry
+ * @param {Array<string>|string} selection - accounts from the parsed query
+ * @returns {Array<Object>} Registry entries, in registry order
+ * @throws {Error} When an entry matches nothing
+ */
+export function selectAccounts(registry, selection) {
+    const { accounts } = registry;
+    if (accounts.length === 0) {
+        throw new Error("Invalid accounts: no accounts are registered for cross-account reports");
+    }
+    const selected = new Set();
+    [].concat(selection).forEach(entry => {
+        const wanted = String(entry).trim().toLowerCase();
+        const matches = wanted === ALL_ACCOUNTS
+            ? accounts
+            : accounts.filter(a => a.accountId === wanted || a.alias.toLowerCase() === wanted || a.groups.includes(wanted));
+        if (matches.length === 0) {
+            const known = [...new Set([...accounts.map(a => a.alias), ...accounts.flatMap(a => a.groups)])];
+            throw new Error(`Invalid accounts: no registered account or group named "${entry}". Known: ${known.join(", ")}`);
+        }
+        matches.forEach(a => selected.add(a.accountId));
+    });
+    return accounts.filter(a => selected.has(a.accountId));
+}
+
+/**
+ * Works out which role reads which accounts. Member accounts are read through
+ * their payer with a LINKED_ACCOUNT filter; a selected payer is read whole;
+ * other accounts are read through their own role.
+ * @param {{accounts: Array<Object>}} registry
+ * @param {Array<Object>} accounts - Output of selectAccounts
+ * @returns {Array<{accountId: string, roleArn: string|null, externalId: string|null, filter: Object|null}>}
+ *   One source per role; filter limits the source to the selected accounts
+ */
+export function planAccountSources(registry, accounts) {
+    const sources = new Map();
+    accounts.forEach(account => {
+        const reader = account.payerAccountId
+            ? registry.accounts.find(a => a.accountId === account.payerAccountId)
+            : account;
+        const source = sources.get(reader.accountId) || { reader, accountIds: [], whole: false };
+        if (account.payer) {
+            source.whole = true;
+        } else {
+            source.accountIds.push(account.accountId);
+        }
+        sources.set(reader.accountId, source);
+    });
+    return [...sources.values()].map(({ reader, accountIds, whole }) => ({
+        accountId: reader.accountId,
+        roleArn: reader.roleArn,
+        externalId: reader.externalId,
+        filter: whole ? null : { Dimensions: { Key: "LINKED_ACCOUNT", Values: accountIds } }
+    }));
+}
+
+/**
+ * Puts LINKED_ACCOUNT first in a grouping so a consolidated report is broken
+ * down by account, keeping the first of the requested groupings.
+ * @param {Array<Object>} groupBy - Cost Explorer GroupBy array
+ * @returns {Array<Object>}
+ */
+export function withAccountBreakdown(groupBy) {
+    if (groupBy.some(g => g.Type === "DIMENSION" && g.Key === "LINKED_ACCOUNT")) {
+        return groupBy;
+    }
+    return [LINKED_ACCOUNT_GROUP, ...groupBy.slice(0, 1)];
+}
+
+/**
+ * Adds the metric amounts of b to a, for Metrics maps of one group or period.
+ * @param {Object} a
+ * @param {Object} b
+ * @returns {Object}
+ */
+function addMetrics(a = {}, b = {}) {
+    const result = { ...a };
+    Object.entries(b).forEach(([name, value]) => {
+        const amount = parseFloat(result[name]?.Amount || "0") + parseFloat(value?.Amount || "0");
+        result[name] = { Amount: String(amount), Unit: value?.Unit || result[name]?.Unit };
+    });
+    return result;
+}
+
+/**
+ * Merges GetCostAndUsage (or WithResources) results from several account
+ * sources into one. Periods are matched by start date and groups with the
+ * same keys are added up.
+ * @param {Array<Object>} results
+ * @returns {Object} Result with ResultsByTime and DimensionValueAttributes
+ */
+export function mergeCostResults(results) {
+    if (results.length === 1) {
+        return results[0];
+    }
+    const periods = new Map();
+    results.forEach(result => {
+        (result.ResultsByTime || []).forEach(period => {
+            const merged = periods.get(period.TimePeriod.Start) || { TimePeriod: period.TimePeriod, Total: {}, Groups: [], Estimated: false };
+            merged.Total = addMetrics(merged.Total, period.Total);
+            merged.Estimated = merged.Estimated || Boolean(period.Estimated);
+            (period.Groups || []).forEach(group => {
+                const existing = merged.Groups.find(g => g.Keys.join("\u0000") === group.Keys.join("\u0000"));
+                if (existing) {
+                    existing.Metrics = addMetrics(existing.Metrics, group.Metrics);
+                } else {
+                    merged.Groups.push({ Keys: [...group.Keys], Metrics: addMetrics({}, group.Metrics) });
+                }
+            });
+            periods.set(period.TimePeriod.Start, merged);
+        });
+    });
+    return {
+        GroupDefinitions: results[0].GroupDefinitions,
+        ResultsByTime: [...periods.values()].sort((a, b) => a.TimePeriod.Start.localeCompare(b.TimePeriod.Start)),
+        DimensionValueAttributes: results.flatMap(result => result.DimensionValueAttributes || [])
+    };
+}
+
+/**
+ * Merges GetCostAndUsageComparisons results from several account sources,
+ * adding up the totals of the compared metric.
+ * @param {Array<Object>} results
+ * @param {string} metric - Metric that was compared
+ * @returns {Object}
+ */
+export function mergeComparisonResults(results, metric) {
+    if (results.length === 1) {
+        return results[0];
+    }
+    const total = { BaselineTimePeriodAmount: 0, ComparisonTimePeriodAmount: 0, Difference: 0 };
+    let unit;
+    results.forEach(result => {
+        const part = result.TotalCostAndUsage?.[metric] || {};
+        Object.keys(total).forEach(key => { total[key] += parseFloat(part[key] || "0"); });
+        unit = unit || part.Unit;
+    });
+    return {
+        CostAndUsageComparisons: results.flatMap(result => result.CostAndUsageComparisons || []),
+        TotalCostAndUsage: {
+            [metric]: {
+                BaselineTimePeriodAmount: String(total.BaselineTimePeriodAmount),
+                ComparisonTimePeriodAmount: String(total.ComparisonTimePeriodAmount),
+                Difference: String(total.Difference),
+                Unit: unit
+            }
+        }
+    };
+}
+
+/**
+ * Display names of linked accounts, "alias (123456789012)". Registry aliases
+ * come first, then the account names Cost Explorer returns.
+ * @param {{accounts: Array<Object>}|null} registry
+ * @param {Array<Object>} [dimensionValueAttributes] - DimensionValueAttributes of a GetCostAndUsage result
+ * @returns {Map<string, string>} Account ID to label
+ */
+export function buildAccountLabels(registry, dimensionValueAttributes = []) {
+    const labels = new Map();
+    dimensionValueAttributes.forEach(attr => {
+        if (ACCOUNT_ID_PATTERN.test(attr.Value || "") && attr.Attributes?.description) {
+            labels.set(attr.Value, `${attr.Attributes.description} (${attr.Value})`);
+        }
+    });
+    (registry?.accounts || []).forEach(account => {
+        if (account.alias !== account.accountId) {
+            labels.set(account.accountId, `${account.alias} (${account.accountId})`);
+        }
+    });
+    return labels;
+}
+
+/**
+ * Replaces linked account IDs with their labels in cost results grouped by
+ * LINKED_ACCOUNT, or in comparison selectors, so summaries and PDFs show
+ * account aliases.
+ * @param {Object} data - Cost or comparison result
+ * @param {Array<Object>} groupBy - Grouping the data was fetched with
+ * @param {Map<string, string>} labels - Output of buildAccountLabels
+ * @returns {Object} Relabelled copy of data
+ */
+export function labelLinkedAccounts(data, groupBy, labels) {
+    const position = groupBy.findIndex(g => g.Type === "DIMENSION" && g.Key === "LINKED_ACCOUNT");
+    if (position === -1 || labels.size === 0) {
+        return data;
+    }
+    const label = (id) => labels.get(id) || id;
+    const relabelSelector = (selector) => {
+        if (!selector) return selector;
+        if (Array.isArray(selector.And)) return { ...selector, And: selector.And.map(relabelSelector) };
+        if (selector.Dimensions?.Key === "LINKED_ACCOUNT") {
+            return { ...selector, Dimensions: { ...selector.Dimensions, Values: (selector.Dimensions.Values || []).map(label) } };
+        }
+        return selector;
+    };
+
+    if (Array.isArray(data.CostAndUsageComparisons)) {
+        return {
+            ...data,
+            CostAndUsageComparisons: data.CostAndUsageComparisons.map(entry => ({ ...entry, CostAndUsageSelector: relabelSelector(entry.CostAndUsageSelector) }))
+        };
+    }
+    return {
+        ...data,
+        ResultsByTime: (data.ResultsByTime || []).map(period => (period.Groups ? {
+            ...period,
+            Groups: period.Groups.map(group => ({
+                ...group,
+                Keys: group.Keys.map((key, i) => (i === position ? label(key) : key))
+            }))
+        } : period))
+    };
+}
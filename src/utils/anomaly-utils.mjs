@@ -0,0 +1,97 @@
+// Deterministic cost anomaly detection over daily per-service cost series.
+// Pure functions only, so results can be checked without Cost Explorer or Bedrock.
+import { metricAmount, DEFAULT_COST_METRIC } from "./cost-explorer-utils.mjs";
+
+export const ANOMALY_DEFAULTS = {
+    baselineDays: 14,     // Days before each point used as its rolling baseline
+    minBaselineDays: 7,   // Points with less history than this are not scored
+    zThreshold: 3,        // Minimum z-score for a spike
+    minImpact: 1          // Minimum impact (amount above baseline mean, in the metric's unit)
+};
+
+// Floors the standard deviation so flat baselines do not produce infinite z-scores
+const MIN_STDDEV_RATIO = 0.1;
+const MIN_STDDEV = 0.01;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Turns Cost Explorer DAILY results grouped by SERVICE into one dense series per service.
+ * Days on which a service has no group are filled with 0.
+ * @param {Array<Object>} resultsByTime - ResultsByTime from GetCostAndUsage
+ * @param {string} [metric] - Key of COST_METRICS to read from each group
+ * @returns {{dates: Array<string>, series: Object<string, Array<number>>}}
+ */
+export function buildDailyServiceSeries(resultsByTime = [], metric = DEFAULT_COST_METRIC) {
+    const dates = resultsByTime.map(day => day.TimePeriod.Start);
+    const series = {};
+    resultsByTime.forEach((day, i) => {
+        (day.Groups || []).forEach(group => {
+            const service = group.Keys[0];
+            if (!series[service]) {
+                series[service] = new Array(dates.length).fill(0);
+            }
+            series[service][i] += metricAmount(group.Metrics, metric);
+        });
+    });
+    return { dates, series };
+}
+
+/**
+ * Mean and population standard deviation of a list of numbers.
+ * @param {Array<number>} values
+ * @returns {{mean: number, stdDev: number}}
+ */
+function meanAndStdDev(values) {
+    const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+    const variance = values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / values.length;
+    return { mean, stdDev: Math.sqrt(variance) };
+}
+
+/**
+ * Flags days on which a service cost spiked above its rolling baseline.
+ * Each day is compared with the `baselineDays` days before it; a day is an anomaly
+ * when its z-score reaches `zThreshold` and it costs at least `minImpact` more than
+ * the baseline mean. Results are ranked by impact, largest first.
+ * @param {Array<Object>} resultsByTime - DAILY ResultsByTime grouped by SERVICE, oldest first
+ * @param {Object} options
+ * @param {string} [options.metric] - Key of COST_METRICS the results were fetched with
+ * @param {string} [options.from] - Only report anomalies on or after this date (YYYY-MM-DD); earlier days only feed baselines
+ * @param {number} [options.baselineDays]
+ * @param {number} [options.minBaselineDays]
+ * @param {number} [options.zThreshold]
+ * @param {number} [options.minImpact]
+ * @returns {Array<{service: string, date: string, cost: number, baselineMean: number, baselineStdDev: number, zScore: number, impact: number}>}
+ */
+export function detectCostAnomalies(resultsByTime, options = {}) {
+    const { metric, from, baselineDays, minBaselineDays, zThreshold, minImpact } = { ...ANOMALY_DEFAULTS, ...options };
+    const { dates, series } = buildDailyServiceSeries(resultsByTime, metric);
+    const anomalies = [];
+
+    Object.entries(series).forEach(([service, costs]) => {
+        costs.forEach((cost, i) => {
+            if (from && dates[i] < from) return;
+            const baseline = costs.slice(Math.max(0, i - baselineDays), i);
+            if (baseline.length < minBaselineDays) return;
+
+            const { mean, stdDev } = meanAndStdDev(baseline);
+            const impact = cost - mean;
+            const zScore = impact / Math.max(stdDev, mean * MIN_STDDEV_RATIO, MIN_STDDEV);
+            if (zScore >= zThreshold && impact >= minImpact) {
+                anomalies.push({
+                    service,
+                    date: dates[i],
+                    cost: round(cost),
+                    baselineMean: round(mean),
+                    baselineStdDev: round(stdDev),
+                    zScore: round(zScore),
+                    impact: round(impact)
+                });
+            }
+        });
+    });
+
+    // Ties broken by date then service so the order never depends on input ordering
+    return anomalies.sort((a, b) =>
+        b.impact - a.impact || a.date.localeCompare(b.date) || a.service.localeCompare(b.service));
+}
@@ -0,0 +1,40 @@
+// Response and input helpers shared by the Lambdas behind API Gateway
+
+const EMAIL_PATTERN = /^[^@\s]+@[^@\s]+\.[^@\s]+$/;
+
+/**
+ * CORS headers for a Lambda serving the given methods.
+ * @param {Array<string>} methods - HTTP methods of the Lambda's routes; OPTIONS is always allowed
+ * @returns {Object}
+ */
+export function corsHeaders(methods) {
+    return {
+        "Access-Control-Allow-Origin": "*", // Consider restricting this in production
+        "Access-Control-Allow-Methods": ["OPTIONS", ...methods].join(","),
+        "Access-Control-Allow-Headers": "Content-Type,Authorization"
+    };
+}
+
+/**
+ * Builds the createApiResponse(statusCode, body) helper of a Lambda, which
+ * returns a standard API Gateway response with the Lambda's CORS headers.
+ * @param {Array<string>} methods - HTTP methods of the Lambda's routes
+ * @returns {(statusCode: number, body: Object) => Object}
+ */
+export function createApiResponder(methods) {
+    const headers = corsHeaders(methods);
+    return (statusCode, body) => ({
+        statusCode,
+        headers,
+        body: JSON.stringify(body),
+    });
+}
+
+/**
+ * Validates an email address.
+ * @param {string} email
+ * @returns {boolean}
+ */
+export function validateEmail(email) {
+    return EMAIL_PATTERN.test(email);
+}
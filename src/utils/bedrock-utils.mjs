@@ -1,62 +1,60 @@
-import { BedrockRuntimeClient, InvokeModelCommand } from "@aws-sdk/client-bedrock-runtime";
-
-const bedrock = new BedrockRuntimeClient({ region: "us-east-1" });
-
-export async function askBedrock(prompt) {
-    const payload = {
-        messages: [
-            {
-                content: [{ text: prompt }],
-                role: "user",
-            }
-        ],
-    };
-
-    const response = await bedrock.send(
-        new InvokeModelCommand({
-            contentType: "application/json",
-            body: JSON.stringify(payload),
-            modelId: "us.amazon.nova-premier-v1:0",
-        })
-    );
-
-    const result = JSON.parse(Buffer.from(response.body).toString());
-    let parsed;
-    try {
-        const contentArr = result.output?.message?.content;
-        if (Array.isArray(contentArr) && contentArr.length > 0 && contentArr[0].text) {
-            parsed = contentArr[0].text;
-        } else {
-            throw new Error("Unexpected Bedrock summary output format");
-        }
-    } catch (e) {
-        console.error("Failed to parse Bedrock summary output:", e);
-        parsed = "Could not generate summary report.";
+import { formatCostSelector, metricAmount, formatMetricAmount, sharedMetricUnit, collapseSmallGroups, describeDataSegments, TOP_GROUPS_LIMIT, COST_METRICS, DEFAULT_COST_METRIC } from "./cost-explorer-utils.mjs";
+import { describeComparisonNormalization } from "./comparison-utils.mjs";
+import { completePrompt, LLM_TASKS } from "./llm-utils.mjs";
+
+/**
+ * Sends a prompt to the model configured for the task (see llm-utils).
+ * @param {string} prompt
+ * @param {Object} [options]
+ * @param {string} [options.task] - One of LLM_TASKS; defaults to SUMMARY
+ * @returns {Promise<string>} The model's answer
+ */
+export async function askBedrock(prompt, { task = LLM_TASKS.SUMMARY } = {}) {
+    const { text, modelId } = await completePrompt(prompt, { task });
+    if (text === null) {
+        console.error(JSON.stringify({ level: 'error', msg: 'Unexpected model output format', modelId, task }));
+        return "Could not generate summary report.";
     }
-    return parsed;
+    return text;
 }
 
-export function buildCostSummaryPrompt(data, userCommand, granularity) {
+export function buildCostSummaryPrompt(data, userCommand, granularity, groupLabels = ["Service"], metric = DEFAULT_COST_METRIC) {
+    let unit;
     const totalCost = data.ResultsByTime.reduce((sum, entry) => {
         if (Array.isArray(entry.Groups)) {
             return sum + entry.Groups.reduce((gSum, group) => {
-                const amount = group.Metrics?.UnblendedCost?.Amount;
-                return gSum + (amount ? parseFloat(amount) : 0);
+                unit = group.Metrics?.[metric]?.Unit || unit;
+                return gSum + metricAmount(group.Metrics, metric);
             }, 0);
         }
         return sum;
     }, 0);
+    const metricLabel = COST_METRICS[metric].label;
 
     console.log("Total cost calculated:", totalCost);
 
+    // The total above covers every group; large results only show the top groups to the model
+    const promptData = collapseSmallGroups(data, { metric });
+    const collapsedNote = promptData !== data
+        ? `\n        - Only the top ${TOP_GROUPS_LIMIT} groups by spend are listed by name; the rest are added up in each period's "Other" group. The total above covers all groups.`
+        : '';
+
+    // Resource reports reaching past the resource-level data mix two groupings
+    const segmentsNote = describeDataSegments(data);
+    const groupingNote = segmentsNote
+        ? `The dates have different groupings: ${segmentsNote} The Keys of each group follow its date's grouping. State clearly in the report which dates are shown by resource and which only by service and usage type, and do not compare resources with services.`
+        : `Costs are grouped by ${groupLabels.join(" and then by ")}; the Keys of each group follow that order.`;
+
     const reportInstructions = `
         As a cloud cost analyst, review the AWS Cost Explorer data and generate a summary:
         - If the user is requesting something specific in the ${userCommand}, focus on that.
-        - Use clear section headings (e.g., "AWS Resource Cost Report", "Top Resources by Spend", "Trends and Anomalies" and "Summary").
+        - Use clear section headings (e.g., "AWS Resource Cost Report", "${groupLabels[0]} Breakdown", "Top Resources by Spend", "Trends and Anomalies" and "Summary").
+        - The figures are ${metricLabel.toLowerCase()} (the ${metric} metric); call them that in the report.
+        - ${groupingNote} Tag and cost category keys look like "key$value", where an empty value means untagged.
         - Use bullet points for notable trends or anomalies.
         - Do NOT use markdown, emojis, or any special formatting.
         - Keep the report clear and professional, using ONLY plain text.
-        - Include calculated total cost: \$\ ${totalCost.toFixed(2)}.
+        - Include calculated total ${metricLabel.toLowerCase()}: ${formatMetricAmount(totalCost, metric, unit)}.${collapsedNote}
     `;
 
     if (granularity === "DAILY") {
@@ -64,7 +62,7 @@ export function buildCostSummaryPrompt(data, userCommand, granularity) {
         Analyze AWS costs by Top Resources.
         ${reportInstructions}
         Data:
-        \ ${JSON.stringify(data.ResultsByTime, null, 2)}
+        \ ${JSON.stringify(promptData.ResultsByTime, null, 2)}
         `;
     } 
     else if (granularity === "MONTHLY") {
@@ -72,7 +70,7 @@ export function buildCostSummaryPrompt(data, userCommand, granularity) {
         Analyze the monthly AWS costs.
         - ${reportInstructions}
         Data:
-        \ ${JSON.stringify(data.ResultsByTime, null, 2)}
+        \ ${JSON.stringify(promptData.ResultsByTime, null, 2)}
         `;
     } 
     else {
@@ -80,86 +78,391 @@ export function buildCostSummaryPrompt(data, userCommand, granularity) {
         Summarize AWS costs as per user request.
         - ${reportInstructions}
         Data:
-        \ ${JSON.stringify(data.ResultsByTime, null, 2)}
+        \ ${JSON.stringify(promptData.ResultsByTime, null, 2)}
         `;
     }
 }
 
 /**
- * Builds a summary prompt for Bedrock for month-to-month cost comparison.
- * @param {object} period1 - { start: string, end: string }
- * @param {object} period2 - { start: string, end: string }
- * @param {object} comparisonData - The AWS Cost Explorer comparison data.
+ * Builds a summary prompt for Bedrock for a period-over-period cost comparison.
+ * @param {object} baseline - { start: string, end: string } earlier period
+ * @param {object} comparison - { start: string, end: string } later period
+ * @param {object} comparisonData - Comparison data, from GetCostAndUsageComparisons or buildPeriodComparison.
+ * @param {Array<string>} groupLabels - Labels of the grouping used, e.g. ["Service"].
+ * @param {string} metric - Key of COST_METRICS that was compared.
  * @returns {string} The prompt string for Bedrock.
  */
-export function buildMonthComparisonSummaryPrompt(period1, period2, comparisonData) {
+export function buildComparisonSummaryPrompt(baseline, comparison, comparisonData, groupLabels = ["Service"], metric = DEFAULT_COST_METRIC) {
     // Extract total costs
-    const totalCosts = comparisonData.TotalCostAndUsage?.UnblendedCost || {};
+    const totalCosts = comparisonData.TotalCostAndUsage?.[metric] || {};
+    const format = (value) => formatMetricAmount(value, metric, totalCosts.Unit);
+    const signed = (value) => `${value >= 0 ? '+' : '-'}${format(Math.abs(value))}`;
     const baselineTotal = parseFloat(totalCosts.BaselineTimePeriodAmount || '0');
     const comparisonTotal = parseFloat(totalCosts.ComparisonTimePeriodAmount || '0');
     const totalDifference = parseFloat(totalCosts.Difference || '0');
+
+    // Unequal periods are compared per day; say so and give the raw totals too
+    const normalizationNote = describeComparisonNormalization(comparisonData);
+    const periodTotals = comparisonData.PeriodTotals?.[metric] || {};
+    const amountLabel = normalizationNote ? 'Average per Day' : 'Total';
+    const normalizationSection = normalizationNote ? `
+        NORMALIZATION:
+        - ${normalizationNote}
+        - Baseline Period Total (not normalized): ${format(parseFloat(periodTotals.BaselineTimePeriodAmount || '0'))}
+        - Comparison Period Total (not normalized): ${format(parseFloat(periodTotals.ComparisonTimePeriodAmount || '0'))}
+        - State this normalization clearly near the start of the report and label per-day figures as such
+` : '';
     
     // Extract service-level data
     const serviceComparisons = comparisonData.CostAndUsageComparisons || [];
     const significantChanges = serviceComparisons
         .filter(service => {
-            const diff = parseFloat(service.Metrics?.UnblendedCost?.Difference || '0');
+            const diff = parseFloat(service.Metrics?.[metric]?.Difference || '0');
             return Math.abs(diff) > 0.01; // Only show changes > $0.01
         })
         .sort((a, b) => {
-            const diffA = Math.abs(parseFloat(a.Metrics?.UnblendedCost?.Difference || '0'));
-            const diffB = Math.abs(parseFloat(b.Metrics?.UnblendedCost?.Difference || '0'));
+            const diffA = Math.abs(parseFloat(a.Metrics?.[metric]?.Difference || '0'));
+            const diffB = Math.abs(parseFloat(b.Metrics?.[metric]?.Difference || '0'));
             return diffB - diffA; // Sort by largest absolute difference first
         });
 
     let serviceBreakdown = '';
     significantChanges.slice(0, 10).forEach(service => {
-        const serviceName = service.CostAndUsageSelector?.Dimensions?.Values?.[0] || 'Unknown Service';
-        const baseline = parseFloat(service.Metrics?.UnblendedCost?.BaselineTimePeriodAmount || '0');
-        const comparison = parseFloat(service.Metrics?.UnblendedCost?.ComparisonTimePeriodAmount || '0');
-        const difference = parseFloat(service.Metrics?.UnblendedCost?.Difference || '0');
-        const percentChange = baseline > 0 ? ((difference / baseline) * 100).toFixed(1) : 'N/A';
+        const serviceName = formatCostSelector(service.CostAndUsageSelector);
+        const baselineAmount = parseFloat(service.Metrics?.[metric]?.BaselineTimePeriodAmount || '0');
+        const comparisonAmount = parseFloat(service.Metrics?.[metric]?.ComparisonTimePeriodAmount || '0');
+        const difference = parseFloat(service.Metrics?.[metric]?.Difference || '0');
+        const percentChange = baselineAmount > 0 ? ((difference / baselineAmount) * 100).toFixed(1) : 'N/A';
         
-        serviceBreakdown += `- ${serviceName}: Baseline $${baseline.toFixed(2)}, Comparison $${comparison.toFixed(2)}, Difference ${difference >= 0 ? '+' : ''}$${difference.toFixed(2)} (${percentChange}% change)\n`;
+        serviceBreakdown += `- ${serviceName}: Baseline ${format(baselineAmount)}, Comparison ${format(comparisonAmount)}, Difference ${signed(difference)} (${percentChange}% change)\n`;
     });
 
     return `As a cloud cost analyst, compare AWS costs between these two periods:
-        Baseline Period: ${period2.start} to ${period2.end}
-        Comparison Period: ${period1.start} to ${period1.end}
-
-        TOTAL COST SUMMARY:
-        - Baseline Period Total: $${baselineTotal.toFixed(2)}
-        - Comparison Period Total: $${comparisonTotal.toFixed(2)}
-        - Total Difference: ${totalDifference >= 0 ? '+' : ''}$${totalDifference.toFixed(2)}
+        Baseline Period: ${baseline.start} to ${baseline.end} (end exclusive)
+        Comparison Period: ${comparison.start} to ${comparison.end} (end exclusive)
+${normalizationSection}
+        ${COST_METRICS[metric].label.toUpperCase()} SUMMARY (${amountLabel.toUpperCase()}):
+        - Baseline Period ${amountLabel}: ${format(baselineTotal)}
+        - Comparison Period ${amountLabel}: ${format(comparisonTotal)}
+        - Difference: ${signed(totalDifference)}
         - Overall Change: ${baselineTotal > 0 ? ((totalDifference / baselineTotal) * 100).toFixed(1) : 'N/A'}%
 
-        TOP SERVICE CHANGES:
+        TOP ${groupLabels.join(" / ").toUpperCase()} CHANGES${normalizationNote ? ' (AVERAGE PER DAY)' : ''}:
         ${serviceBreakdown}
 
         Generate a professional analysis with these sections:
-        - Use clear section headings (e.g., "Month-to-Month Cost Comparison", "Key Service Changes", "Cost Trends Analysis", "Summary and Recommendations")
+        - Use clear section headings (e.g., "Period-over-Period Cost Comparison", "Key Service Changes", "Cost Trends Analysis", "Summary and Recommendations")
         - Focus on the most significant cost changes and their business impact
-        - Identify services with largest increases/decreases
+        - Identify the ${groupLabels.join(" / ").toLowerCase()} entries with largest increases/decreases
         - Use bullet points for key findings
         - Do NOT use markdown, emojis, or any special formatting
         - Keep the report clear and professional, using ONLY plain text
         - Provide actionable insights based on the cost trends`;
 }
 
+/**
+ * Builds a summary prompt for Bedrock for a cost forecast.
+ * @param {object} forecastData - Resolved window, actuals and Cost Explorer forecast results.
+ * @param {string} userCommand - The original user request.
+ * @returns {string} The prompt string for Bedrock.
+ */
+export function buildForecastSummaryPrompt(forecastData, userCommand) {
+    const { forecast, actuals, serviceForecasts = [], predictionIntervalLevel, forecastPeriod, actualsPeriod, projectsCurrentPeriod, metric = DEFAULT_COST_METRIC } = forecastData;
+
+    const actualTotal = actuals.reduce((sum, entry) => {
+        return sum + (entry.Groups || []).reduce((gSum, group) => gSum + metricAmount(group.Metrics, metric), 0);
+    }, 0);
+    const forecastTotal = parseFloat(forecast.Total?.Amount || '0');
+    const lowerBound = forecast.ForecastResultsByTime.reduce((sum, p) => sum + parseFloat(p.PredictionIntervalLowerBound || '0'), 0);
+    const upperBound = forecast.ForecastResultsByTime.reduce((sum, p) => sum + parseFloat(p.PredictionIntervalUpperBound || '0'), 0);
+
+    // For "end of month/quarter/year" the projection is actuals so far plus the remaining forecast
+    let actualsSummary = '';
+    if (actualsPeriod && projectsCurrentPeriod) {
+        actualsSummary = `
+        - Actual Spend So Far (${actualsPeriod.start} to ${actualsPeriod.end}): $${actualTotal.toFixed(2)}
+        - Projected Period Total (actuals + forecast): $${(actualTotal + forecastTotal).toFixed(2)} (range $${(actualTotal + lowerBound).toFixed(2)} to $${(actualTotal + upperBound).toFixed(2)})`;
+    } else if (actualsPeriod) {
+        actualsSummary = `
+        - Recent Actual Spend (${actualsPeriod.start} to ${actualsPeriod.end}): $${actualTotal.toFixed(2)}`;
+    }
+
+    let serviceBreakdown = '';
+    serviceForecasts.forEach(s => {
+        serviceBreakdown += `- ${s.service}: Forecast $${parseFloat(s.Total?.Amount || '0').toFixed(2)}\n`;
+    });
+
+    return `As a cloud cost analyst, explain this AWS cost forecast.
+        User request: ${userCommand}
+        Forecast Period: ${forecastPeriod.start} to ${forecastPeriod.end}
+        Metric: ${COST_METRICS[metric].label}
+
+        FORECAST SUMMARY:
+        - Forecast Total: $${forecastTotal.toFixed(2)}
+        - ${predictionIntervalLevel}% Prediction Interval: $${lowerBound.toFixed(2)} to $${upperBound.toFixed(2)}${actualsSummary}
+
+        ${serviceBreakdown ? `SERVICE FORECASTS:\n        ${serviceBreakdown}` : ''}
+        Forecast by Period:
+        ${JSON.stringify(forecast.ForecastResultsByTime, null, 2)}
+
+        Generate a professional forecast narrative:
+        - Use clear section headings (e.g., "AWS Cost Forecast Report", "Forecast Summary", "Service Forecasts", "Summary")
+        - State the forecast total together with its ${predictionIntervalLevel}% prediction interval and explain what the range means
+        - Compare the forecast with the actual spend and call out services driving the projection
+        - Use bullet points for key findings
+        - Do NOT use markdown, emojis, or any special formatting
+        - Keep the report clear and professional, using ONLY plain text`;
+}
+
+/**
+ * Builds an incident-style summary prompt for Bedrock from detected cost anomalies.
+ * Detection happens before this call; the model only explains the ranked findings.
+ * @param {Array<Object>} anomalies - Output of detectCostAnomalies, largest impact first.
+ * @param {object} period - { start: string, end: string } analysed window.
+ * @param {string} userCommand - The original user request.
+ * @param {string} metric - Key of COST_METRICS the anomalies were detected in.
+ * @param {string} [unit] - Unit shared by the amounts, if any.
+ * @returns {string} The prompt string for Bedrock.
+ */
+export function buildAnomalySummaryPrompt(anomalies, period, userCommand, metric = DEFAULT_COST_METRIC, unit) {
+    const totalImpact = anomalies.reduce((sum, a) => sum + a.impact, 0);
+    const metricLabel = COST_METRICS[metric].label;
+    const format = (value) => formatMetricAmount(value, metric, unit);
+
+    let anomalyList = '';
+    anomalies.slice(0, 15).forEach((a, i) => {
+        anomalyList += `        ${i + 1}. ${a.date} ${a.service}: ${metricLabel} ${format(a.cost)} vs baseline ${format(a.baselineMean)} (+${format(a.impact)}, z-score ${a.zScore.toFixed(1)})\n`;
+    });
+
+    return `As a cloud cost analyst on call, write an incident-style summary of these AWS cost anomalies.
+        User request: ${userCommand}
+        Analysis Period: ${period.start} to ${period.end}
+
+        DETECTED ANOMALIES (ranked by ${metricLabel.toLowerCase()} above baseline):
+        - Figures are ${metricLabel.toLowerCase()} (the ${metric} metric); call them that in the report
+        - Anomalies Found: ${anomalies.length}
+        - Total Excess ${metricLabel}: ${format(totalImpact)}
+${anomalyList || '        None\n'}
+        Generate the summary with these sections:
+        - Use clear section headings (e.g., "AWS Cost Anomaly Report", "Detected Anomalies", "Likely Causes", "Recommended Actions", "Summary")
+        - For each significant anomaly give the date, service, excess ${metricLabel.toLowerCase()} and how unusual it was
+        - Suggest likely causes and the next steps an engineer should take to investigate
+        - Only discuss the anomalies listed above; if none were found, say that spend stayed within its normal range
+        - Use bullet points for key findings
+        - Do NOT use markdown, emojis, or any special formatting
+        - Keep the report clear and professional, using ONLY plain text`;
+}
+
+/**
+ * Builds a summary prompt for Bedrock that relates incidents and OpsItems to cost changes.
+ * @param {object} incidentData - { ResultsByTime, events, anomalies, unavailable } from ReportUtils.incidentReport.
+ * @param {object} period - { start: string, end: string } analysed window.
+ * @param {string} userCommand - The original user request.
+ * @param {string} metric - Key of COST_METRICS the costs were fetched in.
+ * @returns {string} The prompt string for Bedrock.
+ */
+export function buildIncidentCorrelationPrompt(incidentData, period, userCommand, metric = DEFAULT_COST_METRIC) {
+    const { events = [], anomalies = [], unavailable = [] } = incidentData;
+    const metricLabel = COST_METRICS[metric].label;
+    const unit = sharedMetricUnit(incidentData.ResultsByTime, metric);
+    const format = (value) => formatMetricAmount(value, metric, unit);
+
+    let eventList = '';
+    events.slice(0, 20).forEach((e, i) => {
+        const changes = e.costChanges.map(c => `${c.service} ${format(c.cost)} on ${c.date} vs ${format(c.baselineMean)} normal (+${format(c.change)})`).join('; ');
+        eventList += `        ${i + 1}. ${e.date || 'unknown date'} [${e.source}] "${e.title}" (${e.severity}, ${e.status})\n`;
+        eventList += `           Cost changes within a day: ${changes || 'none'}${e.anomalies.length ? `; detected anomalies: ${e.anomalies.map(a => `${a.service} on ${a.date}`).join(', ')}` : ''}\n`;
+    });
+
+    const anomalyKey = (a) => `${a.date}|${a.service}`;
+    const nearIncident = new Set(events.flatMap(e => e.anomalies.map(anomalyKey)));
+    const uncorrelated = anomalies.filter(a => !nearIncident.has(anomalyKey(a)));
+    let anomalyList = '';
+    uncorrelated.slice(0, 10).forEach((a, i) => {
+        anomalyList += `        ${i + 1}. ${a.date} ${a.service}: ${format(a.cost)} vs baseline ${format(a.baselineMean)} (+${format(a.impact)})\n`;
+    });
+
+    return `As a cloud operations and cost analyst, explain how operational incidents relate to AWS cost changes.
+        User request: ${userCommand}
+        Analysis Period: ${period.start} to ${period.end}
+
+        Figures are ${metricLabel.toLowerCase()} (the ${metric} metric); call them that in the report.
+
+        INCIDENTS AND OPSITEMS (with the cost changes around the day each was opened):
+        - Events Found: ${events.length} (${events.filter(e => e.correlated).length} coincide with a cost change)
+${eventList || '        None\n'}
+        COST ANOMALIES WITH NO INCIDENT NEARBY:
+${anomalyList || '        None\n'}${unavailable.length ? `
+        NOTE: These sources could not be read: ${unavailable.map(u => u.source).join(', ')}. Say so in the summary.
+` : ''}
+        Generate the summary with these sections:
+        - Use clear section headings (e.g., "AWS Incident and Cost Correlation Report", "Incidents", "Correlated Cost Changes", "Unexplained Cost Changes", "Recommended Actions", "Summary")
+        - For each incident that coincides with a cost change, state it plainly, e.g. "the RDS cost spike on 2025-06-12 coincides with incident X"
+        - Treat a coincidence as a lead to investigate, not as proof of cause
+        - Mention incidents with no cost impact briefly, and cost anomalies that no incident explains
+        - Only use the incidents, OpsItems and figures listed above
+        - Use bullet points for key findings
+        - Do NOT use markdown, emojis, or any special formatting
+        - Keep the report clear and professional, using ONLY plain text`;
+}
+
+/**
+ * Builds a summary prompt for Bedrock for Savings Plans and Reserved Instance commitments.
+ * @param {object} commitments - Output of summarizeCommitments.
+ * @param {object} period - { start: string, end: string } analysed window.
+ * @param {string} userCommand - The original user request.
+ * @returns {string} The prompt string for Bedrock.
+ */
+export function buildCommitmentSummaryPrompt(commitments, period, userCommand) {
+    const { savingsPlans, reservations, expiring } = commitments;
+    const pct = (value) => (value === null || value === undefined ? 'N/A' : `${value.toFixed(1)}%`);
+
+    const spSection = savingsPlans
+        ? `- Utilization: ${pct(savingsPlans.utilizationPct)}
+        - Commitment: $${savingsPlans.totalCommitment.toFixed(2)} total, $${savingsPlans.usedCommitment.toFixed(2)} used, $${savingsPlans.unusedCommitment.toFixed(2)} unused
+        - Coverage: ${pct(savingsPlans.coveragePct)} (on-demand spend not covered: $${savingsPlans.onDemandCost.toFixed(2)})
+        - Net Savings: $${savingsPlans.netSavings.toFixed(2)}`
+        : '- No Savings Plans in this period';
+    const riSection = reservations
+        ? `- Utilization: ${pct(reservations.utilizationPct)}
+        - Unused Hours: ${reservations.unusedHours} of ${reservations.purchasedHours} purchased, costing $${reservations.unusedCost.toFixed(2)}
+        - Coverage: ${pct(reservations.coveragePct)} (on-demand cost of uncovered hours: $${reservations.onDemandCost.toFixed(2)})
+        - Net Savings: $${reservations.netSavings.toFixed(2)}`
+        : '- No Reserved Instances in this period';
+
+    let expiringList = '';
+    expiring.slice(0, 15).forEach(e => {
+        expiringList += `        - ${e.type} ${e.id} (${e.description || 'no details'}): ends ${e.endDate}, ${e.daysLeft} days left, utilization ${pct(e.utilizationPct)}\n`;
+    });
+
+    return `As a FinOps analyst, review the AWS commitment (Savings Plans and Reserved Instances) data.
+        User request: ${userCommand}
+        Analysis Period: ${period.start} to ${period.end}
+
+        SAVINGS PLANS:
+        ${spSection}
+
+        RESERVED INSTANCES:
+        ${riSection}
+
+        EXPIRING COMMITMENTS:
+${expiringList || '        None\n'}
+        Generate a professional analysis:
+        - Use clear section headings (e.g., "AWS Commitment Report", "Savings Plans", "Reserved Instances", "Expiring Reservations", "Recommendations", "Summary")
+        - Call out low utilization and unused commitment dollars, and low coverage that leaves on-demand spend exposed
+        - List commitments that expire soon and whether they look worth renewing based on their utilization
+        - Use bullet points for key findings
+        - Do NOT use markdown, emojis, or any special formatting
+        - Keep the report clear and professional, using ONLY plain text`;
+}
+
+/**
+ * Builds a summary prompt for Bedrock for EC2 rightsizing recommendations.
+ * @param {object} rightsizing - Output of summarizeRightsizing.
+ * @param {string} userCommand - The original user request.
+ * @returns {string} The prompt string for Bedrock.
+ */
+export function buildRightsizingSummaryPrompt(rightsizing, userCommand) {
+    const { count, currency, totalMonthlySavings, actions, groups } = rightsizing;
+
+    let groupList = '';
+    groups.slice(0, 10).forEach(g => {
+        groupList += `        - Account ${g.accountId}, ${g.family} family: ${g.count} instance(s), $${g.estimatedMonthlySavings.toFixed(2)}/month\n`;
+    });
+
+    let actionList = '';
+    actions.slice(0, 20).forEach((a, i) => {
+        const change = a.action === "TERMINATE" ? "terminate" : `${a.currentType} -> ${a.targetType || 'smaller type'}`;
+        const cpu = a.maxCpu === null ? 'N/A' : `${a.maxCpu}%`;
+        const memory = a.maxMemory === null ? 'not measured' : `${a.maxMemory}%`;
+        actionList += `        ${i + 1}. ${a.resourceId}${a.instanceName ? ` (${a.instanceName})` : ''} in ${a.accountId}/${a.region}: ${change}, saves $${a.estimatedMonthlySavings.toFixed(2)}/month, risk ${a.risk}, max CPU ${cpu}, max memory ${memory}${a.platformDifferences.length ? `, platform differences: ${a.platformDifferences.join(', ')}` : ''}\n`;
+    });
+
+    return `As a cloud cost analyst, review these EC2 rightsizing recommendations.
+        User request: ${userCommand}
+
+        RIGHTSIZING SUMMARY:
+        - Recommendations: ${count}
+        - Estimated Monthly Savings: $${totalMonthlySavings.toFixed(2)} ${currency}
+
+        SAVINGS BY ACCOUNT AND INSTANCE FAMILY:
+${groupList || '        None\n'}
+        ACTIONS (ranked by savings; risk is LOW, MEDIUM or HIGH):
+${actionList || '        None\n'}
+        Generate a professional analysis:
+        - Use clear section headings (e.g., "AWS Rightsizing Report", "Top Savings Opportunities", "Risk Assessment", "Recommendations", "Summary")
+        - Rank the actions by savings and risk: quick wins (high savings, LOW risk) first, HIGH risk changes last with what to check before applying them
+        - Explain the risk levels: terminations remove capacity, unmeasured memory makes downsizing less certain, platform differences need changes first
+        - Use bullet points for key findings
+        - Do NOT use markdown, emojis, or any special formatting
+        - Keep the report clear and professional, using ONLY plain text`;
+}
+
 // User input parser
 export function buildUserRequestPrompt(userCommand) {
     const today = new Date();
     const todayStr = today.toISOString().split('T')[0];
 
     return `Convert this command to JSON:
-    - 'intent': "monthly", "daily", "resource", "scheduled", or "compare-months"
-    - ONLY for intent: "compare-months", include 'period1' and 'period2' as objects with 'start' and 'end' (YYYY-MM-DD). Convert exactly like this: For example if user asks to compare June and May, period1 should be June 01 till July 01 and period2 should be May 01 till June 01.
+    - 'intent': "monthly", "daily", "resource", "scheduled", "compare-months", "forecast", "anomalies", "commitments", "rightsizing", "incidents", "list-schedules", "pause-schedule", "resume-schedule", "update-schedule", "delete-schedule", "create-budget", "list-budgets" or "delete-budget"
+    - ONLY for intent: "compare-months" (used for comparing any two periods, not only months), include 'period1' and 'period2' as objects with 'start' and 'end' (YYYY-MM-DD, end exclusive). Convert exactly like this: For example if user asks to compare June and May, period1 should be June 01 till July 01 and period2 should be May 01 till June 01. "Q2 vs Q1" gives period1 April 01 till July 01 and period2 January 01 till April 01; custom ranges such as "March 1-10 vs February 1-10" are used as given. For a current period against the one before it ("this week vs last week", "last quarter vs the quarter before") give 'relativeWindow' instead of periods: "week-to-date", "last-full-week", "month-to-date", "last-full-month", "quarter-to-date", "last-full-quarter", "year-to-date" or "last-full-year".
     - For other intents, include 'days', 'startDate', 'endDate' as normal and 'cronExpression' where needed. Refer this document for cron syntax: https://docs.aws.amazon.com/eventbridge/latest/userguide/eb-scheduled-rule-pattern.html
-    - If intent is scheduled, specify the "granularity" (e.g., "DAILY" or "MONTHLY").
+    - For intent "forecast" (future or projected spend), include 'forecastWindow', one of "end-of-month", "next-month", "end-of-quarter", "next-quarter", "end-of-year" or "next-n-days" (with 'days'), or 'forecastEndDate' (YYYY-MM-DD) for a specific date. Include 'byService': true if the user wants the forecast per service, and 'predictionIntervalLevel' (80 or 95) if the user asks for a confidence level.
+    - For intent "anomalies" (cost spikes, unusual spend in the bill), include 'days' for the period to check (default 30).
+    - For intent "incidents" (operational incidents, Incident Manager, OpsItems, outages, or whether incidents explain cost changes), include 'days' or 'startDate'/'endDate' for the period to check (default 30).
+    - For intent "commitments" (Savings Plans, Reserved Instances, RI/SP utilization or coverage, expiring reservations), include 'days' or 'startDate'/'endDate' for the period to review, and 'expiringWithinDays' if the user gives a renewal horizon.
+    - For intent "rightsizing" (rightsizing, idle or oversized EC2 instances, downsizing), include 'crossFamily': true if the user is open to other instance families.
+    - If intent is scheduled, specify the "granularity" (e.g., "DAILY" or "MONTHLY"), a short 'scheduleName' such as "Weekly EC2 report", and 'recipients' as an array of email addresses if the user names any.
+    - If intent is scheduled, also include 'reportIntent' with the report to run each time: "daily", "monthly", "resource", "compare-months", "forecast", "anomalies", "commitments", "rightsizing" or "incidents". Do NOT include fixed dates or periods for scheduled reports; instead include 'relativeWindow', one of "last-n-days" (with 'days'), "month-to-date", "last-full-month", "week-to-date", "last-full-week", "quarter-to-date", "last-full-quarter", "year-to-date" or "last-full-year". For "compare-months" the window is compared with the window before it.
+    - For "pause-schedule", "resume-schedule", "update-schedule" and "delete-schedule", include 'scheduleRef' with the schedule ID or the words the user used to describe it (e.g. "weekly EC2"). For "update-schedule" also include only the fields that change: 'cronExpression', 'scheduleName', 'recipients' (replaces the list), 'addRecipients' and/or 'removeRecipients' (arrays of email addresses or distribution lists).
+    - For intent "create-budget" (a spending limit or an alert when spend passes an amount), include 'budgetAmount' as a number in USD, 'budgetPeriod' ("MONTHLY", "QUARTERLY" or "ANNUALLY", default "MONTHLY"), a short 'budgetName', 'thresholds' as an array of { "type": "ACTUAL" or "FORECASTED", "percent": number } and 'recipients' if the user names any. Put the scope of the budget in 'filters'. Example: "alert me if EC2 exceeds $2,000 this month" is { "intent": "create-budget", "budgetAmount": 2000, "budgetPeriod": "MONTHLY", "budgetName": "EC2 monthly", "thresholds": [{ "type": "ACTUAL", "percent": 100 }], "filters": { "dimension": "SERVICE", "values": ["EC2"] } }; "total spend over 80% of $10k" has 'budgetAmount' 10000 and 'thresholds' [{ "type": "ACTUAL", "percent": 80 }]. Use "FORECASTED" when the user asks to be warned if spend is on track to pass the amount. Omit 'thresholds' if the user gives none.
+    - For "delete-budget", include 'budgetRef' with the budget ID or the words the user used to describe it.
+    - If the user wants costs broken down by something other than service, include 'groupBy' as an array of one or two entries: Cost Explorer dimensions such as "SERVICE", "LINKED_ACCOUNT", "REGION", "USAGE_TYPE", "INSTANCE_TYPE" or "OPERATION", "tag:<tag key>" for cost allocation tags (e.g. "cost by team tag" is ["tag:team"]) or "costcategory:<name>". Two entries give two-level grouping, e.g. ["SERVICE", "REGION"].
+    - If the user limits or excludes costs (e.g. "only EC2 in us-east-1", "exclude the sandbox account", "just the prod environment tag"), include 'filters' instead of describing them in 'specialRequirements'. A filter is a condition { "dimension": "<Cost Explorer dimension such as SERVICE, REGION, LINKED_ACCOUNT, USAGE_TYPE, INSTANCE_TYPE>", "values": [...] }, { "tag": "<tag key>", "values": [...] } or { "costCategory": "<name>", "values": [...] }, combined with { "and": [...] }, { "or": [...] } and { "not": {...} }. Example: "only EC2 in us-east-1, excluding the sandbox account" is { "and": [ { "dimension": "SERVICE", "values": ["EC2"] }, { "dimension": "REGION", "values": ["us-east-1"] }, { "not": { "dimension": "LINKED_ACCOUNT", "values": ["sandbox"] } } ] }. Account names and short service names are allowed.
+    - If the user names a cost metric, include 'metric': "AmortizedCost" for amortized cost, "NetAmortizedCost" for net amortized cost, "BlendedCost" for blended cost, "NetUnblendedCost" for net unblended cost or "UsageQuantity" for usage amounts (hours, GB) rather than cost. Omit 'metric' otherwise; unblended cost is the default. Forecasts cannot use "UsageQuantity".
+    - If the user asks about specific registered AWS accounts or account groups, include 'accounts' as an array of the account IDs, aliases or group names they name, e.g. "prod accounts only" → ["prod"], "costs for payments-prod and 123456789012" → ["payments-prod", "123456789012"], "across all accounts" → ["all"]. Omit 'accounts' when no account is named.
     - If user has any special requirements, include them in 'specialRequirements'. For example, if users asks for top 5 costly service or resources.
     - Time references use ${todayStr} as today.
     - Cron format: cron(Minutes Hours Day-of-month Month Day-of-week Year).
 
     Input: ${userCommand}
     JSON:`;
-}
\ No newline at end of file
+}
+/**
+ * Builds a prompt asking Bedrock to correct a query that failed schema
+ * validation.
+ * @param {string} userCommand - The original user request.
+ * @param {string} previousResponse - Bedrock's previous answer.
+ * @param {Array<{field: string, message: string}>} errors - Field-level validation errors.
+ * @returns {string} The prompt string for Bedrock.
+ */
+export function buildQueryRepairPrompt(userCommand, previousResponse, errors) {
+    return `${buildUserRequestPrompt(userCommand)}
+    ${previousResponse}
+
+    The JSON above is not valid:
+    ${errors.map(({ field, message }) => `- ${field}: ${message}`).join("\n    ")}
+
+    Return the corrected JSON only, with no explanation. If the user's request itself is contradictory (for example an end date before the start date), keep the user's values.
+    JSON:`;
+}
+
+/**
+ * Builds a prompt asking Bedrock to rewrite a summary whose figures did not
+ * match the data it was written from.
+ * @param {string} summaryPrompt - The original summary prompt, including the data.
+ * @param {string} previousSummary - The summary that failed the fact check.
+ * @param {Array<{message: string}>} issues - Figures and names that did not match.
+ * @returns {string} The prompt string for Bedrock.
+ */
+export function buildSummaryCorrectionPrompt(summaryPrompt, previousSummary, issues) {
+    return `${summaryPrompt}
+
+        A previous version of this summary contained figures that are not in the data:
+        ${issues.map(issue => `- ${issue.message}`).join("\n        ")}
+
+        Previous summary:
+        ${previousSummary}
+
+        Rewrite the complete summary. Quote only amounts and service or resource names that appear in the data above, or totals you can add up exactly from it. Keep the same plain text format.`;
+}
@@ -0,0 +1,322 @@
+import { v4 as uuidv4 } from "uuid";
+import { getCostAndUsage, getCostForecast, compileFilter, resolveLinkedAccountNames } from "./cost-explorer-utils.mjs";
+
+// Budget periods; alerts are sent at most once per threshold in each period
+export const BUDGET_PERIODS = ["MONTHLY", "QUARTERLY", "ANNUALLY"];
+
+// ACTUAL thresholds compare spend so far; FORECASTED ones compare projected spend for the whole period
+export const BUDGET_THRESHOLD_TYPE = {
+    ACTUAL: "ACTUAL",
+    FORECASTED: "FORECASTED"
+};
+
+// Alert when actual or forecast spend reaches the full amount
+export const DEFAULT_BUDGET_THRESHOLDS = [
+    { type: BUDGET_THRESHOLD_TYPE.ACTUAL, percent: 100 },
+    { type: BUDGET_THRESHOLD_TYPE.FORECASTED, percent: 100 }
+];
+
+const MAX_THRESHOLDS = 5;
+const MAX_DRIVERS = 5;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const toDateString = (date) => date.toISOString().split("T")[0];
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Calendar bounds of the budget period containing `now`, in UTC.
+ * @param {string} period - One of BUDGET_PERIODS
+ * @param {Date} [now]
+ * @returns {{start: string, end: string, key: string}} end is exclusive; key identifies the period, e.g. "2026-10", "2026-Q4", "2026"
+ */
+export function budgetPeriodBounds(period, now = new Date()) {
+    const year = now.getUTCFullYear();
+    const month = now.getUTCMonth();
+    if (period === "QUARTERLY") {
+        const quarter = Math.floor(month / 3);
+        return {
+            start: toDateString(new Date(Date.UTC(year, quarter * 3, 1))),
+            end: toDateString(new Date(Date.UTC(year, quarter * 3 + 3, 1))),
+            key: `${year}-Q${quarter + 1}`
+        };
+    }
+    if (period === "ANNUALLY") {
+        return {
+            start: toDateString(new Date(Date.UTC(year, 0, 1))),
+            end: toDateString(new Date(Date.UTC(year + 1, 0, 1))),
+            key: String(year)
+        };
+    }
+    return {
+        start: toDateString(new Date(Date.UTC(year, month, 1))),
+        end: toDateString(new Date(Date.UTC(year, month + 1, 1))),
+        key: `${year}-${String(month + 1).padStart(2, "0")}`
+    };
+}
+
+/**
+ * Validates and normalises the user-editable settings of a budget.
+ * @param {Object} settings - amount, period, thresholds, filters
+ * @returns {{amount: number, period: string, thresholds: Array<{type: string, percent: number}>, filters: Object|null}}
+ * @throws {Error} "Invalid budget: ..." when a setting is out of range
+ */
+export function normalizeBudgetSettings({ amount, period, thresholds, filters }) {
+    const parsedAmount = typeof amount === "string" ? parseFloat(amount.replace(/[$,]/g, "")) : amount;
+    if (typeof parsedAmount !== "number" || !isFinite(parsedAmount) || parsedAmount <= 0) {
+        throw new Error(`Invalid budget: amount must be a positive number, got ${JSON.stringify(amount)}`);
+    }
+
+    const normalizedPeriod = String(period || "MONTHLY").toUpperCase();
+    if (!BUDGET_PERIODS.includes(normalizedPeriod)) {
+        throw new Error(`Invalid budget: period must be one of ${BUDGET_PERIODS.join(", ")}`);
+    }
+
+    const list = thresholds === undefined || thresholds === null ? DEFAULT_BUDGET_THRESHOLDS : thresholds;
+    if (!Array.isArray(list) || list.length === 0 || list.length > MAX_THRESHOLDS) {
+        throw new Error(`Invalid budget: thresholds must be a list of 1 to ${MAX_THRESHOLDS} entries`);
+    }
+    const seen = new Set();
+    const normalizedThresholds = list.map((t, i) => {
+        const type = String(t?.type || BUDGET_THRESHOLD_TYPE.ACTUAL).toUpperCase();
+        const percent = Number(t?.percent);
+        if (!Object.values(BUDGET_THRESHOLD_TYPE).includes(type)) {
+            throw new Error(`Invalid budget: thresholds[${i}].type must be ACTUAL or FORECASTED`);
+        }
+        if (!isFinite(percent) || percent <= 0 || percent > 1000) {
+            throw new Error(`Invalid budget: thresholds[${i}].percent must be between 0 and 1000`);
+        }
+        return { type, percent: round(percent) };
+    }).filter(t => {
+        const key = `${t.type}#${t.percent}`;
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+    }).sort((a, b) => a.type.localeCompare(b.type) || a.percent - b.percent);
+
+    // Compiling up front rejects bad filters when the budget is saved, not at the first evaluation
+    compileFilter(filters);
+
+    return { amount: round(parsedAmount), period: normalizedPeriod, thresholds: normalizedThresholds, filters: filters || null };
+}
+
+/**
+ * Works out which thresholds a budget has crossed and which of those still need an alert.
+ * @param {Object} budget - Stored budget
+ * @param {Object} spend - Output of BudgetUtils.measureSpend
+ * @returns {{crossed: Array<Object>, pending: Array<Object>}} each entry has type, percent, thresholdAmount, spend and alertKey
+ */
+export function evaluateBudgetThresholds(budget, spend) {
+    const alreadySent = new Set(budget.alertsSent || []);
+    const crossed = (budget.thresholds || []).map(t => {
+        const value = t.type === BUDGET_THRESHOLD_TYPE.FORECASTED ? spend.forecast : spend.actual;
+        return {
+            type: t.type,
+            percent: t.percent,
+            thresholdAmount: round(budget.amount * t.percent / 100),
+            spend: value,
+            alertKey: `${spend.period.key}#${t.type}#${t.percent}`
+        };
+    }).filter(t => t.spend !== null && t.spend >= t.thresholdAmount);
+
+    return { crossed, pending: crossed.filter(t => !alreadySent.has(t.alertKey)) };
+}
+
+/**
+ * Formats the alert email for newly crossed thresholds.
+ * @param {Object} budget - Stored budget
+ * @param {Object} spend - Output of BudgetUtils.measureSpend
+ * @param {Array<Object>} alerts - Pending entries from evaluateBudgetThresholds
+ * @returns {{subject: string, body: string}}
+ */
+export function buildBudgetAlertEmail(budget, spend, alerts) {
+    const money = (value) => `$${value.toFixed(2)}`;
+    const lines = alerts.map(a => a.type === BUDGET_THRESHOLD_TYPE.FORECASTED
+        ? `- Forecast spend ${money(a.spend)} is over ${a.percent}% of the budget (${money(a.thresholdAmount)})`
+        : `- Actual spend ${money(a.spend)} is over ${a.percent}% of the budget (${money(a.thresholdAmount)})`);
+    const drivers = spend.drivers.map(d => `- ${d.service}: ${money(d.cost)} (${d.share}% of spend)`);
+
+    return {
+        subject: `AWS Budget Alert: ${budget.name}`,
+        body: `Your AWS budget "${budget.name}" (${money(budget.amount)} ${budget.period.toLowerCase()}) crossed a threshold for ${spend.period.start} to ${spend.period.end}.
+
+${lines.join("\n")}
+
+Spend so far: ${money(spend.actual)}${spend.forecast !== null ? `\nForecast for the period: ${money(spend.forecast)}` : ""}
+
+Services driving the spend:
+${drivers.length ? drivers.join("\n") : "- No spend recorded yet"}
+
+You will not be alerted again for these thresholds until the next period.`
+    };
+}
+
+/**
+ * Manages cost budgets. Budgets are stored in DynamoDB and checked by the
+ * scheduled budget evaluator against Cost Explorer actuals and forecasts.
+ */
+export class BudgetUtils {
+    constructor({ ddbUtils }) {
+        this.ddbUtils = ddbUtils;
+    }
+
+    /**
+     * Creates a budget.
+     * @param {Object} params
+     * @param {string} params.ownerEmail - Email of the user who owns the budget
+     * @param {string} [params.name] - Human readable name
+     * @param {string} [params.userCommand] - Original user command
+     * @param {number|string} params.amount - Budget amount in USD
+     * @param {string} [params.period] - One of BUDGET_PERIODS, MONTHLY by default
+     * @param {Array<Object>} [params.thresholds] - { type, percent } entries; DEFAULT_BUDGET_THRESHOLDS by default
+     * @param {Object} [params.filters] - Structured filter spec limiting the spend the budget tracks
+     * @param {Array<string>} [params.recipients] - Alert recipients; defaults to the owner
+     * @returns {Promise<Object>} The stored budget
+     */
+    async create({ ownerEmail, name, userCommand, amount, period, thresholds, filters, recipients }) {
+        const settings = normalizeBudgetSettings({ amount, period, thresholds, filters });
+        const budgetId = uuidv4();
+        const now = new Date().toISOString();
+        const budget = {
+            budgetId,
+            ownerEmail,
+            name: name || userCommand || `${settings.period.toLowerCase()} budget of $${settings.amount}`,
+            userCommand: userCommand || "",
+            ...settings,
+            recipients: recipients && recipients.length ? recipients : [ownerEmail],
+            alertsSent: [],
+            createdAt: now,
+            updatedAt: now
+        };
+        await this.ddbUtils.saveBudget(budget);
+        return budget;
+    }
+
+    async listForOwner(ownerEmail) {
+        const budgets = await this.ddbUtils.listBudgetsByOwner(ownerEmail);
+        return budgets.sort((a, b) => (a.createdAt || "").localeCompare(b.createdAt || ""));
+    }
+
+    /**
+     * Loads a budget if it exists and belongs to the given owner.
+     * @param {string} budgetId
+     * @param {string} ownerEmail
+     * @returns {Promise<Object|null>}
+     */
+    async getForOwner(budgetId, ownerEmail) {
+        const budget = await this.ddbUtils.getBudget(budgetId);
+        if (!budget || budget.ownerEmail?.toLowerCase() !== ownerEmail.toLowerCase()) {
+            return null;
+        }
+        return budget;
+    }
+
+    /**
+     * Resolves a free-text reference (an ID, ID prefix or words from the name) to one of the owner's budgets.
+     * @param {string} ownerEmail
+     * @param {string} reference
+     * @returns {Promise<{budget: Object|null, candidates: Array<Object>}>}
+     */
+    async findByReference(ownerEmail, reference) {
+        const budgets = await this.listForOwner(ownerEmail);
+        const ref = (reference || "").trim().toLowerCase();
+        if (!ref) {
+            return { budget: budgets.length === 1 ? budgets[0] : null, candidates: budgets };
+        }
+
+        const byId = budgets.filter(b => b.budgetId.startsWith(ref));
+        if (byId.length === 1) return { budget: byId[0], candidates: byId };
+
+        const words = ref.split(/[^a-z0-9]+/).filter(w => w && w !== "budget");
+        const matches = budgets.filter(b => {
+            const haystack = `${b.name} ${b.userCommand}`.toLowerCase();
+            return words.length > 0 && words.every(w => haystack.includes(w));
+        });
+        return { budget: matches.length === 1 ? matches[0] : null, candidates: matches };
+    }
+
+    /**
+     * Updates the editable fields of a budget. Changing the amount, period,
+     * thresholds or filters re-arms the alerts of the current period. Only
+     * the editable fields are written, so alerts the evaluator claims in the
+     * meantime are not lost.
+     * @param {Object} budget - Current budget
+     * @param {Object} changes - Any of name, amount, period, thresholds, filters, recipients
+     * @returns {Promise<Object>} The updated budget
+     */
+    async update(budget, { name, amount, period, thresholds, filters, recipients }) {
+        const settings = normalizeBudgetSettings({
+            amount: amount ?? budget.amount,
+            period: period ?? budget.period,
+            thresholds: thresholds ?? budget.thresholds,
+            filters: filters === undefined ? budget.filters : filters
+        });
+        const rearm = ["amount", "period", "thresholds", "filters"]
+            .some(field => JSON.stringify(settings[field]) !== JSON.stringify(budget[field]));
+        const updated = {
+            ...budget,
+            ...settings,
+            name: name ?? budget.name,
+            recipients: recipients ?? budget.recipients,
+            alertsSent: rearm ? [] : budget.alertsSent,
+            updatedAt: new Date().toISOString()
+        };
+        await this.ddbUtils.updateBudget(budget.budgetId, {
+            ...settings,
+            name: updated.name,
+            recipients: updated.recipients,
+            updatedAt: updated.updatedAt,
+            rearmAlerts: rearm
+        });
+        return updated;
+    }
+
+    async delete(budget) {
+        await this.ddbUtils.deleteBudget(budget.budgetId);
+    }
+
+    /**
+     * Measures spend for the current period of a budget: actual cost so far
+     * grouped by service, and the forecast for the whole period (actual so far
+     * plus the Cost Explorer forecast for the remaining days).
+     * @param {Object} budget - Stored budget
+     * @param {Date} [now]
+     * @returns {Promise<{period: Object, actual: number, forecast: number|null, drivers: Array<{service: string, cost: number, share: number}>}>}
+     */
+    async measureSpend(budget, now = new Date()) {
+        const period = budgetPeriodBounds(budget.period, now);
+        const today = toDateString(now);
+        const lookupPeriod = { start: toDateString(new Date(now.getTime() - 30 * DAY_MS)), end: today };
+        const filter = await resolveLinkedAccountNames(compileFilter(budget.filters), lookupPeriod);
+
+        const costByService = new Map();
+        // Cost Explorer rejects an empty time period on the first day of a period
+        if (today > period.start) {
+            const data = await getCostAndUsage({ startDate: period.start, endDate: today, granularity: "MONTHLY", filter });
+            (data.ResultsByTime || []).forEach(result => {
+                (result.Groups || []).forEach(group => {
+                    const service = group.Keys[0];
+                    costByService.set(service, (costByService.get(service) || 0) + parseFloat(group.Metrics?.UnblendedCost?.Amount || "0"));
+                });
+            });
+        }
+        const actual = round([...costByService.values()].reduce((sum, cost) => sum + cost, 0));
+
+        let forecast = null;
+        try {
+            const data = await getCostForecast({ startDate: today, endDate: period.end, granularity: "MONTHLY", filter });
+            forecast = round(actual + parseFloat(data.Total?.Amount || "0"));
+        } catch (err) {
+            // New accounts and narrow filters often have too little history to forecast
+            console.warn(JSON.stringify({ level: 'warn', msg: 'Budget forecast unavailable', budgetId: budget.budgetId, error: err.message }));
+        }
+
+        const drivers = [...costByService.entries()]
+            .map(([service, cost]) => ({ service, cost: round(cost), share: actual > 0 ? round((cost / actual) * 100) : 0 }))
+            .filter(d => d.cost > 0)
+            .sort((a, b) => b.cost - a.cost)
+            .slice(0, MAX_DRIVERS);
+
+        return { period, actual, forecast, drivers };
+    }
+}
@@ -0,0 +1,476 @@
+// Rule-based parser for the most common phrasings of a cost request. Used
+// when Bedrock is unavailable or cannot make sense of a command, so those
+// requests still work and others get a clarification instead of an error.
+// Pure functions only.
+
+// How sure the rules are about a parse
+export const PARSE_CONFIDENCE = {
+    HIGH: "high",   // Intent and window are both explicit; safe to run
+    LOW: "low",     // Something was recognised but the request is incomplete
+    NONE: "none"    // Nothing was recognised
+};
+
+const MONTHS = ["january", "february", "march", "april", "may", "june", "july", "august", "september", "october", "november", "december"];
+const MONTH_PATTERN = "(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)";
+
+const WEEKDAYS = { monday: "MON", tuesday: "TUE", wednesday: "WED", thursday: "THU", friday: "FRI", saturday: "SAT", sunday: "SUN" };
+const WEEKDAY_PATTERN = "(monday|tuesday|wednesday|thursday|friday|saturday|sunday|mon|tue|wed|thu|fri|sat|sun)s?";
+
+const NUMBER_WORDS = { one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, ten: 10, fourteen: 14, thirty: 30, ninety: 90 };
+
+// Report types recognised from a single keyword; they all have sensible default windows
+const KEYWORD_INTENTS = [
+    { intent: "rightsizing", pattern: /\b(rightsiz\w*|right-siz\w*|idle|oversized|downsiz\w*)\b/ },
+    { intent: "commitments", pattern: /\b(savings plans?|reserved instances?|reservations?|commitments?|ri coverage|ri utili[sz]ation)\b/ },
+    { intent: "incidents", pattern: /\b(incidents?|opsitems?|outages?)\b/ },
+    { intent: "anomalies", pattern: /\b(anomal\w*|spikes?|unusual)\b/ },
+    { intent: "forecast", pattern: /\b(forecast\w*|project(?:ed|ion)|predict\w*|on track|will (?:we|i) (?:spend|pay)|end of (?:the )?(?:month|quarter|year))\b/ }
+];
+
+// Words that show the command is about spend at all
+const COST_WORDS = /\b(costs?|spend\w*|bill\w*|charges?|usage|report)\b/;
+
+// Cost metrics named in a command; unblended cost is the default and needs no entry
+const METRIC_PATTERNS = [
+    { metric: "NetAmortizedCost", pattern: /\bnet amorti[sz]ed\b/ },
+    { metric: "NetUnblendedCost", pattern: /\bnet unblended\b/ },
+    { metric: "AmortizedCost", pattern: /\bamorti[sz]ed\b/ },
+    { metric: "BlendedCost", pattern: /\bblended\b/ },
+    { metric: "UsageQuantity", pattern: /\busage (?:quantit(?:y|ies)|amounts?|hours)\b/ }
+];
+
+// Filters and groupings the rules cannot express; running without them would report the wrong scope
+const UNSUPPORTED_QUALIFIERS = /\b(only|just|exclud\w*|except|without|tag(?:ged|s)?|top \d+|by (?:account|region|team|usage|instance|operation|environment)|[a-z]{2}-[a-z]+-\d|ec2|s3|rds|lambda|dynamodb|cloudfront|eks|ecs|redshift|sagemaker|bedrock)\b/;
+
+const utcDate = (year, month, day) => new Date(Date.UTC(year, month, day));
+const toDateString = (date) => date.toISOString().split("T")[0];
+
+/**
+ * Reads "7", "seven" or "a" as a number.
+ * @param {string} token
+ * @returns {number|null}
+ */
+function toNumber(token) {
+    if (/^\d+$/.test(token)) return parseInt(token, 10);
+    if (token === "a" || token === "an") return 1;
+    return NUMBER_WORDS[token] ?? null;
+}
+
+/**
+ * Resolves a month name to the most recent occurrence of that month that has
+ * started, so "June" in March means last year's June.
+ * @param {string} name - Full or abbreviated month name
+ * @param {number|null} year - Explicit year, if the user gave one
+ * @param {Date} now
+ * @returns {{start: string, end: string}} Exclusive end
+ */
+function resolveMonth(name, year, now) {
+    const month = MONTHS.findIndex(m => m.startsWith(name.slice(0, 3)));
+    const resolvedYear = year ?? (month > now.getUTCMonth() ? now.getUTCFullYear() - 1 : now.getUTCFullYear());
+    return {
+        start: toDateString(utcDate(resolvedYear, month, 1)),
+        end: toDateString(utcDate(resolvedYear, month + 1, 1))
+    };
+}
+
+/**
+ * Resolves a quarter number to the most recent occurrence of that quarter
+ * that has started, like resolveMonth.
+ * @param {number} quarter - 1 to 4
+ * @param {number|null} year - Explicit year, if the user gave one
+ * @param {Date} now
+ * @returns {{start: string, end: string}} Exclusive end
+ */
+function resolveQuarter(quarter, year, now) {
+    const startMonth = (quarter - 1) * 3;
+    const resolvedYear = year ?? (startMonth > now.getUTCMonth() ? now.getUTCFullYear() - 1 : now.getUTCFullYear());
+    return {
+        start: toDateString(utcDate(resolvedYear, startMonth, 1)),
+        end: toDateString(utcDate(resolvedYear, startMonth + 3, 1))
+    };
+}
+
+/**
+ * Finds the report window in a command.
+ * @param {string} text - Lower-cased command
+ * @returns {Object|null} Query fields for the window, or null if none was found
+ */
+function parseWindow(text) {
+    const lastN = text.match(/\b(?:last|past|previous)\s+(\d+|a|an|one|two|three|four|five|six|seven|ten|fourteen|thirty|ninety)\s+(days?|weeks?|months?)\b/);
+    if (lastN) {
+        const count = toNumber(lastN[1]);
+        const unit = lastN[2].replace(/s$/, "");
+        if (unit === "day") return { days: count, relativeWindow: "last-n-days" };
+        if (unit === "week") return { days: count * 7, relativeWindow: "last-n-days" };
+        return count === 1 ? { relativeWindow: "last-full-month" } : { days: count * 30, relativeWindow: "last-n-days" };
+    }
+    if (/\byesterday\b/.test(text)) return { days: 1, relativeWindow: "last-n-days" };
+    if (/\b(last|previous) week\b/.test(text)) return { relativeWindow: "last-full-week" };
+    if (/\b(this week|week to date|wtd)\b/.test(text)) return { relativeWindow: "week-to-date" };
+    if (/\b(last|previous) month\b/.test(text)) return { relativeWindow: "last-full-month" };
+    if (/\b(this month|month to date|mtd)\b/.test(text)) return { relativeWindow: "month-to-date" };
+    if (/\b(last|previous) quarter\b/.test(text)) return { relativeWindow: "last-full-quarter" };
+    if (/\b(this quarter|quarter to date|qtd)\b/.test(text)) return { relativeWindow: "quarter-to-date" };
+    if (/\b(last|previous) year\b/.test(text)) return { relativeWindow: "last-full-year" };
+    if (/\b(this year|year to date|ytd)\b/.test(text)) return { relativeWindow: "year-to-date" };
+    return null;
+}
+
+/**
+ * Finds the horizon of a forecast command.
+ * @param {string} text - Lower-cased command
+ * @returns {Object|null} Query fields for the horizon, or null if the command
+ *   looks ahead in a way the rules cannot express ("by June", "next 6 months")
+ */
+function parseForecastWindow(text) {
+    const byService = /\b(by|per) service\b/.test(text) ? { byService: true } : {};
+    const nextDays = text.match(/\bnext\s+(\d+|a|an|one|two|three|four|five|six|seven|ten|fourteen|thirty|ninety)\s+(days?|weeks?)\b/);
+    if (nextDays) {
+        const count = toNumber(nextDays[1]);
+        return { forecastWindow: "next-n-days", days: nextDays[2].startsWith("week") ? count * 7 : count, ...byService };
+    }
+    if (/\bnext month\b/.test(text)) return { forecastWindow: "next-month", ...byService };
+    if (/\bnext quarter\b/.test(text)) return { forecastWindow: "next-quarter", ...byService };
+    if (/\b(end of (?:the )?quarter|this quarter)\b/.test(text)) return { forecastWindow: "end-of-quarter", ...byService };
+    if (/\b(end of (?:the )?year|this year)\b/.test(text)) return { forecastWindow: "end-of-year", ...byService };
+    if (/\b(end of (?:the )?month|this month)\b/.test(text)) return { forecastWindow: "end-of-month", ...byService };
+    // Any other look-ahead would silently become end of month
+    if (/\b(next|until|through|till|by)\s/.test(text.replace(/\b(by|per) service\b/g, "")) || new RegExp(`\\b${MONTH_PATTERN}\\b`).test(text)) {
+        return null;
+    }
+    return { forecastWindow: "end-of-month", ...byService };
+}
+
+/**
+ * Parses "compare June and May", "June vs May 2025", "Q2 vs Q1", "compare
+ * this week with last week", "month over month" or two date ranges such as
+ * "2026-03-01 to 2026-03-10 vs 2026-02-01 to 2026-02-10" (inclusive ends).
+ * @param {string} text - Lower-cased command
+ * @param {Date} now
+ * @returns {Object|null} Comparison query, or null if the command is not a comparison
+ */
+function parseComparison(text, now) {
+    const overPeriod = text.match(/\b(week|month|quarter|year)[- ]over[- ]\1\b/);
+    const isComparison = overPeriod || /\b(compare|comparison|versus|vs\.?)\b/.test(text);
+    if (!isComparison) return null;
+
+    const ranges = [...text.matchAll(/\b(\d{4}-\d{2}-\d{2})\s*(?:to|through|until|-)\s*(\d{4}-\d{2}-\d{2})\b/g)];
+    if (ranges.length === 2) {
+        const toPeriod = ([, start, end]) => ({ start, end: toDateString(new Date(Date.parse(`${end}T00:00:00Z`) + 24 * 60 * 60 * 1000)) });
+        return { intent: "compare-months", period1: toPeriod(ranges[0]), period2: toPeriod(ranges[1]) };
+    }
+
+    const quarterPair = text.match(/\bq([1-4])(?:\s+(\d{4}))?\s+(?:and|with|to|against|vs\.?|versus)\s+q([1-4])(?:\s+(\d{4}))?\b/);
+    if (quarterPair) {
+        const [, first, firstYear, second, secondYear] = quarterPair;
+        return {
+            intent: "compare-months",
+            period1: resolveQuarter(parseInt(first, 10), firstYear ? parseInt(firstYear, 10) : null, now),
+            period2: resolveQuarter(parseInt(second, 10), secondYear ? parseInt(secondYear, 10) : null, now)
+        };
+    }
+
+    const monthPair = text.match(new RegExp(`\\b${MONTH_PATTERN}(?:\\s+(\\d{4}))?\\s+(?:and|with|to|against|vs\\.?|versus)\\s+${MONTH_PATTERN}(?:\\s+(\\d{4}))?\\b`));
+    if (monthPair) {
+        const [, first, firstYear, second, secondYear] = monthPair;
+        return {
+            intent: "compare-months",
+            period1: resolveMonth(first, firstYear ? parseInt(firstYear, 10) : null, now),
+            period2: resolveMonth(second, secondYear ? parseInt(secondYear, 10) : null, now)
+        };
+    }
+    for (const unit of ["week", "month", "quarter", "year"]) {
+        if (new RegExp(`\\b(this|current) ${unit}\\b`).test(text) && new RegExp(`\\b(last|previous) ${unit}\\b`).test(text)) {
+            return { intent: "compare-months", relativeWindow: `${unit}-to-date` };
+        }
+        if (new RegExp(`\\b(last|previous) ${unit}\\b`).test(text) && new RegExp(`\\b${unit} before\\b`).test(text)) {
+            return { intent: "compare-months", relativeWindow: `last-full-${unit}` };
+        }
+    }
+    // "Week over week" and the like compare the last full period with the one before
+    if (overPeriod) {
+        return { intent: "compare-months", relativeWindow: `last-full-${overPeriod[1]}` };
+    }
+    // A comparison without recognisable periods
+    return { intent: "compare-months" };
+}
+
+/**
+ * Parses "at 8", "at 8:30", "at 6pm" or "at 18:00".
+ * @param {string} text - Lower-cased command
+ * @returns {{hour: number, minute: number}|null}
+ */
+function parseTimeOfDay(text) {
+    const time = text.match(/\bat\s+(\d{1,2})(?::(\d{2}))?\s*(am|pm|a\.m\.|p\.m\.)?(?=\s|$|[,.!?])/);
+    if (!time) return null;
+    let hour = parseInt(time[1], 10);
+    const minute = time[2] ? parseInt(time[2], 10) : 0;
+    const meridiem = time[3] ? time[3][0] : null;
+    if (meridiem === "p" && hour < 12) hour += 12;
+    if (meridiem === "a" && hour === 12) hour = 0;
+    if (hour > 23 || minute > 59) return null;
+    return { hour, minute };
+}
+
+/**
+ * Parses a recurring schedule such as "every Monday at 8", "daily at 9am" or
+ * "on the 1st of every month". Times are UTC, as EventBridge expects.
+ * @param {string} text - Lower-cased command
+ * @returns {Object|null} Schedule fields with hasTime, or null if the command is not recurring
+ */
+function parseSchedule(text) {
+    const weekday = text.match(new RegExp(`\\b(?:every|each|on)\\s+${WEEKDAY_PATTERN}\\b`));
+    const isDaily = /\b(every day|each day|daily at|every morning|every evening)\b/.test(text);
+    const isWeekly = /\b(every week|each week|weekly)\b/.test(text);
+    const isMonthly = /\b(every month|each month|monthly at)\b/.test(text);
+    const isScheduleRequest = /\b(schedule|recurring)\b/.test(text);
+
+    if (!weekday && !isDaily && !isWeekly && !isMonthly) {
+        return isScheduleRequest ? { hasTime: false } : null;
+    }
+    // "on Monday" alone is not recurring
+    if (weekday && !/\b(every|each)\b/.test(text) && !isWeekly && !isScheduleRequest) {
+        return null;
+    }
+
+    const time = parseTimeOfDay(text);
+    const { hour, minute } = time || { hour: 8, minute: 0 };
+
+    if (weekday || isWeekly) {
+        const day = weekday ? WEEKDAYS[Object.keys(WEEKDAYS).find(d => d.startsWith(weekday[1].slice(0, 3)))] : "MON";
+        return {
+            hasTime: Boolean(time),
+            cronExpression: `cron(${minute} ${hour} ? * ${day} *)`,
+            granularity: "DAILY",
+            relativeWindow: "last-full-week",
+            scheduleName: "Weekly cost report"
+        };
+    }
+    if (isMonthly) {
+        const dayOfMonth = text.match(/\bon the (\d{1,2})(?:st|nd|rd|th)?\b/);
+        const day = dayOfMonth ? Math.min(Math.max(parseInt(dayOfMonth[1], 10), 1), 28) : 1;
+        return {
+            hasTime: Boolean(time),
+            cronExpression: `cron(${minute} ${hour} ${day} * ? *)`,
+            granularity: "MONTHLY",
+            relativeWindow: "last-full-month",
+            scheduleName: "Monthly cost report"
+        };
+    }
+    return {
+        hasTime: Boolean(time),
+        cronExpression: `cron(${minute} ${hour} * * ? *)`,
+        granularity: "DAILY",
+        relativeWindow: "last-n-days",
+        days: 1,
+        scheduleName: "Daily cost report"
+    };
+}
+
+/**
+ * Parses a command with fixed rules. Produces the same query shape as the
+ * Bedrock prompt in buildUserRequestPrompt, with relative windows instead of
+ * fixed dates where possible.
+ * @param {string} userCommand
+ * @param {Date} now - Reference time
+ * @returns {{query: Object|null, confidence: string, missing: Array<string>}}
+ *   query is null when nothing was recognised; missing names what a low
+ *   confidence parse lacks ("intent", "window", "horizon", "time", "periods", "filters" or "metric")
+ */
+export function parseCommandWithRules(userCommand, now = new Date()) {
+    const result = parseReportCommand(userCommand, now);
+    const text = String(userCommand || "").toLowerCase();
+    const isListing = ["list-schedules", "list-budgets"].includes(result.query?.intent);
+    if (result.confidence === PARSE_CONFIDENCE.HIGH && !isListing && UNSUPPORTED_QUALIFIERS.test(text)) {
+        return { ...result, confidence: PARSE_CONFIDENCE.LOW, missing: ["filters"] };
+    }
+    const metric = METRIC_PATTERNS.find(({ pattern }) => pattern.test(text))?.metric;
+    if (!metric || !result.query || isListing) {
+        return result;
+    }
+    const query = { ...result.query, metric };
+    if (metric === "UsageQuantity" && [query.intent, query.reportIntent].includes("forecast")) {
+        return { query, confidence: PARSE_CONFIDENCE.LOW, missing: ["metric"] };
+    }
+    return { ...result, query };
+}
+
+/**
+ * Rule-based parse of a command, ignoring filters and groupings.
+ * @param {string} userCommand
+ * @param {Date} now - Reference time
+ * @returns {{query: Object|null, confidence: string, missing: Array<string>}}
+ */
+function parseReportCommand(userCommand, now) {
+    const text = String(userCommand || "").toLowerCase().replace(/\s+/g, " ").trim();
+    const recipients = (String(userCommand || "").match(/[^@\s,;]+@[^@\s,;]+\.[^@\s,;.]+/g) || []);
+    const withRecipients = (query) => (recipients.length ? { ...query, recipients } : query);
+
+    if (/\b(list|show|what are)\b.*\bschedules?\b|\bmy schedules\b/.test(text) && !/\b(every|each)\b/.test(text)) {
+        return { query: { intent: "list-schedules" }, confidence: PARSE_CONFIDENCE.HIGH, missing: [] };
+    }
+    if (/\b(list|show|what are)\b.*\bbudgets\b|\bmy budgets\b/.test(text)) {
+        return { query: { intent: "list-budgets" }, confidence: PARSE_CONFIDENCE.HIGH, missing: [] };
+    }
+
+    const keyword = KEYWORD_INTENTS.find(({ pattern }) => pattern.test(text));
+    const comparison = parseComparison(text, now);
+    const window = parseWindow(text);
+    const schedule = parseSchedule(text);
+    const reportIntent = keyword?.intent
+        || (comparison ? "compare-months" : null)
+        || (/\bresources?\b/.test(text) ? "resource" : null);
+
+    if (schedule) {
+        const { hasTime, ...scheduleFields } = schedule;
+        if (!scheduleFields.cronExpression) {
+            return { query: withRecipients({ intent: "scheduled" }), confidence: PARSE_CONFIDENCE.LOW, missing: ["time"] };
+        }
+        const runIntent = reportIntent || (scheduleFields.granularity === "MONTHLY" ? "monthly" : "daily");
+        const query = withRecipients({
+            intent: "scheduled",
+            ...scheduleFields,
+            // An explicit window ("every Monday send me the last 14 days") wins over the cadence default
+            ...(window && runIntent !== "forecast" ? { relativeWindow: window.relativeWindow, days: window.days } : {}),
+            ...(runIntent === "forecast" ? parseForecastWindow(text) : {}),
+            reportIntent: runIntent
+        });
+        if (query.days === undefined) delete query.days;
+        return {
+            query,
+            confidence: hasTime ? PARSE_CONFIDENCE.HIGH : PARSE_CONFIDENCE.LOW,
+            missing: hasTime ? [] : ["time"]
+        };
+    }
+
+    if (comparison) {
+        const complete = Boolean(comparison.period1 || comparison.relativeWindow);
+        return {
+            query: comparison,
+            confidence: complete ? PARSE_CONFIDENCE.HIGH : PARSE_CONFIDENCE.LOW,
+            missing: complete ? [] : ["periods"]
+        };
+    }
+
+    if (keyword?.intent === "forecast") {
+        // Forecasts look ahead, so a past window does not apply to them
+        const horizon = parseForecastWindow(text);
+        return horizon
+            ? { query: { intent: "forecast", ...horizon }, confidence: PARSE_CONFIDENCE.HIGH, missing: [] }
+            : { query: { intent: "forecast" }, confidence: PARSE_CONFIDENCE.LOW, missing: ["horizon"] };
+    }
+
+    if (keyword) {
+        const query = { intent: keyword.intent, ...(window || {}) };
+        return { query, confidence: PARSE_CONFIDENCE.HIGH, missing: [] };
+    }
+
+    if (window) {
+        const monthly = ["last-full-month", "last-full-quarter", "last-full-year", "quarter-to-date", "year-to-date"].includes(window.relativeWindow);
+        const intent = reportIntent === "resource" ? "resource" : (monthly ? "monthly" : "daily");
+        return { query: { intent, ...window }, confidence: PARSE_CONFIDENCE.HIGH, missing: [] };
+    }
+
+    if (reportIntent === "resource" || COST_WORDS.test(text)) {
+        return {
+            query: { intent: reportIntent === "resource" ? "resource" : "daily" },
+            confidence: PARSE_CONFIDENCE.LOW,
+            missing: ["window"]
+        };
+    }
+    return { query: null, confidence: PARSE_CONFIDENCE.NONE, missing: ["intent"] };
+}
+
+/**
+ * Builds a clarification question for a command that could not be parsed
+ * with confidence, with example commands the user can send instead.
+ * @param {{query: Object|null, missing: Array<string>}} ruleResult - Output of parseCommandWithRules
+ * @param {Date} now - Reference time, used to name recent months in examples
+ * @returns {{question: string, suggestions: Array<string>}}
+ */
+export function buildClarification(ruleResult, now = new Date()) {
+    const capitalize = (name) => name[0].toUpperCase() + name.slice(1);
+    const lastMonth = capitalize(MONTHS[(now.getUTCMonth() + 11) % 12]);
+    const monthBefore = capitalize(MONTHS[(now.getUTCMonth() + 10) % 12]);
+    const missing = ruleResult?.missing || [];
+    const intent = ruleResult?.query?.intent;
+
+    if (missing.includes("filters")) {
+        return {
+            question: "I can't apply filters or groupings such as services, regions, accounts or tags right now. Please send the request again in a moment, or ask for an unfiltered report.",
+            suggestions: [
+                "Show my AWS costs for the last 7 days",
+                "Show last month's costs by service"
+            ]
+        };
+    }
+    if (missing.includes("metric")) {
+        return {
+            question: "Forecasts cover costs, not usage quantities. Which cost should I forecast?",
+            suggestions: [
+                "Forecast my spend to the end of the month",
+                "Forecast amortized cost to the end of the month"
+            ]
+        };
+    }
+    if (missing.includes("horizon")) {
+        return {
+            question: "How far ahead should I forecast?",
+            suggestions: [
+                "Forecast my spend to the end of the month",
+                "Forecast next quarter by service",
+                "Forecast the next 30 days"
+            ]
+        };
+    }
+    if (missing.includes("time")) {
+        return {
+            question: "When should this report run? Times are in UTC.",
+            suggestions: [
+                "Every Monday at 8 send me last week's costs",
+                "Every day at 9am send me yesterday's costs",
+                "On the 1st of every month at 8 send me last month's costs"
+            ]
+        };
+    }
+    if (missing.includes("periods")) {
+        return {
+            question: "Which two periods should I compare?",
+            suggestions: [
+                `Compare ${lastMonth} and ${monthBefore}`,
+                "Compare this month with last month",
+                "Compare this week with last week",
+                "Compare Q2 with Q1"
+            ]
+        };
+    }
+    if (missing.includes("window")) {
+        const subject = intent === "resource" ? "resource costs" : "costs";
+        return {
+            question: intent === "resource"
+                ? "Which period should the resource report cover? Resource-level data goes back 14 days; older days are shown by service and usage type."
+                : "Which period should the report cover?",
+            suggestions: intent === "resource"
+                ? ["Show resource costs for the last 7 days", "Show resource costs for the last 14 days", "Show resource costs for the last 30 days"]
+                : [`Show my ${subject} for the last 7 days`, `Show last month's ${subject} by service`, "Show my costs this month"]
+        };
+    }
+    return {
+        question: "I couldn't work out what you need. Did you mean one of these?",
+        suggestions: [
+            "Show my AWS costs for the last 7 days",
+            `Compare ${lastMonth} and ${monthBefore}`,
+            "Forecast my spend to the end of the month",
+            "Every Monday at 8 send me last week's costs"
+        ]
+    };
+}
+
+/**
+ * Formats a clarification as a chat message.
+ * @param {{question: string, suggestions: Array<string>}} clarification
+ * @returns {string}
+ */
+export function formatClarification({ question, suggestions }) {
+    return `🤔 ${question}\n${suggestions.map(s => `- "${s}"`).join("\n")}`;
+}
@@ -0,0 +1,142 @@
+// Summarises Savings Plans and Reserved Instance utilization and coverage.
+// Pure functions only; Cost Explorer responses go in, report figures come out.
+
+// Commitments ending within this many days are reported as expiring
+export const DEFAULT_EXPIRING_WITHIN_DAYS = 60;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const num = (value) => parseFloat(value || '0') || 0;
+const round = (value) => Math.round(value * 100) / 100;
+const percent = (part, whole) => (whole > 0 ? round((part / whole) * 100) : null);
+
+/**
+ * Case-insensitive attribute lookup; Cost Explorer is not consistent about
+ * attribute casing between Savings Plans and reservation responses.
+ * @param {Object<string, string>} attributes
+ * @param {string} name
+ * @returns {string|undefined}
+ */
+function attribute(attributes = {}, name) {
+    const key = Object.keys(attributes).find(k => k.toLowerCase() === name.toLowerCase());
+    return key ? attributes[key] : undefined;
+}
+
+/**
+ * Builds an expiring-commitment entry if the end date falls within the window.
+ * @param {Object} params - Commitment type, id, description, end date and utilization, plus now and withinDays
+ * @returns {Object|null}
+ */
+function expiringEntry({ type, id, description, endDateTime, utilizationPct, now, withinDays }) {
+    const endDate = endDateTime ? new Date(endDateTime) : null;
+    if (!endDate || isNaN(endDate.getTime())) return null;
+    const daysLeft = Math.ceil((endDate.getTime() - now.getTime()) / DAY_MS);
+    if (daysLeft < 0 || daysLeft > withinDays) return null;
+    return { type, id, description, endDate: endDate.toISOString().split("T")[0], daysLeft, utilizationPct };
+}
+
+/**
+ * Summarises commitment data for the report. Any input may be null when the
+ * account has no Savings Plans or reservations.
+ * @param {Object} data
+ * @param {Object|null} data.spUtilization - GetSavingsPlansUtilization response
+ * @param {Array<Object>|null} data.spDetails - SavingsPlansUtilizationDetails
+ * @param {Array<Object>|null} data.spCoverage - SavingsPlansCoverages, one per period
+ * @param {Object|null} data.riUtilization - GetReservationUtilization response over time
+ * @param {Object|null} data.riByReservation - GetReservationUtilization response grouped by SUBSCRIPTION_ID
+ * @param {Object|null} data.riCoverage - GetReservationCoverage response
+ * @param {Object} options
+ * @param {Date} [options.now] - Reference time for expiry
+ * @param {number} [options.expiringWithinDays]
+ * @returns {{savingsPlans: Object|null, reservations: Object|null, series: Array<Object>, expiring: Array<Object>}}
+ */
+export function summarizeCommitments(data, { now = new Date(), expiringWithinDays = DEFAULT_EXPIRING_WITHIN_DAYS } = {}) {
+    const { spUtilization, spDetails, spCoverage, riUtilization, riByReservation, riCoverage } = data;
+
+    let savingsPlans = null;
+    if (spUtilization?.Total || spCoverage?.length) {
+        const utilization = spUtilization?.Total?.Utilization || {};
+        const covered = (spCoverage || []).reduce((sum, c) => sum + num(c.Coverage?.SpendCoveredBySavingsPlans), 0);
+        const totalCost = (spCoverage || []).reduce((sum, c) => sum + num(c.Coverage?.TotalCost), 0);
+        savingsPlans = {
+            utilizationPct: utilization.UtilizationPercentage !== undefined ? round(num(utilization.UtilizationPercentage)) : null,
+            totalCommitment: round(num(utilization.TotalCommitment)),
+            usedCommitment: round(num(utilization.UsedCommitment)),
+            unusedCommitment: round(num(utilization.UnusedCommitment)),
+            netSavings: round(num(spUtilization?.Total?.Savings?.NetSavings)),
+            coveragePct: percent(covered, totalCost),
+            onDemandCost: round(totalCost - covered)
+        };
+    }
+
+    let reservations = null;
+    if (riUtilization?.Total || riCoverage?.Total) {
+        const total = riUtilization?.Total || {};
+        const coverageHours = riCoverage?.Total?.CoverageHours || {};
+        reservations = {
+            utilizationPct: total.UtilizationPercentage !== undefined ? round(num(total.UtilizationPercentage)) : null,
+            purchasedHours: round(num(total.PurchasedHours)),
+            unusedHours: round(num(total.UnusedHours)),
+            unusedCost: round(num(total.RICostForUnusedHours)),
+            netSavings: round(num(total.NetRISavings)),
+            coveragePct: coverageHours.CoverageHoursPercentage !== undefined ? round(num(coverageHours.CoverageHoursPercentage)) : null,
+            onDemandCost: round(num(riCoverage?.Total?.CoverageCost?.OnDemandCost))
+        };
+    }
+
+    // One entry per period so the PDF can chart all four percentages side by side
+    const periods = new Map();
+    const entryFor = (start) => {
+        if (!periods.has(start)) {
+            periods.set(start, { period: start, spUtilization: null, spCoverage: null, riUtilization: null, riCoverage: null });
+        }
+        return periods.get(start);
+    };
+    (spUtilization?.SavingsPlansUtilizationsByTime || []).forEach(p => {
+        entryFor(p.TimePeriod.Start).spUtilization = round(num(p.Utilization?.UtilizationPercentage));
+    });
+    (spCoverage || []).forEach(c => {
+        entryFor(c.TimePeriod.Start).spCoverage = percent(num(c.Coverage?.SpendCoveredBySavingsPlans), num(c.Coverage?.TotalCost));
+    });
+    (riUtilization?.UtilizationsByTime || []).forEach(p => {
+        entryFor(p.TimePeriod.Start).riUtilization = round(num(p.Total?.UtilizationPercentage));
+    });
+    (riCoverage?.CoveragesByTime || []).forEach(p => {
+        entryFor(p.TimePeriod.Start).riCoverage = round(num(p.Total?.CoverageHours?.CoverageHoursPercentage));
+    });
+    const series = [...periods.values()].sort((a, b) => a.period.localeCompare(b.period));
+
+    const expiring = [];
+    (riByReservation?.UtilizationsByTime || []).forEach(period => {
+        (period.Groups || []).forEach(group => {
+            const attrs = group.Attributes || {};
+            const entry = expiringEntry({
+                type: "Reserved Instance",
+                id: group.Value || attribute(attrs, "subscriptionId"),
+                description: [attribute(attrs, "numberOfInstances") && `${attribute(attrs, "numberOfInstances")} x`, attribute(attrs, "instanceType"), attribute(attrs, "region")]
+                    .filter(Boolean).join(" "),
+                endDateTime: attribute(attrs, "endDateTime"),
+                utilizationPct: group.Utilization?.UtilizationPercentage !== undefined ? round(num(group.Utilization.UtilizationPercentage)) : null,
+                now,
+                withinDays: expiringWithinDays
+            });
+            if (entry) expiring.push(entry);
+        });
+    });
+    (spDetails || []).forEach(detail => {
+        const attrs = detail.Attributes || {};
+        const entry = expiringEntry({
+            type: "Savings Plan",
+            id: detail.SavingsPlanArn,
+            description: [attribute(attrs, "savingsPlansType"), attribute(attrs, "instanceFamily"), attribute(attrs, "region")].filter(Boolean).join(" "),
+            endDateTime: attribute(attrs, "endDateTime"),
+            utilizationPct: detail.Utilization?.UtilizationPercentage !== undefined ? round(num(detail.Utilization.UtilizationPercentage)) : null,
+            now,
+            withinDays: expiringWithinDays
+        });
+        if (entry) expiring.push(entry);
+    });
+    expiring.sort((a, b) => a.daysLeft - b.daysLeft || String(a.id).localeCompare(String(b.id)));
+
+    return { savingsPlans, reservations, series, expiring };
+}
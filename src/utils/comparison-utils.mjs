@@ -0,0 +1,177 @@
+// Builds period-over-period comparisons from daily GetCostAndUsage results,
+// for periods GetCostAndUsageComparisons cannot take (it only compares full
+// calendar months). No AWS calls are made here.
+import { metricAmount, DEFAULT_COST_METRIC } from "./cost-explorer-utils.mjs";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Normalization used when the two periods differ in length
+export const COMPARISON_NORMALIZATION = {
+    NONE: "none",
+    DAILY_AVERAGE: "daily-average"
+};
+
+const parseDate = (value) => new Date(`${value}T00:00:00Z`);
+
+/**
+ * Number of days in a period with an exclusive end.
+ * @param {{start: string, end: string}} period
+ * @returns {number}
+ */
+export function periodLengthDays(period) {
+    return Math.round((parseDate(period.end).getTime() - parseDate(period.start).getTime()) / DAY_MS);
+}
+
+/**
+ * Whether a period is exactly one calendar month, the only kind of period
+ * GetCostAndUsageComparisons accepts.
+ * @param {{start: string, end: string}} period
+ * @returns {boolean}
+ */
+export function isFullMonthPeriod(period) {
+    const start = parseDate(period.start);
+    const end = parseDate(period.end);
+    return start.getUTCDate() === 1
+        && end.getUTCDate() === 1
+        && end.getUTCFullYear() * 12 + end.getUTCMonth() === start.getUTCFullYear() * 12 + start.getUTCMonth() + 1;
+}
+
+/**
+ * How two periods are made comparable: equal-length periods are compared as
+ * totals, others as average cost per day.
+ * @param {{start: string, end: string}} baseline
+ * @param {{start: string, end: string}} comparison
+ * @returns {{method: string, baselineDays: number, comparisonDays: number}}
+ */
+export function describeNormalization(baseline, comparison) {
+    const baselineDays = periodLengthDays(baseline);
+    const comparisonDays = periodLengthDays(comparison);
+    return {
+        method: baselineDays === comparisonDays ? COMPARISON_NORMALIZATION.NONE : COMPARISON_NORMALIZATION.DAILY_AVERAGE,
+        baselineDays,
+        comparisonDays
+    };
+}
+
+/**
+ * Selector for a group key, in the form GetCostAndUsageComparisons returns.
+ * Tag and cost category keys look like "key$value".
+ * @param {Array<string>} keys - Group keys
+ * @param {Array<Object>} groupBy - Grouping the data was fetched with
+ * @returns {Object} CostAndUsageSelector
+ */
+function selectorForKeys(keys, groupBy) {
+    const selectors = keys.map((key, i) => {
+        const group = groupBy[i] || { Type: "DIMENSION", Key: "SERVICE" };
+        if (group.Type === "DIMENSION") {
+            return { Dimensions: { Key: group.Key, Values: [key] } };
+        }
+        const value = key.includes("$") ? key.slice(key.indexOf("$") + 1) : key;
+        return group.Type === "TAG"
+            ? { Tags: { Key: group.Key, Values: [value] } }
+            : { CostCategories: { Key: group.Key, Values: [value] } };
+    });
+    return selectors.length === 1 ? selectors[0] : { And: selectors };
+}
+
+/**
+ * Adds up a daily result per group key and per day.
+ * @param {Object} data - GetCostAndUsage result at DAILY granularity
+ * @param {string} metric
+ * @returns {{groups: Map<string, {keys: Array<string>, amount: number}>, daily: Array<{date: string, amount: number}>, total: number, unit: string|undefined}}
+ */
+function totalsByGroup(data, metric) {
+    const groups = new Map();
+    let unit;
+    const daily = (data.ResultsByTime || []).map(period => {
+        let amount = 0;
+        if (period.Groups?.length) {
+            period.Groups.forEach(group => {
+                const value = metricAmount(group.Metrics, metric);
+                const id = group.Keys.join("\u0000");
+                const entry = groups.get(id) || { keys: group.Keys, amount: 0 };
+                entry.amount += value;
+                groups.set(id, entry);
+                amount += value;
+                unit = unit || group.Metrics?.[metric]?.Unit;
+            });
+        } else {
+            amount = metricAmount(period.Total, metric);
+            unit = unit || period.Total?.[metric]?.Unit;
+        }
+        return { date: period.TimePeriod.Start, amount };
+    });
+    return { groups, daily, total: daily.reduce((sum, day) => sum + day.amount, 0), unit };
+}
+
+const toAmount = (value) => String(Math.round(value * 1e6) / 1e6);
+
+/**
+ * Compares two periods from their daily costs. The result has the shape of
+ * a GetCostAndUsageComparisons response, so prompts, fact checks and totals
+ * treat both alike. When the periods differ in length every amount in it is
+ * an average per day; the raw totals are kept in PeriodTotals. DailyCosts
+ * holds the per-day totals for charts.
+ * @param {Object} params
+ * @param {Object} params.baselineData - Daily GetCostAndUsage result for the baseline period
+ * @param {Object} params.comparisonData - Daily GetCostAndUsage result for the comparison period
+ * @param {{start: string, end: string}} params.baseline
+ * @param {{start: string, end: string}} params.comparison
+ * @param {Array<Object>} params.groupBy - Grouping both results were fetched with
+ * @param {string} [params.metric] - Key of COST_METRICS
+ * @returns {Object}
+ */
+export function buildPeriodComparison({ baselineData, comparisonData, baseline, comparison, groupBy, metric = DEFAULT_COST_METRIC }) {
+    const normalization = describeNormalization(baseline, comparison);
+    const averaged = normalization.method === COMPARISON_NORMALIZATION.DAILY_AVERAGE;
+    const baselineTotals = totalsByGroup(baselineData, metric);
+    const comparisonTotals = totalsByGroup(comparisonData, metric);
+    const unit = comparisonTotals.unit || baselineTotals.unit;
+    const scale = (value, days) => (averaged ? value / Math.max(days, 1) : value);
+
+    const entry = (baselineAmount, comparisonAmount) => {
+        const baselineValue = scale(baselineAmount, normalization.baselineDays);
+        const comparisonValue = scale(comparisonAmount, normalization.comparisonDays);
+        return {
+            BaselineTimePeriodAmount: toAmount(baselineValue),
+            ComparisonTimePeriodAmount: toAmount(comparisonValue),
+            Difference: toAmount(comparisonValue - baselineValue),
+            Unit: unit
+        };
+    };
+
+    const ids = new Set([...baselineTotals.groups.keys(), ...comparisonTotals.groups.keys()]);
+    const comparisons = [...ids].map(id => {
+        const keys = (comparisonTotals.groups.get(id) || baselineTotals.groups.get(id)).keys;
+        return {
+            CostAndUsageSelector: selectorForKeys(keys, groupBy),
+            Metrics: { [metric]: entry(baselineTotals.groups.get(id)?.amount || 0, comparisonTotals.groups.get(id)?.amount || 0) }
+        };
+    });
+
+    return {
+        BaselineTimePeriod: baseline,
+        ComparisonTimePeriod: comparison,
+        Normalization: normalization,
+        CostAndUsageComparisons: comparisons,
+        TotalCostAndUsage: { [metric]: entry(baselineTotals.total, comparisonTotals.total) },
+        PeriodTotals: {
+            [metric]: { BaselineTimePeriodAmount: toAmount(baselineTotals.total), ComparisonTimePeriodAmount: toAmount(comparisonTotals.total), Unit: unit }
+        },
+        DailyCosts: { baseline: baselineTotals.daily, comparison: comparisonTotals.daily }
+    };
+}
+
+/**
+ * One-sentence description of how the periods were compared, for prompts
+ * and PDFs. Null when equal-length periods were compared as totals.
+ * @param {Object} comparisonData - Comparison result with Normalization
+ * @returns {string|null}
+ */
+export function describeComparisonNormalization(comparisonData) {
+    const normalization = comparisonData?.Normalization;
+    if (!normalization || normalization.method !== COMPARISON_NORMALIZATION.DAILY_AVERAGE) {
+        return null;
+    }
+    return `The periods differ in length (baseline ${normalization.baselineDays} days, comparison ${normalization.comparisonDays} days), so amounts are compared as average cost per day.`;
+}
@@ -1,7 +1,563 @@
-import { CostExplorerClient, GetCostAndUsageCommand, GetCostAndUsageComparisonsCommand, GetCostAndUsageWithResourcesCommand } from "@aws-sdk/client-cost-explorer";
+import {
+    CostExplorerClient,
+    GetCostAndUsageCommand,
+    GetCostAndUsageComparisonsCommand,
+    GetCostAndUsageWithResourcesCommand,
+    GetCostForecastCommand,
+    GetDimensionValuesCommand,
+    GetSavingsPlansUtilizationCommand,
+    GetSavingsPlansUtilizationDetailsCommand,
+    GetSavingsPlansCoverageCommand,
+    GetReservationUtilizationCommand,
+    GetReservationCoverageCommand,
+    GetRightsizingRecommendationCommand
+} from "@aws-sdk/client-cost-explorer";
+import { STSClient, AssumeRoleCommand } from "@aws-sdk/client-sts";
 
 const region = process.env.AWS_REGION || 'ap-south-1';
 const ceClient = new CostExplorerClient({ region });
+const stsClient = new STSClient({ region });
+
+// Cost Explorer clients for cross-account roles, by role ARN
+const roleClients = new Map();
+
+// Assumed role credentials are renewed this long before they expire
+const CREDENTIAL_REFRESH_MS = 5 * 60 * 1000;
+
+/**
+ * Credential provider that assumes a cross-account role and renews the
+ * session shortly before it expires.
+ * @param {string} roleArn
+ * @param {string} [externalId] - External ID required by the role's trust policy
+ * @returns {function(): Promise<Object>}
+ */
+function assumedRoleCredentials(roleArn, externalId) {
+    let cached = null;
+    return async () => {
+        if (cached && cached.expiration.getTime() - Date.now() > CREDENTIAL_REFRESH_MS) {
+            return cached;
+        }
+        const { Credentials } = await stsClient.send(new AssumeRoleCommand({
+            RoleArn: roleArn,
+            RoleSessionName: "cost-reports",
+            ...(externalId ? { ExternalId: externalId } : {})
+        }));
+        cached = {
+            accessKeyId: Credentials.AccessKeyId,
+            secretAccessKey: Credentials.SecretAccessKey,
+            sessionToken: Credentials.SessionToken,
+            expiration: new Date(Credentials.Expiration)
+        };
+        return cached;
+    };
+}
+
+/**
+ * Cost Explorer client for an account source. Without a role the Lambda's
+ * own credentials are used, i.e. the account the stack is deployed in.
+ * @param {{roleArn?: string, externalId?: string}|null} source - See planAccountSources
+ * @returns {CostExplorerClient}
+ */
+function clientFor(source) {
+    if (!source?.roleArn) {
+        return ceClient;
+    }
+    if (!roleClients.has(source.roleArn)) {
+        roleClients.set(source.roleArn, new CostExplorerClient({ region, credentials: assumedRoleCredentials(source.roleArn, source.externalId) }));
+    }
+    return roleClients.get(source.roleArn);
+}
+
+// Dimensions Cost Explorer can group costs by (RECORD_TYPE is left out: credits and refunds are filtered)
+export const GROUP_BY_DIMENSIONS = [
+    "SERVICE", "LINKED_ACCOUNT", "REGION", "AZ", "USAGE_TYPE", "USAGE_TYPE_GROUP", "OPERATION",
+    "INSTANCE_TYPE", "INSTANCE_TYPE_FAMILY", "PLATFORM", "OPERATING_SYSTEM", "TENANCY",
+    "PURCHASE_TYPE", "DATABASE_ENGINE", "DEPLOYMENT_OPTION", "CACHE_ENGINE", "LEGAL_ENTITY_NAME",
+    "INVOICING_ENTITY", "BILLING_ENTITY", "SAVINGS_PLAN_ARN", "RESERVATION_ID"
+];
+
+// Cost Explorer accepts at most two GroupBy entries
+const MAX_GROUP_BY = 2;
+
+const DEFAULT_GROUP_BY = [{ Type: "DIMENSION", Key: "SERVICE" }];
+
+// Metrics a report can be run on, keyed by the Cost Explorer metric name.
+// forecastMetric is the GetCostForecast name; usage quantities cannot be cost-forecast.
+export const COST_METRICS = {
+    UnblendedCost: { label: "Unblended Cost", forecastMetric: "UNBLENDED_COST", aliases: ["unblended"] },
+    AmortizedCost: { label: "Amortized Cost", forecastMetric: "AMORTIZED_COST", aliases: ["amortized", "amortised"] },
+    BlendedCost: { label: "Blended Cost", forecastMetric: "BLENDED_COST", aliases: ["blended"] },
+    NetAmortizedCost: { label: "Net Amortized Cost", forecastMetric: "NET_AMORTIZED_COST", aliases: ["net amortized", "net amortised"] },
+    NetUnblendedCost: { label: "Net Unblended Cost", forecastMetric: "NET_UNBLENDED_COST", aliases: ["net unblended"] },
+    UsageQuantity: { label: "Usage Quantity", forecastMetric: null, aliases: ["usage", "usage quantity"], usage: true }
+};
+
+export const DEFAULT_COST_METRIC = "UnblendedCost";
+
+/**
+ * Resolves the metric of a parsed query to a Cost Explorer metric name.
+ * Accepts the metric name ("AmortizedCost"), the forecast style name
+ * ("AMORTIZED_COST") or a short alias ("net amortized").
+ * @param {string} [metric] - Metric from the parsed query; defaults to UnblendedCost
+ * @returns {string} Key of COST_METRICS
+ */
+export function resolveCostMetric(metric) {
+    if (metric === undefined || metric === null || metric === "") {
+        return DEFAULT_COST_METRIC;
+    }
+    const wanted = String(metric).trim().toLowerCase().replace(/[_\s-]+/g, " ");
+    const compact = wanted.replace(/ /g, "");
+    const match = Object.entries(COST_METRICS).find(([name, m]) =>
+        name.toLowerCase() === compact
+        || (m.forecastMetric && m.forecastMetric.toLowerCase().replace(/_/g, "") === compact)
+        || m.aliases.includes(wanted)
+        || m.aliases.includes(wanted.replace(/ cost$/, "")));
+    if (!match) {
+        throw new Error(`Invalid metric: ${metric}. Use one of ${Object.keys(COST_METRICS).join(", ")}`);
+    }
+    return match[0];
+}
+
+/**
+ * Whether a metric measures usage rather than money.
+ * @param {string} metric - Key of COST_METRICS
+ * @returns {boolean}
+ */
+export function isUsageMetric(metric) {
+    return Boolean(COST_METRICS[metric]?.usage);
+}
+
+/**
+ * Reads the amount of a metric from a Metrics map of a Cost Explorer result.
+ * @param {Object} metrics - Metrics of a group or period Total
+ * @param {string} metric - Key of COST_METRICS
+ * @returns {number}
+ */
+export function metricAmount(metrics, metric = DEFAULT_COST_METRIC) {
+    return parseFloat(metrics?.[metric]?.Amount || "0");
+}
+
+/**
+ * Formats an amount of a metric with its unit: "$12.50" for USD costs,
+ * "12.50 EUR" for other currencies and "12.50 Hrs" for usage. Usage summed
+ * across services has no single unit and is shown as "units".
+ * @param {number} value
+ * @param {string} metric - Key of COST_METRICS
+ * @param {string} [unit] - Unit returned by Cost Explorer
+ * @returns {string}
+ */
+export function formatMetricAmount(value, metric = DEFAULT_COST_METRIC, unit) {
+    if (isUsageMetric(metric)) {
+        return `${value.toFixed(2)} ${unit && unit !== "N/A" ? unit : "units"}`;
+    }
+    return unit && unit !== "USD" ? `${value.toFixed(2)} ${unit}` : `$${value.toFixed(2)}`;
+}
+
+/**
+ * The unit all groups of grouped results report a metric in, for formatting
+ * amounts added up across groups. Usage of different services is often
+ * counted in different units, in which case there is no shared unit.
+ * @param {Array<Object>} resultsByTime - ResultsByTime from GetCostAndUsage
+ * @param {string} metric - Key of COST_METRICS
+ * @returns {string|undefined}
+ */
+export function sharedMetricUnit(resultsByTime = [], metric = DEFAULT_COST_METRIC) {
+    const units = new Set(resultsByTime.flatMap(period => (period.Groups || [])
+        .map(group => group.Metrics?.[metric]?.Unit)
+        .filter(Boolean)));
+    return units.size === 1 ? [...units][0] : undefined;
+}
+
+/**
+ * Builds a Cost Explorer GroupBy from the grouping in a parsed query.
+ * Entries are dimension names ("SERVICE", "region"), "tag:<key>" for cost
+ * allocation tags or "costcategory:<name>" for cost categories.
+ * @param {Array<string>|string} groupBy - One or two grouping entries; defaults to SERVICE
+ * @returns {Array<Object>} Cost Explorer GroupBy array
+ */
+export function buildGroupBy(groupBy) {
+    const specs = (Array.isArray(groupBy) ? groupBy : [groupBy]).filter(Boolean);
+    if (specs.length === 0) {
+        return DEFAULT_GROUP_BY;
+    }
+    if (specs.length > MAX_GROUP_BY) {
+        throw new Error(`Invalid group by: at most ${MAX_GROUP_BY} groupings are supported`);
+    }
+
+    const result = specs.map(spec => {
+        const [prefix, ...rest] = String(spec).trim().split(":");
+        const name = rest.join(":").trim();
+        if (rest.length > 0 && prefix.toLowerCase() === "tag" && name) {
+            return { Type: "TAG", Key: name };
+        }
+        if (rest.length > 0 && prefix.toLowerCase().replace(/[_\s-]/g, "") === "costcategory" && name) {
+            return { Type: "COST_CATEGORY", Key: name };
+        }
+        const dimension = String(spec).trim().toUpperCase().replace(/[\s-]+/g, "_");
+        if (!GROUP_BY_DIMENSIONS.includes(dimension)) {
+            throw new Error(`Invalid group by: ${spec}`);
+        }
+        return { Type: "DIMENSION", Key: dimension };
+    });
+
+    if (new Set(result.map(g => `${g.Type}:${g.Key}`)).size !== result.length) {
+        throw new Error("Invalid group by: the same grouping is used twice");
+    }
+    return result;
+}
+
+/**
+ * Human readable labels for a Cost Explorer GroupBy, e.g. ["Service", "Region"] or ["team tag"]
+ * @param {Array<Object>} groupBy - Cost Explorer GroupBy array
+ * @returns {Array<string>}
+ */
+export function describeGroupBy(groupBy = DEFAULT_GROUP_BY) {
+    return groupBy.map(g => {
+        if (g.Type === "TAG") return `${g.Key} tag`;
+        if (g.Type === "COST_CATEGORY") return `${g.Key} cost category`;
+        return g.Key.toLowerCase().split("_").map(w => w === "az" ? "AZ" : w.charAt(0).toUpperCase() + w.slice(1)).join(" ");
+    });
+}
+
+/**
+ * Describes which dates of a resource report are resource-granular and
+ * which are only available by service, for prompts and PDFs. Null when the
+ * data has no Segments (every date has the same grouping).
+ * @param {Object} data - Resource report data with Segments
+ * @returns {string|null}
+ */
+export function describeDataSegments(data) {
+    if (!data?.Segments?.length) {
+        return null;
+    }
+    return data.Segments.map(segment => {
+        const grouping = segment.groupLabels.join(" and then by ");
+        return segment.granularity === "resource"
+            ? `${segment.start} to ${segment.end} (exclusive) is resource-level data, grouped by ${grouping}`
+            : `${segment.start} to ${segment.end} (exclusive) is older than the resource-level data Cost Explorer keeps, so it is grouped by ${grouping} instead of by resource`;
+    }).join("; ") + ".";
+}
+
+/**
+ * Formats a group key for display. Tag and cost category keys come back as
+ * "key$value"; an empty value means the cost is untagged.
+ * @param {string} key - Group key from Cost Explorer
+ * @returns {string}
+ */
+export function formatGroupKey(key) {
+    const separator = key.indexOf("$");
+    if (separator === -1) return key;
+    const value = key.slice(separator + 1);
+    return `${key.slice(0, separator)}: ${value || "(untagged)"}`;
+}
+
+/**
+ * Formats the selector of a cost comparison entry, e.g. "Amazon EC2 / us-east-1"
+ * @param {Object} selector - CostAndUsageSelector from GetCostAndUsageComparisons
+ * @returns {string}
+ */
+export function formatCostSelector(selector) {
+    if (!selector) return "Unknown";
+    if (Array.isArray(selector.And)) {
+        return selector.And.map(formatCostSelector).join(" / ");
+    }
+    if (selector.Dimensions) return selector.Dimensions.Values?.[0] || "Unknown";
+    if (selector.Tags) return `${selector.Tags.Key}: ${selector.Tags.Values?.[0] || "(untagged)"}`;
+    if (selector.CostCategories) return `${selector.CostCategories.Key}: ${selector.CostCategories.Values?.[0] || "(uncategorized)"}`;
+    return "Unknown";
+}
+
+// Credits and refunds would hide real spend, so every query excludes them
+export const CREDIT_REFUND_EXCLUSION = { Not: { Dimensions: { Key: "RECORD_TYPE", Values: ["Credit", "Refund"] } } };
+
+// Dimensions a query may filter on; RECORD_TYPE is reserved for the credit/refund exclusion
+const FILTER_DIMENSIONS = [...GROUP_BY_DIMENSIONS, "RESOURCE_ID"];
+
+// Nesting limit for and/or/not, well above anything a sentence produces
+const MAX_FILTER_DEPTH = 5;
+
+// Short names people use for services, mapped to Cost Explorer SERVICE values
+export const SERVICE_ALIASES = {
+    "ec2": "Amazon Elastic Compute Cloud - Compute",
+    "s3": "Amazon Simple Storage Service",
+    "rds": "Amazon Relational Database Service",
+    "lambda": "AWS Lambda",
+    "dynamodb": "Amazon DynamoDB",
+    "cloudfront": "Amazon CloudFront",
+    "cloudwatch": "AmazonCloudWatch",
+    "ecs": "Amazon Elastic Container Service",
+    "eks": "Amazon Elastic Container Service for Kubernetes",
+    "elasticache": "Amazon ElastiCache",
+    "vpc": "Amazon Virtual Private Cloud",
+    "route 53": "Amazon Route 53",
+    "route53": "Amazon Route 53",
+    "sqs": "Amazon Simple Queue Service",
+    "sns": "Amazon Simple Notification Service",
+    "ses": "Amazon Simple Email Service",
+    "bedrock": "Amazon Bedrock",
+    "api gateway": "Amazon API Gateway",
+    "kms": "AWS Key Management Service"
+};
+
+/**
+ * ANDs filters together, dropping empty ones and flattening nested Ands.
+ * @param {...Object} filters - Cost Explorer filter expressions or null
+ * @returns {Object|null} A single expression, or null when nothing is left
+ */
+export function combineFilters(...filters) {
+    const parts = filters
+        .filter(Boolean)
+        .flatMap(f => (Array.isArray(f.And) ? f.And : [f]));
+    if (parts.length === 0) return null;
+    return parts.length === 1 ? parts[0] : { And: parts };
+}
+
+/**
+ * Adds the credit/refund exclusion to a filter.
+ * @param {Object|null} filter
+ * @returns {Object}
+ */
+function withCreditRefundExclusion(filter) {
+    return combineFilters(filter, CREDIT_REFUND_EXCLUSION);
+}
+
+/**
+ * Compiles the structured filter from a parsed query into a Cost Explorer
+ * filter expression, validating it on the way. The credit/refund exclusion is
+ * not part of the result; the query helpers add it.
+ *
+ * Accepted nodes:
+ * - { dimension: "REGION", values: ["us-east-1"] }
+ * - { tag: "team", values: ["core"] }   (an empty string value matches untagged costs)
+ * - { costCategory: "Department", values: ["Finance"] }
+ * - { and: [node, ...] }, { or: [node, ...] }, { not: node }
+ * An array of nodes is treated as "and".
+ * @param {Object|Array<Object>} spec - Filter from the parsed query
+ * @returns {Object|null} Cost Explorer filter expression, or null for an empty filter
+ */
+export function compileFilter(spec) {
+    if (spec == null || (Array.isArray(spec) && spec.length === 0)) {
+        return null;
+    }
+    return compileFilterNode(spec, "filters", 1);
+}
+
+/**
+ * Compiles one node of a structured filter; path is used in error messages.
+ * @param {Object|Array<Object>} node
+ * @param {string} path - Location of the node, e.g. "filters.and[1]"
+ * @param {number} depth - Nesting depth of the node
+ * @returns {Object} Cost Explorer filter expression
+ */
+function compileFilterNode(node, path, depth) {
+    if (depth > MAX_FILTER_DEPTH) {
+        throw new Error(`Invalid filter: ${path} is nested more than ${MAX_FILTER_DEPTH} levels deep`);
+    }
+    if (Array.isArray(node)) {
+        return compileFilterNode({ and: node }, path, depth);
+    }
+    if (!node || typeof node !== "object") {
+        throw new Error(`Invalid filter: ${path} must be an object`);
+    }
+
+    for (const op of ["and", "or"]) {
+        if (node[op] !== undefined) {
+            if (!Array.isArray(node[op]) || node[op].length === 0) {
+                throw new Error(`Invalid filter: ${path}.${op} must be a non-empty array`);
+            }
+            const children = node[op].map((child, i) => compileFilterNode(child, `${path}.${op}[${i}]`, depth + 1));
+            // Cost Explorer rejects And/Or with a single operand
+            return children.length === 1 ? children[0] : { [op === "and" ? "And" : "Or"]: children };
+        }
+    }
+    if (node.not !== undefined) {
+        return { Not: compileFilterNode(node.not, `${path}.not`, depth + 1) };
+    }
+
+    if (node.dimension === undefined && node.tag === undefined && node.costCategory === undefined) {
+        throw new Error(`Invalid filter: ${path} needs one of dimension, tag, costCategory, and, or, not`);
+    }
+    const values = node.values;
+    if (!Array.isArray(values) || values.length === 0 || values.some(v => typeof v !== "string")) {
+        throw new Error(`Invalid filter: ${path}.values must be a non-empty array of strings`);
+    }
+    if (node.tag !== undefined) {
+        if (typeof node.tag !== "string" || !node.tag.trim()) {
+            throw new Error(`Invalid filter: ${path}.tag must be a tag key`);
+        }
+        const key = node.tag.trim();
+        const tagged = values.filter(v => v !== "");
+        // Untagged costs are matched with ABSENT rather than an empty value
+        const untagged = values.length > tagged.length ? { Tags: { Key: key, MatchOptions: ["ABSENT"] } } : null;
+        if (!untagged) return { Tags: { Key: key, Values: tagged } };
+        return tagged.length ? { Or: [{ Tags: { Key: key, Values: tagged } }, untagged] } : untagged;
+    }
+    if (node.costCategory !== undefined) {
+        if (typeof node.costCategory !== "string" || !node.costCategory.trim()) {
+            throw new Error(`Invalid filter: ${path}.costCategory must be a cost category name`);
+        }
+        return { CostCategories: { Key: node.costCategory.trim(), Values: values } };
+    }
+    const dimension = String(node.dimension).trim().toUpperCase().replace(/[\s-]+/g, "_");
+    if (!FILTER_DIMENSIONS.includes(dimension)) {
+        throw new Error(`Invalid filter: ${path}.dimension "${node.dimension}" is not supported`);
+    }
+    const resolved = dimension === "SERVICE"
+        ? values.map(v => SERVICE_ALIASES[v.trim().toLowerCase()] || v)
+        : values;
+    return { Dimensions: { Key: dimension, Values: resolved } };
+}
+
+/**
+ * Replaces linked account names in a compiled filter with account IDs, so
+ * users can say "exclude the sandbox account". Names are matched against the
+ * account descriptions Cost Explorer returns for the period, exact match first.
+ * @param {Object|null} filter - Compiled filter expression
+ * @param {Object} period - { start: string, end: string } used to look up accounts
+ * @param {Object} [source] - Account source to look the names up in; defaults to the Lambda's account
+ * @returns {Promise<Object|null>} Filter with only account IDs
+ */
+export async function resolveLinkedAccountNames(filter, period, source = null) {
+    const names = new Set();
+    const collect = (node) => {
+        if (!node) return;
+        (node.And || node.Or || []).forEach(collect);
+        collect(node.Not);
+        if (node.Dimensions?.Key === "LINKED_ACCOUNT") {
+            node.Dimensions.Values.filter(v => !/^\d{12}$/.test(v)).forEach(v => names.add(v));
+        }
+    };
+    collect(filter);
+    if (names.size === 0) return filter;
+
+    const accounts = [];
+    let nextPageToken;
+    do {
+        const response = await clientFor(source).send(new GetDimensionValuesCommand({
+            TimePeriod: { Start: period.start, End: period.end },
+            Dimension: "LINKED_ACCOUNT",
+            Context: "COST_AND_USAGE",
+            NextPageToken: nextPageToken
+        }));
+        (response.DimensionValues || []).forEach(d => accounts.push({ id: d.Value, name: (d.Attributes?.description || "").toLowerCase() }));
+        nextPageToken = response.NextPageToken;
+    } while (nextPageToken);
+
+    const idFor = (name) => {
+        const wanted = name.trim().toLowerCase();
+        const match = accounts.find(a => a.name === wanted) || accounts.find(a => a.name.includes(wanted));
+        if (!match) {
+            throw new Error(`Invalid filter: no linked account named "${name}"`);
+        }
+        return match.id;
+    };
+    const replace = (node) => {
+        if (!node) return node;
+        if (node.And) return { And: node.And.map(replace) };
+        if (node.Or) return { Or: node.Or.map(replace) };
+        if (node.Not) return { Not: replace(node.Not) };
+        if (node.Dimensions?.Key === "LINKED_ACCOUNT") {
+            const ids = node.Dimensions.Values.map(v => (/^\d{12}$/.test(v) ? v : idFor(v)));
+            return { Dimensions: { ...node.Dimensions, Values: [...new Set(ids)] } };
+        }
+        return node;
+    };
+    return replace(filter);
+}
+
+/**
+ * Sends a GetCostAndUsage or GetCostAndUsageWithResources request and
+ * follows NextPageToken until every page is read. Later pages repeat a time
+ * period with the groups that did not fit on earlier pages, so groups are
+ * appended to the period they belong to.
+ * @param {CostExplorerClient} client
+ * @param {Function} Command - Command class to send
+ * @param {Object} params - Request parameters without NextPageToken
+ * @returns {Promise<Object>} Response with ResultsByTime, GroupDefinitions and DimensionValueAttributes of all pages
+ */
+async function sendAllCostAndUsagePages(client, Command, params) {
+    const periods = new Map();
+    const attributes = new Map();
+    let groupDefinitions;
+    let pages = 0;
+    let nextPageToken;
+    do {
+        const response = await client.send(new Command({ ...params, NextPageToken: nextPageToken }));
+        pages++;
+        groupDefinitions = groupDefinitions || response.GroupDefinitions;
+        (response.ResultsByTime || []).forEach(period => {
+            const merged = periods.get(period.TimePeriod.Start);
+            if (!merged) {
+                periods.set(period.TimePeriod.Start, { ...period, Groups: [...(period.Groups || [])] });
+                return;
+            }
+            merged.Groups.push(...(period.Groups || []));
+            if (!merged.Total || Object.keys(merged.Total).length === 0) {
+                merged.Total = period.Total;
+            }
+            merged.Estimated = merged.Estimated || period.Estimated;
+        });
+        (response.DimensionValueAttributes || []).forEach(attr => attributes.set(attr.Value, attr));
+        nextPageToken = response.NextPageToken;
+    } while (nextPageToken);
+
+    if (pages > 1) {
+        console.log(JSON.stringify({ level: 'info', msg: 'Read paginated Cost Explorer result', command: Command.name, pages }));
+    }
+    return {
+        GroupDefinitions: groupDefinitions,
+        ResultsByTime: [...periods.values()],
+        DimensionValueAttributes: [...attributes.values()]
+    };
+}
+
+// Groups kept by name when a result is condensed for prompts and PDFs
+export const TOP_GROUPS_LIMIT = 25;
+
+/**
+ * Condenses a GetCostAndUsage result to the groups with the largest totals
+ * over the whole result. The remaining groups are added up into one
+ * "Other (n more)" group per period, so period totals do not change. Results
+ * with at most `limit` groups are returned as they are.
+ * @param {Object} data - Result with ResultsByTime
+ * @param {Object} [options]
+ * @param {number} [options.limit] - Number of groups to keep by name
+ * @param {string} [options.metric] - Key of COST_METRICS used to rank groups
+ * @returns {Object} Result with at most limit + 1 groups per period
+ */
+export function collapseSmallGroups(data, { limit = TOP_GROUPS_LIMIT, metric = DEFAULT_COST_METRIC } = {}) {
+    const totals = new Map();
+    (data?.ResultsByTime || []).forEach(period => {
+        (period.Groups || []).forEach(group => {
+            const id = group.Keys.join("\u0000");
+            totals.set(id, (totals.get(id) || 0) + Math.abs(metricAmount(group.Metrics, metric)));
+        });
+    });
+    if (totals.size <= limit) {
+        return data;
+    }
+
+    const kept = new Set([...totals.entries()].sort((a, b) => b[1] - a[1]).slice(0, limit).map(([id]) => id));
+    const otherKey = `Other (${totals.size - limit} more)`;
+    return {
+        ...data,
+        ResultsByTime: data.ResultsByTime.map(period => {
+            if (!period.Groups?.length) return period;
+            let otherAmount = 0;
+            let otherUnit;
+            const groups = period.Groups.filter(group => {
+                if (kept.has(group.Keys.join("\u0000"))) return true;
+                otherAmount += metricAmount(group.Metrics, metric);
+                otherUnit = otherUnit || group.Metrics?.[metric]?.Unit;
+                return false;
+            });
+            if (groups.length < period.Groups.length) {
+                groups.push({ Keys: [otherKey], Metrics: { [metric]: { Amount: String(otherAmount), Unit: otherUnit } } });
+            }
+            return { ...period, Groups: groups };
+        })
+    };
+}
 
 /**
  * Get cost and usage data for a specific time period
@@ -10,28 +566,26 @@ const ceClient = new CostExplorerClient({ region });
  * @param {string} params.endDate - End date in YYYY-MM-DD format
  * @param {string} params.granularity - DAILY or MONTHLY
  * @param {Array} params.groupBy - Array of group by objects
- * @param {Object} params.filter - Optional filter object
- * @returns {Promise<Object>} Cost and usage data
+ * @param {Object} params.filter - Optional filter, combined with the credit/refund exclusion
+ * @param {string} params.metric - Key of COST_METRICS; defaults to UnblendedCost
+ * @param {Object} params.source - Account source to query (see planAccountSources); defaults to the Lambda's account
+ * @returns {Promise<Object>} Cost and usage data across all pages
  */
-export async function getCostAndUsage({ startDate, endDate, granularity = "DAILY", groupBy = [{ Type: "DIMENSION", Key: "SERVICE" }], filter = null }) {
+export async function getCostAndUsage({ startDate, endDate, granularity = "DAILY", groupBy = DEFAULT_GROUP_BY, filter = null, metric = DEFAULT_COST_METRIC, source = null }) {
     const params = {
         TimePeriod: {
             Start: startDate,
             End: endDate,
         },
         Granularity: granularity,
-        Metrics: ["UnblendedCost"],
+        Metrics: [metric],
         GroupBy: groupBy,
     };
 
-    if (filter) {
-        params.Filter = filter;
-    } else {
-        // Default filter to exclude credits and refunds
-        params.Filter = { Not: { Dimensions: { Key: "RECORD_TYPE", Values: ["Credit", "Refund"] } } };
-    }
+    // Credits and refunds are always excluded, on top of any caller filter
+    params.Filter = withCreditRefundExclusion(filter);
 
-    return await ceClient.send(new GetCostAndUsageCommand(params));
+    return await sendAllCostAndUsagePages(clientFor(source), GetCostAndUsageCommand, params);
 }
 
 /**
@@ -39,19 +593,21 @@ export async function getCostAndUsage({ startDate, endDate, granularity = "DAILY
  * @param {Object} params
  * @param {Object} params.baselineTimePeriod - { start: string, end: string }
  * @param {Object} params.comparisonTimePeriod - { start: string, end: string }
- * @param {string} params.metricForComparison - Metric to compare (e.g., "UnblendedCost")
+ * @param {string} params.metricForComparison - Key of COST_METRICS to compare (e.g., "AmortizedCost")
  * @param {string} params.granularity - DAILY or MONTHLY
  * @param {Array} params.groupBy - Array of group by objects
- * @param {Object} params.filter - Optional filter object
- * @returns {Promise<Object>} Cost comparison data
+ * @param {Object} params.filter - Optional filter, combined with the credit/refund exclusion
+ * @param {Object} params.source - Account source to query; defaults to the Lambda's account
+ * @returns {Promise<Object>} Cost comparison data across all pages
  */
 export async function getCostAndUsageComparisons({ 
     baselineTimePeriod, 
     comparisonTimePeriod, 
-    metricForComparison = "UnblendedCost", 
+    metricForComparison = DEFAULT_COST_METRIC, 
     granularity = "MONTHLY", 
-    groupBy = [{ Type: "DIMENSION", Key: "SERVICE" }], 
-    filter = null 
+    groupBy = DEFAULT_GROUP_BY, 
+    filter = null,
+    source = null
 }) {
     const params = {
         BaselineTimePeriod: { Start: baselineTimePeriod.start, End: baselineTimePeriod.end },
@@ -61,45 +617,44 @@ export async function getCostAndUsageComparisons({
         GroupBy: groupBy,
     };
 
-    if (filter) {
-        params.Filter = filter;
-    } else {
-        // Default filter to exclude credits and refunds
-        params.Filter = { Not: { Dimensions: { Key: "RECORD_TYPE", Values: ["Credit", "Refund"] } } };
-    }
+    // Credits and refunds are always excluded, on top of any caller filter
+    params.Filter = withCreditRefundExclusion(filter);
 
-    return await ceClient.send(new GetCostAndUsageComparisonsCommand(params));
+    const result = { CostAndUsageComparisons: [], TotalCostAndUsage: null };
+    let nextPageToken;
+    do {
+        const response = await clientFor(source).send(new GetCostAndUsageComparisonsCommand({ ...params, NextPageToken: nextPageToken }));
+        result.TotalCostAndUsage = result.TotalCostAndUsage || response.TotalCostAndUsage;
+        result.CostAndUsageComparisons.push(...(response.CostAndUsageComparisons || []));
+        nextPageToken = response.NextPageToken;
+    } while (nextPageToken);
+    return result;
 }
 
 /**
- * Helper function to convert period objects to full calendar months
- * @param {Object} period - { start: string, end: string }
- * @returns {Object} Full calendar month period
- */
-export function toFullMonthPeriod(period) {
-    const start = new Date(period.start);
-    const startYear = start.getFullYear();
-    const startMonth = start.getMonth();
-    const coercedStart = new Date(startYear, startMonth, 1);
-    const coercedEnd = new Date(startYear, startMonth + 1, 1); // first of next month
-    return {
-        start: coercedStart.toISOString().slice(0, 10),
-        end: coercedEnd.toISOString().slice(0, 10)
-    };
-}
-
-/**
- * Prepare periods for AWS Cost Explorer comparison (baseline must be earlier)
+ * Prepare periods for a comparison (baseline must be earlier). Periods are
+ * compared as given; see comparison-utils for how unequal lengths are handled.
  * @param {Object} period1 - { start: string, end: string }
  * @param {Object} period2 - { start: string, end: string }
  * @returns {Object} { baseline, comparison } with properly ordered periods
+ * @throws {Error} When a period is not a valid date range or both start on the same day
  */
 export function prepareComparisonPeriods(period1, period2) {
-    const normalizedPeriod1 = toFullMonthPeriod(period1);
-    const normalizedPeriod2 = toFullMonthPeriod(period2);
-    
-    // Baseline must be the earlier month, comparison the later month
-    if (new Date(normalizedPeriod1.start) < new Date(normalizedPeriod2.start)) {
+    [period1, period2].forEach(period => {
+        const start = new Date(period.start);
+        const end = new Date(period.end);
+        if (isNaN(start.getTime()) || isNaN(end.getTime()) || start >= end) {
+            throw new Error(`Invalid comparison period: ${period.start} to ${period.end}`);
+        }
+    });
+    const normalizedPeriod1 = { start: String(period1.start).slice(0, 10), end: String(period1.end).slice(0, 10) };
+    const normalizedPeriod2 = { start: String(period2.start).slice(0, 10), end: String(period2.end).slice(0, 10) };
+    if (normalizedPeriod1.start === normalizedPeriod2.start) {
+        throw new Error("Invalid comparison periods: both periods start on the same day");
+    }
+
+    // Baseline must be the earlier period, comparison the later one
+    if (normalizedPeriod1.start < normalizedPeriod2.start) {
         return { baseline: normalizedPeriod1, comparison: normalizedPeriod2 };
     } else {
         return { baseline: normalizedPeriod2, comparison: normalizedPeriod1 };
@@ -112,28 +667,26 @@ export function prepareComparisonPeriods(period1, period2) {
  * @param {string} params.startDate - Start date in YYYY-MM-DD format
  * @param {string} params.endDate - End date in YYYY-MM-DD format
  * @param {string} params.granularity - DAILY or MONTHLY
- * @param {Object} params.filter - Optional filter object
- * @returns {Promise<Object>} Resource-level cost data
+ * @param {Object} params.filter - Optional filter, combined with the credit/refund exclusion
+ * @param {string} params.metric - Key of COST_METRICS; defaults to UnblendedCost
+ * @param {Object} params.source - Account source to query; defaults to the Lambda's account
+ * @returns {Promise<Object>} Resource-level cost data across all pages
  */
-export async function getResourceLevelCosts({ startDate, endDate, groupBy, granularity, filter = null }) {
+export async function getResourceLevelCosts({ startDate, endDate, groupBy, granularity, filter = null, metric = DEFAULT_COST_METRIC, source = null }) {
     const params = {
         TimePeriod: {
             Start: startDate,
             End: endDate,
         },
         Granularity: granularity,
-        Metrics: ["UnblendedCost"],
+        Metrics: [metric],
         GroupBy: groupBy || [{ Type: "DIMENSION", Key: "RESOURCE_ID" }],
     };
 
-    if (filter) {
-        params.Filter = filter;
-    } else {
-        // Default filter to exclude credits and refunds
-        params.Filter = { Not: { Dimensions: { Key: "RECORD_TYPE", Values: ["Credit", "Refund"] } } };
-    }
+    // Credits and refunds are always excluded, on top of any caller filter
+    params.Filter = withCreditRefundExclusion(filter);
 
-    return await ceClient.send(new GetCostAndUsageWithResourcesCommand(params));
+    return await sendAllCostAndUsagePages(clientFor(source), GetCostAndUsageWithResourcesCommand, params);
 }
 
 /**
@@ -142,14 +695,225 @@ export async function getResourceLevelCosts({ startDate, endDate, groupBy, granu
  * @param {string} params.startDate - Start date in YYYY-MM-DD format
  * @param {string} params.endDate - End date in YYYY-MM-DD format
  * @param {string} params.granularity - DAILY or MONTHLY
+ * @param {string} params.metric - Key of COST_METRICS; defaults to UnblendedCost
+ * @param {Object} params.source - Account source to query; defaults to the Lambda's account
  * @returns {Promise<Object>} Service-level cost data
  */
-export async function getServiceLevelCosts({ startDate, endDate, granularity = "DAILY" }) {
+export async function getServiceLevelCosts({ startDate, endDate, granularity = "DAILY", metric = DEFAULT_COST_METRIC, source = null }) {
     return await getCostAndUsage({
         startDate,
         endDate,
         granularity,
         groupBy: [{ Type: "DIMENSION", Key: "SERVICE" }],
-        filter: { Not: { Dimensions: { Key: "RECORD_TYPE", Values: ["Credit", "Refund"] } } }
+        metric,
+        source
     });
 }
+
+/**
+ * Get a cost forecast with prediction intervals
+ * @param {Object} params
+ * @param {string} params.startDate - Start date in YYYY-MM-DD format (today or later)
+ * @param {string} params.endDate - End date in YYYY-MM-DD format (exclusive)
+ * @param {string} params.granularity - DAILY or MONTHLY
+ * @param {string} params.metric - Forecast metric (e.g., "UNBLENDED_COST", see COST_METRICS forecastMetric)
+ * @param {number} params.predictionIntervalLevel - Confidence level of the interval, 51-99
+ * @param {Object} params.filter - Optional filter, combined with the credit/refund exclusion
+ * @param {Object} params.source - Account source to query; defaults to the Lambda's account
+ * @returns {Promise<Object>} Forecast data (Total and ForecastResultsByTime)
+ */
+export async function getCostForecast({ startDate, endDate, granularity = "MONTHLY", metric = "UNBLENDED_COST", predictionIntervalLevel = 80, filter = null, source = null }) {
+    const params = {
+        TimePeriod: {
+            Start: startDate,
+            End: endDate,
+        },
+        Granularity: granularity,
+        Metric: metric,
+        PredictionIntervalLevel: predictionIntervalLevel,
+    };
+
+    // Credits and refunds are always excluded, on top of any caller filter
+    params.Filter = withCreditRefundExclusion(filter);
+
+    return await clientFor(source).send(new GetCostForecastCommand(params));
+}
+
+/**
+ * Get a cost forecast for each of the given services. Cost Explorer cannot
+ * group forecasts, so this issues one filtered forecast call per service.
+ * Services without enough history to forecast are skipped.
+ * @param {Object} params
+ * @param {string} params.startDate - Start date in YYYY-MM-DD format (today or later)
+ * @param {string} params.endDate - End date in YYYY-MM-DD format (exclusive)
+ * @param {string} params.granularity - DAILY or MONTHLY
+ * @param {Array<string>} params.services - SERVICE dimension values
+ * @param {number} params.predictionIntervalLevel - Confidence level of the interval, 51-99
+ * @param {Object} params.filter - Optional filter applied on top of each service
+ * @param {string} params.metric - Forecast metric (e.g., "UNBLENDED_COST")
+ * @param {Object} params.source - Account source to query; defaults to the Lambda's account
+ * @returns {Promise<Array<Object>>} [{ service, Total, ForecastResultsByTime }]
+ */
+export async function getCostForecastByService({ startDate, endDate, granularity = "MONTHLY", services = [], predictionIntervalLevel = 80, filter = null, metric = "UNBLENDED_COST", source = null }) {
+    const results = [];
+    for (const service of services) {
+        try {
+            const forecast = await getCostForecast({
+                startDate,
+                endDate,
+                granularity,
+                metric,
+                predictionIntervalLevel,
+                filter: combineFilters(filter, { Dimensions: { Key: "SERVICE", Values: [service] } }),
+                source
+            });
+            results.push({ service, Total: forecast.Total, ForecastResultsByTime: forecast.ForecastResultsByTime });
+        } catch (err) {
+            // DataUnavailableException: not enough history for this service
+            console.warn(JSON.stringify({ level: 'warn', msg: 'Service forecast unavailable', service, error: err.message }));
+        }
+    }
+    return results;
+}
+
+/**
+ * Get Savings Plans utilization for a period
+ * @param {Object} params
+ * @param {string} params.startDate - Start date in YYYY-MM-DD format
+ * @param {string} params.endDate - End date in YYYY-MM-DD format (exclusive)
+ * @param {string} params.granularity - DAILY or MONTHLY
+ * @returns {Promise<Object>} Total and SavingsPlansUtilizationsByTime
+ */
+export async function getSavingsPlansUtilization({ startDate, endDate, granularity = "MONTHLY" }) {
+    return await ceClient.send(new GetSavingsPlansUtilizationCommand({
+        TimePeriod: { Start: startDate, End: endDate },
+        Granularity: granularity
+    }));
+}
+
+/**
+ * Get utilization of each Savings Plan, including its end date
+ * @param {Object} params
+ * @param {string} params.startDate - Start date in YYYY-MM-DD format
+ * @param {string} params.endDate - End date in YYYY-MM-DD format (exclusive)
+ * @returns {Promise<Array<Object>>} SavingsPlansUtilizationDetails across all pages
+ */
+export async function getSavingsPlansUtilizationDetails({ startDate, endDate }) {
+    const details = [];
+    let nextToken;
+    do {
+        const response = await ceClient.send(new GetSavingsPlansUtilizationDetailsCommand({
+            TimePeriod: { Start: startDate, End: endDate },
+            NextToken: nextToken
+        }));
+        details.push(...(response.SavingsPlansUtilizationDetails || []));
+        nextToken = response.NextToken;
+    } while (nextToken);
+    return details;
+}
+
+/**
+ * Get Savings Plans coverage for a period
+ * @param {Object} params
+ * @param {string} params.startDate - Start date in YYYY-MM-DD format
+ * @param {string} params.endDate - End date in YYYY-MM-DD format (exclusive)
+ * @param {string} params.granularity - DAILY or MONTHLY
+ * @returns {Promise<Array<Object>>} SavingsPlansCoverages across all pages, one per period
+ */
+export async function getSavingsPlansCoverage({ startDate, endDate, granularity = "MONTHLY" }) {
+    const coverages = [];
+    let nextToken;
+    do {
+        const response = await ceClient.send(new GetSavingsPlansCoverageCommand({
+            TimePeriod: { Start: startDate, End: endDate },
+            Granularity: granularity,
+            NextToken: nextToken
+        }));
+        coverages.push(...(response.SavingsPlansCoverages || []));
+        nextToken = response.NextToken;
+    } while (nextToken);
+    return coverages;
+}
+
+/**
+ * Get Reserved Instance utilization, either over time or per reservation
+ * @param {Object} params
+ * @param {string} params.startDate - Start date in YYYY-MM-DD format
+ * @param {string} params.endDate - End date in YYYY-MM-DD format (exclusive)
+ * @param {string} params.granularity - DAILY or MONTHLY; ignored when grouping by reservation
+ * @param {boolean} params.byReservation - Group by SUBSCRIPTION_ID to get one entry per reservation with its attributes
+ * @returns {Promise<Object>} Total and UtilizationsByTime
+ */
+export async function getReservationUtilization({ startDate, endDate, granularity = "MONTHLY", byReservation = false }) {
+    const params = { TimePeriod: { Start: startDate, End: endDate } };
+    if (byReservation) {
+        params.GroupBy = [{ Type: "DIMENSION", Key: "SUBSCRIPTION_ID" }];
+    } else {
+        params.Granularity = granularity;
+    }
+
+    const result = { Total: null, UtilizationsByTime: [] };
+    let nextPageToken;
+    do {
+        const response = await ceClient.send(new GetReservationUtilizationCommand({ ...params, NextPageToken: nextPageToken }));
+        result.Total = response.Total || result.Total;
+        result.UtilizationsByTime.push(...(response.UtilizationsByTime || []));
+        nextPageToken = response.NextPageToken;
+    } while (nextPageToken);
+    return result;
+}
+
+/**
+ * Get Reserved Instance coverage for a period
+ * @param {Object} params
+ * @param {string} params.startDate - Start date in YYYY-MM-DD format
+ * @param {string} params.endDate - End date in YYYY-MM-DD format (exclusive)
+ * @param {string} params.granularity - DAILY or MONTHLY
+ * @returns {Promise<Object>} Total and CoveragesByTime
+ */
+export async function getReservationCoverage({ startDate, endDate, granularity = "MONTHLY" }) {
+    const result = { Total: null, CoveragesByTime: [] };
+    let nextPageToken;
+    do {
+        const response = await ceClient.send(new GetReservationCoverageCommand({
+            TimePeriod: { Start: startDate, End: endDate },
+            Granularity: granularity,
+            NextPageToken: nextPageToken
+        }));
+        result.Total = response.Total || result.Total;
+        result.CoveragesByTime.push(...(response.CoveragesByTime || []));
+        nextPageToken = response.NextPageToken;
+    } while (nextPageToken);
+    return result;
+}
+
+/**
+ * Get EC2 rightsizing recommendations across all pages
+ * @param {Object} params
+ * @param {string} params.recommendationTarget - SAME_INSTANCE_FAMILY or CROSS_INSTANCE_FAMILY
+ * @param {boolean} params.benefitsConsidered - Whether Savings Plans and RI discounts are taken into account
+ * @param {Object} params.filter - Optional filter (e.g. LINKED_ACCOUNT or REGION); credits do not apply here
+ * @returns {Promise<{Summary: Object, RightsizingRecommendations: Array<Object>}>}
+ */
+export async function getRightsizingRecommendations({ recommendationTarget = "SAME_INSTANCE_FAMILY", benefitsConsidered = true, filter = null } = {}) {
+    const params = {
+        Service: "AmazonEC2",
+        Configuration: {
+            RecommendationTarget: recommendationTarget,
+            BenefitsConsidered: benefitsConsidered
+        }
+    };
+    if (filter) {
+        params.Filter = filter;
+    }
+
+    const result = { Summary: null, RightsizingRecommendations: [] };
+    let nextPageToken;
+    do {
+        const response = await ceClient.send(new GetRightsizingRecommendationCommand({ ...params, NextPageToken: nextPageToken }));
+        result.Summary = response.Summary || result.Summary;
+        result.RightsizingRecommendations.push(...(response.RightsizingRecommendations || []));
+        nextPageToken = response.NextPageToken;
+    } while (nextPageToken);
+    return result;
+}
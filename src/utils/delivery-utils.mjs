@@ -0,0 +1,257 @@
+import { createHmac } from "node:crypto";
+
+// Fallback signing secret for webhook targets that do not carry their own
+const WEBHOOK_SIGNING_SECRET = process.env.WEBHOOK_SIGNING_SECRET;
+
+// Kinds of outbound delivery target
+export const DELIVERY_TARGET_TYPES = {
+    SLACK: "slack",
+    TEAMS: "teams",
+    WEBHOOK: "webhook"
+};
+
+// Outcome of one target after all attempts
+export const TARGET_STATUS = {
+    DELIVERED: "DELIVERED",
+    FAILED: "FAILED"
+};
+
+// Targets per report or schedule
+const MAX_TARGETS = 5;
+
+const MAX_ATTEMPTS = 3;
+const BASE_BACKOFF_MS = 500;
+const REQUEST_TIMEOUT_MS = 10000;
+
+// Slack section blocks and Teams text blocks are cut short well before their limits
+const MAX_SUMMARY_TEXT = 2900;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Validates the delivery targets of a report request or schedule.
+ * @param {*} targets - Array of { type, url, secret?, name? }
+ * @returns {Array<Object>} Targets with only the known fields
+ * @throws {Error} "Invalid delivery target..." when a target is malformed
+ */
+export function normalizeDeliveryTargets(targets) {
+    if (targets === undefined || targets === null) return [];
+    if (!Array.isArray(targets)) {
+        throw new Error("Invalid delivery targets: expected an array");
+    }
+    if (targets.length > MAX_TARGETS) {
+        throw new Error(`Invalid delivery targets: at most ${MAX_TARGETS} are allowed`);
+    }
+    return targets.map((target, index) => {
+        const type = String(target?.type || "").toLowerCase();
+        if (!Object.values(DELIVERY_TARGET_TYPES).includes(type)) {
+            throw new Error(`Invalid delivery target ${index + 1}: type must be one of ${Object.values(DELIVERY_TARGET_TYPES).join(", ")}`);
+        }
+        let url;
+        try {
+            url = new URL(target.url);
+        } catch {
+            throw new Error(`Invalid delivery target ${index + 1}: url is not a valid URL`);
+        }
+        if (url.protocol !== "https:") {
+            throw new Error(`Invalid delivery target ${index + 1}: url must use https`);
+        }
+        if (target.secret !== undefined && (typeof target.secret !== "string" || !target.secret)) {
+            throw new Error(`Invalid delivery target ${index + 1}: secret must be a non-empty string`);
+        }
+        return {
+            type,
+            url: url.toString(),
+            ...(target.name ? { name: String(target.name).slice(0, 100) } : {}),
+            ...(type === DELIVERY_TARGET_TYPES.WEBHOOK && target.secret ? { secret: target.secret } : {})
+        };
+    });
+}
+
+/**
+ * Delivery targets as shown to users: secrets are never returned, and
+ * webhook URLs (which often embed a token) only show their host.
+ * @param {Array<Object>} targets
+ * @returns {Array<Object>}
+ */
+export function toDeliveryTargetViews(targets = []) {
+    return targets.map(({ type, url, name, secret }) => ({
+        type,
+        host: new URL(url).host,
+        ...(name ? { name } : {}),
+        ...(type === DELIVERY_TARGET_TYPES.WEBHOOK ? { hasSecret: Boolean(secret) } : {})
+    }));
+}
+
+/**
+ * Label used for a target in logs and delivery records.
+ * @param {Object} target
+ * @returns {string}
+ */
+function describeTarget(target) {
+    return target.name || `${target.type}:${new URL(target.url).host}`;
+}
+
+const fitSummary = (text) => (text.length > MAX_SUMMARY_TEXT ? `${text.slice(0, MAX_SUMMARY_TEXT)}…` : text);
+
+/**
+ * Slack incoming webhook message.
+ * @param {Object} report - { title, reportUrl, summary }
+ * @returns {Object}
+ */
+export function buildSlackWebhookMessage({ title, reportUrl, summary }) {
+    const blocks = [{ type: "section", text: { type: "mrkdwn", text: `*${title}*` } }];
+    if (summary) {
+        blocks.push({ type: "section", text: { type: "plain_text", text: fitSummary(summary) } });
+    }
+    blocks.push({
+        type: "actions",
+        elements: [{ type: "button", text: { type: "plain_text", text: "📄 Open report" }, url: reportUrl }]
+    });
+    return { text: `${title}: ${reportUrl}`, blocks };
+}
+
+/**
+ * Microsoft Teams incoming webhook message with an Adaptive Card.
+ * @param {Object} report - { title, reportUrl, summary }
+ * @returns {Object}
+ */
+export function buildTeamsWebhookMessage({ title, reportUrl, summary }) {
+    return {
+        type: "message",
+        attachments: [{
+            contentType: "application/vnd.microsoft.card.adaptive",
+            content: {
+                $schema: "http://adaptivecards.io/schemas/adaptive-card.json",
+                type: "AdaptiveCard",
+                version: "1.4",
+                body: [
+                    { type: "TextBlock", text: title, weight: "Bolder", size: "Medium", wrap: true },
+                    ...(summary ? [{ type: "TextBlock", text: fitSummary(summary), wrap: true }] : [])
+                ],
+                actions: [{ type: "Action.OpenUrl", title: "Open report", url: reportUrl }]
+            }
+        }]
+    };
+}
+
+/**
+ * Signs a webhook body. Receivers recompute the HMAC-SHA256 of
+ * "<timestamp>.<body>" with the shared secret and compare it with the
+ * X-Cost-Report-Signature header.
+ * @param {string} secret
+ * @param {string} timestamp - Unix seconds, sent as X-Cost-Report-Timestamp
+ * @param {string} body - JSON body exactly as sent
+ * @returns {string} "sha256=<hex>"
+ */
+export function signWebhookPayload(secret, timestamp, body) {
+    return `sha256=${createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex")}`;
+}
+
+/**
+ * Builds the HTTP request for a target.
+ * @param {Object} target
+ * @param {Object} report - { title, reportUrl, summary, payload }
+ * @returns {{headers: Object, body: string}}
+ */
+function buildRequest(target, report) {
+    const headers = { "Content-Type": "application/json" };
+    if (target.type === DELIVERY_TARGET_TYPES.SLACK) {
+        return { headers, body: JSON.stringify(buildSlackWebhookMessage(report)) };
+    }
+    if (target.type === DELIVERY_TARGET_TYPES.TEAMS) {
+        return { headers, body: JSON.stringify(buildTeamsWebhookMessage(report)) };
+    }
+    const body = JSON.stringify(report.payload);
+    const secret = target.secret || WEBHOOK_SIGNING_SECRET;
+    if (secret) {
+        const timestamp = String(Math.floor(Date.now() / 1000));
+        headers["X-Cost-Report-Timestamp"] = timestamp;
+        headers["X-Cost-Report-Signature"] = signWebhookPayload(secret, timestamp, body);
+    }
+    return { headers, body };
+}
+
+/**
+ * Only network errors, timeouts, throttling and server errors are retried;
+ * other 4xx responses mean the target will keep rejecting the message.
+ * @param {number|null} statusCode - HTTP status, or null when no response arrived
+ * @returns {boolean}
+ */
+function isRetryable(statusCode) {
+    return statusCode === null || statusCode === 429 || statusCode >= 500;
+}
+
+/**
+ * Sends a report to one target, retrying with exponential backoff.
+ * Redirects are not followed: the target URL was validated as https, and a
+ * redirect could send the report and its signature anywhere.
+ * @param {Object} target
+ * @param {Object} report - { title, reportUrl, summary, payload }
+ * @returns {Promise<{target: string, type: string, status: string, attempts: Array<Object>}>}
+ */
+async function deliverToTarget(target, report) {
+    const attempts = [];
+    for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+        const { headers, body } = buildRequest(target, report);
+        const record = { attempt, at: new Date().toISOString() };
+        try {
+            const response = await fetch(target.url, {
+                method: "POST",
+                headers,
+                body,
+                redirect: "manual",
+                signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+            });
+            record.statusCode = response.status;
+            if (response.status >= 300 && response.status < 400) {
+                record.error = `HTTP ${response.status}: redirect not followed`;
+            } else if (!response.ok) {
+                record.error = `HTTP ${response.status}`;
+            }
+        } catch (err) {
+            record.statusCode = null;
+            record.error = err.name === "TimeoutError" ? "Timed out" : err.message;
+        }
+        attempts.push(record);
+
+        if (!record.error) {
+            return { target: describeTarget(target), type: target.type, status: TARGET_STATUS.DELIVERED, attempts };
+        }
+        console.warn(JSON.stringify({ level: 'warn', msg: 'Report delivery attempt failed', target: describeTarget(target), attempt, error: record.error }));
+        if (!isRetryable(record.statusCode) || attempt === MAX_ATTEMPTS) break;
+        await sleep(BASE_BACKOFF_MS * 2 ** (attempt - 1));
+    }
+    return { target: describeTarget(target), type: target.type, status: TARGET_STATUS.FAILED, attempts };
+}
+
+/**
+ * Sends a finished report to each delivery target. Targets are independent:
+ * one failing target does not stop delivery to the others.
+ * @param {Object} params
+ * @param {Array<Object>} params.targets - Normalized delivery targets
+ * @param {Object} params.report
+ * @param {string} [params.report.requestId] - Report request ID
+ * @param {string} [params.report.scheduleId] - Schedule ID for scheduled runs
+ * @param {string} params.report.title - Heading shown in chat messages
+ * @param {string} [params.report.userCommand] - Original user command
+ * @param {string} params.report.reportUrl - Report URL
+ * @param {string} params.report.summary - Report summary
+ * @param {Object} [params.report.totals] - Headline numbers of the report
+ * @returns {Promise<Array<Object>>} One result per target, with every attempt
+ */
+export async function deliverReport({ targets, report }) {
+    const { title, reportUrl, summary = "" } = report;
+    const payload = {
+        event: "report.ready",
+        ...(report.requestId ? { requestId: report.requestId } : {}),
+        ...(report.scheduleId ? { scheduleId: report.scheduleId } : {}),
+        title,
+        userCommand: report.userCommand || "",
+        reportUrl,
+        summary,
+        totals: report.totals || {},
+        generatedAt: new Date().toISOString()
+    };
+    return Promise.all(targets.map(target => deliverToTarget(target, { title, reportUrl, summary, payload })));
+}
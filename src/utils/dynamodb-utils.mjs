@@ -1,10 +1,68 @@
-import { DynamoDBClient, GetItemCommand, PutItemCommand, UpdateItemCommand } from "@aws-sdk/client-dynamodb";
+import { DeleteItemCommand, DynamoDBClient, GetItemCommand, PutItemCommand, QueryCommand, ScanCommand, UpdateItemCommand } from "@aws-sdk/client-dynamodb";
+
+// Lifecycle of a row in the reports table
+export const REPORT_STATUS = {
+    PENDING: "PENDING",
+    RUNNING: "RUNNING",
+    DONE: "DONE",
+    ERROR: "ERROR"
+};
+
+// GSI on the reports table keyed by ownerEmail + createdAt
+export const REPORTS_OWNER_INDEX = "OwnerEmailCreatedAtIndex";
+
+// State of a scheduled report, mirrored on its EventBridge rule
+export const SCHEDULE_STATE = {
+    ENABLED: "ENABLED",
+    PAUSED: "PAUSED"
+};
+
+// GSI on the schedules table keyed by ownerEmail + createdAt
+export const SCHEDULES_OWNER_INDEX = "OwnerEmailCreatedAtIndex";
+
+// GSI on the budgets table keyed by ownerEmail + createdAt
+export const BUDGETS_OWNER_INDEX = "OwnerEmailCreatedAtIndex";
+
+/**
+ * Builds the update expression for a partial write. Attributes set to null
+ * are removed and undefined ones are left alone, so fields written by other
+ * code paths (a schedule's lastRun, a budget's alertsSent) are never replaced.
+ * @param {Object<string, Object|null|undefined>} attributes - Marshalled attribute values by name
+ * @returns {{UpdateExpression: string, ExpressionAttributeNames: Object, ExpressionAttributeValues: Object}}
+ */
+function toUpdateParams(attributes) {
+    const names = {};
+    const values = {};
+    const sets = [];
+    const removes = [];
+    for (const [name, value] of Object.entries(attributes)) {
+        if (value === undefined) continue;
+        names[`#${name}`] = name;
+        if (value === null) {
+            removes.push(`#${name}`);
+        } else {
+            values[`:${name}`] = value;
+            sets.push(`#${name} = :${name}`);
+        }
+    }
+    const clauses = [sets.length ? `SET ${sets.join(", ")}` : "", removes.length ? `REMOVE ${removes.join(", ")}` : ""];
+    return {
+        UpdateExpression: clauses.filter(Boolean).join(" "),
+        ExpressionAttributeNames: names,
+        ExpressionAttributeValues: values
+    };
+}
+
+const encodeCursor = (key) => Buffer.from(JSON.stringify(key)).toString('base64url');
+const decodeCursor = (cursor) => JSON.parse(Buffer.from(cursor, 'base64url').toString());
 
 export class DDBUtils {
-    constructor({ region, reportsTable, cacheTable }) {
+    constructor({ region, reportsTable, cacheTable, schedulesTable, budgetsTable }) {
         this.dynamo = new DynamoDBClient({ region });
         this.reportsTable = reportsTable;
         this.cacheTable = cacheTable;
+        this.schedulesTable = schedulesTable;
+        this.budgetsTable = budgetsTable;
     }
 
     // --- Cache logic ---
@@ -53,7 +111,14 @@ export class DDBUtils {
     }
 
     // --- Report table logic ---
-    async saveReport({ requestId, userCommand, parsedJsonQuery, reportUrl, costSummaryText, email }) {
+    /**
+     * Writes a report row. requestId can come from the client, so an existing
+     * row is only replaced when it belongs to the same owner and records the
+     * same command, i.e. when the request is being retried. The replacement
+     * arrives on the stream as a MODIFY, which is not delivered again.
+     * @throws {Error} "Invalid requestId" if the row belongs to someone else or another command.
+     */
+    async saveReport({ requestId, userCommand, parsedJsonQuery, reportUrl, costSummaryText, email, ownerEmail, status, totals, deliveryTargets }) {
         try {
             await this.dynamo.send(new PutItemCommand({
                 TableName: this.reportsTable,
@@ -64,10 +129,22 @@ export class DDBUtils {
                     reportUrl: { S: reportUrl },
                     summary: { S: costSummaryText },
                     createdAt: { S: new Date().toISOString() },
-                    ...(email ? { email: { S: email } } : {})
-                }
+                    ...(parsedJsonQuery?.intent ? { intent: { S: String(parsedJsonQuery.intent).toLowerCase() } } : {}),
+                    ...(status ? { status: { S: status } } : {}),
+                    ...(email ? { email: { S: email } } : {}),
+                    ...(ownerEmail ? { ownerEmail: { S: ownerEmail } } : {}),
+                    ...(totals ? { totals: { S: JSON.stringify(totals) } } : {}),
+                    ...(deliveryTargets?.length ? { deliveryTargets: { S: JSON.stringify(deliveryTargets) } } : {})
+                },
+                ConditionExpression: ownerEmail
+                    ? "attribute_not_exists(requestId) OR (ownerEmail = :caller AND userCommand = :command)"
+                    : "attribute_not_exists(requestId)",
+                ...(ownerEmail ? { ExpressionAttributeValues: { ":caller": { S: ownerEmail }, ":command": { S: userCommand } } } : {})
             }));
         } catch (err) {
+            if (err.name === "ConditionalCheckFailedException") {
+                throw new Error(`Invalid requestId: ${requestId} is already used by another request`);
+            }
             console.error(`[DDBUtils] Error saving report for requestId ${requestId}: ${err.message}`);
             throw err;
         }
@@ -86,34 +163,582 @@ export class DDBUtils {
         }
     }
 
-    async updateEmail(requestId, email) {
+    /**
+     * Lists a user's report requests, newest first.
+     * @param {Object} params
+     * @param {string} params.ownerEmail - Email of the user whose history is listed.
+     * @param {string} [params.from] - Inclusive lower bound on createdAt (ISO string).
+     * @param {string} [params.to] - Inclusive upper bound on createdAt (ISO string).
+     * @param {string} [params.intent] - Only return requests with this intent.
+     * @param {string} [params.cursor] - Opaque cursor returned by a previous call.
+     * @param {number} [params.limit] - Maximum number of items per page.
+     * @returns {Promise<{items: Array<Object>, cursor: string|null}>}
+     */
+    async listReportsByOwner({ ownerEmail, from, to, intent, cursor, limit = 20 }) {
+        const names = { "#owner": "ownerEmail" };
+        const values = { ":owner": { S: ownerEmail } };
+        let keyCondition = "#owner = :owner";
+
+        if (from || to) {
+            names["#createdAt"] = "createdAt";
+            if (from && to) {
+                keyCondition += " AND #createdAt BETWEEN :from AND :to";
+                values[":from"] = { S: from };
+                values[":to"] = { S: to };
+            } else if (from) {
+                keyCondition += " AND #createdAt >= :from";
+                values[":from"] = { S: from };
+            } else {
+                keyCondition += " AND #createdAt <= :to";
+                values[":to"] = { S: to };
+            }
+        }
+
+        const params = {
+            TableName: this.reportsTable,
+            IndexName: REPORTS_OWNER_INDEX,
+            KeyConditionExpression: keyCondition,
+            ExpressionAttributeNames: names,
+            ExpressionAttributeValues: values,
+            ScanIndexForward: false
+        };
+        if (intent) {
+            names["#intent"] = "intent";
+            values[":intent"] = { S: intent.toLowerCase() };
+            params.FilterExpression = "#intent = :intent";
+        }
+
+        let startKey;
+        if (cursor) {
+            try {
+                startKey = decodeCursor(cursor);
+            } catch {
+                throw new Error("Invalid pagination cursor");
+            }
+            // DynamoDB rejects a start key outside the query with a ValidationException
+            const createdAt = startKey?.createdAt?.S;
+            if (startKey?.ownerEmail?.S !== ownerEmail || typeof startKey?.requestId?.S !== "string" || typeof createdAt !== "string"
+                || (from && createdAt < from) || (to && createdAt > to)) {
+                throw new Error("Invalid pagination cursor");
+            }
+        }
+
+        // Limit applies before the intent filter, so keep reading until the page is full
+        const items = [];
+        try {
+            do {
+                const res = await this.dynamo.send(new QueryCommand({ ...params, Limit: limit - items.length, ExclusiveStartKey: startKey }));
+                items.push(...(res.Items || []));
+                startKey = res.LastEvaluatedKey;
+            } while (startKey && items.length < limit);
+            return { items, cursor: startKey ? encodeCursor(startKey) : null };
+        } catch (err) {
+            console.error(`[DDBUtils] Error listing reports for ${ownerEmail}: ${err.message}`);
+            throw err;
+        }
+    }
+
+    /**
+     * Attaches an email to a pending report request that has none yet. The
+     * resulting stream record starts generation in AsyncCostReportSender.
+     * The caller must own the request; a request without an owner is claimed
+     * by the caller in the same write.
+     * @param {string} requestId
+     * @param {string} email
+     * @param {string} ownerEmail - Email claim of the caller
+     * @returns {Promise<boolean>} false if the request is no longer pending, already has an email or belongs to someone else
+     */
+    async updateEmail(requestId, email, ownerEmail) {
         try {
             await this.dynamo.send(new UpdateItemCommand({
                 TableName: this.reportsTable,
                 Key: { requestId: { S: requestId } },
-                UpdateExpression: "SET email = :e",
-                ExpressionAttributeValues: { ":e": { S: email } }
+                UpdateExpression: "SET email = :e, ownerEmail = if_not_exists(ownerEmail, :caller), #updatedAt = :updatedAt",
+                ConditionExpression: "#status = :pending AND attribute_not_exists(email) AND (attribute_not_exists(ownerEmail) OR ownerEmail = :caller)",
+                ExpressionAttributeNames: { "#status": "status", "#updatedAt": "updatedAt" },
+                ExpressionAttributeValues: {
+                    ":e": { S: email },
+                    ":caller": { S: ownerEmail },
+                    ":pending": { S: REPORT_STATUS.PENDING },
+                    ":updatedAt": { S: new Date().toISOString() }
+                }
             }));
+            return true;
         } catch (err) {
+            if (err.name === "ConditionalCheckFailedException") return false;
             console.error(`[DDBUtils] Error updating email for requestId ${requestId}: ${err.message}`);
             throw err;
         }
     }
 
-    async updateReportStatus(requestId, { reportUrl, costSummaryText }) {
+    /**
+     * Moves a pending report request to RUNNING. Only one caller can win, so
+     * duplicate or replayed stream records never generate a report twice.
+     * @param {string} requestId
+     * @returns {Promise<boolean>} true if this call claimed the request
+     */
+    async claimPendingReport(requestId) {
         try {
             await this.dynamo.send(new UpdateItemCommand({
                 TableName: this.reportsTable,
                 Key: { requestId: { S: requestId } },
-                UpdateExpression: "SET reportUrl = :u, costSummaryText = :t",
+                UpdateExpression: "SET #status = :running, #updatedAt = :updatedAt",
+                ConditionExpression: "#status = :pending",
+                ExpressionAttributeNames: { "#status": "status", "#updatedAt": "updatedAt" },
                 ExpressionAttributeValues: {
-                    ":u": { S: reportUrl },
-                    ":t": { S: costSummaryText }
+                    ":running": { S: REPORT_STATUS.RUNNING },
+                    ":pending": { S: REPORT_STATUS.PENDING },
+                    ":updatedAt": { S: new Date().toISOString() }
                 }
             }));
+            return true;
+        } catch (err) {
+            if (err.name === "ConditionalCheckFailedException") return false;
+            console.error(`[DDBUtils] Error claiming report for requestId ${requestId}: ${err.message}`);
+            throw err;
+        }
+    }
+
+    /**
+     * Marks a finished report's delivery as started, so a replayed stream
+     * record does not deliver it again.
+     * @param {string} requestId
+     * @returns {Promise<boolean>} true if this call claimed the delivery
+     */
+    async claimReportDelivery(requestId) {
+        try {
+            await this.dynamo.send(new UpdateItemCommand({
+                TableName: this.reportsTable,
+                Key: { requestId: { S: requestId } },
+                UpdateExpression: "SET deliveryClaimedAt = :now",
+                ConditionExpression: "attribute_exists(requestId) AND attribute_not_exists(deliveryClaimedAt)",
+                ExpressionAttributeValues: { ":now": { S: new Date().toISOString() } }
+            }));
+            return true;
+        } catch (err) {
+            if (err.name === "ConditionalCheckFailedException") return false;
+            console.error(`[DDBUtils] Error claiming delivery for requestId ${requestId}: ${err.message}`);
+            throw err;
+        }
+    }
+
+    async updateReportStatus(requestId, { reportUrl, costSummaryText, status, errorMessage, totals }) {
+        // Only the attributes that were passed are touched
+        const fields = { reportUrl, summary: costSummaryText, status, errorMessage, totals: totals && JSON.stringify(totals) };
+        const attributes = {};
+        for (const [name, value] of Object.entries(fields)) {
+            if (value !== undefined && value !== null) {
+                attributes[name] = { S: String(value) };
+            }
+        }
+        if (Object.keys(attributes).length === 0) return;
+        attributes.updatedAt = { S: new Date().toISOString() };
+
+        try {
+            await this.dynamo.send(new UpdateItemCommand({
+                TableName: this.reportsTable,
+                Key: { requestId: { S: requestId } },
+                ...toUpdateParams(attributes)
+            }));
         } catch (err) {
             console.error(`[DDBUtils] Error updating report status for requestId ${requestId}: ${err.message}`);
             throw err;
         }
     }
+
+    /**
+     * Appends delivery results to a report's delivery log, keeping earlier entries.
+     * @param {string} requestId
+     * @param {Array<Object>} entries - Results from deliverReport, one per target
+     */
+    async appendDeliveryLog(requestId, entries) {
+        try {
+            await this.dynamo.send(new UpdateItemCommand({
+                TableName: this.reportsTable,
+                Key: { requestId: { S: requestId } },
+                UpdateExpression: "SET deliveryLog = list_append(if_not_exists(deliveryLog, :empty), :entries)",
+                ExpressionAttributeValues: {
+                    ":empty": { L: [] },
+                    ":entries": { L: entries.map(entry => ({ S: JSON.stringify(entry) })) }
+                }
+            }));
+        } catch (err) {
+            console.error(`[DDBUtils] Error appending delivery log for requestId ${requestId}: ${err.message}`);
+            throw err;
+        }
+    }
+
+    // --- Schedules table logic ---
+    static toScheduleItem(schedule) {
+        return {
+            scheduleId: { S: schedule.scheduleId },
+            ownerEmail: { S: schedule.ownerEmail },
+            name: { S: schedule.name },
+            userCommand: { S: schedule.userCommand || "" },
+            cronExpression: { S: schedule.cronExpression },
+            parsedQuery: { S: JSON.stringify(schedule.parsedQuery || {}) },
+            recipients: { L: (schedule.recipients || []).map(r => ({ S: r })) },
+            state: { S: schedule.state },
+            ruleName: { S: schedule.ruleName },
+            createdAt: { S: schedule.createdAt },
+            updatedAt: { S: schedule.updatedAt },
+            ...(schedule.deliveryTargets?.length ? { deliveryTargets: { S: JSON.stringify(schedule.deliveryTargets) } } : {}),
+            ...(schedule.lastRun ? { lastRun: { S: JSON.stringify(schedule.lastRun) } } : {})
+        };
+    }
+
+    static fromScheduleItem(item) {
+        let parsedQuery = {};
+        try {
+            parsedQuery = JSON.parse(item.parsedQuery?.S || "{}");
+        } catch {
+            parsedQuery = {};
+        }
+        return {
+            scheduleId: item.scheduleId?.S,
+            ownerEmail: item.ownerEmail?.S,
+            name: item.name?.S || "",
+            userCommand: item.userCommand?.S || "",
+            cronExpression: item.cronExpression?.S,
+            parsedQuery,
+            recipients: (item.recipients?.L || []).map(r => r.S).filter(Boolean),
+            deliveryTargets: item.deliveryTargets?.S ? JSON.parse(item.deliveryTargets.S) : [],
+            state: item.state?.S,
+            ruleName: item.ruleName?.S,
+            createdAt: item.createdAt?.S || null,
+            updatedAt: item.updatedAt?.S || null,
+            lastRun: item.lastRun?.S ? JSON.parse(item.lastRun.S) : null
+        };
+    }
+
+    async saveSchedule(schedule) {
+        try {
+            await this.dynamo.send(new PutItemCommand({
+                TableName: this.schedulesTable,
+                Item: DDBUtils.toScheduleItem(schedule)
+            }));
+        } catch (err) {
+            console.error(`[DDBUtils] Error saving schedule ${schedule.scheduleId}: ${err.message}`);
+            throw err;
+        }
+    }
+
+    /**
+     * Writes only the given user-editable fields of a schedule, so a run
+     * recorded concurrently by recordScheduleRun is kept.
+     * @param {string} scheduleId
+     * @param {Object} changes - Any of name, cronExpression, parsedQuery, recipients, deliveryTargets, state, updatedAt
+     */
+    async updateSchedule(scheduleId, { name, cronExpression, parsedQuery, recipients, deliveryTargets, state, updatedAt }) {
+        const attributes = {
+            name: name !== undefined ? { S: name } : undefined,
+            cronExpression: cronExpression !== undefined ? { S: cronExpression } : undefined,
+            parsedQuery: parsedQuery !== undefined ? { S: JSON.stringify(parsedQuery) } : undefined,
+            recipients: recipients !== undefined ? { L: recipients.map(r => ({ S: r })) } : undefined,
+            deliveryTargets: deliveryTargets !== undefined ? (deliveryTargets.length ? { S: JSON.stringify(deliveryTargets) } : null) : undefined,
+            state: state !== undefined ? { S: state } : undefined,
+            updatedAt: updatedAt !== undefined ? { S: updatedAt } : undefined
+        };
+        try {
+            await this.dynamo.send(new UpdateItemCommand({
+                TableName: this.schedulesTable,
+                Key: { scheduleId: { S: scheduleId } },
+                ConditionExpression: "attribute_exists(scheduleId)",
+                ...toUpdateParams(attributes)
+            }));
+        } catch (err) {
+            console.error(`[DDBUtils] Error updating schedule ${scheduleId}: ${err.message}`);
+            throw err;
+        }
+    }
+
+    async getSchedule(scheduleId) {
+        try {
+            const res = await this.dynamo.send(new GetItemCommand({
+                TableName: this.schedulesTable,
+                Key: { scheduleId: { S: scheduleId } }
+            }));
+            return res.Item ? DDBUtils.fromScheduleItem(res.Item) : null;
+        } catch (err) {
+            console.error(`[DDBUtils] Error getting schedule ${scheduleId}: ${err.message}`);
+            throw err;
+        }
+    }
+
+    async listSchedulesByOwner(ownerEmail) {
+        const schedules = [];
+        let exclusiveStartKey;
+        try {
+            do {
+                const res = await this.dynamo.send(new QueryCommand({
+                    TableName: this.schedulesTable,
+                    IndexName: SCHEDULES_OWNER_INDEX,
+                    KeyConditionExpression: "#owner = :owner",
+                    ExpressionAttributeNames: { "#owner": "ownerEmail" },
+                    ExpressionAttributeValues: { ":owner": { S: ownerEmail } },
+                    ExclusiveStartKey: exclusiveStartKey
+                }));
+                schedules.push(...(res.Items || []).map(DDBUtils.fromScheduleItem));
+                exclusiveStartKey = res.LastEvaluatedKey;
+            } while (exclusiveStartKey);
+        } catch (err) {
+            console.error(`[DDBUtils] Error listing schedules for ${ownerEmail}: ${err.message}`);
+            throw err;
+        }
+        return schedules;
+    }
+
+    /**
+     * Records the outcome of a scheduled run without touching the user-editable fields.
+     * @param {string} scheduleId
+     * @param {Object} lastRun - { at, status, reportUrl, error, delivery: { status, results }, targets }
+     */
+    async recordScheduleRun(scheduleId, lastRun) {
+        try {
+            await this.dynamo.send(new UpdateItemCommand({
+                TableName: this.schedulesTable,
+                Key: { scheduleId: { S: scheduleId } },
+                UpdateExpression: "SET lastRun = :r",
+                ConditionExpression: "attribute_exists(scheduleId)",
+                ExpressionAttributeValues: { ":r": { S: JSON.stringify(lastRun) } }
+            }));
+        } catch (err) {
+            console.error(`[DDBUtils] Error recording run for schedule ${scheduleId}: ${err.message}`);
+            throw err;
+        }
+    }
+
+    async deleteSchedule(scheduleId) {
+        try {
+            await this.dynamo.send(new DeleteItemCommand({
+                TableName: this.schedulesTable,
+                Key: { scheduleId: { S: scheduleId } }
+            }));
+        } catch (err) {
+            console.error(`[DDBUtils] Error deleting schedule ${scheduleId}: ${err.message}`);
+            throw err;
+        }
+    }
+
+    // --- Budgets table logic ---
+    static toBudgetItem(budget) {
+        return {
+            budgetId: { S: budget.budgetId },
+            ownerEmail: { S: budget.ownerEmail },
+            name: { S: budget.name },
+            userCommand: { S: budget.userCommand || "" },
+            amount: { N: String(budget.amount) },
+            period: { S: budget.period },
+            thresholds: { S: JSON.stringify(budget.thresholds || []) },
+            recipients: { L: (budget.recipients || []).map(r => ({ S: r })) },
+            createdAt: { S: budget.createdAt },
+            updatedAt: { S: budget.updatedAt },
+            ...(budget.filters ? { filters: { S: JSON.stringify(budget.filters) } } : {}),
+            // String sets cannot be empty
+            ...(budget.alertsSent?.length ? { alertsSent: { SS: budget.alertsSent } } : {}),
+            ...(budget.lastEvaluation ? { lastEvaluation: { S: JSON.stringify(budget.lastEvaluation) } } : {})
+        };
+    }
+
+    static fromBudgetItem(item) {
+        const parseJson = (attr, fallback) => {
+            try {
+                return attr?.S ? JSON.parse(attr.S) : fallback;
+            } catch {
+                return fallback;
+            }
+        };
+        return {
+            budgetId: item.budgetId?.S,
+            ownerEmail: item.ownerEmail?.S,
+            name: item.name?.S || "",
+            userCommand: item.userCommand?.S || "",
+            amount: Number(item.amount?.N || 0),
+            period: item.period?.S,
+            thresholds: parseJson(item.thresholds, []),
+            filters: parseJson(item.filters, null),
+            recipients: (item.recipients?.L || []).map(r => r.S).filter(Boolean),
+            createdAt: item.createdAt?.S || null,
+            updatedAt: item.updatedAt?.S || null,
+            alertsSent: item.alertsSent?.SS || [],
+            lastEvaluation: parseJson(item.lastEvaluation, null)
+        };
+    }
+
+    async saveBudget(budget) {
+        try {
+            await this.dynamo.send(new PutItemCommand({
+                TableName: this.budgetsTable,
+                Item: DDBUtils.toBudgetItem(budget)
+            }));
+        } catch (err) {
+            console.error(`[DDBUtils] Error saving budget ${budget.budgetId}: ${err.message}`);
+            throw err;
+        }
+    }
+
+    /**
+     * Writes only the user-editable fields of a budget, so alerts claimed and
+     * evaluations recorded concurrently by the evaluator are kept.
+     * @param {string} budgetId
+     * @param {Object} changes - Any of name, amount, period, thresholds, filters, recipients, updatedAt
+     * @param {boolean} [changes.rearmAlerts] - Clear alertsSent so every threshold can alert again
+     */
+    async updateBudget(budgetId, { name, amount, period, thresholds, filters, recipients, updatedAt, rearmAlerts = false }) {
+        const attributes = {
+            name: name !== undefined ? { S: name } : undefined,
+            amount: amount !== undefined ? { N: String(amount) } : undefined,
+            period: period !== undefined ? { S: period } : undefined,
+            thresholds: thresholds !== undefined ? { S: JSON.stringify(thresholds) } : undefined,
+            filters: filters !== undefined ? (filters ? { S: JSON.stringify(filters) } : null) : undefined,
+            recipients: recipients !== undefined ? { L: recipients.map(r => ({ S: r })) } : undefined,
+            updatedAt: updatedAt !== undefined ? { S: updatedAt } : undefined,
+            alertsSent: rearmAlerts ? null : undefined
+        };
+        try {
+            await this.dynamo.send(new UpdateItemCommand({
+                TableName: this.budgetsTable,
+                Key: { budgetId: { S: budgetId } },
+                ConditionExpression: "attribute_exists(budgetId)",
+                ...toUpdateParams(attributes)
+            }));
+        } catch (err) {
+            console.error(`[DDBUtils] Error updating budget ${budgetId}: ${err.message}`);
+            throw err;
+        }
+    }
+
+    async getBudget(budgetId) {
+        try {
+            const res = await this.dynamo.send(new GetItemCommand({
+                TableName: this.budgetsTable,
+                Key: { budgetId: { S: budgetId } }
+            }));
+            return res.Item ? DDBUtils.fromBudgetItem(res.Item) : null;
+        } catch (err) {
+            console.error(`[DDBUtils] Error getting budget ${budgetId}: ${err.message}`);
+            throw err;
+        }
+    }
+
+    async listBudgetsByOwner(ownerEmail) {
+        const budgets = [];
+        let exclusiveStartKey;
+        try {
+            do {
+                const res = await this.dynamo.send(new QueryCommand({
+                    TableName: this.budgetsTable,
+                    IndexName: BUDGETS_OWNER_INDEX,
+                    KeyConditionExpression: "#owner = :owner",
+                    ExpressionAttributeNames: { "#owner": "ownerEmail" },
+                    ExpressionAttributeValues: { ":owner": { S: ownerEmail } },
+                    ExclusiveStartKey: exclusiveStartKey
+                }));
+                budgets.push(...(res.Items || []).map(DDBUtils.fromBudgetItem));
+                exclusiveStartKey = res.LastEvaluatedKey;
+            } while (exclusiveStartKey);
+        } catch (err) {
+            console.error(`[DDBUtils] Error listing budgets for ${ownerEmail}: ${err.message}`);
+            throw err;
+        }
+        return budgets;
+    }
+
+    /**
+     * Lists every budget, for the scheduled evaluator.
+     * @returns {Promise<Array<Object>>}
+     */
+    async listAllBudgets() {
+        const budgets = [];
+        let exclusiveStartKey;
+        try {
+            do {
+                const res = await this.dynamo.send(new ScanCommand({
+                    TableName: this.budgetsTable,
+                    ExclusiveStartKey: exclusiveStartKey
+                }));
+                budgets.push(...(res.Items || []).map(DDBUtils.fromBudgetItem));
+                exclusiveStartKey = res.LastEvaluatedKey;
+            } while (exclusiveStartKey);
+        } catch (err) {
+            console.error(`[DDBUtils] Error listing budgets: ${err.message}`);
+            throw err;
+        }
+        return budgets;
+    }
+
+    /**
+     * Marks a budget alert as sent unless it already was. The conditional write
+     * keeps overlapping evaluator runs from sending the same alert twice.
+     * @param {string} budgetId
+     * @param {string} alertKey - Period, threshold type and percent, e.g. "2026-10#ACTUAL#80"
+     * @returns {Promise<boolean>} true if this call claimed the alert
+     */
+    async claimBudgetAlert(budgetId, alertKey) {
+        try {
+            await this.dynamo.send(new UpdateItemCommand({
+                TableName: this.budgetsTable,
+                Key: { budgetId: { S: budgetId } },
+                UpdateExpression: "ADD alertsSent :keys",
+                ConditionExpression: "attribute_exists(budgetId) AND NOT contains(alertsSent, :key)",
+                ExpressionAttributeValues: { ":keys": { SS: [alertKey] }, ":key": { S: alertKey } }
+            }));
+            return true;
+        } catch (err) {
+            if (err.name === "ConditionalCheckFailedException") return false;
+            console.error(`[DDBUtils] Error claiming alert ${alertKey} for budget ${budgetId}: ${err.message}`);
+            throw err;
+        }
+    }
+
+    /**
+     * Releases claimed alerts whose email could not be delivered, so the next run retries them.
+     * @param {string} budgetId
+     * @param {Array<string>} alertKeys
+     */
+    async releaseBudgetAlerts(budgetId, alertKeys) {
+        try {
+            await this.dynamo.send(new UpdateItemCommand({
+                TableName: this.budgetsTable,
+                Key: { budgetId: { S: budgetId } },
+                UpdateExpression: "DELETE alertsSent :keys",
+                ExpressionAttributeValues: { ":keys": { SS: alertKeys } }
+            }));
+        } catch (err) {
+            console.error(`[DDBUtils] Error releasing alerts for budget ${budgetId}: ${err.message}`);
+            throw err;
+        }
+    }
+
+    /**
+     * Records the latest spend figures of a budget without touching the user-editable fields.
+     * @param {string} budgetId
+     * @param {Object} lastEvaluation - { at, period, actual, forecast, alerts, error }
+     */
+    async recordBudgetEvaluation(budgetId, lastEvaluation) {
+        try {
+            await this.dynamo.send(new UpdateItemCommand({
+                TableName: this.budgetsTable,
+                Key: { budgetId: { S: budgetId } },
+                UpdateExpression: "SET lastEvaluation = :e",
+                ConditionExpression: "attribute_exists(budgetId)",
+                ExpressionAttributeValues: { ":e": { S: JSON.stringify(lastEvaluation) } }
+            }));
+        } catch (err) {
+            console.error(`[DDBUtils] Error recording evaluation for budget ${budgetId}: ${err.message}`);
+            throw err;
+        }
+    }
+
+    async deleteBudget(budgetId) {
+        try {
+            await this.dynamo.send(new DeleteItemCommand({
+                TableName: this.budgetsTable,
+                Key: { budgetId: { S: budgetId } }
+            }));
+        } catch (err) {
+            console.error(`[DDBUtils] Error deleting budget ${budgetId}: ${err.message}`);
+            throw err;
+        }
+    }
 }
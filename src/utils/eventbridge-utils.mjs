@@ -0,0 +1,74 @@
+import {
+    EventBridgeClient,
+    PutRuleCommand,
+    PutTargetsCommand,
+    EnableRuleCommand,
+    DisableRuleCommand,
+    RemoveTargetsCommand,
+    DeleteRuleCommand
+} from "@aws-sdk/client-eventbridge";
+
+const region = process.env.AWS_REGION || 'ap-south-1';
+const eventBridge = new EventBridgeClient({ region });
+
+// Every scheduled report rule has exactly one target
+const SCHEDULE_TARGET_ID = "ScheduledCostReportTarget";
+
+/**
+ * Creates or updates a scheduled rule and points it at the given Lambda.
+ * PutRule/PutTargets are upserts, so this is used for both create and edit.
+ * @param {Object} params
+ * @param {string} params.ruleName - EventBridge rule name
+ * @param {string} params.cronExpression - Schedule expression, e.g. 'cron(0 8 * * ? *)'
+ * @param {string} params.targetArn - ARN of the Lambda to invoke
+ * @param {Object} params.input - JSON payload passed to the target
+ * @param {boolean} params.enabled - Whether the rule should be enabled
+ * @param {string} params.description - Optional rule description
+ * @returns {Promise<void>}
+ */
+export async function putScheduleRule({ ruleName, cronExpression, targetArn, input, enabled = true, description = "" }) {
+    await eventBridge.send(new PutRuleCommand({
+        Name: ruleName,
+        ScheduleExpression: cronExpression,
+        State: enabled ? "ENABLED" : "DISABLED",
+        Description: description.slice(0, 512),
+    }));
+    await eventBridge.send(new PutTargetsCommand({
+        Rule: ruleName,
+        Targets: [
+            {
+                Id: SCHEDULE_TARGET_ID,
+                Arn: targetArn,
+                Input: JSON.stringify(input)
+            }
+        ]
+    }));
+}
+
+/**
+ * Enables or disables a scheduled rule without touching its target
+ * @param {string} ruleName - EventBridge rule name
+ * @param {boolean} enabled - Desired state
+ * @returns {Promise<void>}
+ */
+export async function setScheduleRuleEnabled(ruleName, enabled) {
+    const Command = enabled ? EnableRuleCommand : DisableRuleCommand;
+    await eventBridge.send(new Command({ Name: ruleName }));
+}
+
+/**
+ * Removes the target of a scheduled rule and deletes the rule.
+ * A rule that no longer exists is treated as already deleted.
+ * @param {string} ruleName - EventBridge rule name
+ * @returns {Promise<void>}
+ */
+export async function deleteScheduleRule(ruleName) {
+    try {
+        await eventBridge.send(new RemoveTargetsCommand({ Rule: ruleName, Ids: [SCHEDULE_TARGET_ID] }));
+        await eventBridge.send(new DeleteRuleCommand({ Name: ruleName }));
+    } catch (err) {
+        if (err.name !== "ResourceNotFoundException") {
+            throw err;
+        }
+    }
+}
@@ -0,0 +1,225 @@
+// Checks the dollar figures and service/resource names in a model-written
+// summary against the Cost Explorer data the summary was written from.
+// No AWS calls are made here.
+import { SERVICE_ALIASES, DEFAULT_COST_METRIC, metricAmount } from "./cost-explorer-utils.mjs";
+
+// Outcome of checking a summary
+export const FACT_CHECK_STATUS = {
+    VERIFIED: "VERIFIED",            // Every figure and name matched the data
+    CORRECTED: "CORRECTED",          // The first summary had mismatches; the regenerated one matched
+    DISCREPANCIES: "DISCREPANCIES"   // Mismatches remain and are marked in the summary
+};
+
+// Relative tolerance for amounts, on top of the rounding implied by how the amount is written
+const RELATIVE_TOLERANCE = 0.01;
+
+// Issues listed per summary
+const MAX_ISSUES = 10;
+
+// First words after "Amazon"/"AWS" that start headings or phrases rather than service names
+const GENERIC_WORDS = new Set([
+    "account", "accounts", "bill", "billing", "charges", "cloud", "cost", "costs", "credits", "daily",
+    "environment", "forecast", "infrastructure", "monthly", "report", "resource", "resources", "service",
+    "services", "spend", "spending", "summary", "total", "usage"
+]);
+
+const MULTIPLIERS = { k: 1e3, thousand: 1e3, m: 1e6, million: 1e6 };
+
+const AMOUNT_PATTERN = /(-)?\$\s?(-)?(\d{1,3}(?:,\d{3})+|\d+)(?:\.(\d+))?(?:\s?(k|thousand|m|million)\b)?|(\d{1,3}(?:,\d{3})+|\d+)(?:\.(\d+))?\s?USD\b/gi;
+const SERVICE_NAME_PATTERN = /\b(?:Amazon|AWS)\s?((?:[A-Z0-9][A-Za-z0-9]*)(?:\s+[A-Z0-9][A-Za-z0-9]*){0,3})/g;
+const RESOURCE_ID_PATTERN = /\b(?:arn:aws[\w-]*:[^\s,;()"']+|(?:i|vol|snap|eni|nat|db|sg|subnet|vpc|ami)-[0-9a-f]{8,17})\b/g;
+
+/**
+ * Adds a figure and its absolute value to the list of known amounts.
+ * @param {Array<number>} amounts
+ * @param {number} value
+ */
+function addAmount(amounts, value) {
+    if (isFinite(value)) amounts.push(Math.abs(value));
+}
+
+/**
+ * Collects the names in a Cost Explorer selector or group key; tag and cost
+ * category keys look like "key$value".
+ * @param {*} node - Group key string or CostAndUsageSelector
+ * @param {Array<string>} names
+ */
+function collectNames(node, names) {
+    if (typeof node === "string") {
+        names.push(node);
+        if (node.includes("$")) names.push(node.split("$").slice(1).join("$"));
+        return;
+    }
+    if (Array.isArray(node)) {
+        node.forEach(child => collectNames(child, names));
+        return;
+    }
+    if (node && typeof node === "object") {
+        Object.values(node).forEach(child => collectNames(child, names));
+    }
+}
+
+/**
+ * Works out the figures a summary may quote: every amount in the data plus
+ * the totals, averages and period-over-period changes a reader would expect.
+ * @param {string} type - "cost" for ResultsByTime data or "comparison" for comparison data
+ *   (GetCostAndUsageComparisons or buildPeriodComparison)
+ * @param {Object} data - The data the summary was written from
+ * @param {string} [metric] - Key of COST_METRICS the data was fetched with
+ * @returns {{amounts: Array<number>, names: Array<string>}}
+ */
+export function collectReferenceFigures(type, data, metric = DEFAULT_COST_METRIC) {
+    const amounts = [0];
+    const names = [];
+
+    if (type === "comparison") {
+        const total = data.TotalCostAndUsage?.[metric] || {};
+        ["BaselineTimePeriodAmount", "ComparisonTimePeriodAmount", "Difference"].forEach(key => addAmount(amounts, parseFloat(total[key] || "0")));
+        (data.CostAndUsageComparisons || []).forEach(entry => {
+            const values = entry.Metrics?.[metric] || {};
+            ["BaselineTimePeriodAmount", "ComparisonTimePeriodAmount", "Difference"].forEach(key => addAmount(amounts, parseFloat(values[key] || "0")));
+            collectNames(entry.CostAndUsageSelector, names);
+        });
+        // Comparisons built from daily costs also carry raw period totals and per-day totals
+        const periodTotals = data.PeriodTotals?.[metric] || {};
+        ["BaselineTimePeriodAmount", "ComparisonTimePeriodAmount"].forEach(key => addAmount(amounts, parseFloat(periodTotals[key] || "0")));
+        addAmount(amounts, parseFloat(periodTotals.ComparisonTimePeriodAmount || "0") - parseFloat(periodTotals.BaselineTimePeriodAmount || "0"));
+        [...(data.DailyCosts?.baseline || []), ...(data.DailyCosts?.comparison || [])].forEach(day => addAmount(amounts, day.amount));
+        return { amounts, names: [...new Set(names)] };
+    }
+
+    const periods = data.ResultsByTime || [];
+    const groupSeries = {};
+    const periodTotals = periods.map((period, index) => {
+        if (!period.Groups?.length) {
+            const amount = metricAmount(period.Total, metric);
+            addAmount(amounts, amount);
+            return amount;
+        }
+        return period.Groups.reduce((sum, group) => {
+            const amount = metricAmount(group.Metrics, metric);
+            const key = (group.Keys || []).join(" / ");
+            addAmount(amounts, amount);
+            collectNames(group.Keys || [], names);
+            groupSeries[key] = groupSeries[key] || new Array(periods.length).fill(0);
+            groupSeries[key][index] += amount;
+            return sum + amount;
+        }, 0);
+    });
+
+    const grandTotal = periodTotals.reduce((sum, v) => sum + v, 0);
+    addAmount(amounts, grandTotal);
+    if (periods.length > 0) addAmount(amounts, grandTotal / periods.length);
+    periodTotals.forEach((total, i) => {
+        addAmount(amounts, total);
+        if (i > 0) addAmount(amounts, total - periodTotals[i - 1]);
+    });
+    Object.values(groupSeries).forEach(series => {
+        const total = series.reduce((sum, v) => sum + v, 0);
+        addAmount(amounts, total);
+        addAmount(amounts, total / series.length);
+        series.forEach((value, i) => {
+            if (i > 0) addAmount(amounts, value - series[i - 1]);
+        });
+        addAmount(amounts, series[series.length - 1] - series[0]);
+    });
+    return { amounts, names: [...new Set(names)] };
+}
+
+/**
+ * Finds the currency amounts in a summary, with the tolerance implied by how
+ * each one is written ("$1.2k" is only precise to $50).
+ * @param {string} text
+ * @returns {Array<{text: string, value: number, tolerance: number}>}
+ */
+export function extractAmounts(text) {
+    const found = [];
+    for (const match of text.matchAll(AMOUNT_PATTERN)) {
+        const [raw, , , dollars, cents, suffix, usdWhole, usdCents] = match;
+        const whole = (dollars ?? usdWhole).replace(/,/g, "");
+        const decimals = cents ?? usdCents ?? "";
+        const multiplier = suffix ? MULTIPLIERS[suffix.toLowerCase()] : 1;
+        const value = parseFloat(`${whole}.${decimals || "0"}`) * multiplier;
+        const rounding = 0.5 * 10 ** -decimals.length * multiplier;
+        found.push({ text: raw.trim(), value, tolerance: Math.max(rounding, value * RELATIVE_TOLERANCE, 0.01) });
+    }
+    return found;
+}
+
+/**
+ * Whether a service name from a summary refers to something in the data.
+ * "Amazon EC2 spend" is matched through the short service names, and only
+ * the leading words need to match since names run into the sentence.
+ * @param {Array<string>} words - Words after "Amazon"/"AWS"
+ * @param {Array<string>} knownNames - Lower-cased names from the data
+ * @returns {boolean}
+ */
+function isKnownServiceName(words, knownNames) {
+    for (let length = words.length; length >= 1; length--) {
+        const phrase = words.slice(0, length).join(" ").toLowerCase();
+        const alias = SERVICE_ALIASES[phrase]?.toLowerCase();
+        if (knownNames.some(name => name.includes(phrase) || (alias && name === alias))) {
+            return true;
+        }
+    }
+    return false;
+}
+
+/**
+ * Checks every amount and service/resource name in a summary against the
+ * reference figures. An amount matches when it is within its tolerance of
+ * any reference amount; differences are compared by absolute value.
+ * @param {string} summary
+ * @param {{amounts: Array<number>, names: Array<string>}} reference - Output of collectReferenceFigures
+ * @returns {{status: string, issues: Array<{kind: string, text: string, message: string}>}}
+ *   status is VERIFIED or DISCREPANCIES
+ */
+export function checkSummaryFigures(summary, reference) {
+    const issues = [];
+    const seen = new Set();
+    const addIssue = (issue) => {
+        if (seen.has(issue.text)) return;
+        seen.add(issue.text);
+        issues.push(issue);
+    };
+
+    extractAmounts(summary).forEach(amount => {
+        const closest = reference.amounts.reduce((best, value) => (Math.abs(value - amount.value) < Math.abs(best - amount.value) ? value : best), Infinity);
+        if (Math.abs(closest - amount.value) > amount.tolerance) {
+            addIssue({
+                kind: "amount",
+                text: amount.text,
+                message: `${amount.text} does not match any figure in the data (closest is $${closest.toFixed(2)})`
+            });
+        }
+    });
+
+    const knownNames = reference.names.map(name => name.toLowerCase());
+    if (knownNames.length > 0) {
+        for (const match of summary.matchAll(SERVICE_NAME_PATTERN)) {
+            const words = match[1].split(/\s+/);
+            if (GENERIC_WORDS.has(words[0].toLowerCase()) || isKnownServiceName(words, knownNames)) continue;
+            addIssue({ kind: "name", text: match[0], message: `${match[0]} does not appear in the data` });
+        }
+        for (const match of summary.matchAll(RESOURCE_ID_PATTERN)) {
+            if (!knownNames.some(name => name.includes(match[0].toLowerCase()))) {
+                addIssue({ kind: "name", text: match[0], message: `Resource ${match[0]} does not appear in the data` });
+            }
+        }
+    }
+
+    return {
+        status: issues.length === 0 ? FACT_CHECK_STATUS.VERIFIED : FACT_CHECK_STATUS.DISCREPANCIES,
+        issues: issues.slice(0, MAX_ISSUES)
+    };
+}
+
+/**
+ * Plain-text note listing the figures that could not be verified, appended
+ * to a summary so the discrepancy is visible in the PDF and emails.
+ * @param {Array<{message: string}>} issues
+ * @returns {string}
+ */
+export function formatFactCheckNote(issues) {
+    return `Fact check: the following could not be matched to the Cost Explorer data and may be wrong:\n${issues.map(issue => `- ${issue.message}`).join("\n")}`;
+}
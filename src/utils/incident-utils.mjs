@@ -0,0 +1,118 @@
+// Normalises Incident Manager incidents and OpsItems and lines them up with
+// daily cost per service. Pure functions only.
+import { buildDailyServiceSeries } from "./anomaly-utils.mjs";
+
+export const CORRELATION_DEFAULTS = {
+    windowDays: 1,     // Days either side of an event that count as "coinciding"
+    baselineDays: 7,   // Days before the window that give a service its normal cost
+    minChange: 1,      // Minimum increase, in the metric's unit, for a cost change to be reported
+    maxChanges: 3      // Cost changes kept per event
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const round = (value) => Math.round(value * 100) / 100;
+const toIso = (value) => (value ? new Date(value).toISOString() : null);
+
+// Incident Manager impact levels, 1 being the most severe
+const IMPACT_LABELS = { 1: "Critical", 2: "High", 3: "Medium", 4: "Low", 5: "No impact" };
+
+/**
+ * Normalises an Incident Manager IncidentRecordSummary.
+ * @param {Object} record
+ * @returns {{source: string, id: string, title: string, status: string, severity: string, createdAt: string, resolvedAt: string|null}}
+ */
+export function normalizeIncidentRecord(record) {
+    return {
+        source: "Incident Manager",
+        id: record.arn,
+        title: record.title || "(untitled incident)",
+        status: record.status || "UNKNOWN",
+        severity: IMPACT_LABELS[record.impact] || `Impact ${record.impact ?? "?"}`,
+        createdAt: toIso(record.creationTime),
+        resolvedAt: toIso(record.resolvedTime)
+    };
+}
+
+/**
+ * Normalises a Systems Manager OpsItemSummary.
+ * @param {Object} item
+ * @returns {{source: string, id: string, title: string, status: string, severity: string, createdAt: string, resolvedAt: null, category: string|null}}
+ */
+export function normalizeOpsItem(item) {
+    return {
+        source: "OpsItem",
+        id: item.OpsItemId,
+        title: item.Title || "(untitled OpsItem)",
+        status: item.Status || "UNKNOWN",
+        severity: item.Severity ? `Severity ${item.Severity}` : "Unrated",
+        createdAt: toIso(item.CreatedTime),
+        resolvedAt: null,
+        category: item.Category || null
+    };
+}
+
+/**
+ * Lines each event up with the daily cost data around it. For every service
+ * the highest cost within `windowDays` of the event is compared with the mean
+ * of the `baselineDays` before that window; the biggest increases are kept.
+ * Anomalies from detectCostAnomalies on those days are attached as well.
+ * @param {Array<Object>} resultsByTime - DAILY ResultsByTime grouped by SERVICE, oldest first, including baseline history
+ * @param {Array<Object>} events - Normalised incidents and OpsItems
+ * @param {Object} options
+ * @param {Array<Object>} [options.anomalies] - Output of detectCostAnomalies
+ * @param {string} [options.metric] - Key of COST_METRICS the results were fetched with
+ * @param {number} [options.windowDays]
+ * @param {number} [options.baselineDays]
+ * @param {number} [options.minChange]
+ * @param {number} [options.maxChanges]
+ * @returns {Array<Object>} Events with date, dayCost, costChanges, anomalies and correlated
+ */
+export function correlateIncidentsWithCosts(resultsByTime, events, options = {}) {
+    const { anomalies = [], metric, windowDays, baselineDays, minChange, maxChanges } = { ...CORRELATION_DEFAULTS, ...options };
+    const { dates, series } = buildDailyServiceSeries(resultsByTime, metric);
+    const indexOfDate = new Map(dates.map((date, i) => [date, i]));
+
+    return events.map(event => {
+        const date = event.createdAt ? event.createdAt.slice(0, 10) : null;
+        const index = date ? indexOfDate.get(date) : undefined;
+        const from = date ? new Date(new Date(date).getTime() - windowDays * DAY_MS).toISOString().slice(0, 10) : null;
+        const to = date ? new Date(new Date(date).getTime() + windowDays * DAY_MS).toISOString().slice(0, 10) : null;
+
+        const nearbyAnomalies = date
+            ? anomalies.filter(a => a.date >= from && a.date <= to)
+            : [];
+
+        const costChanges = [];
+        let dayCost = null;
+        if (index !== undefined) {
+            dayCost = round(Object.values(series).reduce((sum, costs) => sum + costs[index], 0));
+            const windowStart = Math.max(0, index - windowDays);
+            const windowEnd = Math.min(dates.length - 1, index + windowDays);
+            Object.entries(series).forEach(([service, costs]) => {
+                const baseline = costs.slice(Math.max(0, windowStart - baselineDays), windowStart);
+                if (baseline.length === 0) return;
+                const baselineMean = baseline.reduce((sum, v) => sum + v, 0) / baseline.length;
+                let peak = windowStart;
+                for (let i = windowStart; i <= windowEnd; i++) {
+                    if (costs[i] > costs[peak]) peak = i;
+                }
+                const change = costs[peak] - baselineMean;
+                if (change >= minChange) {
+                    costChanges.push({ service, date: dates[peak], cost: round(costs[peak]), baselineMean: round(baselineMean), change: round(change) });
+                }
+            });
+            costChanges.sort((a, b) => b.change - a.change || a.service.localeCompare(b.service));
+        }
+
+        const topChanges = costChanges.slice(0, maxChanges);
+        return {
+            ...event,
+            date,
+            dayCost,
+            costChanges: topChanges,
+            anomalies: nearbyAnomalies,
+            correlated: topChanges.length > 0 || nearbyAnomalies.length > 0
+        };
+    });
+}
@@ -0,0 +1,217 @@
+import { BedrockRuntimeClient, InvokeModelCommand } from "@aws-sdk/client-bedrock-runtime";
+import { parseCommandWithRules } from "./command-parser-utils.mjs";
+
+// Kinds of model call; each can use its own model
+export const LLM_TASKS = {
+    PARSE: "parse",       // Turning a user command into a JSON query
+    SUMMARY: "summary"    // Writing report narratives
+};
+
+const BEDROCK_REGION = process.env.BEDROCK_REGION || "us-east-1";
+const DEFAULT_MODEL_ID = "us.amazon.nova-premier-v1:0";
+
+// Per-task model, e.g. a small model for parsing and a stronger one for summaries
+const MODEL_IDS = {
+    [LLM_TASKS.PARSE]: process.env.LLM_PARSE_MODEL_ID || DEFAULT_MODEL_ID,
+    [LLM_TASKS.SUMMARY]: process.env.LLM_SUMMARY_MODEL_ID || DEFAULT_MODEL_ID
+};
+
+const MAX_OUTPUT_TOKENS = {
+    [LLM_TASKS.PARSE]: 1024,
+    [LLM_TASKS.SUMMARY]: 4096
+};
+
+const MAX_ATTEMPTS = 4;
+const BASE_BACKOFF_MS = 1000;
+const DEFAULT_TIMEOUT_MS = process.env.LLM_TIMEOUT_MS || "60000";
+
+// Per-attempt timeout per task, so a Lambda behind API Gateway can keep parsing short
+const REQUEST_TIMEOUT_MS = {
+    [LLM_TASKS.PARSE]: parseInt(process.env.LLM_PARSE_TIMEOUT_MS || DEFAULT_TIMEOUT_MS, 10),
+    [LLM_TASKS.SUMMARY]: parseInt(process.env.LLM_SUMMARY_TIMEOUT_MS || DEFAULT_TIMEOUT_MS, 10)
+};
+
+// Errors worth another attempt; anything else (bad request, access denied) will fail again
+const RETRYABLE_ERRORS = new Set([
+    "ThrottlingException",
+    "TooManyRequestsException",
+    "ServiceUnavailableException",
+    "ModelNotReadyException",
+    "InternalServerException"
+]);
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Request and response formats of the Bedrock model families in use.
+ * Each family builds the InvokeModel body and reads text and token usage
+ * back out of the response.
+ */
+const MODEL_FAMILIES = {
+    nova: {
+        matches: (modelId) => modelId.includes("amazon.nova"),
+        buildBody: ({ prompt, maxTokens, temperature }) => ({
+            messages: [{ role: "user", content: [{ text: prompt }] }],
+            inferenceConfig: { maxTokens, ...(temperature !== undefined ? { temperature } : {}) }
+        }),
+        readText: (response) => response.output?.message?.content?.[0]?.text ?? null,
+        readUsage: (response) => ({
+            inputTokens: response.usage?.inputTokens ?? 0,
+            outputTokens: response.usage?.outputTokens ?? 0
+        })
+    },
+    claude: {
+        matches: (modelId) => modelId.includes("anthropic.claude"),
+        buildBody: ({ prompt, maxTokens, temperature }) => ({
+            anthropic_version: "bedrock-2023-05-31",
+            max_tokens: maxTokens,
+            ...(temperature !== undefined ? { temperature } : {}),
+            messages: [{ role: "user", content: [{ type: "text", text: prompt }] }]
+        }),
+        readText: (response) => {
+            const blocks = (response.content || []).filter(block => block.type === "text");
+            return blocks.length > 0 ? blocks.map(block => block.text).join("") : null;
+        },
+        readUsage: (response) => ({
+            inputTokens: response.usage?.input_tokens ?? 0,
+            outputTokens: response.usage?.output_tokens ?? 0
+        })
+    }
+};
+
+/**
+ * Finds the request format for a model ID.
+ * @param {string} modelId - Bedrock model or inference profile ID
+ * @returns {Object} Entry of MODEL_FAMILIES
+ * @throws {Error} When the model family is not supported
+ */
+function resolveModelFamily(modelId) {
+    const family = Object.values(MODEL_FAMILIES).find(f => f.matches(modelId));
+    if (!family) {
+        throw new Error(`Unsupported model: ${modelId}. Use an Amazon Nova or Anthropic Claude model.`);
+    }
+    return family;
+}
+
+/**
+ * Whether a failed model call should be retried.
+ * @param {Error} error
+ * @returns {boolean}
+ */
+function isRetryable(error) {
+    const statusCode = error.$metadata?.httpStatusCode;
+    return RETRYABLE_ERRORS.has(error.name) || statusCode === 429 || statusCode >= 500;
+}
+
+let bedrockClient;
+
+/**
+ * Bedrock provider. The SDK's own retries are turned off so throttling is
+ * retried here with backoff across all attempts.
+ */
+const bedrockProvider = {
+    async complete({ prompt, modelId, maxTokens, temperature, timeoutMs }) {
+        bedrockClient = bedrockClient || new BedrockRuntimeClient({ region: BEDROCK_REGION, maxAttempts: 1 });
+        const family = resolveModelFamily(modelId);
+        const body = JSON.stringify(family.buildBody({ prompt, maxTokens, temperature }));
+
+        for (let attempt = 1; ; attempt++) {
+            try {
+                const response = await bedrockClient.send(
+                    new InvokeModelCommand({ contentType: "application/json", accept: "application/json", body, modelId }),
+                    { abortSignal: AbortSignal.timeout(timeoutMs) }
+                );
+                const result = JSON.parse(Buffer.from(response.body).toString());
+                return { text: family.readText(result), usage: family.readUsage(result), attempts: attempt };
+            } catch (error) {
+                if (!isRetryable(error) || attempt === MAX_ATTEMPTS) {
+                    throw error;
+                }
+                // Exponential backoff with jitter so throttled Lambdas do not retry in step
+                const delay = BASE_BACKOFF_MS * 2 ** (attempt - 1) * (0.5 + Math.random() / 2);
+                console.warn(JSON.stringify({ level: 'warn', msg: 'Model call failed, retrying', modelId, attempt, delayMs: Math.round(delay), error: error.name }));
+                await sleep(delay);
+            }
+        }
+    }
+};
+
+/**
+ * Offline provider with deterministic answers, for tests and local runs.
+ * Parsing uses the rule-based parser on the command in the prompt; summaries
+ * repeat the figure lines of the prompt, so every number in them is exact.
+ */
+const localProvider = {
+    async complete({ prompt, task }) {
+        let text;
+        if (task === LLM_TASKS.PARSE) {
+            const command = /Input: ([^\n]*)/.exec(prompt)?.[1]?.trim() || "";
+            text = JSON.stringify(parseCommandWithRules(command).query || {});
+        } else {
+            const figures = prompt.split("\n")
+                .map(line => line.trim())
+                .filter(line => /\$\s?-?\d/.test(line))
+                .slice(0, 20);
+            text = ["Summary", ...figures].join("\n");
+        }
+        const estimateTokens = (value) => Math.ceil(value.length / 4);
+        return { text, usage: { inputTokens: estimateTokens(prompt), outputTokens: estimateTokens(text) }, attempts: 1 };
+    }
+};
+
+const PROVIDERS = {
+    bedrock: bedrockProvider,
+    local: localProvider
+};
+
+/**
+ * Adds or replaces a provider. A provider has an async
+ * complete({ prompt, task, modelId, maxTokens, temperature, timeoutMs }) that
+ * returns { text, usage: { inputTokens, outputTokens }, attempts }.
+ * @param {string} name - Value of LLM_PROVIDER that selects it
+ * @param {Object} provider
+ */
+export function registerLlmProvider(name, provider) {
+    PROVIDERS[name] = provider;
+}
+
+/**
+ * Sends a prompt to the model configured for a task. The provider is picked
+ * by the LLM_PROVIDER environment variable ("bedrock" by default, "local"
+ * for offline runs) and token usage is logged for every call.
+ * @param {string} prompt
+ * @param {Object} [options]
+ * @param {string} [options.task] - One of LLM_TASKS; defaults to SUMMARY
+ * @returns {Promise<{text: string|null, usage: {inputTokens: number, outputTokens: number}, modelId: string, provider: string}>}
+ *   text is null when the response had no text in it
+ */
+export async function completePrompt(prompt, { task = LLM_TASKS.SUMMARY } = {}) {
+    const providerName = process.env.LLM_PROVIDER || "bedrock";
+    const provider = PROVIDERS[providerName];
+    if (!provider) {
+        throw new Error(`Unknown LLM provider: ${providerName}`);
+    }
+    const modelId = MODEL_IDS[task] || DEFAULT_MODEL_ID;
+    const startedAt = Date.now();
+    const result = await provider.complete({
+        prompt,
+        task,
+        modelId,
+        maxTokens: MAX_OUTPUT_TOKENS[task] || MAX_OUTPUT_TOKENS[LLM_TASKS.SUMMARY],
+        timeoutMs: REQUEST_TIMEOUT_MS[task] || REQUEST_TIMEOUT_MS[LLM_TASKS.SUMMARY],
+        // Parsing should give the same query for the same command
+        temperature: task === LLM_TASKS.PARSE ? 0 : undefined
+    });
+    console.log(JSON.stringify({
+        level: 'info',
+        msg: 'Model usage',
+        provider: providerName,
+        task,
+        modelId,
+        inputTokens: result.usage.inputTokens,
+        outputTokens: result.usage.outputTokens,
+        attempts: result.attempts,
+        latencyMs: Date.now() - startedAt
+    }));
+    return { text: result.text, usage: result.usage, modelId, provider: providerName };
+}
@@ -1,16 +1,29 @@
 import PDFDocument from "pdfkit";
+import { formatGroupKey, formatCostSelector, metricAmount, formatMetricAmount, sharedMetricUnit, collapseSmallGroups, describeDataSegments, COST_METRICS, DEFAULT_COST_METRIC } from "./cost-explorer-utils.mjs";
+import { describeComparisonNormalization } from "./comparison-utils.mjs";
 
-export async function generateCostReportPDF(responseText, data) {
+/**
+ * Creates a PDF document that collects its output into a buffer.
+ * @returns {{doc: PDFDocument, pdfPromise: Promise<Buffer>}}
+ */
+function createPdf() {
     const doc = new PDFDocument({ margin: 50 });
     const pdfChunks = [];
-    let pdfUploadError = null;
 
     const pdfPromise = new Promise((resolve, reject) => {
         doc.on('data', chunk => pdfChunks.push(chunk));
         doc.on('end', () => resolve(Buffer.concat(pdfChunks)));
         doc.on('error', reject);
     });
+    return { doc, pdfPromise };
+}
 
+/**
+ * Renders the plain-text Bedrock summary with title, headings and tables styled.
+ * @param {PDFDocument} doc
+ * @param {string} responseText
+ */
+function renderSummaryText(doc, responseText) {
     // --- PDFKit text rendering with improved style ---
     const lines = responseText.split('\n');
     let inTable = false;
@@ -18,19 +31,19 @@ export async function generateCostReportPDF(responseText, data) {
     lines.forEach(line => {
         const trimmed = line.trim();
 
-        if (!renderedTitle && /^aws (cost|monthly cost|resource cost) report$/i.test(trimmed)) {
+        if (!renderedTitle && /^aws (cost|monthly cost|resource cost|cost forecast|cost anomaly|commitment|rightsizing) report$/i.test(trimmed)) {
             doc.moveDown(0.5);
             doc.font('Helvetica-Bold').fontSize(24).fillColor('#2c3e50').text(trimmed, { align: 'center', underline: true });
             doc.moveDown(1.5);
             renderedTitle = true;
         }
         else if (
-            /^(total (spend|monthly spend)|service breakdown|top resources by spend|trends and anomalies|summary)$/i.test(trimmed.replace(":", ""))
+            /^(total (spend|monthly spend)|[a-z0-9 /_-]*breakdown|top resources by spend|trends and anomalies|forecast summary|service forecasts|detected anomalies|likely causes|recommended actions|savings plans|reserved instances|expiring reservations|recommendations|top savings opportunities|risk assessment|summary)$/i.test(trimmed.replace(":", ""))
         ) {
             doc.moveDown(1);
             doc.font('Helvetica-Bold').fontSize(16).fillColor('#34495e').text(trimmed.replace(":", ""), { underline: true });
             doc.moveDown(0.5);
-            inTable = trimmed.toLowerCase().includes('service breakdown') || trimmed.toLowerCase().includes('top resources by spend');
+            inTable = trimmed.toLowerCase().includes('breakdown') || trimmed.toLowerCase().includes('top resources by spend');
         }
         else if (inTable && /^(\s*service|\s*resource id)\s+cost/i.test(trimmed)) {
             doc.font('Courier-Bold').fontSize(12).fillColor('#222').text(trimmed);
@@ -50,17 +63,91 @@ export async function generateCostReportPDF(responseText, data) {
             doc.font('Helvetica').fontSize(12).fillColor('#222').text(trimmed);
         }
     });
+}
+
+/**
+ * Renders rightsizing savings: a horizontal bar chart of estimated monthly
+ * savings per account and instance family, then the top actions with their risk.
+ * @param {PDFDocument} doc
+ * @param {Object} rightsizing - Output of summarizeRightsizing
+ */
+function renderRightsizingSection(doc, rightsizing) {
+    const groups = rightsizing.groups.slice(0, 12);
+    if (groups.length === 0) return;
+
+    doc.addPage();
+    doc.moveDown(1);
+    doc.font('Helvetica-Bold').fontSize(16).fillColor('#2c3e50').text('Estimated Monthly Savings by Account and Instance Family', { align: 'center', underline: true });
+    doc.moveDown(1);
+
+    const labelWidth = 160;
+    const barLeft = doc.page.margins.left + labelWidth;
+    const barMaxWidth = doc.page.width - doc.page.margins.right - barLeft - 70;
+    const maxSavings = Math.max(...groups.map(g => g.estimatedMonthlySavings), 0.01);
+    let y = doc.y;
+    groups.forEach(g => {
+        const width = Math.max((g.estimatedMonthlySavings / maxSavings) * barMaxWidth, 1);
+        doc.font('Helvetica').fontSize(9).fillColor('#222')
+            .text(`${g.accountId} / ${g.family} (${g.count})`, doc.page.margins.left, y + 3, { width: labelWidth - 8 });
+        doc.rect(barLeft, y, width, 14).fill('#109618');
+        doc.font('Helvetica').fontSize(9).fillColor('#222').text(`$${g.estimatedMonthlySavings.toFixed(2)}`, barLeft + width + 6, y + 3);
+        y += 22;
+    });
+    doc.font('Helvetica-Bold').fontSize(11).fillColor('#222')
+        .text(`Total: $${rightsizing.totalMonthlySavings.toFixed(2)} ${rightsizing.currency} per month across ${rightsizing.count} instance(s)`, doc.page.margins.left, y + 10);
+
+    const riskColors = { LOW: '#109618', MEDIUM: '#FF9900', HIGH: '#B82E2E' };
+    doc.moveDown(1.5);
+    doc.font('Helvetica-Bold').fontSize(14).fillColor('#34495e').text('Top Actions', { underline: true });
+    doc.moveDown(0.5);
+    rightsizing.actions.slice(0, 25).forEach(a => {
+        const change = a.action === 'TERMINATE' ? 'terminate' : `${a.currentType} -> ${a.targetType || '?'}`;
+        doc.font('Courier').fontSize(9).fillColor(riskColors[a.risk] || '#222')
+            .text(`[${a.risk}] $${a.estimatedMonthlySavings.toFixed(2)}/mo  ${a.resourceId}  ${change}  ${a.accountId} ${a.region}`);
+    });
+}
+
+/**
+ * Generates the standard cost report: summary text followed by a pie chart of
+ * cost per group. With two-level grouping each slice is one combination, e.g. "Amazon EC2 / us-east-1".
+ * The rightsizing layout replaces the pie chart with savings per account and instance family.
+ * @param {string} responseText - Bedrock summary
+ * @param {Object} data - Cost Explorer result with ResultsByTime, or rightsizing summary for that layout
+ * @param {Object} options
+ * @param {Array<string>} options.groupLabels - Labels of the grouping used, e.g. ["Service", "Region"]
+ * @param {string} options.layout - "costs" for the pie chart, or "rightsizing" when data is the output of summarizeRightsizing
+ * @param {string} options.metric - Key of COST_METRICS the chart adds up
+ * @returns {Promise<Buffer>}
+ */
+export async function generateCostReportPDF(responseText, data, { groupLabels = ["Service"], layout = "costs", metric = DEFAULT_COST_METRIC } = {}) {
+    const { doc, pdfPromise } = createPdf();
+
+    renderSummaryText(doc, responseText);
+
+    const segmentsNote = describeDataSegments(data);
+    if (segmentsNote) {
+        doc.moveDown(0.5);
+        doc.font('Helvetica-Oblique').fontSize(10).fillColor('#555').text(`Note: ${segmentsNote}`);
+    }
+
+    if (layout === "rightsizing") {
+        renderRightsizingSection(doc, data);
+        doc.end();
+        return pdfPromise;
+    }
 
     doc.moveDown(1.5);
 
-    // Pie chart logic (same as your current implementation)
-    const costData = data.ResultsByTime || [];
+    // Pie chart logic; small groups of large results are drawn as one "Other" slice
+    const costData = collapseSmallGroups(data, { metric }).ResultsByTime || [];
     const serviceCostMap = {};
+    let unit;
 
     costData.forEach(day => {
         (day.Groups || []).forEach(group => {
-            const service = group.Keys[0];
-            const amount = parseFloat(group.Metrics.UnblendedCost.Amount);
+            const service = group.Keys.map(formatGroupKey).join(' / ');
+            const amount = metricAmount(group.Metrics, metric);
+            unit = group.Metrics?.[metric]?.Unit || unit;
             if (!serviceCostMap[service]) {
                 serviceCostMap[service] = 0;
             }
@@ -77,7 +164,7 @@ export async function generateCostReportPDF(responseText, data) {
         // Pie chart heading on a new page
         doc.addPage();
         doc.moveDown(1);
-        doc.font('Helvetica-Bold').fontSize(16).fillColor('#2c3e50').text('AWS Cost Distribution by Service', { align: 'center', underline: true });
+        doc.font('Helvetica-Bold').fontSize(16).fillColor('#2c3e50').text(`AWS ${COST_METRICS[metric].label} Distribution by ${groupLabels.join(' and ')}`, { align: 'center', underline: true });
         doc.moveDown(0.5);
         const pieChartHeight = 2 * 80 + 60 + (serviceCosts.slice(0, 10).length * 16) + 40;
         if (doc.y + pieChartHeight > doc.page.height - doc.page.margins.bottom) {
@@ -121,12 +208,12 @@ export async function generateCostReportPDF(responseText, data) {
         const legendMaxWidth = doc.page.width - doc.page.margins.right;
         doc.font(legendFont).fontSize(legendFontSize);
         // Title for legend
-        doc.font('Helvetica-Bold').fontSize(10).fillColor('#222').text('Service Breakdown', legendX, legendY, { continued: false });
+        doc.font('Helvetica-Bold').fontSize(10).fillColor('#222').text(`${groupLabels.join(' / ')} Breakdown`, legendX, legendY, { continued: false });
         legendY += 16;
         let rowHeight = 0;
         serviceCosts.slice(0, 30).forEach((s, i) => {
             const percent = ((s.cost / total) * 100).toFixed(1);
-            const legendText = `${s.service}: $${s.cost.toFixed(2)} (${percent}%)`;
+            const legendText = `${s.service}: ${formatMetricAmount(s.cost, metric, unit)} (${percent}%)`;
             const textWidth = doc.widthOfString(legendText, { font: legendFont, size: legendFontSize });
             const entryWidth = legendBoxSize + legendTextOffset + textWidth + legendEntrySpacingX;
             rowHeight = Math.max(rowHeight, legendBoxSize);
@@ -152,4 +239,401 @@ export async function generateCostReportPDF(responseText, data) {
 
     doc.end();
     return pdfPromise;
-}
\ No newline at end of file
+}
+
+/**
+ * Generates the comparison report: summary text, a daily chart of both
+ * periods side by side (day 1 of each period together) when daily costs are
+ * available, and the largest changes. The normalization used for periods of
+ * different lengths is stated under the chart.
+ * @param {string} responseText - Bedrock comparison summary
+ * @param {Object} comparisonData - Output of ReportUtils.comparisonReport's fetch
+ * @param {Object} [options]
+ * @param {Array<string>} [options.groupLabels] - Labels of the grouping used
+ * @param {string} [options.metric] - Key of COST_METRICS that was compared
+ * @returns {Promise<Buffer>}
+ */
+export async function generateComparisonReportPDF(responseText, comparisonData, { groupLabels = ["Service"], metric = DEFAULT_COST_METRIC } = {}) {
+    const { doc, pdfPromise } = createPdf();
+
+    renderSummaryText(doc, responseText);
+
+    const unit = comparisonData.TotalCostAndUsage?.[metric]?.Unit;
+    const format = (value) => formatMetricAmount(value, metric, unit);
+    const normalizationNote = describeComparisonNormalization(comparisonData);
+    const baselineDays = comparisonData.DailyCosts?.baseline || [];
+    const comparisonDays = comparisonData.DailyCosts?.comparison || [];
+    const dayCount = Math.max(baselineDays.length, comparisonDays.length);
+
+    if (dayCount > 0) {
+        doc.addPage();
+        doc.moveDown(1);
+        doc.font('Helvetica-Bold').fontSize(16).fillColor('#2c3e50').text(`Daily ${COST_METRICS[metric].label}: Baseline vs Comparison`, { align: 'center', underline: true });
+        doc.moveDown(1);
+
+        const chartLeft = doc.page.margins.left + 50;
+        const chartRight = doc.page.width - doc.page.margins.right;
+        const chartTop = doc.y + 10;
+        const chartHeight = 220;
+        const chartBottom = chartTop + chartHeight;
+        const maxValue = Math.max(...baselineDays.map(d => d.amount), ...comparisonDays.map(d => d.amount), 0.01);
+        const slot = (chartRight - chartLeft) / dayCount;
+        const barWidth = Math.max(Math.min(slot * 0.4, 20), 1);
+        const yFor = (value) => chartBottom - (Math.max(value, 0) / maxValue) * chartHeight;
+
+        // Axes and scale
+        doc.moveTo(chartLeft, chartTop).lineTo(chartLeft, chartBottom).lineTo(chartRight, chartBottom).strokeColor('#888').stroke();
+        [0, 0.5, 1].forEach(fraction => {
+            const value = maxValue * fraction;
+            doc.font('Helvetica').fontSize(8).fillColor('#555')
+                .text(format(value), doc.page.margins.left, yFor(value) - 4, { width: 45, align: 'right' });
+        });
+
+        for (let i = 0; i < dayCount; i++) {
+            const x = chartLeft + i * slot + (slot - 2 * barWidth) / 2;
+            [[baselineDays[i], '#3366CC', 0], [comparisonDays[i], '#FF9900', barWidth]].forEach(([day, color, offset]) => {
+                if (!day) return;
+                const y = yFor(day.amount);
+                doc.rect(x + offset, y, barWidth, chartBottom - y).fill(color);
+            });
+        }
+
+        // Label the first, last and every few days so labels stay readable
+        const labelEvery = Math.ceil(dayCount / 8);
+        for (let i = 0; i < dayCount; i++) {
+            if (i % labelEvery === 0 || i === dayCount - 1) {
+                doc.font('Helvetica').fontSize(7).fillColor('#555')
+                    .text(`Day ${i + 1}`, chartLeft + i * slot, chartBottom + 4, { width: Math.max(slot * labelEvery, 40) });
+            }
+        }
+
+        // Legend
+        const legendY = chartBottom + 24;
+        const period = (p) => (p ? `${p.start} to ${p.end}` : '');
+        doc.rect(chartLeft, legendY, 10, 10).fill('#3366CC');
+        doc.font('Helvetica').fontSize(9).fillColor('#222').text(`Baseline ${period(comparisonData.BaselineTimePeriod)}`, chartLeft + 14, legendY + 1);
+        doc.rect(chartLeft + 220, legendY, 10, 10).fill('#FF9900');
+        doc.font('Helvetica').fontSize(9).fillColor('#222').text(`Comparison ${period(comparisonData.ComparisonTimePeriod)}`, chartLeft + 234, legendY + 1);
+        doc.text('', doc.page.margins.left, legendY + 24);
+    }
+
+    if (normalizationNote) {
+        doc.moveDown(0.5);
+        doc.font('Helvetica-Oblique').fontSize(10).fillColor('#555').text(`Note: ${normalizationNote}`);
+    }
+
+    const changes = (comparisonData.CostAndUsageComparisons || [])
+        .map(entry => ({
+            name: formatCostSelector(entry.CostAndUsageSelector),
+            baseline: parseFloat(entry.Metrics?.[metric]?.BaselineTimePeriodAmount || '0'),
+            comparison: parseFloat(entry.Metrics?.[metric]?.ComparisonTimePeriodAmount || '0'),
+            difference: parseFloat(entry.Metrics?.[metric]?.Difference || '0')
+        }))
+        .filter(change => Math.abs(change.difference) > 0.01)
+        .sort((a, b) => Math.abs(b.difference) - Math.abs(a.difference))
+        .slice(0, 15);
+    if (changes.length > 0) {
+        doc.moveDown(1);
+        doc.font('Helvetica-Bold').fontSize(14).fillColor('#34495e')
+            .text(`Largest Changes by ${groupLabels.join(' / ')}${normalizationNote ? ' (per day)' : ''}`, { underline: true });
+        doc.moveDown(0.5);
+        changes.forEach(change => {
+            const sign = change.difference >= 0 ? '+' : '-';
+            doc.font('Courier').fontSize(9).fillColor('#222')
+                .text(`${change.name}: ${format(change.baseline)} -> ${format(change.comparison)} (${sign}${format(Math.abs(change.difference))})`);
+        });
+    }
+
+    doc.end();
+    return pdfPromise;
+}
+
+/**
+ * Generates the forecast report: summary text followed by a bar chart of
+ * actual spend and forecast spend, with the prediction interval drawn as error bars.
+ * @param {string} responseText - Bedrock forecast summary
+ * @param {Object} forecastData - Actuals, forecast and service forecasts from ReportUtils.forecastReport
+ * @returns {Promise<Buffer>}
+ */
+export async function generateForecastReportPDF(responseText, forecastData) {
+    const { doc, pdfPromise } = createPdf();
+
+    renderSummaryText(doc, responseText);
+
+    const bars = [
+        ...(forecastData.actuals || []).map(period => ({
+            label: period.TimePeriod.Start,
+            value: (period.Groups || []).reduce((sum, g) => sum + metricAmount(g.Metrics, forecastData.metric), 0),
+            forecast: false
+        })),
+        ...(forecastData.forecast?.ForecastResultsByTime || []).map(period => ({
+            label: period.TimePeriod.Start,
+            value: parseFloat(period.MeanValue || '0'),
+            lower: parseFloat(period.PredictionIntervalLowerBound || period.MeanValue || '0'),
+            upper: parseFloat(period.PredictionIntervalUpperBound || period.MeanValue || '0'),
+            forecast: true
+        }))
+    ];
+
+    if (bars.length > 0) {
+        doc.addPage();
+        doc.moveDown(1);
+        doc.font('Helvetica-Bold').fontSize(16).fillColor('#2c3e50').text('Actual vs Forecast Spend', { align: 'center', underline: true });
+        doc.moveDown(1);
+
+        const chartLeft = doc.page.margins.left + 50;
+        const chartRight = doc.page.width - doc.page.margins.right;
+        const chartTop = doc.y + 10;
+        const chartHeight = 220;
+        const chartBottom = chartTop + chartHeight;
+        const maxValue = Math.max(...bars.map(b => b.upper ?? b.value), 0.01);
+        const slot = (chartRight - chartLeft) / bars.length;
+        const barWidth = Math.max(Math.min(slot * 0.7, 40), 2);
+        const yFor = (value) => chartBottom - (value / maxValue) * chartHeight;
+
+        // Axes and scale
+        doc.moveTo(chartLeft, chartTop).lineTo(chartLeft, chartBottom).lineTo(chartRight, chartBottom).strokeColor('#888').stroke();
+        [0, 0.5, 1].forEach(fraction => {
+            const value = maxValue * fraction;
+            doc.font('Helvetica').fontSize(8).fillColor('#555')
+                .text(`$${value.toFixed(2)}`, doc.page.margins.left, yFor(value) - 4, { width: 45, align: 'right' });
+        });
+
+        bars.forEach((bar, i) => {
+            const x = chartLeft + i * slot + (slot - barWidth) / 2;
+            const y = yFor(bar.value);
+            doc.rect(x, y, barWidth, chartBottom - y).fill(bar.forecast ? '#FF9900' : '#3366CC');
+            if (bar.forecast) {
+                // Prediction interval error bar
+                const centerX = x + barWidth / 2;
+                doc.moveTo(centerX, yFor(bar.upper)).lineTo(centerX, yFor(bar.lower)).strokeColor('#222').stroke();
+                doc.moveTo(centerX - 4, yFor(bar.upper)).lineTo(centerX + 4, yFor(bar.upper)).stroke();
+                doc.moveTo(centerX - 4, yFor(bar.lower)).lineTo(centerX + 4, yFor(bar.lower)).stroke();
+            }
+        });
+
+        // Label the first, last and every few bars so dates stay readable
+        const labelEvery = Math.ceil(bars.length / 8);
+        bars.forEach((bar, i) => {
+            if (i % labelEvery === 0 || i === bars.length - 1) {
+                doc.font('Helvetica').fontSize(7).fillColor('#555')
+                    .text(bar.label, chartLeft + i * slot, chartBottom + 4, { width: Math.max(slot * labelEvery, 50) });
+            }
+        });
+
+        // Legend
+        const legendY = chartBottom + 24;
+        doc.rect(chartLeft, legendY, 10, 10).fill('#3366CC');
+        doc.font('Helvetica').fontSize(9).fillColor('#222').text('Actual', chartLeft + 14, legendY + 1);
+        doc.rect(chartLeft + 80, legendY, 10, 10).fill('#FF9900');
+        doc.font('Helvetica').fontSize(9).fillColor('#222')
+            .text(`Forecast (${forecastData.predictionIntervalLevel}% prediction interval)`, chartLeft + 94, legendY + 1);
+        doc.text('', doc.page.margins.left, legendY + 30);
+    }
+
+    const serviceForecasts = forecastData.serviceForecasts || [];
+    if (serviceForecasts.length > 0) {
+        doc.moveDown(1);
+        doc.font('Helvetica-Bold').fontSize(14).fillColor('#34495e').text('Forecast by Service', { underline: true });
+        doc.moveDown(0.5);
+        serviceForecasts.forEach(s => {
+            const mean = parseFloat(s.Total?.Amount || '0');
+            const lower = (s.ForecastResultsByTime || []).reduce((sum, p) => sum + parseFloat(p.PredictionIntervalLowerBound || '0'), 0);
+            const upper = (s.ForecastResultsByTime || []).reduce((sum, p) => sum + parseFloat(p.PredictionIntervalUpperBound || '0'), 0);
+            doc.font('Courier').fontSize(10).fillColor('#222')
+                .text(`${s.service}: $${mean.toFixed(2)} ($${lower.toFixed(2)} - $${upper.toFixed(2)})`);
+        });
+    }
+
+    doc.end();
+    return pdfPromise;
+}
+
+/**
+ * Generates the commitment report: summary text, a grouped bar chart of
+ * Savings Plans and Reserved Instance utilization and coverage per period,
+ * and a table of commitments that expire soon.
+ * @param {string} responseText - Bedrock commitment summary
+ * @param {Object} commitments - Output of summarizeCommitments
+ * @returns {Promise<Buffer>}
+ */
+export async function generateCommitmentReportPDF(responseText, commitments) {
+    const { doc, pdfPromise } = createPdf();
+
+    renderSummaryText(doc, responseText);
+
+    const seriesDefs = [
+        { key: 'spUtilization', label: 'SP utilization', color: '#3366CC' },
+        { key: 'spCoverage', label: 'SP coverage', color: '#109618' },
+        { key: 'riUtilization', label: 'RI utilization', color: '#FF9900' },
+        { key: 'riCoverage', label: 'RI coverage', color: '#990099' }
+    ].filter(def => commitments.series.some(p => p[def.key] !== null));
+
+    if (seriesDefs.length > 0) {
+        doc.addPage();
+        doc.moveDown(1);
+        doc.font('Helvetica-Bold').fontSize(16).fillColor('#2c3e50').text('Utilization and Coverage', { align: 'center', underline: true });
+        doc.moveDown(1);
+
+        const chartLeft = doc.page.margins.left + 40;
+        const chartRight = doc.page.width - doc.page.margins.right;
+        const chartTop = doc.y + 10;
+        const chartHeight = 200;
+        const chartBottom = chartTop + chartHeight;
+        const slot = (chartRight - chartLeft) / commitments.series.length;
+        const barWidth = Math.max(Math.min((slot * 0.8) / seriesDefs.length, 18), 1);
+        const yFor = (value) => chartBottom - (Math.min(value, 100) / 100) * chartHeight;
+
+        doc.moveTo(chartLeft, chartTop).lineTo(chartLeft, chartBottom).lineTo(chartRight, chartBottom).strokeColor('#888').stroke();
+        [0, 50, 100].forEach(value => {
+            doc.font('Helvetica').fontSize(8).fillColor('#555')
+                .text(`${value}%`, doc.page.margins.left, yFor(value) - 4, { width: 35, align: 'right' });
+        });
+
+        commitments.series.forEach((period, i) => {
+            const groupLeft = chartLeft + i * slot + (slot - barWidth * seriesDefs.length) / 2;
+            seriesDefs.forEach((def, j) => {
+                const value = period[def.key];
+                if (value === null) return;
+                const y = yFor(value);
+                doc.rect(groupLeft + j * barWidth, y, barWidth, chartBottom - y).fill(def.color);
+            });
+        });
+
+        const labelEvery = Math.ceil(commitments.series.length / 8);
+        commitments.series.forEach((period, i) => {
+            if (i % labelEvery === 0 || i === commitments.series.length - 1) {
+                doc.font('Helvetica').fontSize(7).fillColor('#555')
+                    .text(period.period, chartLeft + i * slot, chartBottom + 4, { width: Math.max(slot * labelEvery, 50) });
+            }
+        });
+
+        let legendX = chartLeft;
+        const legendY = chartBottom + 24;
+        seriesDefs.forEach(def => {
+            doc.rect(legendX, legendY, 10, 10).fill(def.color);
+            doc.font('Helvetica').fontSize(9).fillColor('#222').text(def.label, legendX + 14, legendY + 1);
+            legendX += 110;
+        });
+        doc.text('', doc.page.margins.left, legendY + 30);
+    }
+
+    const headline = [];
+    if (commitments.savingsPlans) {
+        const sp = commitments.savingsPlans;
+        headline.push(`Savings Plans: unused commitment $${sp.unusedCommitment.toFixed(2)} of $${sp.totalCommitment.toFixed(2)}, net savings $${sp.netSavings.toFixed(2)}`);
+    }
+    if (commitments.reservations) {
+        const ri = commitments.reservations;
+        headline.push(`Reserved Instances: ${ri.unusedHours} unused hours costing $${ri.unusedCost.toFixed(2)}, net savings $${ri.netSavings.toFixed(2)}`);
+    }
+    if (headline.length > 0) {
+        doc.moveDown(1);
+        doc.font('Helvetica-Bold').fontSize(14).fillColor('#34495e').text('Unused Commitment', { underline: true });
+        doc.moveDown(0.5);
+        headline.forEach(line => doc.font('Helvetica').fontSize(11).fillColor('#222').text(line));
+    }
+
+    if (commitments.expiring.length > 0) {
+        doc.moveDown(1);
+        doc.font('Helvetica-Bold').fontSize(14).fillColor('#34495e').text('Expiring Commitments', { underline: true });
+        doc.moveDown(0.5);
+        commitments.expiring.forEach(e => {
+            const utilization = e.utilizationPct === null ? 'N/A' : `${e.utilizationPct.toFixed(1)}%`;
+            doc.font('Courier').fontSize(9).fillColor(e.daysLeft <= 14 ? '#B82E2E' : '#222')
+                .text(`${e.endDate} (${e.daysLeft}d)  ${e.type}  ${e.description || e.id}  utilization ${utilization}`);
+        });
+    }
+
+    doc.end();
+    return pdfPromise;
+}
+
+/**
+ * Generates the incident correlation report: summary text, daily spend with
+ * each incident and OpsItem marked on the day it was opened, and the list of
+ * events with the cost changes around them.
+ * @param {string} responseText - Bedrock correlation summary
+ * @param {Object} incidentData - ResultsByTime and events from ReportUtils.incidentReport
+ * @param {Object} [options]
+ * @param {string} [options.metric] - Key of COST_METRICS the costs were fetched in
+ * @returns {Promise<Buffer>}
+ */
+export async function generateIncidentReportPDF(responseText, incidentData, { metric = DEFAULT_COST_METRIC } = {}) {
+    const { doc, pdfPromise } = createPdf();
+    const format = (value) => formatMetricAmount(value, metric, sharedMetricUnit(incidentData.ResultsByTime, metric));
+
+    renderSummaryText(doc, responseText);
+
+    const days = (incidentData.ResultsByTime || []).map(day => ({
+        label: day.TimePeriod.Start,
+        value: (day.Groups || []).reduce((sum, g) => sum + metricAmount(g.Metrics, metric), 0)
+    }));
+    const events = incidentData.events || [];
+
+    if (days.length > 0) {
+        doc.addPage();
+        doc.moveDown(1);
+        doc.font('Helvetica-Bold').fontSize(16).fillColor('#2c3e50').text(`Daily ${COST_METRICS[metric].label} and Incidents`, { align: 'center', underline: true });
+        doc.moveDown(1);
+
+        const chartLeft = doc.page.margins.left + 50;
+        const chartRight = doc.page.width - doc.page.margins.right;
+        const chartTop = doc.y + 20;
+        const chartHeight = 220;
+        const chartBottom = chartTop + chartHeight;
+        const maxValue = Math.max(...days.map(d => d.value), 0.01);
+        const slot = (chartRight - chartLeft) / days.length;
+        const barWidth = Math.max(Math.min(slot * 0.7, 40), 2);
+        const yFor = (value) => chartBottom - (value / maxValue) * chartHeight;
+
+        doc.moveTo(chartLeft, chartTop).lineTo(chartLeft, chartBottom).lineTo(chartRight, chartBottom).strokeColor('#888').stroke();
+        [0, 0.5, 1].forEach(fraction => {
+            const value = maxValue * fraction;
+            doc.font('Helvetica').fontSize(8).fillColor('#555')
+                .text(format(value), doc.page.margins.left, yFor(value) - 4, { width: 45, align: 'right' });
+        });
+
+        days.forEach((day, i) => {
+            const x = chartLeft + i * slot + (slot - barWidth) / 2;
+            const y = yFor(day.value);
+            doc.rect(x, y, barWidth, chartBottom - y).fill('#3366CC');
+        });
+
+        // Events are numbered in list order and marked above the day they were opened
+        events.forEach((event, n) => {
+            const i = days.findIndex(d => d.label === event.date);
+            if (i === -1) return;
+            const centerX = chartLeft + i * slot + slot / 2;
+            doc.moveTo(centerX, chartTop - 4).lineTo(centerX, chartBottom).dash(3, { space: 2 }).strokeColor('#B82E2E').stroke().undash();
+            doc.font('Helvetica-Bold').fontSize(8).fillColor('#B82E2E').text(String(n + 1), centerX - 10, chartTop - 16, { width: 20, align: 'center' });
+        });
+
+        const labelEvery = Math.ceil(days.length / 8);
+        days.forEach((day, i) => {
+            if (i % labelEvery === 0 || i === days.length - 1) {
+                doc.font('Helvetica').fontSize(7).fillColor('#555')
+                    .text(day.label, chartLeft + i * slot, chartBottom + 4, { width: Math.max(slot * labelEvery, 50) });
+            }
+        });
+        doc.text('', doc.page.margins.left, chartBottom + 30);
+    }
+
+    doc.moveDown(1);
+    doc.font('Helvetica-Bold').fontSize(14).fillColor('#34495e').text('Incidents and OpsItems', { underline: true });
+    doc.moveDown(0.5);
+    if (events.length === 0) {
+        doc.font('Helvetica').fontSize(10).fillColor('#222').text('No incidents or OpsItems were opened in this period.');
+    }
+    events.slice(0, 40).forEach((event, n) => {
+        doc.font('Helvetica-Bold').fontSize(10).fillColor(event.correlated ? '#B82E2E' : '#222')
+            .text(`${n + 1}. ${event.date || '?'} [${event.source}] ${event.title} (${event.severity}, ${event.status})`);
+        event.costChanges.forEach(c => {
+            doc.font('Courier').fontSize(9).fillColor('#222')
+                .text(`     ${c.date} ${c.service}: ${format(c.cost)} vs ${format(c.baselineMean)} normal (+${format(c.change)})`);
+        });
+    });
+
+    doc.end();
+    return pdfPromise;
+}
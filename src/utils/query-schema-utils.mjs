@@ -0,0 +1,293 @@
+import { RELATIVE_WINDOWS, FORECAST_WINDOWS } from "./report-utils.mjs";
+import { BUDGET_PERIODS, BUDGET_THRESHOLD_TYPE } from "./budget-utils.mjs";
+import { describeScheduleExpressionError } from "./schedule-utils.mjs";
+import { COST_METRICS, isUsageMetric } from "./cost-explorer-utils.mjs";
+
+// Intents the parsing prompt can produce
+export const QUERY_INTENTS = [
+    "monthly", "daily", "resource", "scheduled", "compare-months", "forecast", "anomalies", "commitments",
+    "rightsizing", "incidents", "list-schedules", "pause-schedule", "resume-schedule", "update-schedule",
+    "delete-schedule", "create-budget", "list-budgets", "delete-budget"
+];
+
+// Reports a schedule can run
+export const REPORT_INTENTS = ["daily", "monthly", "resource", "compare-months", "forecast", "anomalies", "commitments", "rightsizing", "incidents"];
+
+// Cost Explorer can forecast costs but not usage quantities
+const FORECAST_METRICS = Object.keys(COST_METRICS).filter(metric => !isUsageMetric(metric));
+
+const DATE = { type: "string", format: "date" };
+const EMAIL_LIST = { type: "array", maxItems: 50, items: { type: "string", pattern: "^[^@\\s]+@[^@\\s]+\\.[^@\\s]+$" } };
+
+/**
+ * JSON Schema (draft 2020-12) of the query Bedrock produces from a user
+ * command. Unknown top-level fields are allowed so a new prompt field does
+ * not break parsing; the fields listed here must have the right shape.
+ * Rules that span fields (date order, valid cron fields) are checked in
+ * validateParsedQuery.
+ */
+export const PARSED_QUERY_SCHEMA = {
+    $schema: "https://json-schema.org/draft/2020-12/schema",
+    $id: "parsed-query",
+    type: "object",
+    required: ["intent"],
+    properties: {
+        intent: { type: "string", enum: QUERY_INTENTS },
+        days: { type: "integer", minimum: 1, maximum: 366 },
+        startDate: DATE,
+        endDate: DATE,
+        period1: { $ref: "#/$defs/period" },
+        period2: { $ref: "#/$defs/period" },
+        relativeWindow: { type: "string", enum: RELATIVE_WINDOWS },
+        granularity: { type: "string", enum: ["DAILY", "MONTHLY"] },
+        metric: { type: "string", enum: Object.keys(COST_METRICS) },
+        accounts: { type: "array", minItems: 1, items: { type: "string", minLength: 1 } },
+        cronExpression: { type: "string", minLength: 1 },
+        reportIntent: { type: "string", enum: REPORT_INTENTS },
+        scheduleName: { type: "string", minLength: 1, maxLength: 100 },
+        scheduleRef: { type: "string" },
+        recipients: EMAIL_LIST,
+        addRecipients: EMAIL_LIST,
+        removeRecipients: EMAIL_LIST,
+        forecastWindow: { type: "string", enum: FORECAST_WINDOWS },
+        forecastEndDate: DATE,
+        byService: { type: "boolean" },
+        predictionIntervalLevel: { type: "integer", enum: [80, 95] },
+        expiringWithinDays: { type: "integer", minimum: 1, maximum: 365 },
+        crossFamily: { type: "boolean" },
+        budgetAmount: { type: "number", exclusiveMinimum: 0 },
+        budgetPeriod: { type: "string", enum: BUDGET_PERIODS },
+        budgetName: { type: "string", minLength: 1, maxLength: 100 },
+        budgetRef: { type: "string" },
+        thresholds: {
+            type: "array",
+            minItems: 1,
+            maxItems: 5,
+            items: {
+                type: "object",
+                required: ["percent"],
+                properties: {
+                    type: { type: "string", enum: Object.values(BUDGET_THRESHOLD_TYPE) },
+                    percent: { type: "number", exclusiveMinimum: 0, maximum: 1000 }
+                },
+                additionalProperties: false
+            }
+        },
+        groupBy: { type: ["string", "array"], minItems: 1, maxItems: 2, items: { type: "string", minLength: 1 } },
+        filters: { $ref: "#/$defs/filter" },
+        specialRequirements: { type: ["string", "array"], items: { type: "string" } }
+    },
+    allOf: [
+        { if: { properties: { intent: { const: "scheduled" } } }, then: { required: ["cronExpression"] } },
+        { if: { properties: { intent: { const: "create-budget" } } }, then: { required: ["budgetAmount"] } },
+        { if: { properties: { intent: { const: "forecast" } } }, then: { properties: { metric: { enum: FORECAST_METRICS } } } },
+        { if: { required: ["reportIntent"], properties: { reportIntent: { const: "forecast" } } }, then: { properties: { metric: { enum: FORECAST_METRICS } } } }
+    ],
+    $defs: {
+        period: {
+            type: "object",
+            required: ["start", "end"],
+            properties: { start: DATE, end: DATE },
+            additionalProperties: false
+        },
+        filter: {
+            type: ["object", "array"],
+            items: { $ref: "#/$defs/filter" },
+            properties: {
+                dimension: { type: "string", minLength: 1 },
+                tag: { type: "string", minLength: 1 },
+                costCategory: { type: "string", minLength: 1 },
+                values: { type: "array", minItems: 1, items: { type: "string" } },
+                and: { type: "array", minItems: 1, items: { $ref: "#/$defs/filter" } },
+                or: { type: "array", minItems: 1, items: { $ref: "#/$defs/filter" } },
+                not: { $ref: "#/$defs/filter" }
+            },
+            additionalProperties: false
+        }
+    }
+};
+
+const describeValue = (value) => JSON.stringify(value) ?? String(value);
+
+/**
+ * JSON Schema type of a value.
+ * @param {*} value
+ * @returns {string}
+ */
+function typeOf(value) {
+    if (value === null) return "null";
+    if (Array.isArray(value)) return "array";
+    if (typeof value === "number" && Number.isInteger(value)) return "integer";
+    return typeof value;
+}
+
+/**
+ * Whether a YYYY-MM-DD string is a real calendar date.
+ * @param {string} value
+ * @returns {boolean}
+ */
+function isCalendarDate(value) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+    const date = new Date(`${value}T00:00:00Z`);
+    return !isNaN(date.getTime()) && date.toISOString().startsWith(value);
+}
+
+/**
+ * Validates a value against the subset of JSON Schema used by
+ * PARSED_QUERY_SCHEMA: type, enum, const, format "date", pattern, length,
+ * range and item limits, properties, required, additionalProperties, items,
+ * allOf with if/then, and local $ref.
+ * @param {*} value
+ * @param {Object} schema
+ * @param {string} path - Field path used in errors, e.g. "period1.start"
+ * @param {Array<{field: string, message: string}>} errors - Collects the errors
+ */
+function validateAgainstSchema(value, schema, path, errors) {
+    if (schema.$ref) {
+        const name = schema.$ref.replace("#/$defs/", "");
+        validateAgainstSchema(value, PARSED_QUERY_SCHEMA.$defs[name], path, errors);
+        return;
+    }
+    const field = path || "(query)";
+    const type = typeOf(value);
+    if (schema.type) {
+        const allowed = [].concat(schema.type);
+        const matches = allowed.includes(type) || (type === "integer" && allowed.includes("number"));
+        if (!matches) {
+            errors.push({ field, message: `must be ${allowed.map(t => (t === "array" || t === "object" || t === "integer" ? `an ${t}` : `a ${t}`)).join(" or ")}, got ${describeValue(value)}` });
+            return;
+        }
+    }
+    if (schema.const !== undefined && value !== schema.const) {
+        errors.push({ field, message: `must be ${describeValue(schema.const)}` });
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push({ field, message: `must be one of ${schema.enum.join(", ")}; got ${describeValue(value)}` });
+    }
+    if (type === "string") {
+        if (schema.format === "date" && !isCalendarDate(value)) {
+            errors.push({ field, message: `must be a date in YYYY-MM-DD format, got ${describeValue(value)}` });
+        }
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+            errors.push({ field, message: `is not valid: ${describeValue(value)}` });
+        }
+        if (schema.minLength !== undefined && value.trim().length < schema.minLength) {
+            errors.push({ field, message: "must not be empty" });
+        }
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+            errors.push({ field, message: `must be at most ${schema.maxLength} characters` });
+        }
+    }
+    if (type === "integer" || type === "number") {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            errors.push({ field, message: `must be at least ${schema.minimum}, got ${value}` });
+        }
+        if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+            errors.push({ field, message: `must be greater than ${schema.exclusiveMinimum}, got ${value}` });
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            errors.push({ field, message: `must be at most ${schema.maximum}, got ${value}` });
+        }
+    }
+    if (type === "array") {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            errors.push({ field, message: `must have at least ${schema.minItems} entr${schema.minItems === 1 ? "y" : "ies"}` });
+        }
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            errors.push({ field, message: `must have at most ${schema.maxItems} entries` });
+        }
+        if (schema.items) {
+            value.forEach((item, i) => validateAgainstSchema(item, schema.items, `${path}[${i}]`, errors));
+        }
+    }
+    if (type === "object") {
+        const properties = schema.properties || {};
+        (schema.required || []).forEach(key => {
+            if (value[key] === undefined || value[key] === null) {
+                errors.push({ field: path ? `${path}.${key}` : key, message: "is required" });
+            }
+        });
+        Object.entries(value).forEach(([key, child]) => {
+            const childPath = path ? `${path}.${key}` : key;
+            if (properties[key]) {
+                // Bedrock sometimes emits null for fields it has nothing for
+                if (child !== null) validateAgainstSchema(child, properties[key], childPath, errors);
+            } else if (schema.additionalProperties === false) {
+                errors.push({ field: childPath, message: "is not a known field" });
+            }
+        });
+    }
+    (schema.allOf || []).forEach(sub => {
+        if (sub.if) {
+            const conditionErrors = [];
+            validateAgainstSchema(value, sub.if, path, conditionErrors);
+            if (conditionErrors.length === 0 && sub.then) validateAgainstSchema(value, sub.then, path, errors);
+        } else {
+            validateAgainstSchema(value, sub, path, errors);
+        }
+    });
+}
+
+/**
+ * Checks that a date range runs forwards. End dates are exclusive, so the
+ * end must be after the start.
+ * @param {string} start
+ * @param {string} end
+ * @param {string} startField
+ * @param {string} endField
+ * @returns {{field: string, message: string}|null}
+ */
+function checkDateOrder(start, end, startField, endField) {
+    if (!isCalendarDate(start) || !isCalendarDate(end) || end > start) return null;
+    return { field: endField, message: `must be after ${startField} (${start}), got ${end}` };
+}
+
+/**
+ * Validates a parsed query against PARSED_QUERY_SCHEMA and the rules that
+ * span fields: date ranges must run forwards, cron expressions must be valid
+ * EventBridge expressions, a date range needs both ends and a comparison
+ * needs two periods.
+ * @param {Object} parsedQuery
+ * @param {Date} now - Reference time for future-date checks
+ * @returns {Array<{field: string, message: string}>} Field-level errors; empty when the query is valid
+ */
+export function validateParsedQuery(parsedQuery, now = new Date()) {
+    const errors = [];
+    validateAgainstSchema(parsedQuery, PARSED_QUERY_SCHEMA, "", errors);
+    if (typeOf(parsedQuery) !== "object") return errors;
+
+    const { intent, startDate, endDate, period1, period2, cronExpression, relativeWindow, forecastEndDate } = parsedQuery;
+
+    if (startDate && !endDate) errors.push({ field: "endDate", message: "is required when startDate is given" });
+    if (endDate && !startDate) errors.push({ field: "startDate", message: "is required when endDate is given" });
+    if (startDate && endDate) {
+        const error = checkDateOrder(startDate, endDate, "startDate", "endDate");
+        if (error) errors.push(error);
+    }
+    [["period1", period1], ["period2", period2]].forEach(([name, period]) => {
+        if (period && typeOf(period) === "object") {
+            const error = checkDateOrder(period.start, period.end, `${name}.start`, `${name}.end`);
+            if (error) errors.push(error);
+        }
+    });
+    if (intent === "compare-months" && !relativeWindow && (!period1 || !period2)) {
+        errors.push({ field: period1 ? "period2" : "period1", message: "is required to compare two periods (or give relativeWindow)" });
+    }
+    if (typeof cronExpression === "string") {
+        const cronError = describeScheduleExpressionError(cronExpression);
+        if (cronError) errors.push({ field: "cronExpression", message: `${describeValue(cronExpression)} ${cronError}` });
+    }
+    if (typeof forecastEndDate === "string" && isCalendarDate(forecastEndDate) && forecastEndDate <= now.toISOString().split("T")[0]) {
+        errors.push({ field: "forecastEndDate", message: `must be in the future, got ${forecastEndDate}` });
+    }
+    return errors;
+}
+
+/**
+ * Formats field-level errors for a chat reply.
+ * @param {Array<{field: string, message: string}>} errors
+ * @returns {string}
+ */
+export function formatQueryErrors(errors) {
+    return errors.map(({ field, message }) => `- ${field}: ${message}`).join("\n");
+}
@@ -0,0 +1,1303 @@
+import { S3Client, PutObjectCommand } from "@aws-sdk/client-s3";
+import { v4 as uuidv4 } from "uuid";
+import { askBedrock, buildCostSummaryPrompt, buildComparisonSummaryPrompt, buildForecastSummaryPrompt, buildAnomalySummaryPrompt, buildCommitmentSummaryPrompt, buildRightsizingSummaryPrompt, buildIncidentCorrelationPrompt, buildSummaryCorrectionPrompt } from "./bedrock-utils.mjs";
+import { getCostAndUsage, getCostAndUsageComparisons, getResourceLevelCosts, prepareComparisonPeriods, getCostForecast, getCostForecastByService, buildGroupBy, describeGroupBy, compileFilter, resolveLinkedAccountNames,
+    getSavingsPlansUtilization, getSavingsPlansUtilizationDetails, getSavingsPlansCoverage, getReservationUtilization, getReservationCoverage, getRightsizingRecommendations,
+    resolveCostMetric, metricAmount, isUsageMetric, sharedMetricUnit, COST_METRICS, DEFAULT_COST_METRIC, combineFilters, collapseSmallGroups } from "./cost-explorer-utils.mjs";
+import { generateCostReportPDF, generateComparisonReportPDF, generateForecastReportPDF, generateCommitmentReportPDF, generateIncidentReportPDF } from "./pdf-utils.mjs";
+import { detectCostAnomalies, ANOMALY_DEFAULTS } from "./anomaly-utils.mjs";
+import { summarizeCommitments, DEFAULT_EXPIRING_WITHIN_DAYS } from "./commitment-utils.mjs";
+import { summarizeRightsizing } from "./rightsizing-utils.mjs";
+import { normalizeIncidentRecord, normalizeOpsItem, correlateIncidentsWithCosts } from "./incident-utils.mjs";
+import { listIncidentRecords, describeOpsItems } from "./ssm-utils.mjs";
+import { collectReferenceFigures, checkSummaryFigures, formatFactCheckNote, FACT_CHECK_STATUS } from "./fact-check-utils.mjs";
+import { isFullMonthPeriod, buildPeriodComparison } from "./comparison-utils.mjs";
+import { loadAccountRegistry, selectAccounts, planAccountSources, withAccountBreakdown, mergeCostResults, mergeComparisonResults, buildAccountLabels, labelLinkedAccounts } from "./account-utils.mjs";
+
+// Windows that are resolved when the report runs, not when it is requested
+export const RELATIVE_WINDOWS = [
+    "last-n-days",
+    "month-to-date",
+    "last-full-month",
+    "week-to-date",
+    "last-full-week",
+    "quarter-to-date",
+    "last-full-quarter",
+    "year-to-date",
+    "last-full-year"
+];
+
+// Each "to date" window and the full period it belongs to
+const TO_DATE_WINDOWS = {
+    "month-to-date": "last-full-month",
+    "week-to-date": "last-full-week",
+    "quarter-to-date": "last-full-quarter",
+    "year-to-date": "last-full-year"
+};
+
+// Forecast horizons; "end-of-*" windows project the current period including its actuals so far
+export const FORECAST_WINDOWS = [
+    "end-of-month",
+    "next-month",
+    "end-of-quarter",
+    "next-quarter",
+    "end-of-year",
+    "next-n-days"
+];
+
+// Number of top services forecast individually for "by service" requests
+const FORECAST_TOP_SERVICES = 5;
+
+// GetCostAndUsageWithResources only covers this many days back
+export const RESOURCE_DATA_DAYS = 14;
+
+// Grouping used for the days of a resource report older than the resource-level data
+const SERVICE_USAGE_GROUP_BY = [{ Type: "DIMENSION", Key: "SERVICE" }, { Type: "DIMENSION", Key: "USAGE_TYPE" }];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const toDateString = (date) => date.toISOString().split("T")[0];
+const utcDate = (year, month, day) => new Date(Date.UTC(year, month, day));
+const startOfUtcDay = (date) => utcDate(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+
+/**
+ * Resolves a named relative window against a reference time.
+ * End dates are exclusive, as Cost Explorer expects.
+ * @param {string} window - One of RELATIVE_WINDOWS
+ * @param {Object} options
+ * @param {number} options.days - Window length for "last-n-days"
+ * @param {Date} options.now - Reference time
+ * @returns {{start: Date, end: Date}}
+ */
+export function resolveRelativeWindow(window, { days = 7, now = new Date() } = {}) {
+    const today = startOfUtcDay(now);
+    const year = today.getUTCFullYear();
+    const month = today.getUTCMonth();
+    const quarterStartMonth = month - (month % 3);
+    // Monday-based weeks
+    const weekStart = new Date(today.getTime() - ((today.getUTCDay() + 6) % 7) * DAY_MS);
+
+    let range;
+    switch (window) {
+        case "month-to-date":
+            range = { start: utcDate(year, month, 1), end: today };
+            break;
+        case "last-full-month":
+            range = { start: utcDate(year, month - 1, 1), end: utcDate(year, month, 1) };
+            break;
+        case "week-to-date":
+            range = { start: weekStart, end: today };
+            break;
+        case "last-full-week":
+            range = { start: new Date(weekStart.getTime() - 7 * DAY_MS), end: weekStart };
+            break;
+        case "quarter-to-date":
+            range = { start: utcDate(year, quarterStartMonth, 1), end: today };
+            break;
+        case "last-full-quarter":
+            range = { start: utcDate(year, quarterStartMonth - 3, 1), end: utcDate(year, quarterStartMonth, 1) };
+            break;
+        case "year-to-date":
+            range = { start: utcDate(year, 0, 1), end: today };
+            break;
+        case "last-full-year":
+            range = { start: utcDate(year - 1, 0, 1), end: utcDate(year, 0, 1) };
+            break;
+        case "last-n-days":
+            range = { start: new Date(today.getTime() - days * DAY_MS), end: today };
+            break;
+        default:
+            throw new Error(`Invalid relative window: ${window}`);
+    }
+
+    // A "to date" window is empty on its first day; report the previous full period instead
+    if (range.start.getTime() >= range.end.getTime() && TO_DATE_WINDOWS[window]) {
+        return resolveRelativeWindow(TO_DATE_WINDOWS[window], { now });
+    }
+    return range;
+}
+
+/**
+ * Determines the start and end dates for a cost report.
+ * A relativeWindow wins over fixed dates so scheduled reports move with time.
+ * @param {Object} parsedQuery - The query object from Bedrock
+ * @param {Date} now - Reference time
+ * @returns {{start: Date, end: Date}}
+ */
+export function resolveDateRange(parsedQuery, now = new Date()) {
+    const intent = (parsedQuery.reportIntent || parsedQuery.intent || "").toLowerCase();
+
+    if (parsedQuery.relativeWindow) {
+        return resolveRelativeWindow(parsedQuery.relativeWindow, { days: parsedQuery.days || 7, now });
+    }
+    if (parsedQuery.startDate && parsedQuery.endDate) {
+        return { start: new Date(parsedQuery.startDate), end: new Date(parsedQuery.endDate) };
+    }
+    if (intent.includes("month")) {
+        return resolveRelativeWindow("last-full-month", { now });
+    }
+    // Anomaly, commitment and incident checks need a longer default window to be meaningful
+    const defaultDays = intent.includes("anomal") || intent.includes("commitment") || intent.includes("incident") ? 30 : 7;
+    return resolveRelativeWindow("last-n-days", { days: parsedQuery.days || defaultDays, now });
+}
+
+/**
+ * Splits a resource report window at the start of the resource-level data
+ * Cost Explorer keeps. Days before it can only be reported by service and
+ * usage type.
+ * @param {Date} start - Start date
+ * @param {Date} end - End date (exclusive)
+ * @param {Date} now - Reference time
+ * @returns {{servicePeriod: Object|null, resourcePeriod: Object|null}} Periods as { start, end } strings; null when empty
+ */
+export function splitResourceWindow(start, end, now = new Date()) {
+    const resourceStart = new Date(startOfUtcDay(now).getTime() - RESOURCE_DATA_DAYS * DAY_MS);
+    const period = (from, to) => ({ start: toDateString(from), end: toDateString(to) });
+    if (start.getTime() >= resourceStart.getTime()) {
+        return { servicePeriod: null, resourcePeriod: period(start, end) };
+    }
+    if (end.getTime() <= resourceStart.getTime()) {
+        return { servicePeriod: period(start, end), resourcePeriod: null };
+    }
+    return { servicePeriod: period(start, resourceStart), resourcePeriod: period(resourceStart, end) };
+}
+
+/**
+ * Resolves the two periods of a comparison request. With a relativeWindow the
+ * comparison period is that window and the baseline is the window before it,
+ * e.g. "last-full-month" compares last month with the month before and
+ * "month-to-date" compares with the same number of days of last month.
+ * @param {Object} parsedQuery - The query object from Bedrock
+ * @param {Date} now - Reference time
+ * @returns {{period1: Object, period2: Object}|null} Periods as { start, end } strings, or null if missing
+ */
+export function resolveComparisonPeriods(parsedQuery, now = new Date()) {
+    if (parsedQuery.relativeWindow) {
+        const window = parsedQuery.relativeWindow;
+        const days = parsedQuery.days || 7;
+        const { start, end } = resolveRelativeWindow(window, { days, now });
+        const fullWindow = TO_DATE_WINDOWS[window];
+        // Resolving "last full X" as of the start of this window gives the period before it
+        const previous = resolveRelativeWindow(fullWindow || window, { days, now: start });
+        let previousEnd = previous.end;
+        const isPartial = fullWindow && start.getTime() !== resolveRelativeWindow(fullWindow, { now }).start.getTime();
+        if (isPartial) {
+            previousEnd = new Date(Math.min(previous.start.getTime() + (end.getTime() - start.getTime()), previous.end.getTime()));
+        }
+        return {
+            period1: { start: toDateString(start), end: toDateString(end) },
+            period2: { start: toDateString(previous.start), end: toDateString(previousEnd) }
+        };
+    }
+    const { period1, period2 } = parsedQuery;
+    if (!period1 || !period2 || !period1.start || !period1.end || !period2.start || !period2.end) {
+        return null;
+    }
+    return { period1, period2 };
+}
+
+/**
+ * Resolves the forecast horizon of a query and the actuals shown next to it.
+ * Forecasts always start today, as Cost Explorer requires.
+ * @param {Object} parsedQuery - The query object from Bedrock
+ * @param {Date} now - Reference time
+ * @returns {{window: string, forecast: Object, actuals: Object|null, granularity: string, projectsCurrentPeriod: boolean}}
+ *   Dates are YYYY-MM-DD strings with exclusive ends; actuals is null when the period has not started yet
+ */
+export function resolveForecastWindow(parsedQuery, now = new Date()) {
+    const today = startOfUtcDay(now);
+    const year = today.getUTCFullYear();
+    const month = today.getUTCMonth();
+    const quarterStartMonth = month - (month % 3);
+    const window = parsedQuery.forecastEndDate ? "custom" : (parsedQuery.forecastWindow || "end-of-month");
+
+    let forecastStart = today;
+    let forecastEnd;
+    let periodStart = null;
+    switch (window) {
+        case "end-of-month":
+            forecastEnd = utcDate(year, month + 1, 1);
+            periodStart = utcDate(year, month, 1);
+            break;
+        case "next-month":
+            forecastStart = utcDate(year, month + 1, 1);
+            forecastEnd = utcDate(year, month + 2, 1);
+            break;
+        case "end-of-quarter":
+            forecastEnd = utcDate(year, quarterStartMonth + 3, 1);
+            periodStart = utcDate(year, quarterStartMonth, 1);
+            break;
+        case "next-quarter":
+            forecastStart = utcDate(year, quarterStartMonth + 3, 1);
+            forecastEnd = utcDate(year, quarterStartMonth + 6, 1);
+            break;
+        case "end-of-year":
+            forecastEnd = utcDate(year + 1, 0, 1);
+            periodStart = utcDate(year, 0, 1);
+            break;
+        case "next-n-days":
+            forecastEnd = new Date(today.getTime() + (parsedQuery.days || 30) * DAY_MS);
+            break;
+        case "custom":
+            forecastEnd = startOfUtcDay(new Date(parsedQuery.forecastEndDate));
+            if (isNaN(forecastEnd.getTime()) || forecastEnd.getTime() <= today.getTime()) {
+                throw new Error(`Invalid forecast end date: ${parsedQuery.forecastEndDate}`);
+            }
+            break;
+        default:
+            throw new Error(`Invalid forecast window: ${window}`);
+    }
+
+    const horizonDays = (forecastEnd.getTime() - today.getTime()) / DAY_MS;
+    const granularity = horizonDays <= 31 ? "DAILY" : "MONTHLY";
+
+    // Actuals: the current period so far, or recent history for future periods
+    let actuals = null;
+    if (periodStart && periodStart.getTime() < today.getTime()) {
+        actuals = { start: toDateString(periodStart), end: toDateString(today) };
+    } else if (!periodStart) {
+        const historyStart = granularity === "DAILY"
+            ? new Date(today.getTime() - 30 * DAY_MS)
+            : utcDate(year, month - 3, 1);
+        actuals = { start: toDateString(historyStart), end: toDateString(today) };
+    }
+
+    return {
+        window,
+        forecast: { start: toDateString(forecastStart), end: toDateString(forecastEnd) },
+        actuals,
+        granularity,
+        projectsCurrentPeriod: Boolean(periodStart)
+    };
+}
+
+/**
+ * Works out which report a query runs. Scheduled queries carry the report
+ * type in reportIntent; older ones only have a granularity.
+ * @param {Object} parsedQuery - The query object from Bedrock
+ * @returns {string} "forecast", "anomalies", "commitments", "rightsizing", "incidents", "compare-months", "resource", "monthly" or "daily"
+ */
+export function resolveReportIntent(parsedQuery) {
+    const intent = (parsedQuery.reportIntent || parsedQuery.intent || "").toLowerCase();
+    if (intent.includes("forecast")) return "forecast";
+    if (intent.includes("anomal")) return "anomalies";
+    if (intent.includes("commitment")) return "commitments";
+    if (intent.includes("rightsiz")) return "rightsizing";
+    if (intent.includes("incident")) return "incidents";
+    if (intent.includes("compare")) return "compare-months";
+    if (intent.includes("resource")) return "resource";
+    if (intent.includes("month")) return "monthly";
+    if (intent === "daily") return "daily";
+    return (parsedQuery.granularity || "").toUpperCase() === "MONTHLY" ? "monthly" : "daily";
+}
+
+/**
+ * Turns the query of a one-off report into one that can run on a schedule.
+ * Fixed dates are dropped so each run resolves its own window: rolling
+ * "last N days" queries keep their length, month reports cover the last full
+ * month and comparisons compare the last full month with the one before.
+ * @param {Object} parsedQuery - Query of an on-demand report
+ * @param {string} cronExpression - EventBridge schedule expression
+ * @returns {Object} Query for a scheduled report
+ */
+export function toScheduledQuery(parsedQuery, cronExpression) {
+    const { startDate, endDate, period1, period2, forecastEndDate, ...rest } = parsedQuery;
+    const reportIntent = resolveReportIntent(parsedQuery);
+    const scheduledQuery = { ...rest, intent: "scheduled", reportIntent, cronExpression };
+    if (reportIntent === "compare-months" && !scheduledQuery.relativeWindow) {
+        scheduledQuery.relativeWindow = "last-full-month";
+    }
+    return scheduledQuery;
+}
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Sums a metric of Cost Explorer results, using the period total when a
+ * period has no groups.
+ * @param {Array<Object>} resultsByTime - ResultsByTime from GetCostAndUsage
+ * @param {string} [metric] - Key of COST_METRICS
+ * @returns {{amount: number, currency: string}} currency is the unit for usage metrics
+ */
+function sumResultsByTime(resultsByTime = [], metric = DEFAULT_COST_METRIC) {
+    let amount = 0;
+    let currency = isUsageMetric(metric) ? "N/A" : "USD";
+    resultsByTime.forEach(period => {
+        const metrics = period.Groups?.length
+            ? period.Groups.map(group => group.Metrics?.[metric])
+            : [period.Total?.[metric]];
+        metrics.forEach(values => {
+            amount += parseFloat(values?.Amount || '0');
+            currency = values?.Unit || currency;
+        });
+    });
+    return { amount: roundAmount(amount), currency };
+}
+
+/**
+ * Headline numbers of a report, sent along with its summary to delivery
+ * targets such as webhooks.
+ * @param {string} type - "cost", "comparison", "forecast", "anomalies", "commitments", "rightsizing" or "incidents"
+ * @param {Object} data - Report data as cached for the report
+ * @param {string} [metric] - Key of COST_METRICS for cost, comparison, anomaly and incident reports;
+ *   amounts are in that metric and its unit is reported as the currency
+ * @returns {Object}
+ */
+export function summarizeReportTotals(type, data, metric = DEFAULT_COST_METRIC) {
+    if (!data) return {};
+    switch (type) {
+        case "comparison": {
+            const total = data.TotalCostAndUsage?.[metric] || {};
+            return {
+                metric,
+                baselineCost: roundAmount(parseFloat(total.BaselineTimePeriodAmount || '0')),
+                comparisonCost: roundAmount(parseFloat(total.ComparisonTimePeriodAmount || '0')),
+                difference: roundAmount(parseFloat(total.Difference || '0')),
+                currency: total.Unit || (isUsageMetric(metric) ? "N/A" : "USD"),
+                // "daily-average" means the amounts above are per day
+                ...(data.Normalization ? { normalization: data.Normalization.method } : {})
+            };
+        }
+        case "forecast": {
+            const forecastMetric = data.metric || DEFAULT_COST_METRIC;
+            const actual = sumResultsByTime(data.actuals, forecastMetric);
+            return {
+                metric: forecastMetric,
+                actualCost: actual.amount,
+                forecastCost: roundAmount(parseFloat(data.forecast?.Total?.Amount || '0')),
+                currency: data.forecast?.Total?.Unit || actual.currency
+            };
+        }
+        case "anomalies": {
+            const { amount, currency } = sumResultsByTime(data.ResultsByTime, metric);
+            return { metric, totalCost: amount, currency, anomalyCount: (data.anomalies || []).length };
+        }
+        case "commitments":
+            return {
+                savingsPlansNetSavings: data.savingsPlans?.netSavings ?? null,
+                unusedSavingsPlansCommitment: data.savingsPlans?.unusedCommitment ?? null,
+                unusedReservationCost: data.reservations?.unusedCost ?? null,
+                expiringCount: (data.expiring || []).length
+            };
+        case "rightsizing":
+            return { recommendationCount: data.count, estimatedMonthlySavings: data.totalMonthlySavings, currency: data.currency };
+        case "incidents": {
+            const { amount, currency } = sumResultsByTime(data.ResultsByTime, metric);
+            const events = data.events || [];
+            return {
+                metric,
+                totalCost: amount,
+                currency,
+                incidentCount: events.filter(e => e.source === "Incident Manager").length,
+                opsItemCount: events.filter(e => e.source === "OpsItem").length,
+                correlatedCount: events.filter(e => e.correlated).length
+            };
+        }
+        default: {
+            const { amount, currency } = sumResultsByTime(data.ResultsByTime, metric);
+            return { metric, totalCost: amount, currency };
+        }
+    }
+}
+
+/**
+ * Runs a commitment query, treating "no data" as no commitments. Cost Explorer
+ * raises DataUnavailableException for accounts without Savings Plans or reservations.
+ * @param {function(): Promise<Object>} fetch
+ * @returns {Promise<Object|null>}
+ */
+async function fetchOptionalCommitmentData(fetch) {
+    try {
+        return await fetch();
+    } catch (err) {
+        if (err.name === "DataUnavailableException") {
+            return null;
+        }
+        throw err;
+    }
+}
+
+/**
+ * Reads one incident source. A source that cannot be read (Incident Manager
+ * not set up, missing permissions) is reported as unavailable instead of
+ * failing the whole report.
+ * @param {string} source - Name shown in the report
+ * @param {function(): Promise<Array<Object>>} fetch
+ * @param {Array<Object>} unavailable - Collects { source, error } for failed sources
+ * @returns {Promise<Array<Object>>}
+ */
+async function fetchIncidentSource(source, fetch, unavailable) {
+    try {
+        return await fetch();
+    } catch (err) {
+        console.warn(JSON.stringify({ level: 'warn', msg: 'Incident source unavailable', source, error: err.message }));
+        unavailable.push({ source, error: err.message });
+        return [];
+    }
+}
+
+/**
+ * Account sources a query selects (see planAccountSources), or null when the
+ * query names no accounts and the Lambda's own account is reported on.
+ * @param {Object} parsedQuery
+ * @returns {Promise<Array<Object>|null>}
+ */
+async function resolveAccountSources(parsedQuery) {
+    if (!parsedQuery.accounts || parsedQuery.accounts.length === 0) {
+        return null;
+    }
+    const registry = await loadAccountRegistry();
+    return planAccountSources(registry, selectAccounts(registry, parsedQuery.accounts));
+}
+
+/**
+ * Whether account sources cover more than one account, so the report needs
+ * a breakdown by linked account.
+ * @param {Array<Object>|null} sources
+ * @returns {boolean}
+ */
+function coversSeveralAccounts(sources) {
+    return Boolean(sources) && (sources.length > 1 || sources.some(source => !source.filter || source.filter.Dimensions.Values.length > 1));
+}
+
+/**
+ * The account selection of a query in a stable form for cache keys.
+ * @param {Object} parsedQuery
+ * @returns {Array<string>}
+ */
+function accountCacheKey(parsedQuery) {
+    return [].concat(parsedQuery.accounts).map(a => String(a).trim().toLowerCase()).sort();
+}
+
+/**
+ * Rejects an account selection for reports that only read the Lambda's own
+ * account, rather than quietly reporting on that account instead.
+ * @param {Object} parsedQuery
+ * @param {string} reason - Why the report cannot cover other accounts
+ * @throws {Error} When the query selects accounts
+ */
+function rejectAccountSelection(parsedQuery, reason) {
+    if (parsedQuery.accounts?.length > 0) {
+        throw new Error(`Invalid accounts: ${reason}`);
+    }
+}
+
+/**
+ * Runs a Cost Explorer fetch once per account source, with linked account
+ * names resolved and the source's account filter added. Without sources the
+ * fetch runs once against the Lambda's own account.
+ * @param {Array<Object>|null} sources
+ * @param {Object|null} filter - Compiled filter of the query
+ * @param {Object} period - { start, end } used to resolve account names
+ * @param {function({source: Object|null, filter: Object|null}): Promise<Object>} fetch
+ * @returns {Promise<Array<Object>>} One result per source
+ */
+async function fetchFromAccountSources(sources, filter, period, fetch) {
+    if (!sources) {
+        return [await fetch({ source: null, filter: await resolveLinkedAccountNames(filter, period) })];
+    }
+    return Promise.all(sources.map(async source => fetch({
+        source,
+        filter: combineFilters(await resolveLinkedAccountNames(filter, period, source), source.filter)
+    })));
+}
+
+/**
+ * Shows account aliases instead of IDs in data grouped by linked account.
+ * The registry is optional here; without it Cost Explorer's account names are used.
+ * @param {Object} data - Cost or comparison result
+ * @param {Array<Object>} groupBy
+ * @returns {Promise<Object>}
+ */
+async function labelAccounts(data, groupBy) {
+    if (!groupBy.some(g => g.Type === "DIMENSION" && g.Key === "LINKED_ACCOUNT")) {
+        return data;
+    }
+    let registry = null;
+    try {
+        registry = await loadAccountRegistry();
+    } catch (err) {
+        console.warn(JSON.stringify({ level: 'warn', msg: 'Account registry unavailable, using Cost Explorer account names', error: err.message }));
+    }
+    return labelLinkedAccounts(data, groupBy, buildAccountLabels(registry, data.DimensionValueAttributes));
+}
+
+// Start of the fact-check note appended to a summary with discrepancies
+const FACT_CHECK_NOTE_START = "\n\nFact check: ";
+
+/**
+ * Figures a summary may quote. Large cost results reach the model condensed
+ * to their top groups, so the "Other" amounts count as well as the full data.
+ * @param {string} type - "cost" or "comparison", see collectReferenceFigures
+ * @param {Object} data - Full data the summary was written from
+ * @param {string} metric
+ * @returns {{amounts: Array<number>, names: Array<string>}}
+ */
+function referenceFigures(type, data, metric) {
+    const reference = collectReferenceFigures(type, data, metric);
+    const condensed = type === "cost" ? collapseSmallGroups(data, { metric }) : data;
+    if (condensed === data) {
+        return reference;
+    }
+    const extra = collectReferenceFigures(type, condensed, metric);
+    return { amounts: [...reference.amounts, ...extra.amounts], names: [...new Set([...reference.names, ...extra.names])] };
+}
+
+/**
+ * Fact-checks a summary, e.g. one read from the cache, without regenerating it.
+ * @param {string} summary
+ * @param {string} type - "cost" or "comparison", see collectReferenceFigures
+ * @param {Object} data - The data the summary was written from
+ * @param {string} [metric] - Key of COST_METRICS the data was fetched with
+ * @returns {{status: string, issues: Array<Object>}}
+ */
+export function checkSummary(summary, type, data, metric = DEFAULT_COST_METRIC) {
+    return checkSummaryFigures(summary.split(FACT_CHECK_NOTE_START)[0], referenceFigures(type, data, metric));
+}
+
+/**
+ * Asks Bedrock for a summary and checks its figures against the data. A
+ * summary with mismatches is regenerated once; if mismatches remain, the
+ * version with fewer of them is kept and a note listing them is appended.
+ * @param {string} summaryPrompt
+ * @param {string} type - "cost" or "comparison", see collectReferenceFigures
+ * @param {Object} data - The data the summary was written from
+ * @param {string} [metric] - Key of COST_METRICS the data was fetched with
+ * @returns {Promise<{summary: string, factCheck: {status: string, issues: Array<Object>}}>}
+ */
+export async function writeCheckedSummary(summaryPrompt, type, data, metric = DEFAULT_COST_METRIC) {
+    const reference = referenceFigures(type, data, metric);
+    const summary = (await askBedrock(summaryPrompt)).trim();
+    const check = checkSummaryFigures(summary, reference);
+    if (check.issues.length === 0) {
+        return { summary, factCheck: check };
+    }
+
+    console.warn(JSON.stringify({ level: 'warn', msg: 'Summary failed fact check, regenerating', type, issues: check.issues }));
+    const retry = (await askBedrock(buildSummaryCorrectionPrompt(summaryPrompt, summary, check.issues))).trim();
+    const retryCheck = checkSummaryFigures(retry, reference);
+    if (retryCheck.issues.length === 0) {
+        return { summary: retry, factCheck: { status: FACT_CHECK_STATUS.CORRECTED, issues: [] } };
+    }
+
+    const best = retryCheck.issues.length < check.issues.length ? { summary: retry, check: retryCheck } : { summary, check };
+    console.warn(JSON.stringify({ level: 'warn', msg: 'Summary still has discrepancies after regeneration', type, issues: best.check.issues }));
+    return {
+        summary: `${best.summary}\n\n${formatFactCheckNote(best.check.issues)}`,
+        factCheck: best.check
+    };
+}
+
+/**
+ * Generates a deterministic cache key from request parameters.
+ * @param {object} params - The parameters to include in the key.
+ * @returns {string} A base64 encoded cache key.
+ */
+export const generateCacheKey = (params) => {
+    const keyString = JSON.stringify(params);
+    return Buffer.from(keyString).toString('base64');
+};
+
+/**
+ * Generates cost reports (Cost Explorer -> Bedrock summary -> PDF in S3) with
+ * DynamoDB caching. Shared by the chat and scheduled report Lambdas so both
+ * run the same logic for each intent.
+ */
+export class ReportUtils {
+    constructor({ region, bucket, cfUrl, ddbUtils, keyPrefix = "cost-reports" }) {
+        this.s3 = new S3Client({ region });
+        this.bucket = bucket;
+        this.cfUrl = cfUrl;
+        this.ddbUtils = ddbUtils;
+        this.keyPrefix = keyPrefix;
+    }
+
+    async uploadReport({ key, pdfBuffer, summaryText }) {
+        const uploads = [
+            this.s3.send(new PutObjectCommand({ Bucket: this.bucket, Key: `${key}.pdf`, Body: pdfBuffer, ContentType: "application/pdf" }))
+        ];
+        if (summaryText !== undefined) {
+            uploads.push(this.s3.send(new PutObjectCommand({ Bucket: this.bucket, Key: `${key}.txt`, Body: summaryText, ContentType: "text/plain" })));
+        }
+        await Promise.all(uploads);
+        return `${this.cfUrl}/${key}.pdf`;
+    }
+
+    /**
+     * Period-over-period comparison report. Two calendar months are compared
+     * with GetCostAndUsageComparisons; any other pair of periods (weeks,
+     * quarters, custom ranges) is compared from daily costs, as averages per
+     * day when the periods differ in length.
+     * @param {Object} params
+     * @param {Object} params.parsedQuery - Parsed query
+     * @param {Object} params.period1 - { start, end } comparison period
+     * @param {Object} params.period2 - { start, end } baseline period
+     * @returns {Promise<{reportUrl: string, summary: string, cached: boolean, totals: Object, factCheck: Object}>}
+     */
+    async comparisonReport({ parsedQuery, period1, period2 }) {
+        const { baseline, comparison } = prepareComparisonPeriods(period1, period2);
+        const granularity = isFullMonthPeriod(baseline) && isFullMonthPeriod(comparison) ? "MONTHLY" : "DAILY";
+        const sources = await resolveAccountSources(parsedQuery);
+        const requestedGroupBy = buildGroupBy(parsedQuery.groupBy);
+        const groupBy = coversSeveralAccounts(sources) ? withAccountBreakdown(requestedGroupBy) : requestedGroupBy;
+        const filter = compileFilter(parsedQuery.filters);
+        const metric = resolveCostMetric(parsedQuery.metric);
+
+        const cacheKeyParams = {
+            type: "comparison",
+            baseline: baseline,
+            comparison: comparison,
+            metricForComparison: metric,
+            granularity,
+            groupBy
+        };
+        if (parsedQuery.specialRequirements) {
+            cacheKeyParams.specialRequirements = parsedQuery.specialRequirements;
+        }
+        if (filter) {
+            cacheKeyParams.filter = filter;
+        }
+        if (sources) {
+            cacheKeyParams.accounts = accountCacheKey(parsedQuery);
+        }
+        const cacheKey = generateCacheKey(cacheKeyParams);
+
+        const cacheResult = await this.ddbUtils.getCache({ cacheKey });
+        if (cacheResult.hit && cacheResult.reportUrl) {
+            console.log("Using cached comparison report URL:", cacheResult.reportUrl);
+            const summary = cacheResult.summary || "";
+            return { reportUrl: cacheResult.reportUrl, summary, cached: true, totals: summarizeReportTotals("comparison", cacheResult.data, metric), factCheck: checkSummary(summary, "comparison", cacheResult.data, metric) };
+        }
+
+        let comparisonData = cacheResult.data;
+        if (!cacheResult.hit) {
+            try {
+                if (granularity === "MONTHLY") {
+                    const results = await fetchFromAccountSources(sources, filter, { start: baseline.start, end: comparison.end }, ({ source, filter: sourceFilter }) =>
+                        getCostAndUsageComparisons({
+                            baselineTimePeriod: baseline,
+                            comparisonTimePeriod: comparison,
+                            metricForComparison: metric,
+                            granularity,
+                            groupBy,
+                            filter: sourceFilter,
+                            source
+                        }));
+                    comparisonData = await labelAccounts(mergeComparisonResults(results, metric), groupBy);
+                } else {
+                    const fetchPeriod = async (period) => labelAccounts(mergeCostResults(await fetchFromAccountSources(sources, filter, period, ({ source, filter: sourceFilter }) =>
+                        getCostAndUsage({
+                            startDate: period.start,
+                            endDate: period.end,
+                            granularity,
+                            groupBy,
+                            filter: sourceFilter,
+                            metric,
+                            source
+                        }))), groupBy);
+                    const [baselineData, periodData] = await Promise.all([fetchPeriod(baseline), fetchPeriod(comparison)]);
+                    comparisonData = buildPeriodComparison({ baselineData, comparisonData: periodData, baseline, comparison, groupBy, metric });
+                }
+                console.log(JSON.stringify({ level: 'info', msg: 'Fetched Cost Comparison result', cacheKey }));
+            } catch (err) {
+                console.error(JSON.stringify({ level: 'error', msg: 'Cost Comparison fetch failed', cacheKey, error: err.message }));
+                throw err;
+            }
+        }
+
+        const groupLabels = describeGroupBy(groupBy);
+        const summaryPrompt = buildComparisonSummaryPrompt(baseline, comparison, comparisonData, groupLabels, metric);
+        const { summary: costSummaryText, factCheck } = await writeCheckedSummary(summaryPrompt, "comparison", comparisonData, metric);
+
+        const pdfBuffer = await generateComparisonReportPDF(costSummaryText, comparisonData, { groupLabels, metric });
+        const reportUrl = await this.uploadReport({ key: `${this.keyPrefix}/${uuidv4()}-comparison`, pdfBuffer });
+
+        await this.ddbUtils.setCache({ cacheKey, data: comparisonData, reportUrl, costSummaryText });
+        return { reportUrl, summary: costSummaryText, cached: false, totals: summarizeReportTotals("comparison", comparisonData, metric), factCheck };
+    }
+
+    /**
+     * Daily or monthly cost report, grouped by service unless the query asks
+     * for other dimensions or tags (up to two levels).
+     * @param {Object} params
+     * @param {Object} params.parsedQuery - Parsed query
+     * @param {string} params.userCommand - Original user command
+     * @param {Date} params.start - Start date
+     * @param {Date} params.end - End date (exclusive)
+     * @param {string} params.granularity - DAILY or MONTHLY
+     * @returns {Promise<{reportUrl: string, summary: string, cached: boolean, totals: Object, factCheck: Object}>}
+     */
+    async costReport({ parsedQuery, userCommand, start, end, granularity }) {
+        const sources = await resolveAccountSources(parsedQuery);
+        const requestedGroupBy = buildGroupBy(parsedQuery.groupBy);
+        const groupBy = coversSeveralAccounts(sources) ? withAccountBreakdown(requestedGroupBy) : requestedGroupBy;
+        const groupLabels = describeGroupBy(groupBy);
+        const filter = compileFilter(parsedQuery.filters);
+        const metric = resolveCostMetric(parsedQuery.metric);
+        const cacheKeyParams = {
+            start: toDateString(start),
+            end: toDateString(end),
+            groupBy,
+            granularity
+        };
+        if (parsedQuery.specialRequirements) {
+            cacheKeyParams.specialRequirements = parsedQuery.specialRequirements;
+        }
+        if (filter) {
+            cacheKeyParams.filter = filter;
+        }
+        if (metric !== DEFAULT_COST_METRIC) {
+            cacheKeyParams.metric = metric;
+        }
+        if (sources) {
+            cacheKeyParams.accounts = accountCacheKey(parsedQuery);
+        }
+        const cacheKey = generateCacheKey(cacheKeyParams);
+
+        const cacheResult = await this.ddbUtils.getCache({ cacheKey });
+        if (cacheResult.hit && cacheResult.reportUrl) {
+            console.log("Using cached report URL:", cacheResult.reportUrl);
+            const summary = cacheResult.summary || "";
+            return { reportUrl: cacheResult.reportUrl, summary, cached: true, totals: summarizeReportTotals("cost", cacheResult.data, metric), factCheck: checkSummary(summary, "cost", cacheResult.data, metric) };
+        }
+
+        let data = cacheResult.data;
+        if (!cacheResult.hit) {
+            try {
+                const period = { start: toDateString(start), end: toDateString(end) };
+                const results = await fetchFromAccountSources(sources, filter, period, ({ source, filter: sourceFilter }) =>
+                    getCostAndUsage({
+                        startDate: period.start,
+                        endDate: period.end,
+                        granularity,
+                        groupBy,
+                        filter: sourceFilter,
+                        metric,
+                        source
+                    }));
+                data = await labelAccounts(mergeCostResults(results), groupBy);
+                console.log(JSON.stringify({ level: 'info', msg: 'Fetched Cost Explorer result', cacheKey }));
+            } catch (err) {
+                console.error(JSON.stringify({ level: 'error', msg: 'Cost Explorer fetch failed', cacheKey, error: err.message }));
+                throw err;
+            }
+        }
+
+        const summaryPrompt = buildCostSummaryPrompt(data, userCommand, granularity, groupLabels, metric);
+        const { summary: costSummaryText, factCheck } = await writeCheckedSummary(summaryPrompt, "cost", data, metric);
+        console.log("Bedrock cost summary response:", costSummaryText);
+
+        const pdfBuffer = await generateCostReportPDF(costSummaryText, data, { groupLabels, metric });
+        const reportUrl = await this.uploadReport({ key: `${this.keyPrefix}/${uuidv4()}`, pdfBuffer, summaryText: costSummaryText });
+        console.log("Cost report generated:", reportUrl);
+
+        await this.ddbUtils.setCache({ cacheKey, data, reportUrl, costSummaryText });
+        return { reportUrl, summary: costSummaryText, cached: false, totals: summarizeReportTotals("cost", data, metric), factCheck };
+    }
+
+    /**
+     * Cache key for a resource-level report.
+     * @param {Object} params
+     * @param {Object} params.parsedQuery - Parsed query
+     * @param {Date} params.start - Start date
+     * @param {Date} params.end - End date (exclusive)
+     * @returns {string}
+     */
+    resourceCacheKey({ parsedQuery, start, end }) {
+        const cacheKeyParams = {
+            start: toDateString(start),
+            end: toDateString(end),
+            groupBy: [{ Type: "DIMENSION", Key: "RESOURCE_ID" }],
+            granularity: "DAILY"
+        };
+        if (parsedQuery.specialRequirements) {
+            cacheKeyParams.specialRequirements = parsedQuery.specialRequirements;
+        }
+        if (parsedQuery.filters) {
+            cacheKeyParams.filter = compileFilter(parsedQuery.filters);
+        }
+        const metric = resolveCostMetric(parsedQuery.metric);
+        if (metric !== DEFAULT_COST_METRIC) {
+            cacheKeyParams.metric = metric;
+        }
+        if (parsedQuery.accounts?.length) {
+            cacheKeyParams.accounts = accountCacheKey(parsedQuery);
+        }
+        // Where the window switches to service-level data moves every day
+        const { servicePeriod } = splitResourceWindow(start, end);
+        if (servicePeriod) {
+            cacheKeyParams.resourceDataFrom = servicePeriod.end;
+        }
+        return generateCacheKey(cacheKeyParams);
+    }
+
+    /**
+     * Fetches resource-level costs for a query, across the accounts it
+     * selects. Shared by resourceReport and the async sender. Days older
+     * than the resource-level data are fetched by service and usage type
+     * instead; data.Segments then lists which dates have which grouping.
+     * @param {Object} params
+     * @param {Object} params.parsedQuery - Parsed query
+     * @param {Date} params.start - Start date
+     * @param {Date} params.end - End date (exclusive)
+     * @returns {Promise<{data: Object, groupLabels: Array<string>, metric: string}>}
+     */
+    async fetchResourceCosts({ parsedQuery, start, end }) {
+        const metric = resolveCostMetric(parsedQuery.metric);
+        const sources = await resolveAccountSources(parsedQuery);
+        const filter = compileFilter(parsedQuery.filters);
+        const severalAccounts = coversSeveralAccounts(sources);
+        const resourceGroupBy = severalAccounts ? withAccountBreakdown([{ Type: "DIMENSION", Key: "RESOURCE_ID" }]) : [{ Type: "DIMENSION", Key: "RESOURCE_ID" }];
+        const resourceLabels = severalAccounts ? ["Linked Account", "Resource"] : ["Resource"];
+
+        const fetchSegment = async (period, fetch, groupBy) => labelAccounts(mergeCostResults(await fetchFromAccountSources(sources, filter, period, ({ source, filter: sourceFilter }) =>
+            fetch({
+                startDate: period.start,
+                endDate: period.end,
+                granularity: "DAILY",
+                groupBy,
+                filter: sourceFilter,
+                metric,
+                source
+            }))), groupBy);
+
+        const { servicePeriod, resourcePeriod } = splitResourceWindow(start, end);
+        if (!servicePeriod) {
+            return { data: await fetchSegment(resourcePeriod, getResourceLevelCosts, resourceGroupBy), groupLabels: resourceLabels, metric };
+        }
+
+        const serviceGroupBy = severalAccounts ? withAccountBreakdown(SERVICE_USAGE_GROUP_BY) : SERVICE_USAGE_GROUP_BY;
+        const [serviceData, resourceData] = await Promise.all([
+            fetchSegment(servicePeriod, getCostAndUsage, serviceGroupBy),
+            resourcePeriod ? fetchSegment(resourcePeriod, getResourceLevelCosts, resourceGroupBy) : null
+        ]);
+        const segments = [{ granularity: "service", ...servicePeriod, groupLabels: describeGroupBy(serviceGroupBy) }];
+        if (resourcePeriod) {
+            segments.push({ granularity: "resource", ...resourcePeriod, groupLabels: resourceLabels });
+        }
+        console.log(JSON.stringify({ level: 'info', msg: 'Resource report window extends past resource-level data', segments: segments.map(({ granularity, start: from, end: to }) => ({ granularity, from, to })) }));
+        const data = {
+            ResultsByTime: [...serviceData.ResultsByTime, ...(resourceData?.ResultsByTime || [])],
+            DimensionValueAttributes: [...(serviceData.DimensionValueAttributes || []), ...(resourceData?.DimensionValueAttributes || [])],
+            Segments: segments
+        };
+        return { data, groupLabels: [resourcePeriod ? `${resourceLabels.join(" / ")} (older days by ${describeGroupBy(serviceGroupBy).join(" / ")})` : describeGroupBy(serviceGroupBy).join(" / ")], metric };
+    }
+
+    /**
+     * Resource-level cost report. This can be slow, so the chat path hands it
+     * to the async sender; scheduled runs call it directly.
+     * @param {Object} params
+     * @param {Object} params.parsedQuery - Parsed query
+     * @param {string} params.userCommand - Original user command
+     * @param {Date} params.start - Start date
+     * @param {Date} params.end - End date (exclusive)
+     * @returns {Promise<{reportUrl: string, summary: string, cached: boolean, totals: Object, factCheck: Object}>}
+     */
+    async resourceReport({ parsedQuery, userCommand, start, end }) {
+        const granularity = "DAILY";
+        const metric = resolveCostMetric(parsedQuery.metric);
+        const cacheKey = this.resourceCacheKey({ parsedQuery, start, end });
+
+        const cacheResult = await this.ddbUtils.getCache({ cacheKey });
+        if (cacheResult.hit && cacheResult.reportUrl) {
+            const summary = cacheResult.summary || "";
+            return { reportUrl: cacheResult.reportUrl, summary, cached: true, totals: summarizeReportTotals("cost", cacheResult.data, metric), factCheck: checkSummary(summary, "cost", cacheResult.data, metric) };
+        }
+
+        const { data, groupLabels } = await this.fetchResourceCosts({ parsedQuery, start, end });
+        const summaryPrompt = buildCostSummaryPrompt(data, userCommand, granularity, groupLabels, metric);
+        const { summary: costSummaryText, factCheck } = await writeCheckedSummary(summaryPrompt, "cost", data, metric);
+        const pdfBuffer = await generateCostReportPDF(costSummaryText, data, { groupLabels, metric });
+        const reportUrl = await this.uploadReport({ key: `${this.keyPrefix}/${uuidv4()}-resources`, pdfBuffer });
+
+        await this.ddbUtils.setCache({ cacheKey, data, reportUrl, costSummaryText });
+        return { reportUrl, summary: costSummaryText, cached: false, totals: summarizeReportTotals("cost", data, metric), factCheck };
+    }
+
+    /**
+     * Cost forecast report: actuals against forecast with prediction intervals,
+     * optionally broken down by the top services.
+     * @param {Object} params
+     * @param {Object} params.parsedQuery - Parsed query
+     * @param {string} params.userCommand - Original user command
+     * @returns {Promise<{reportUrl: string, summary: string, cached: boolean, totals: Object}>}
+     */
+    async forecastReport({ parsedQuery, userCommand }) {
+        const window = resolveForecastWindow(parsedQuery);
+        const predictionIntervalLevel = parsedQuery.predictionIntervalLevel || 80;
+        const byService = Boolean(parsedQuery.byService);
+        const metric = resolveCostMetric(parsedQuery.metric);
+        if (isUsageMetric(metric)) {
+            throw new Error(`Invalid metric: forecasts are available for cost metrics only, not ${metric}`);
+        }
+        const cacheKeyParams = { type: "forecast", ...window, predictionIntervalLevel, byService };
+        if (parsedQuery.specialRequirements) {
+            cacheKeyParams.specialRequirements = parsedQuery.specialRequirements;
+        }
+        if (parsedQuery.filters) {
+            cacheKeyParams.filter = compileFilter(parsedQuery.filters);
+        }
+        if (metric !== DEFAULT_COST_METRIC) {
+            cacheKeyParams.metric = metric;
+        }
+        const sources = await resolveAccountSources(parsedQuery);
+        if (sources?.length > 1) {
+            // Forecasts are modelled by Cost Explorer per call and cannot be added up across payers
+            throw new Error("Invalid accounts: forecasts can only cover accounts read through one payer or role");
+        }
+        if (sources) {
+            cacheKeyParams.accounts = accountCacheKey(parsedQuery);
+        }
+        const cacheKey = generateCacheKey(cacheKeyParams);
+
+        const cacheResult = await this.ddbUtils.getCache({ cacheKey });
+        if (cacheResult.hit && cacheResult.reportUrl) {
+            console.log("Using cached forecast report URL:", cacheResult.reportUrl);
+            return { reportUrl: cacheResult.reportUrl, summary: cacheResult.summary || "", cached: true, totals: summarizeReportTotals("forecast", cacheResult.data) };
+        }
+
+        let forecastData = cacheResult.data;
+        if (!cacheResult.hit) {
+            try {
+                // Account names are looked up over the recent past; forecast periods have no usage yet
+                const lookupPeriod = window.actuals || { start: toDateString(new Date(Date.now() - 30 * DAY_MS)), end: toDateString(new Date()) };
+                const source = sources ? sources[0] : null;
+                const filter = combineFilters(await resolveLinkedAccountNames(compileFilter(parsedQuery.filters), lookupPeriod, source), source?.filter ?? null);
+                const actualData = window.actuals
+                    ? await getCostAndUsage({ startDate: window.actuals.start, endDate: window.actuals.end, granularity: window.granularity, filter, metric, source })
+                    : { ResultsByTime: [] };
+                const forecast = await getCostForecast({
+                    startDate: window.forecast.start,
+                    endDate: window.forecast.end,
+                    granularity: window.granularity,
+                    metric: COST_METRICS[metric].forecastMetric,
+                    predictionIntervalLevel,
+                    filter,
+                    source
+                });
+
+                let serviceForecasts = [];
+                if (byService) {
+                    const serviceTotals = {};
+                    (actualData.ResultsByTime || []).forEach(period => {
+                        (period.Groups || []).forEach(group => {
+                            const amount = metricAmount(group.Metrics, metric);
+                            serviceTotals[group.Keys[0]] = (serviceTotals[group.Keys[0]] || 0) + amount;
+                        });
+                    });
+                    const services = Object.entries(serviceTotals)
+                        .sort((a, b) => b[1] - a[1])
+                        .slice(0, FORECAST_TOP_SERVICES)
+                        .map(([service]) => service);
+                    serviceForecasts = await getCostForecastByService({
+                        startDate: window.forecast.start,
+                        endDate: window.forecast.end,
+                        granularity: window.granularity,
+                        services,
+                        predictionIntervalLevel,
+                        filter,
+                        metric: COST_METRICS[metric].forecastMetric,
+                        source
+                    });
+                }
+
+                forecastData = {
+                    window: window.window,
+                    granularity: window.granularity,
+                    forecastPeriod: window.forecast,
+                    actualsPeriod: window.actuals,
+                    projectsCurrentPeriod: window.projectsCurrentPeriod,
+                    predictionIntervalLevel,
+                    metric,
+                    actuals: actualData.ResultsByTime || [],
+                    forecast: { Total: forecast.Total, ForecastResultsByTime: forecast.ForecastResultsByTime || [] },
+                    serviceForecasts
+                };
+                console.log(JSON.stringify({ level: 'info', msg: 'Fetched Cost Forecast result', cacheKey }));
+            } catch (err) {
+                console.error(JSON.stringify({ level: 'error', msg: 'Cost Forecast fetch failed', cacheKey, error: err.message }));
+                throw err;
+            }
+        }
+
+        const summaryPrompt = buildForecastSummaryPrompt(forecastData, userCommand);
+        const costSummaryText = (await askBedrock(summaryPrompt)).trim();
+
+        const pdfBuffer = await generateForecastReportPDF(costSummaryText, forecastData);
+        const reportUrl = await this.uploadReport({ key: `${this.keyPrefix}/${uuidv4()}-forecast`, pdfBuffer, summaryText: costSummaryText });
+
+        await this.ddbUtils.setCache({ cacheKey, data: forecastData, reportUrl, costSummaryText });
+        return { reportUrl, summary: costSummaryText, cached: false, totals: summarizeReportTotals("forecast", forecastData) };
+    }
+
+    /**
+     * Cost anomaly report. Daily costs per service are fetched with enough extra
+     * history to give the first day of the window a full baseline; spikes are
+     * detected deterministically and only then summarised by Bedrock.
+     * @param {Object} params
+     * @param {Object} params.parsedQuery - Parsed query
+     * @param {string} params.userCommand - Original user command
+     * @param {Date} params.start - Start of the window to check
+     * @param {Date} params.end - End of the window (exclusive)
+     * @returns {Promise<{reportUrl: string, summary: string, cached: boolean, totals: Object, anomalies: Array<Object>}>}
+     */
+    async anomalyReport({ parsedQuery, userCommand, start, end }) {
+        const period = { start: toDateString(start), end: toDateString(end) };
+        const historyStart = toDateString(new Date(start.getTime() - ANOMALY_DEFAULTS.baselineDays * DAY_MS));
+        const filter = compileFilter(parsedQuery.filters);
+        const metric = resolveCostMetric(parsedQuery.metric);
+        const sources = await resolveAccountSources(parsedQuery);
+
+        const cacheKeyParams = { type: "anomalies", ...period, ...ANOMALY_DEFAULTS };
+        if (parsedQuery.specialRequirements) {
+            cacheKeyParams.specialRequirements = parsedQuery.specialRequirements;
+        }
+        if (filter) {
+            cacheKeyParams.filter = filter;
+        }
+        if (metric !== DEFAULT_COST_METRIC) {
+            cacheKeyParams.metric = metric;
+        }
+        if (sources) {
+            cacheKeyParams.accounts = accountCacheKey(parsedQuery);
+        }
+        const cacheKey = generateCacheKey(cacheKeyParams);
+
+        const cacheResult = await this.ddbUtils.getCache({ cacheKey });
+        if (cacheResult.hit && cacheResult.reportUrl) {
+            console.log("Using cached anomaly report URL:", cacheResult.reportUrl);
+            return { reportUrl: cacheResult.reportUrl, summary: cacheResult.summary || "", cached: true, anomalies: cacheResult.data?.anomalies || [], totals: summarizeReportTotals("anomalies", cacheResult.data, metric) };
+        }
+
+        let data = cacheResult.data;
+        if (!cacheResult.hit) {
+            try {
+                // Services are summed across the selected accounts before looking for spikes
+                const history = mergeCostResults(await fetchFromAccountSources(sources, filter, { start: historyStart, end: period.end }, ({ source, filter: sourceFilter }) =>
+                    getCostAndUsage({
+                        startDate: historyStart,
+                        endDate: period.end,
+                        granularity: "DAILY",
+                        filter: sourceFilter,
+                        metric,
+                        source
+                    })));
+                const resultsByTime = history.ResultsByTime || [];
+                data = {
+                    ResultsByTime: resultsByTime.filter(day => day.TimePeriod.Start >= period.start),
+                    anomalies: detectCostAnomalies(resultsByTime, { from: period.start, metric })
+                };
+                console.log(JSON.stringify({ level: 'info', msg: 'Detected cost anomalies', cacheKey, count: data.anomalies.length }));
+            } catch (err) {
+                console.error(JSON.stringify({ level: 'error', msg: 'Cost Explorer fetch failed', cacheKey, error: err.message }));
+                throw err;
+            }
+        }
+
+        const summaryPrompt = buildAnomalySummaryPrompt(data.anomalies, period, userCommand, metric, sharedMetricUnit(data.ResultsByTime, metric));
+        const costSummaryText = (await askBedrock(summaryPrompt)).trim();
+
+        const pdfBuffer = await generateCostReportPDF(costSummaryText, data, { metric });
+        const reportUrl = await this.uploadReport({ key: `${this.keyPrefix}/${uuidv4()}-anomalies`, pdfBuffer, summaryText: costSummaryText });
+
+        await this.ddbUtils.setCache({ cacheKey, data, reportUrl, costSummaryText });
+        return { reportUrl, summary: costSummaryText, cached: false, anomalies: data.anomalies, totals: summarizeReportTotals("anomalies", data, metric) };
+    }
+
+    /**
+     * Savings Plans and Reserved Instance report: utilization, coverage,
+     * unused commitment and commitments that expire soon.
+     * @param {Object} params
+     * @param {Object} params.parsedQuery - Parsed query
+     * @param {string} params.userCommand - Original user command
+     * @param {Date} params.start - Start date
+     * @param {Date} params.end - End date (exclusive)
+     * @returns {Promise<{reportUrl: string, summary: string, cached: boolean, totals: Object, commitments: Object}>}
+     */
+    async commitmentReport({ parsedQuery, userCommand, start, end }) {
+        const period = { start: toDateString(start), end: toDateString(end) };
+        const granularity = (end.getTime() - start.getTime()) / DAY_MS <= 31 ? "DAILY" : "MONTHLY";
+        const expiringWithinDays = parsedQuery.expiringWithinDays || DEFAULT_EXPIRING_WITHIN_DAYS;
+        // Utilization and coverage rates cannot be added up across payers
+        rejectAccountSelection(parsedQuery, "commitment reports only cover the account this service runs in");
+
+        const cacheKeyParams = { type: "commitments", ...period, granularity, expiringWithinDays };
+        if (parsedQuery.specialRequirements) {
+            cacheKeyParams.specialRequirements = parsedQuery.specialRequirements;
+        }
+        const cacheKey = generateCacheKey(cacheKeyParams);
+
+        const cacheResult = await this.ddbUtils.getCache({ cacheKey });
+        if (cacheResult.hit && cacheResult.reportUrl) {
+            console.log("Using cached commitment report URL:", cacheResult.reportUrl);
+            return { reportUrl: cacheResult.reportUrl, summary: cacheResult.summary || "", cached: true, commitments: cacheResult.data, totals: summarizeReportTotals("commitments", cacheResult.data) };
+        }
+
+        let commitments = cacheResult.data;
+        if (!cacheResult.hit) {
+            try {
+                const range = { startDate: period.start, endDate: period.end };
+                const [spUtilization, spDetails, spCoverage, riUtilization, riByReservation, riCoverage] = await Promise.all([
+                    fetchOptionalCommitmentData(() => getSavingsPlansUtilization({ ...range, granularity })),
+                    fetchOptionalCommitmentData(() => getSavingsPlansUtilizationDetails(range)),
+                    fetchOptionalCommitmentData(() => getSavingsPlansCoverage({ ...range, granularity })),
+                    fetchOptionalCommitmentData(() => getReservationUtilization({ ...range, granularity })),
+                    fetchOptionalCommitmentData(() => getReservationUtilization({ ...range, byReservation: true })),
+                    fetchOptionalCommitmentData(() => getReservationCoverage({ ...range, granularity }))
+                ]);
+                commitments = summarizeCommitments(
+                    { spUtilization, spDetails, spCoverage, riUtilization, riByReservation, riCoverage },
+                    { expiringWithinDays }
+                );
+                console.log(JSON.stringify({ level: 'info', msg: 'Fetched commitment data', cacheKey, expiring: commitments.expiring.length }));
+            } catch (err) {
+                console.error(JSON.stringify({ level: 'error', msg: 'Commitment fetch failed', cacheKey, error: err.message }));
+                throw err;
+            }
+        }
+
+        const summaryPrompt = buildCommitmentSummaryPrompt(commitments, period, userCommand);
+        const costSummaryText = (await askBedrock(summaryPrompt)).trim();
+
+        const pdfBuffer = await generateCommitmentReportPDF(costSummaryText, commitments);
+        const reportUrl = await this.uploadReport({ key: `${this.keyPrefix}/${uuidv4()}-commitments`, pdfBuffer, summaryText: costSummaryText });
+
+        await this.ddbUtils.setCache({ cacheKey, data: commitments, reportUrl, costSummaryText });
+        return { reportUrl, summary: costSummaryText, cached: false, commitments, totals: summarizeReportTotals("commitments", commitments) };
+    }
+
+    /**
+     * EC2 rightsizing report: recommendations grouped by account and instance
+     * family with estimated monthly savings, and a risk rating per action.
+     * @param {Object} params
+     * @param {Object} params.parsedQuery - Parsed query
+     * @param {string} params.userCommand - Original user command
+     * @returns {Promise<{reportUrl: string, summary: string, cached: boolean, totals: Object, rightsizing: Object}>}
+     */
+    async rightsizingReport({ parsedQuery, userCommand }) {
+        const recommendationTarget = parsedQuery.crossFamily ? "CROSS_INSTANCE_FAMILY" : "SAME_INSTANCE_FAMILY";
+        const filter = compileFilter(parsedQuery.filters);
+        rejectAccountSelection(parsedQuery, "rightsizing reports only cover the account this service runs in");
+
+        // Recommendations are refreshed daily, so the date keeps the cache from going stale
+        const cacheKeyParams = { type: "rightsizing", date: toDateString(new Date()), recommendationTarget };
+        if (parsedQuery.specialRequirements) {
+            cacheKeyParams.specialRequirements = parsedQuery.specialRequirements;
+        }
+        if (filter) {
+            cacheKeyParams.filter = filter;
+        }
+        const cacheKey = generateCacheKey(cacheKeyParams);
+
+        const cacheResult = await this.ddbUtils.getCache({ cacheKey });
+        if (cacheResult.hit && cacheResult.reportUrl) {
+            console.log("Using cached rightsizing report URL:", cacheResult.reportUrl);
+            return { reportUrl: cacheResult.reportUrl, summary: cacheResult.summary || "", cached: true, rightsizing: cacheResult.data, totals: summarizeReportTotals("rightsizing", cacheResult.data) };
+        }
+
+        let rightsizing = cacheResult.data;
+        if (!cacheResult.hit) {
+            try {
+                const lookupPeriod = { start: toDateString(new Date(Date.now() - 30 * DAY_MS)), end: toDateString(new Date()) };
+                const response = await getRightsizingRecommendations({
+                    recommendationTarget,
+                    filter: await resolveLinkedAccountNames(filter, lookupPeriod)
+                });
+                rightsizing = summarizeRightsizing(response);
+                console.log(JSON.stringify({ level: 'info', msg: 'Fetched rightsizing recommendations', cacheKey, count: rightsizing.count }));
+            } catch (err) {
+                console.error(JSON.stringify({ level: 'error', msg: 'Rightsizing fetch failed', cacheKey, error: err.message }));
+                throw err;
+            }
+        }
+
+        const summaryPrompt = buildRightsizingSummaryPrompt(rightsizing, userCommand);
+        const costSummaryText = (await askBedrock(summaryPrompt)).trim();
+
+        const pdfBuffer = await generateCostReportPDF(costSummaryText, rightsizing, { layout: "rightsizing" });
+        const reportUrl = await this.uploadReport({ key: `${this.keyPrefix}/${uuidv4()}-rightsizing`, pdfBuffer, summaryText: costSummaryText });
+
+        await this.ddbUtils.setCache({ cacheKey, data: rightsizing, reportUrl, costSummaryText });
+        return { reportUrl, summary: costSummaryText, cached: false, rightsizing, totals: summarizeReportTotals("rightsizing", rightsizing) };
+    }
+
+    /**
+     * Incident report: Incident Manager incidents and OpsItems opened in the
+     * window, each lined up with the daily cost per service around it, so the
+     * summary can point out cost changes that coincide with an incident.
+     * @param {Object} params
+     * @param {Object} params.parsedQuery - Parsed query
+     * @param {string} params.userCommand - Original user command
+     * @param {Date} params.start - Start date
+     * @param {Date} params.end - End date (exclusive)
+     * @returns {Promise<{reportUrl: string, summary: string, cached: boolean, totals: Object, incidents: Array<Object>}>}
+     */
+    async incidentReport({ parsedQuery, userCommand, start, end }) {
+        const period = { start: toDateString(start), end: toDateString(end) };
+        const historyStart = toDateString(new Date(start.getTime() - ANOMALY_DEFAULTS.baselineDays * DAY_MS));
+        const filter = compileFilter(parsedQuery.filters);
+        const metric = resolveCostMetric(parsedQuery.metric);
+        // Incidents and OpsItems are read from this account, so costs must be too
+        rejectAccountSelection(parsedQuery, "incident reports only cover the account this service runs in");
+
+        const cacheKeyParams = { type: "incidents", ...period };
+        if (parsedQuery.specialRequirements) {
+            cacheKeyParams.specialRequirements = parsedQuery.specialRequirements;
+        }
+        if (filter) {
+            cacheKeyParams.filter = filter;
+        }
+        if (metric !== DEFAULT_COST_METRIC) {
+            cacheKeyParams.metric = metric;
+        }
+        const cacheKey = generateCacheKey(cacheKeyParams);
+
+        const cacheResult = await this.ddbUtils.getCache({ cacheKey });
+        if (cacheResult.hit && cacheResult.reportUrl) {
+            console.log("Using cached incident report URL:", cacheResult.reportUrl);
+            return { reportUrl: cacheResult.reportUrl, summary: cacheResult.summary || "", cached: true, incidents: cacheResult.data?.events || [], totals: summarizeReportTotals("incidents", cacheResult.data, metric) };
+        }
+
+        let data = cacheResult.data;
+        if (!cacheResult.hit) {
+            try {
+                const unavailable = [];
+                const [history, incidentRecords, opsItems] = await Promise.all([
+                    getCostAndUsage({
+                        startDate: historyStart,
+                        endDate: period.end,
+                        granularity: "DAILY",
+                        filter: await resolveLinkedAccountNames(filter, { start: historyStart, end: period.end }),
+                        metric
+                    }),
+                    fetchIncidentSource("Incident Manager", () => listIncidentRecords({ start, end }), unavailable),
+                    fetchIncidentSource("OpsItems", () => describeOpsItems({ start, end }), unavailable)
+                ]);
+                const resultsByTime = history.ResultsByTime || [];
+                const anomalies = detectCostAnomalies(resultsByTime, { from: period.start, metric });
+                const events = [...incidentRecords.map(normalizeIncidentRecord), ...opsItems.map(normalizeOpsItem)]
+                    .sort((a, b) => (a.createdAt || "").localeCompare(b.createdAt || ""));
+                data = {
+                    ResultsByTime: resultsByTime.filter(day => day.TimePeriod.Start >= period.start),
+                    anomalies,
+                    events: correlateIncidentsWithCosts(resultsByTime, events, { anomalies, metric }),
+                    unavailable
+                };
+                console.log(JSON.stringify({ level: 'info', msg: 'Correlated incidents with costs', cacheKey, events: data.events.length, correlated: data.events.filter(e => e.correlated).length }));
+            } catch (err) {
+                console.error(JSON.stringify({ level: 'error', msg: 'Incident report fetch failed', cacheKey, error: err.message }));
+                throw err;
+            }
+        }
+
+        const summaryPrompt = buildIncidentCorrelationPrompt(data, period, userCommand, metric);
+        const costSummaryText = (await askBedrock(summaryPrompt)).trim();
+
+        const pdfBuffer = await generateIncidentReportPDF(costSummaryText, data, { metric });
+        const reportUrl = await this.uploadReport({ key: `${this.keyPrefix}/${uuidv4()}-incidents`, pdfBuffer, summaryText: costSummaryText });
+
+        await this.ddbUtils.setCache({ cacheKey, data, reportUrl, costSummaryText });
+        return { reportUrl, summary: costSummaryText, cached: false, incidents: data.events, totals: summarizeReportTotals("incidents", data, metric) };
+    }
+}
@@ -0,0 +1,96 @@
+// Turns Cost Explorer EC2 rightsizing recommendations into ranked actions
+// grouped by account and instance family. Pure functions only.
+
+// Risk of acting on a recommendation, lowest first
+export const RIGHTSIZING_RISK = {
+    LOW: "LOW",
+    MEDIUM: "MEDIUM",
+    HIGH: "HIGH"
+};
+
+const num = (value) => parseFloat(value || '0') || 0;
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Instance family of an EC2 instance type, e.g. "m5" for "m5.large".
+ * @param {string} instanceType
+ * @returns {string}
+ */
+export function instanceFamilyOf(instanceType) {
+    return (instanceType || "unknown").split(".")[0];
+}
+
+/**
+ * Rates how risky a recommendation is to apply. Platform differences need
+ * changes before moving; terminations remove capacity; and without memory
+ * metrics (no CloudWatch agent) a downsize may starve the workload.
+ * @param {Object} action - Action built by summarizeRightsizing
+ * @returns {string} One of RIGHTSIZING_RISK
+ */
+function assessRisk(action) {
+    if (action.platformDifferences.length > 0) return RIGHTSIZING_RISK.HIGH;
+    if (action.action === "TERMINATE") {
+        return action.maxCpu !== null && action.maxCpu < 1 ? RIGHTSIZING_RISK.MEDIUM : RIGHTSIZING_RISK.HIGH;
+    }
+    return action.maxMemory === null ? RIGHTSIZING_RISK.MEDIUM : RIGHTSIZING_RISK.LOW;
+}
+
+/**
+ * Summarises rightsizing recommendations.
+ * @param {Object} response - Result of getRightsizingRecommendations
+ * @returns {{count: number, currency: string, totalMonthlySavings: number, actions: Array<Object>, groups: Array<Object>}}
+ *   actions are ranked by estimated monthly savings; groups total savings per account and instance family
+ */
+export function summarizeRightsizing(response) {
+    const recommendations = response?.RightsizingRecommendations || [];
+
+    const actions = recommendations.map(rec => {
+        const current = rec.CurrentInstance || {};
+        const details = current.ResourceDetails?.EC2ResourceDetails || {};
+        const utilization = current.ResourceUtilization?.EC2ResourceUtilization || {};
+        const target = (rec.ModifyRecommendationDetail?.TargetInstances || []).find(t => t.DefaultTargetInstance)
+            || rec.ModifyRecommendationDetail?.TargetInstances?.[0];
+        const isTerminate = rec.RightsizingType === "TERMINATE";
+
+        const action = {
+            accountId: rec.AccountId,
+            resourceId: current.ResourceId,
+            instanceName: current.InstanceName || "",
+            region: details.Region || "",
+            currentType: details.InstanceType || "",
+            family: instanceFamilyOf(details.InstanceType),
+            action: isTerminate ? "TERMINATE" : "MODIFY",
+            targetType: isTerminate ? null : (target?.ResourceDetails?.EC2ResourceDetails?.InstanceType || null),
+            monthlyCost: round(num(current.MonthlyCost)),
+            estimatedMonthlySavings: round(num(isTerminate
+                ? rec.TerminateRecommendationDetail?.EstimatedMonthlySavings
+                : target?.EstimatedMonthlySavings)),
+            maxCpu: utilization.MaxCpuUtilizationPercentage !== undefined ? round(num(utilization.MaxCpuUtilizationPercentage)) : null,
+            maxMemory: utilization.MaxMemoryUtilizationPercentage ? round(num(utilization.MaxMemoryUtilizationPercentage)) : null,
+            platformDifferences: target?.PlatformDifferences || [],
+            findings: rec.FindingReasonCodes || []
+        };
+        action.risk = assessRisk(action);
+        return action;
+    }).sort((a, b) => b.estimatedMonthlySavings - a.estimatedMonthlySavings || String(a.resourceId).localeCompare(String(b.resourceId)));
+
+    const groupMap = new Map();
+    actions.forEach(a => {
+        const key = `${a.accountId}|${a.family}`;
+        if (!groupMap.has(key)) {
+            groupMap.set(key, { accountId: a.accountId, family: a.family, count: 0, estimatedMonthlySavings: 0 });
+        }
+        const group = groupMap.get(key);
+        group.count += 1;
+        group.estimatedMonthlySavings = round(group.estimatedMonthlySavings + a.estimatedMonthlySavings);
+    });
+    const groups = [...groupMap.values()].sort((a, b) => b.estimatedMonthlySavings - a.estimatedMonthlySavings);
+
+    return {
+        count: actions.length,
+        currency: response?.Summary?.SavingsCurrencyCode || "USD",
+        totalMonthlySavings: round(actions.reduce((sum, a) => sum + a.estimatedMonthlySavings, 0)),
+        actions,
+        groups
+    };
+}
@@ -0,0 +1,307 @@
+import { v4 as uuidv4 } from "uuid";
+import { SCHEDULE_STATE } from "./dynamodb-utils.mjs";
+import { putScheduleRule, setScheduleRuleEnabled, deleteScheduleRule } from "./eventbridge-utils.mjs";
+import { normalizeDeliveryTargets } from "./delivery-utils.mjs";
+
+const RATE_PATTERN = /^rate\((\d+) (minute|minutes|hour|hours|day|days)\)$/;
+
+// Fields of an EventBridge cron expression: Minutes Hours Day-of-month Month Day-of-week Year
+const CRON_FIELDS = [
+    { name: "minutes", min: 0, max: 59 },
+    { name: "hours", min: 0, max: 23 },
+    { name: "day-of-month", min: 1, max: 31, special: /^(L|LW|\d{1,2}W)$/ },
+    { name: "month", min: 1, max: 12, names: ["JAN", "FEB", "MAR", "APR", "MAY", "JUN", "JUL", "AUG", "SEP", "OCT", "NOV", "DEC"] },
+    { name: "day-of-week", min: 1, max: 7, names: ["SUN", "MON", "TUE", "WED", "THU", "FRI", "SAT"], special: /^(L|[1-7]L|[1-7]#[1-5])$/ },
+    { name: "year", min: 1970, max: 2199 }
+];
+
+// Words that carry no meaning when matching "pause the weekly EC2 report" to a schedule
+const REFERENCE_STOPWORDS = new Set([
+    "the", "a", "an", "my", "our", "report", "reports", "schedule", "schedules", "scheduled",
+    "cost", "costs", "for", "of", "to", "and", "please", "that", "this", "one"
+]);
+
+const tokenize = (text) => (text || "")
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(t => t && !REFERENCE_STOPWORDS.has(t));
+
+/**
+ * Describes how often a cron expression fires, so users can refer to
+ * schedules as "the daily report" or "the weekly report".
+ * @param {string} cronExpression - EventBridge schedule expression
+ * @returns {string} "daily", "weekly", "monthly" or ""
+ */
+export function describeCronFrequency(cronExpression) {
+    const match = /^cron\((.+)\)$/.exec(cronExpression || "");
+    if (!match) return "";
+    const [, , dayOfMonth, , dayOfWeek] = match[1].trim().split(/\s+/);
+    if (dayOfWeek && dayOfWeek !== "?" && dayOfWeek !== "*") return "weekly";
+    if (dayOfMonth && dayOfMonth !== "?" && dayOfMonth !== "*") return "monthly";
+    return "daily";
+}
+
+/**
+ * Checks one comma-separated part of a cron field, e.g. "MON-FRI", "0/15" or "8".
+ * @param {string} part
+ * @param {Object} field - Entry of CRON_FIELDS
+ * @returns {boolean}
+ */
+function isValidCronPart(part, field) {
+    if (part === "*" || (field.special && field.special.test(part))) return true;
+    const toValue = (token) => {
+        const index = field.names ? field.names.indexOf(token) : -1;
+        const value = index >= 0 ? index + field.min : (/^\d+$/.test(token) ? parseInt(token, 10) : NaN);
+        return value >= field.min && value <= field.max ? value : NaN;
+    };
+    const [range, step, ...extra] = part.split("/");
+    if (extra.length > 0 || (step !== undefined && !/^[1-9]\d*$/.test(step))) return false;
+    if (range === "*") return step !== undefined;
+    const [from, to, ...more] = range.split("-");
+    if (more.length > 0 || isNaN(toValue(from))) return false;
+    return to === undefined || !isNaN(toValue(to));
+}
+
+/**
+ * Explains what is wrong with an EventBridge schedule expression.
+ * @param {string} cronExpression - e.g. "cron(0 8 ? * MON *)" or "rate(1 day)"
+ * @returns {string|null} A description of the problem, or null if the expression is valid
+ */
+export function describeScheduleExpressionError(cronExpression) {
+    if (typeof cronExpression !== "string" || !cronExpression.trim()) {
+        return "must be a cron(...) or rate(...) expression";
+    }
+    const expression = cronExpression.trim();
+    if (expression.startsWith("rate(")) {
+        const rate = RATE_PATTERN.exec(expression);
+        // EventBridge wants "1 day" but "2 days"
+        const valid = rate && parseInt(rate[1], 10) >= 1 && (rate[1] === "1") !== rate[2].endsWith("s");
+        return valid ? null : 'must look like "rate(1 day)" or "rate(6 hours)"';
+    }
+    const match = /^cron\((.*)\)$/.exec(expression);
+    if (!match) {
+        return "must be a cron(...) or rate(...) expression";
+    }
+    const fields = match[1].trim().toUpperCase().split(/\s+/);
+    if (fields.length !== CRON_FIELDS.length) {
+        return `needs ${CRON_FIELDS.length} fields (minutes hours day-of-month month day-of-week year), got ${fields.length}`;
+    }
+    for (let i = 0; i < CRON_FIELDS.length; i++) {
+        const field = CRON_FIELDS[i];
+        const value = fields[i];
+        const isDayField = field.name === "day-of-month" || field.name === "day-of-week";
+        if (value === "?" && isDayField) continue;
+        if (!value.split(",").every(part => isValidCronPart(part, field))) {
+            return `has an invalid ${field.name} field "${value}"`;
+        }
+    }
+    if ((fields[2] === "?") === (fields[4] === "?")) {
+        return 'must use "?" in exactly one of day-of-month and day-of-week';
+    }
+    return null;
+}
+
+/**
+ * Validates an EventBridge schedule expression.
+ * @param {string} cronExpression
+ * @returns {boolean}
+ */
+export function isValidScheduleExpression(cronExpression) {
+    return describeScheduleExpressionError(cronExpression) === null;
+}
+
+/**
+ * Manages scheduled cost reports. The schedules table is the source of truth
+ * for ownership and settings; every change is applied to the EventBridge rule
+ * first and then persisted, so a failed EventBridge call leaves the table untouched.
+ */
+export class ScheduleUtils {
+    constructor({ ddbUtils, targetArn }) {
+        this.ddbUtils = ddbUtils;
+        this.targetArn = targetArn;
+    }
+
+    static ruleNameFor(scheduleId) {
+        return `ScheduledCostReport-${scheduleId}`;
+    }
+
+    async applyRule(schedule) {
+        await putScheduleRule({
+            ruleName: schedule.ruleName,
+            cronExpression: schedule.cronExpression,
+            targetArn: this.targetArn,
+            input: {
+                isScheduled: true,
+                scheduleId: schedule.scheduleId,
+                parsedQuery: schedule.parsedQuery
+            },
+            enabled: schedule.state === SCHEDULE_STATE.ENABLED,
+            description: `${schedule.name} (owner: ${schedule.ownerEmail})`
+        });
+    }
+
+    /**
+     * Creates a schedule and its EventBridge rule.
+     * @param {Object} params
+     * @param {string} params.ownerEmail - Email of the user who owns the schedule
+     * @param {string} params.name - Human readable name
+     * @param {string} params.userCommand - Original user command
+     * @param {Object} params.parsedQuery - Parsed query the schedule runs
+     * @param {string} params.cronExpression - EventBridge schedule expression
+     * @param {Array<string>} params.recipients - Report recipients; defaults to the owner
+     * @param {Array<Object>} [params.deliveryTargets] - Slack, Teams or webhook targets
+     * @returns {Promise<Object>} The stored schedule
+     */
+    async create({ ownerEmail, name, userCommand, parsedQuery, cronExpression, recipients, deliveryTargets }) {
+        if (!isValidScheduleExpression(cronExpression)) {
+            throw new Error(`Invalid cron expression: ${cronExpression}`);
+        }
+        const scheduleId = uuidv4();
+        const now = new Date().toISOString();
+        const schedule = {
+            scheduleId,
+            ownerEmail,
+            name: name || userCommand || `Scheduled report ${scheduleId}`,
+            userCommand,
+            cronExpression,
+            parsedQuery,
+            recipients: recipients && recipients.length ? recipients : [ownerEmail],
+            deliveryTargets: normalizeDeliveryTargets(deliveryTargets),
+            state: SCHEDULE_STATE.ENABLED,
+            ruleName: ScheduleUtils.ruleNameFor(scheduleId),
+            createdAt: now,
+            updatedAt: now
+        };
+
+        await this.applyRule(schedule);
+        try {
+            await this.ddbUtils.saveSchedule(schedule);
+        } catch (err) {
+            // Do not leave an orphaned rule behind
+            await deleteScheduleRule(schedule.ruleName);
+            throw err;
+        }
+        return schedule;
+    }
+
+    async listForOwner(ownerEmail) {
+        const schedules = await this.ddbUtils.listSchedulesByOwner(ownerEmail);
+        return schedules.sort((a, b) => (a.createdAt || "").localeCompare(b.createdAt || ""));
+    }
+
+    /**
+     * Loads a schedule if it exists and belongs to the given owner.
+     * @param {string} scheduleId
+     * @param {string} ownerEmail
+     * @returns {Promise<Object|null>}
+     */
+    async getForOwner(scheduleId, ownerEmail) {
+        const schedule = await this.ddbUtils.getSchedule(scheduleId);
+        if (!schedule || schedule.ownerEmail?.toLowerCase() !== ownerEmail.toLowerCase()) {
+            return null;
+        }
+        return schedule;
+    }
+
+    /**
+     * Resolves a free-text reference ("weekly EC2 report", an ID or ID prefix)
+     * to one of the owner's schedules.
+     * @param {string} ownerEmail
+     * @param {string} reference
+     * @returns {Promise<{schedule: Object|null, candidates: Array<Object>}>}
+     */
+    async findByReference(ownerEmail, reference) {
+        const schedules = await this.listForOwner(ownerEmail);
+        const ref = (reference || "").trim().toLowerCase();
+        if (!ref) {
+            return { schedule: schedules.length === 1 ? schedules[0] : null, candidates: schedules };
+        }
+
+        const byId = schedules.filter(s => s.scheduleId === ref || s.scheduleId.startsWith(ref));
+        if (byId.length === 1) return { schedule: byId[0], candidates: byId };
+
+        const refTokens = tokenize(ref);
+        if (refTokens.length === 0) return { schedule: null, candidates: schedules };
+
+        const scored = schedules.map(s => {
+            const haystack = new Set(tokenize(`${s.name} ${s.userCommand} ${describeCronFrequency(s.cronExpression)}`));
+            const score = refTokens.filter(t => haystack.has(t)).length;
+            return { schedule: s, score };
+        }).filter(s => s.score > 0);
+
+        if (scored.length === 0) return { schedule: null, candidates: [] };
+        const best = Math.max(...scored.map(s => s.score));
+        const top = scored.filter(s => s.score === best).map(s => s.schedule);
+        return { schedule: top.length === 1 ? top[0] : null, candidates: top };
+    }
+
+    /**
+     * Updates the editable fields of a schedule.
+     * @param {Object} schedule - Current schedule
+     * @param {Object} changes - Any of name, cronExpression, parsedQuery, recipients, deliveryTargets
+     * @returns {Promise<Object>} The updated schedule
+     */
+    async update(schedule, { name, cronExpression, parsedQuery, recipients, deliveryTargets }) {
+        if (cronExpression != null && !isValidScheduleExpression(cronExpression)) {
+            throw new Error(`Invalid cron expression: ${cronExpression}`);
+        }
+        const nextCron = cronExpression ?? schedule.cronExpression;
+        const updated = {
+            ...schedule,
+            name: name ?? schedule.name,
+            cronExpression: nextCron,
+            // Keep the cron inside the stored query in step with the rule
+            parsedQuery: { ...(parsedQuery ?? schedule.parsedQuery), cronExpression: nextCron },
+            recipients: recipients ?? schedule.recipients,
+            deliveryTargets: deliveryTargets !== undefined ? normalizeDeliveryTargets(deliveryTargets) : schedule.deliveryTargets,
+            updatedAt: new Date().toISOString()
+        };
+        await this.applyRule(updated);
+        try {
+            await this.ddbUtils.updateSchedule(schedule.scheduleId, {
+                name: updated.name,
+                cronExpression: updated.cronExpression,
+                parsedQuery: updated.parsedQuery,
+                recipients: updated.recipients,
+                deliveryTargets: updated.deliveryTargets,
+                updatedAt: updated.updatedAt
+            });
+        } catch (err) {
+            // Put the rule back so it keeps matching the stored schedule
+            await this.applyRule(schedule);
+            throw err;
+        }
+        return updated;
+    }
+
+    async setState(schedule, state) {
+        const updated = { ...schedule, state, updatedAt: new Date().toISOString() };
+        await setScheduleRuleEnabled(schedule.ruleName, state === SCHEDULE_STATE.ENABLED);
+        try {
+            await this.ddbUtils.updateSchedule(schedule.scheduleId, { state, updatedAt: updated.updatedAt });
+        } catch (err) {
+            await setScheduleRuleEnabled(schedule.ruleName, schedule.state === SCHEDULE_STATE.ENABLED);
+            throw err;
+        }
+        return updated;
+    }
+
+    async pause(schedule) {
+        return this.setState(schedule, SCHEDULE_STATE.PAUSED);
+    }
+
+    async resume(schedule) {
+        return this.setState(schedule, SCHEDULE_STATE.ENABLED);
+    }
+
+    async delete(schedule) {
+        await deleteScheduleRule(schedule.ruleName);
+        try {
+            await this.ddbUtils.deleteSchedule(schedule.scheduleId);
+        } catch (err) {
+            // The row is still there, so recreate the rule it describes
+            await this.applyRule(schedule);
+            throw err;
+        }
+    }
+}
@@ -0,0 +1,75 @@
+import { SESClient, SendEmailCommand } from "@aws-sdk/client-ses";
+
+const region = process.env.AWS_REGION || 'ap-south-1';
+const ses = new SESClient({ region });
+
+const SES_SOURCE_EMAIL = process.env.SES_SOURCE_EMAIL || "cost-reports@learnmorecloud.com";
+
+// Outcome of delivering one report to all of its recipients
+export const DELIVERY_STATUS = {
+    SENT: "SENT",
+    PARTIAL: "PARTIAL",
+    FAILED: "FAILED"
+};
+
+/**
+ * Send a plain-text email through SES
+ * @param {Object} params
+ * @param {Array<string>} params.to - Recipient addresses
+ * @param {string} params.subject - Email subject
+ * @param {string} params.body - Plain-text body
+ * @returns {Promise<string>} SES message ID
+ */
+export async function sendEmail({ to, subject, body }) {
+    const response = await ses.send(new SendEmailCommand({
+        Destination: { ToAddresses: to },
+        Message: {
+            Body: { Text: { Data: body } },
+            Subject: { Data: subject },
+        },
+        Source: SES_SOURCE_EMAIL
+    }));
+    return response.MessageId;
+}
+
+/**
+ * Send the same plain-text email to each recipient separately, so one
+ * rejected address does not stop delivery to the others
+ * @param {Object} params
+ * @param {Array<string>} params.recipients - Recipient addresses or distribution lists
+ * @param {string} params.subject - Email subject
+ * @param {string} params.body - Plain-text body
+ * @returns {Promise<{status: string, results: Array<Object>}>} Overall status and per-recipient results
+ */
+export async function sendEmails({ recipients, subject, body }) {
+    const results = await Promise.all(recipients.map(async (recipient) => {
+        try {
+            const messageId = await sendEmail({ to: [recipient], subject, body });
+            return { recipient, status: DELIVERY_STATUS.SENT, messageId };
+        } catch (err) {
+            console.error(`Failed to send email to ${recipient}:`, err);
+            return { recipient, status: DELIVERY_STATUS.FAILED, error: err.message };
+        }
+    }));
+
+    const sent = results.filter(r => r.status === DELIVERY_STATUS.SENT).length;
+    let status = DELIVERY_STATUS.PARTIAL;
+    if (sent === results.length) status = DELIVERY_STATUS.SENT;
+    if (sent === 0) status = DELIVERY_STATUS.FAILED;
+    return { status, results };
+}
+
+/**
+ * Email a report link and summary to each recipient
+ * @param {Object} params
+ * @param {Array<string>} params.recipients - Recipient addresses or distribution lists
+ * @param {string} params.subject - Email subject
+ * @param {string} params.intro - First line of the email
+ * @param {string} params.reportUrl - Report URL
+ * @param {string} params.summary - Report summary
+ * @returns {Promise<{status: string, results: Array<Object>}>} Overall status and per-recipient results
+ */
+export async function sendReportEmails({ recipients, subject, intro, reportUrl, summary }) {
+    const body = `${intro}\n\nYou can download the PDF report here: ${reportUrl}\n\nSummary:\n${summary}`;
+    return sendEmails({ recipients, subject, body });
+}
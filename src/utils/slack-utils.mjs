@@ -0,0 +1,137 @@
+import { createHmac, timingSafeEqual } from "node:crypto";
+
+// Slack Web API base URL; overridable so a local stand-in can replace Slack
+const SLACK_API_URL = process.env.SLACK_API_URL || "https://slack.com/api";
+const SLACK_BOT_TOKEN = process.env.SLACK_BOT_TOKEN;
+
+// Requests older than this are rejected to stop replayed signatures
+const MAX_REQUEST_AGE_SECONDS = 5 * 60;
+
+// Section blocks are limited to 3000 characters of text
+const MAX_SECTION_TEXT = 2900;
+
+// action_id values of the buttons attached to report replies
+export const SLACK_ACTIONS = {
+    EMAIL_PDF: "email_pdf",
+    SCHEDULE_WEEKLY: "schedule_weekly"
+};
+
+/**
+ * Verifies the X-Slack-Signature of a request against the app's signing secret.
+ * See https://api.slack.com/authentication/verifying-requests-from-slack
+ * @param {Object} params
+ * @param {string} params.signingSecret - Slack app signing secret
+ * @param {string} params.timestamp - X-Slack-Request-Timestamp header
+ * @param {string} params.signature - X-Slack-Signature header, "v0=<hex>"
+ * @param {string} params.rawBody - Request body exactly as sent
+ * @param {number} [params.now] - Current time in ms
+ * @returns {boolean}
+ */
+export function verifySlackSignature({ signingSecret, timestamp, signature, rawBody, now = Date.now() }) {
+    if (!signingSecret || !timestamp || !signature) return false;
+    const age = Math.abs(Math.floor(now / 1000) - Number(timestamp));
+    if (!Number.isFinite(age) || age > MAX_REQUEST_AGE_SECONDS) return false;
+
+    const expected = `v0=${createHmac("sha256", signingSecret).update(`v0:${timestamp}:${rawBody}`).digest("hex")}`;
+    const expectedBuffer = Buffer.from(expected);
+    const signatureBuffer = Buffer.from(signature);
+    return expectedBuffer.length === signatureBuffer.length && timingSafeEqual(expectedBuffer, signatureBuffer);
+}
+
+/**
+ * Reads a header from an API Gateway event regardless of its casing.
+ * @param {Object} event - API Gateway event
+ * @param {string} name
+ * @returns {string|undefined}
+ */
+export function getHeader(event, name) {
+    const key = Object.keys(event.headers || {}).find(k => k.toLowerCase() === name.toLowerCase());
+    return key ? event.headers[key] : undefined;
+}
+
+/**
+ * Truncates text to fit a section block.
+ * @param {string} text
+ * @returns {string}
+ */
+function fitSection(text) {
+    return text.length > MAX_SECTION_TEXT ? `${text.slice(0, MAX_SECTION_TEXT)}…` : text;
+}
+
+/**
+ * Builds the reply to a slash command from a chat API response body. Replies
+ * with a report get "email me the PDF" and "schedule this weekly" buttons,
+ * whose value is the request ID of the report.
+ * @param {Object} result - Parsed body returned by mainHandler
+ * @param {Object} options
+ * @param {boolean} options.withActions - Attach the report buttons
+ * @returns {Object} Slack message for response_url
+ */
+export function buildSlackReportMessage(result, { withActions }) {
+    const blocks = [{ type: "section", text: { type: "mrkdwn", text: fitSection(result.message || "Done.") } }];
+    if (result.summary) {
+        blocks.push({ type: "section", text: { type: "plain_text", text: fitSection(result.summary) } });
+    }
+    if (withActions && result.reportUrl && result.requestId) {
+        blocks.push({
+            type: "actions",
+            elements: [
+                { type: "button", text: { type: "plain_text", text: "📄 Open report" }, url: result.reportUrl, action_id: "open_report" },
+                { type: "button", text: { type: "plain_text", text: "📧 Email me the PDF" }, action_id: SLACK_ACTIONS.EMAIL_PDF, value: result.requestId },
+                { type: "button", text: { type: "plain_text", text: "🗓️ Schedule this weekly" }, action_id: SLACK_ACTIONS.SCHEDULE_WEEKLY, value: result.requestId }
+            ]
+        });
+    }
+    return { response_type: "ephemeral", replace_original: false, text: result.message || "Done.", blocks };
+}
+
+/**
+ * Builds a plain ephemeral reply.
+ * @param {string} text
+ * @returns {Object} Slack message
+ */
+export function buildSlackText(text) {
+    return { response_type: "ephemeral", replace_original: false, text };
+}
+
+/**
+ * Posts a message to a response_url from a slash command or interaction.
+ * @param {string} responseUrl
+ * @param {Object} message
+ * @returns {Promise<void>}
+ */
+export async function postToResponseUrl(responseUrl, message) {
+    const response = await fetch(responseUrl, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(message)
+    });
+    if (!response.ok) {
+        throw new Error(`Slack response_url returned ${response.status}`);
+    }
+}
+
+/**
+ * Looks up a Slack user's email with users.info, so reports and schedules
+ * are owned by the same address as in the web app. Needs a bot token with
+ * the users:read.email scope.
+ * @param {string} userId - Slack user ID
+ * @returns {Promise<string|null>} Email, or null when it cannot be read
+ */
+export async function lookupSlackUserEmail(userId) {
+    if (!SLACK_BOT_TOKEN || !userId) return null;
+    try {
+        const response = await fetch(`${SLACK_API_URL}/users.info?user=${encodeURIComponent(userId)}`, {
+            headers: { Authorization: `Bearer ${SLACK_BOT_TOKEN}` }
+        });
+        const body = await response.json();
+        if (!body.ok) {
+            console.warn(JSON.stringify({ level: 'warn', msg: 'Slack users.info failed', userId, error: body.error }));
+            return null;
+        }
+        return body.user?.profile?.email || null;
+    } catch (err) {
+        console.warn(JSON.stringify({ level: 'warn', msg: 'Slack users.info failed', userId, error: err.message }));
+        return null;
+    }
+}
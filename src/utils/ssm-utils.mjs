@@ -0,0 +1,79 @@
+import { SSMIncidentsClient, ListIncidentRecordsCommand } from "@aws-sdk/client-ssm-incidents";
+import { SSMClient, DescribeOpsItemsCommand, GetParameterCommand } from "@aws-sdk/client-ssm";
+
+const region = process.env.AWS_REGION || 'ap-south-1';
+const ssmIncidents = new SSMIncidentsClient({ region });
+const ssm = new SSMClient({ region });
+
+// Upper bound on records read per source, so a noisy account cannot stall a report
+const MAX_RECORDS = 500;
+
+/**
+ * Lists Incident Manager incident records created in a time window.
+ * Incident Manager only filters on one side of creationTime per call, so the
+ * end of the window is applied here.
+ * @param {Object} params
+ * @param {Date} params.start - Window start
+ * @param {Date} params.end - Window end (exclusive)
+ * @returns {Promise<Array<Object>>} IncidentRecordSummary objects, oldest first
+ */
+export async function listIncidentRecords({ start, end }) {
+    const records = [];
+    let nextToken;
+    do {
+        const response = await ssmIncidents.send(new ListIncidentRecordsCommand({
+            filters: [{ key: "creationTime", condition: { after: start } }],
+            maxResults: 100,
+            nextToken
+        }));
+        records.push(...(response.incidentRecordSummaries || []));
+        nextToken = response.nextToken;
+    } while (nextToken && records.length < MAX_RECORDS);
+
+    return records
+        .filter(record => new Date(record.creationTime).getTime() < end.getTime())
+        .sort((a, b) => new Date(a.creationTime) - new Date(b.creationTime));
+}
+
+/**
+ * Lists Systems Manager OpsItems created in a time window.
+ * @param {Object} params
+ * @param {Date} params.start - Window start
+ * @param {Date} params.end - Window end (exclusive)
+ * @returns {Promise<Array<Object>>} OpsItemSummary objects, oldest first
+ */
+export async function describeOpsItems({ start, end }) {
+    const items = [];
+    let nextToken;
+    do {
+        const response = await ssm.send(new DescribeOpsItemsCommand({
+            OpsItemFilters: [
+                { Key: "CreatedTime", Operator: "GreaterThan", Values: [start.toISOString()] },
+                { Key: "CreatedTime", Operator: "LessThan", Values: [end.toISOString()] }
+            ],
+            MaxResults: 50,
+            NextToken: nextToken
+        }));
+        items.push(...(response.OpsItemSummaries || []));
+        nextToken = response.NextToken;
+    } while (nextToken && items.length < MAX_RECORDS);
+
+    return items.sort((a, b) => new Date(a.CreatedTime) - new Date(b.CreatedTime));
+}
+
+/**
+ * Reads a Parameter Store value, decrypting SecureString parameters.
+ * @param {string} name - Parameter name
+ * @returns {Promise<string|null>} The value, or null when the parameter does not exist
+ */
+export async function getParameterValue(name) {
+    try {
+        const response = await ssm.send(new GetParameterCommand({ Name: name, WithDecryption: true }));
+        return response.Parameter?.Value ?? null;
+    } catch (err) {
+        if (err.name === "ParameterNotFound") {
+            return null;
+        }
+        throw err;
+    }
+}
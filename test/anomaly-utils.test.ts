@@ -0,0 +1,85 @@
+import { importSource } from './helpers/import-source';
+
+let detectCostAnomalies: any;
+
+beforeAll(async () => {
+  ({ detectCostAnomalies } = await importSource('utils/anomaly-utils.mjs'));
+});
+
+const START = Date.UTC(2026, 8, 1);
+const dateAt = (i: number) => new Date(START + i * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+/**
+ * Builds DAILY ResultsByTime grouped by SERVICE, one day per index.
+ * @param costs - Daily cost series per service
+ * @param metric - Metric the amounts are reported under
+ */
+function dailyResults(costs: Record<string, number[]>, metric = 'UnblendedCost') {
+  const days = Math.max(...Object.values(costs).map(series => series.length));
+  return Array.from({ length: days }, (_, i) => ({
+    TimePeriod: { Start: dateAt(i), End: dateAt(i + 1) },
+    Groups: Object.entries(costs).map(([service, series]) => ({
+      Keys: [service],
+      Metrics: { [metric]: { Amount: String(series[i] ?? 0), Unit: 'USD' } }
+    }))
+  }));
+}
+
+const flat = (days: number, cost = 10) => new Array(days).fill(cost);
+
+test('flags a spike above a flat baseline', () => {
+  const anomalies = detectCostAnomalies(dailyResults({ EC2: [...flat(14), 50], S3: flat(15, 5) }));
+
+  expect(anomalies).toEqual([{
+    service: 'EC2',
+    date: dateAt(14),
+    cost: 50,
+    baselineMean: 10,
+    baselineStdDev: 0,
+    zScore: 40,
+    impact: 40
+  }]);
+});
+
+test('does not score days with less than minBaselineDays of history', () => {
+  const results = dailyResults({ EC2: [...flat(3), 50] });
+
+  expect(detectCostAnomalies(results)).toEqual([]);
+  expect(detectCostAnomalies(results, { minBaselineDays: 3 })).toHaveLength(1);
+});
+
+test('only reports anomalies on or after from, while earlier days still feed the baseline', () => {
+  const costs = flat(20);
+  costs[8] = 50;
+  costs[18] = 200;
+  const results = dailyResults({ EC2: costs });
+
+  expect(detectCostAnomalies(results).map((a: any) => a.date)).toEqual([dateAt(18), dateAt(8)]);
+
+  const recent = detectCostAnomalies(results, { from: dateAt(10) });
+  expect(recent.map((a: any) => a.date)).toEqual([dateAt(18)]);
+  // The day 8 spike is outside the report but inside day 18's baseline
+  expect(recent[0].baselineMean).toBeGreaterThan(10);
+});
+
+test('orders equal impacts by date, then by service', () => {
+  const spikeOn = (day: number) => {
+    const costs = flat(20);
+    costs[day] = 30;
+    return costs;
+  };
+  const anomalies = detectCostAnomalies(dailyResults({ S3: spikeOn(15), RDS: spikeOn(16), EC2: spikeOn(15) }));
+
+  expect(anomalies.map((a: any) => [a.date, a.service, a.impact])).toEqual([
+    [dateAt(15), 'EC2', 20],
+    [dateAt(15), 'S3', 20],
+    [dateAt(16), 'RDS', 20]
+  ]);
+});
+
+test('reads the metric the results were fetched with', () => {
+  const results = dailyResults({ EC2: [...flat(14), 50] }, 'AmortizedCost');
+
+  expect(detectCostAnomalies(results)).toEqual([]);
+  expect(detectCostAnomalies(results, { metric: 'AmortizedCost' })).toMatchObject([{ service: 'EC2', cost: 50, impact: 40 }]);
+});
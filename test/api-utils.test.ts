@@ -0,0 +1,32 @@
+import { importSource } from './helpers/import-source';
+
+let apiUtils: any;
+
+beforeAll(async () => {
+  apiUtils = await importSource('utils/api-utils.mjs');
+});
+
+test('builds responses with the CORS headers of the Lambda\'s methods', () => {
+  const createApiResponse = apiUtils.createApiResponder(['GET', 'PATCH', 'DELETE']);
+
+  expect(createApiResponse(404, { message: 'Not found' })).toEqual({
+    statusCode: 404,
+    headers: {
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Methods': 'OPTIONS,GET,PATCH,DELETE',
+      'Access-Control-Allow-Headers': 'Content-Type,Authorization'
+    },
+    body: '{"message":"Not found"}'
+  });
+});
+
+test.each([
+  ['dev@example.com', true],
+  ['first.last+cost@sub.example.co.uk', true],
+  ['dev@example', false],
+  ['dev example@example.com', false],
+  ['@example.com', false],
+  ['', false]
+])('validateEmail(%j) is %s', (email, valid) => {
+  expect(apiUtils.validateEmail(email)).toBe(valid);
+});
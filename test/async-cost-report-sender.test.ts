@@ -0,0 +1,84 @@
+import { importSource, importSourceDependency } from './helpers/import-source';
+
+let handler: any;
+const ddbCalls: string[] = [];
+const statusWrites: string[] = [];
+const emails: any[] = [];
+// Answers DynamoDB calls; a test can replace it to make a write fail
+let ddbSend: (command: any) => any;
+
+beforeAll(async () => {
+  process.env.REPORTS_DDB_TABLE = 'CostReportRequests';
+  process.env.LLM_PROVIDER = 'local';
+  const { DynamoDBClient } = await importSourceDependency('@aws-sdk/client-dynamodb');
+  DynamoDBClient.prototype.send = async (command: any) => {
+    ddbCalls.push(command.constructor.name);
+    const status = command.input.ExpressionAttributeValues?.[':status']?.S;
+    if (status) statusWrites.push(status);
+    return ddbSend(command);
+  };
+  const { CostExplorerClient } = await importSourceDependency('@aws-sdk/client-cost-explorer');
+  CostExplorerClient.prototype.send = async (command: any) => ({
+    ResultsByTime: [{ TimePeriod: { Start: command.input.TimePeriod.Start }, Groups: [
+      { Keys: ['i-0abc'], Metrics: { UnblendedCost: { Amount: '12.5', Unit: 'USD' } } }
+    ] }]
+  });
+  const { S3Client } = await importSourceDependency('@aws-sdk/client-s3');
+  S3Client.prototype.send = async () => ({});
+  const { SESClient } = await importSourceDependency('@aws-sdk/client-ses');
+  SESClient.prototype.send = async (command: any) => {
+    emails.push(command.input);
+    return { MessageId: 'message-1' };
+  };
+  ({ handler } = await importSource('lambdas/async-cost-report-sender.mjs'));
+});
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => undefined);
+  jest.spyOn(console, 'warn').mockImplementation(() => undefined);
+  jest.spyOn(console, 'error').mockImplementation(() => undefined);
+  ddbCalls.length = 0;
+  statusWrites.length = 0;
+  emails.length = 0;
+  ddbSend = () => ({});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+/**
+ * Stream INSERT record of a report request.
+ * @param fields - Attributes of the new image, as strings
+ */
+const insertRecord = (fields: Record<string, string>) => ({
+  eventName: 'INSERT',
+  dynamodb: { NewImage: Object.fromEntries(Object.entries(fields).map(([name, value]) => [name, { S: value }])) }
+});
+
+test.each([
+  ['deliveryTargets', { status: 'PENDING', parsedJsonQuery: '{}', deliveryTargets: '[{"type":' }],
+  ['totals', { status: 'DONE', deliveryTargets: '[{"type":"webhook","url":"https://hooks.example.com"}]', totals: '{' }],
+  ['parsedJsonQuery', { status: 'PENDING', parsedJsonQuery: '{', email: 'dev@example.com' }]
+])('skips a record with unreadable %s without claiming it', async (field, fields) => {
+  await expect(handler({ Records: [insertRecord({ requestId: 'req-1', ...fields })] })).resolves.toEqual({ statusCode: 200 });
+
+  const warning = JSON.parse((console.warn as jest.Mock).mock.calls[0][0]);
+  expect(warning).toMatchObject({ level: 'warn', msg: `Skipping record with unreadable ${field}`, requestId: 'req-1' });
+  expect(ddbCalls).toEqual([]);
+});
+
+test('marks a report ERROR, without emailing, when writing DONE fails', async () => {
+  ddbSend = (command: any) => {
+    if (command.input.ExpressionAttributeValues?.[':status']?.S === 'DONE') {
+      throw Object.assign(new Error('Throughput exceeded'), { name: 'ProvisionedThroughputExceededException' });
+    }
+    return {};
+  };
+  const parsedJsonQuery = JSON.stringify({ intent: 'resource', timeRange: { relative: 'last 7 days' } });
+
+  await handler({ Records: [insertRecord({ requestId: 'req-1', status: 'PENDING', parsedJsonQuery, email: 'dev@example.com' })] });
+
+  expect(statusWrites).toEqual(['DONE', 'ERROR']);
+  expect(emails).toEqual([]);
+});
@@ -0,0 +1,175 @@
+import { importSource, importSourceDependency } from './helpers/import-source';
+
+let budgetUtilsModule: any;
+let budgetUtils: any;
+const tableCalls: Array<[string, any]> = [];
+
+beforeAll(async () => {
+  const { DynamoDBClient } = await importSourceDependency('@aws-sdk/client-dynamodb');
+  DynamoDBClient.prototype.send = async (command: any) => {
+    tableCalls.push([command.constructor.name, command.input]);
+    return {};
+  };
+  budgetUtilsModule = await importSource('utils/budget-utils.mjs');
+  const { DDBUtils } = await importSource('utils/dynamodb-utils.mjs');
+  const ddbUtils = new DDBUtils({ region: 'us-east-1', budgetsTable: 'CostBudgets' });
+  budgetUtils = new budgetUtilsModule.BudgetUtils({ ddbUtils });
+});
+
+beforeEach(() => {
+  tableCalls.length = 0;
+});
+
+describe('budgetPeriodBounds', () => {
+  test.each([
+    ['MONTHLY', '2026-10-19T10:00:00Z', { start: '2026-10-01', end: '2026-11-01', key: '2026-10' }],
+    ['MONTHLY', '2026-12-31T23:59:59Z', { start: '2026-12-01', end: '2027-01-01', key: '2026-12' }],
+    ['QUARTERLY', '2026-10-19T10:00:00Z', { start: '2026-10-01', end: '2027-01-01', key: '2026-Q4' }],
+    ['QUARTERLY', '2026-03-31T23:00:00Z', { start: '2026-01-01', end: '2026-04-01', key: '2026-Q1' }],
+    ['ANNUALLY', '2026-10-19T10:00:00Z', { start: '2026-01-01', end: '2027-01-01', key: '2026' }]
+  ])('%s at %s', (period, now, bounds) => {
+    expect(budgetUtilsModule.budgetPeriodBounds(period, new Date(now))).toEqual(bounds);
+  });
+
+  test('uses UTC, not the local day', () => {
+    expect(budgetUtilsModule.budgetPeriodBounds('MONTHLY', new Date('2026-11-01T00:30:00+02:00')).key).toBe('2026-10');
+  });
+});
+
+describe('evaluateBudgetThresholds', () => {
+  const budget = {
+    amount: 1000,
+    thresholds: [{ type: 'ACTUAL', percent: 50 }, { type: 'ACTUAL', percent: 100 }, { type: 'FORECASTED', percent: 100 }],
+    alertsSent: [] as string[]
+  };
+  const spend = (actual: number, forecast: number | null, key = '2026-10') => ({ period: { key }, actual, forecast });
+
+  test('returns the crossed thresholds with period-scoped alert keys', () => {
+    const { crossed, pending } = budgetUtilsModule.evaluateBudgetThresholds(budget, spend(600, 1200));
+
+    expect(crossed).toEqual([
+      { type: 'ACTUAL', percent: 50, thresholdAmount: 500, spend: 600, alertKey: '2026-10#ACTUAL#50' },
+      { type: 'FORECASTED', percent: 100, thresholdAmount: 1000, spend: 1200, alertKey: '2026-10#FORECASTED#100' }
+    ]);
+    expect(pending).toEqual(crossed);
+  });
+
+  test('counts reaching a threshold exactly as crossing it', () => {
+    const { crossed } = budgetUtilsModule.evaluateBudgetThresholds(budget, spend(1000, null));
+
+    expect(crossed.map((t: any) => t.alertKey)).toEqual(['2026-10#ACTUAL#50', '2026-10#ACTUAL#100']);
+  });
+
+  test('does not alert again for a threshold already alerted in the period', () => {
+    const alerted = { ...budget, alertsSent: ['2026-10#ACTUAL#50'] };
+
+    const { crossed, pending } = budgetUtilsModule.evaluateBudgetThresholds(alerted, spend(600, 900));
+
+    expect(crossed.map((t: any) => t.alertKey)).toEqual(['2026-10#ACTUAL#50']);
+    expect(pending).toEqual([]);
+  });
+
+  test('alerts again in the next period', () => {
+    const alerted = { ...budget, alertsSent: ['2026-10#ACTUAL#50'] };
+
+    const { pending } = budgetUtilsModule.evaluateBudgetThresholds(alerted, spend(600, 900, '2026-11'));
+
+    expect(pending.map((t: any) => t.alertKey)).toEqual(['2026-11#ACTUAL#50']);
+  });
+
+  test('skips forecast thresholds when there is no forecast', () => {
+    const { crossed } = budgetUtilsModule.evaluateBudgetThresholds(budget, spend(100, null));
+
+    expect(crossed).toEqual([]);
+  });
+});
+
+describe('normalizeBudgetSettings', () => {
+  test('fills in the monthly period and the default thresholds', () => {
+    expect(budgetUtilsModule.normalizeBudgetSettings({ amount: 500 })).toEqual({
+      amount: 500,
+      period: 'MONTHLY',
+      thresholds: [{ type: 'ACTUAL', percent: 100 }, { type: 'FORECASTED', percent: 100 }],
+      filters: null
+    });
+  });
+
+  test('parses amounts written as money and rounds to cents', () => {
+    expect(budgetUtilsModule.normalizeBudgetSettings({ amount: '$1,200.456', period: 'quarterly' })).toMatchObject({ amount: 1200.46, period: 'QUARTERLY' });
+  });
+
+  test('defaults the threshold type, drops duplicates and sorts', () => {
+    const { thresholds } = budgetUtilsModule.normalizeBudgetSettings({
+      amount: 100,
+      thresholds: [{ type: 'forecasted', percent: 90 }, { percent: 80 }, { type: 'ACTUAL', percent: '80' }, { type: 'ACTUAL', percent: 50 }]
+    });
+
+    expect(thresholds).toEqual([{ type: 'ACTUAL', percent: 50 }, { type: 'ACTUAL', percent: 80 }, { type: 'FORECASTED', percent: 90 }]);
+  });
+
+  test('keeps a valid filter as given', () => {
+    const filters = { dimension: 'SERVICE', values: ['ec2'] };
+
+    expect(budgetUtilsModule.normalizeBudgetSettings({ amount: 100, filters }).filters).toBe(filters);
+  });
+
+  test.each([
+    ['a zero amount', { amount: 0 }, 'Invalid budget: amount must be a positive number, got 0'],
+    ['an amount that is not a number', { amount: 'lots' }, 'Invalid budget: amount must be a positive number, got "lots"'],
+    ['an unknown period', { amount: 100, period: 'weekly' }, 'Invalid budget: period must be one of MONTHLY, QUARTERLY, ANNUALLY'],
+    ['an empty threshold list', { amount: 100, thresholds: [] }, 'Invalid budget: thresholds must be a list of 1 to 5 entries'],
+    ['too many thresholds', { amount: 100, thresholds: [10, 20, 30, 40, 50, 60].map(percent => ({ percent })) }, 'Invalid budget: thresholds must be a list of 1 to 5 entries'],
+    ['an unknown threshold type', { amount: 100, thresholds: [{ type: 'PROJECTED', percent: 80 }] }, 'Invalid budget: thresholds[0].type must be ACTUAL or FORECASTED'],
+    ['a threshold over 1000%', { amount: 100, thresholds: [{ percent: 1001 }] }, 'Invalid budget: thresholds[0].percent must be between 0 and 1000'],
+    ['a bad filter', { amount: 100, filters: { dimension: 'RECORD_TYPE', values: ['Credit'] } }, 'Invalid filter: filters.dimension "RECORD_TYPE" is not supported']
+  ])('rejects %s', (_, settings, message) => {
+    expect(() => budgetUtilsModule.normalizeBudgetSettings(settings)).toThrow(message);
+  });
+});
+
+describe('BudgetUtils.update', () => {
+  const budget = {
+    budgetId: 'budget-1',
+    ownerEmail: 'dev@example.com',
+    name: 'Team budget',
+    userCommand: 'budget of $1000 a month',
+    amount: 1000,
+    period: 'MONTHLY',
+    thresholds: [{ type: 'ACTUAL', percent: 100 }],
+    filters: null,
+    recipients: ['dev@example.com'],
+    alertsSent: ['2026-10#ACTUAL#100'],
+    lastEvaluation: { actual: 1200 },
+    createdAt: '2026-10-01T00:00:00.000Z',
+    updatedAt: '2026-10-01T00:00:00.000Z'
+  };
+
+  test('writes only the editable fields, leaving alerts and evaluations alone', async () => {
+    const updated = await budgetUtils.update(budget, { name: 'Core team budget' });
+
+    expect(tableCalls.map(([name]) => name)).toEqual(['UpdateItemCommand']);
+    const [, input] = tableCalls[0];
+    expect(input.ConditionExpression).toBe('attribute_exists(budgetId)');
+    expect(input.ExpressionAttributeValues[':name']).toEqual({ S: 'Core team budget' });
+    expect(Object.values(input.ExpressionAttributeNames)).not.toContain('alertsSent');
+    expect(Object.values(input.ExpressionAttributeNames)).not.toContain('lastEvaluation');
+    expect(updated.alertsSent).toEqual(['2026-10#ACTUAL#100']);
+  });
+
+  test('re-arms alerts by removing alertsSent when the amount changes', async () => {
+    const updated = await budgetUtils.update(budget, { amount: 1500 });
+
+    const [, input] = tableCalls[0];
+    expect(input.ExpressionAttributeValues[':amount']).toEqual({ N: '1500' });
+    expect(input.UpdateExpression).toMatch(/REMOVE .*#alertsSent/);
+    expect(input.UpdateExpression).toMatch(/REMOVE .*#filters/);
+    expect(updated.alertsSent).toEqual([]);
+  });
+
+  test('stores a new filter', async () => {
+    await budgetUtils.update(budget, { filters: { dimension: 'SERVICE', values: ['ec2'] } });
+
+    const [, input] = tableCalls[0];
+    expect(input.ExpressionAttributeValues[':filters']).toEqual({ S: JSON.stringify({ dimension: 'SERVICE', values: ['ec2'] }) });
+  });
+});
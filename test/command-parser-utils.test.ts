@@ -0,0 +1,31 @@
+import { importSource } from './helpers/import-source';
+
+let parseCommandWithRules: any;
+let buildClarification: any;
+
+beforeAll(async () => {
+  ({ parseCommandWithRules, buildClarification } = await importSource('utils/command-parser-utils.mjs'));
+});
+
+const NOW = new Date('2026-10-19T10:00:00Z');
+
+describe('forecast horizons', () => {
+  test.each([
+    ['forecast next quarter by service', { intent: 'forecast', forecastWindow: 'next-quarter', byService: true }],
+    ['forecast next month', { intent: 'forecast', forecastWindow: 'next-month' }],
+    ['forecast to the end of the quarter', { intent: 'forecast', forecastWindow: 'end-of-quarter' }],
+    ['forecast to the end of the year', { intent: 'forecast', forecastWindow: 'end-of-year' }],
+    ['forecast the next 30 days', { intent: 'forecast', forecastWindow: 'next-n-days', days: 30 }],
+    ['what will we spend by end of month?', { intent: 'forecast', forecastWindow: 'end-of-month' }],
+    ['forecast my spend', { intent: 'forecast', forecastWindow: 'end-of-month' }]
+  ])('%s', (command, query) => {
+    expect(parseCommandWithRules(command, NOW)).toEqual({ query, confidence: 'high', missing: [] });
+  });
+
+  test('asks how far ahead when the horizon cannot be expressed', () => {
+    const result = parseCommandWithRules('forecast until June', NOW);
+
+    expect(result).toEqual({ query: { intent: 'forecast' }, confidence: 'low', missing: ['horizon'] });
+    expect(buildClarification(result, NOW).question).toBe('How far ahead should I forecast?');
+  });
+});
@@ -0,0 +1,127 @@
+import { importSource, importSourceDependency } from './helpers/import-source';
+
+let ceUtils: any;
+const requests: Array<[string, any]> = [];
+
+beforeAll(async () => {
+  const { CostExplorerClient } = await importSourceDependency('@aws-sdk/client-cost-explorer');
+  CostExplorerClient.prototype.send = async (command: any) => {
+    requests.push([command.constructor.name, command.input]);
+    return { ResultsByTime: [] };
+  };
+  ceUtils = await importSource('utils/cost-explorer-utils.mjs');
+});
+
+beforeEach(() => {
+  requests.length = 0;
+});
+
+const EXCLUSION = { Not: { Dimensions: { Key: 'RECORD_TYPE', Values: ['Credit', 'Refund'] } } };
+
+describe('compileFilter', () => {
+  test('compiles dimension, tag and cost category nodes', () => {
+    expect(ceUtils.compileFilter({ dimension: 'region', values: ['us-east-1'] })).toEqual({ Dimensions: { Key: 'REGION', Values: ['us-east-1'] } });
+    expect(ceUtils.compileFilter({ dimension: 'usage type', values: ['BoxUsage'] })).toEqual({ Dimensions: { Key: 'USAGE_TYPE', Values: ['BoxUsage'] } });
+    expect(ceUtils.compileFilter({ tag: ' team ', values: ['core'] })).toEqual({ Tags: { Key: 'team', Values: ['core'] } });
+    expect(ceUtils.compileFilter({ costCategory: 'Department', values: ['Finance'] })).toEqual({ CostCategories: { Key: 'Department', Values: ['Finance'] } });
+  });
+
+  test('resolves service aliases and leaves full names alone', () => {
+    expect(ceUtils.compileFilter({ dimension: 'SERVICE', values: ['EC2', ' s3 ', 'Amazon Redshift'] })).toEqual({
+      Dimensions: { Key: 'SERVICE', Values: ['Amazon Elastic Compute Cloud - Compute', 'Amazon Simple Storage Service', 'Amazon Redshift'] }
+    });
+  });
+
+  test('nests and, or and not', () => {
+    const filter = ceUtils.compileFilter({
+      and: [
+        { or: [{ dimension: 'REGION', values: ['us-east-1'] }, { dimension: 'REGION', values: ['eu-west-1'] }] },
+        { not: { dimension: 'SERVICE', values: ['lambda'] } }
+      ]
+    });
+
+    expect(filter).toEqual({
+      And: [
+        { Or: [{ Dimensions: { Key: 'REGION', Values: ['us-east-1'] } }, { Dimensions: { Key: 'REGION', Values: ['eu-west-1'] } }] },
+        { Not: { Dimensions: { Key: 'SERVICE', Values: ['AWS Lambda'] } } }
+      ]
+    });
+  });
+
+  test('treats an array as and, and unwraps a single operand', () => {
+    expect(ceUtils.compileFilter([{ dimension: 'REGION', values: ['us-east-1'] }])).toEqual({ Dimensions: { Key: 'REGION', Values: ['us-east-1'] } });
+    expect(ceUtils.compileFilter({ or: [{ tag: 'env', values: ['prod'] }] })).toEqual({ Tags: { Key: 'env', Values: ['prod'] } });
+  });
+
+  test('matches untagged costs with ABSENT', () => {
+    expect(ceUtils.compileFilter({ tag: 'team', values: [''] })).toEqual({ Tags: { Key: 'team', MatchOptions: ['ABSENT'] } });
+    expect(ceUtils.compileFilter({ tag: 'team', values: ['core', ''] })).toEqual({
+      Or: [{ Tags: { Key: 'team', Values: ['core'] } }, { Tags: { Key: 'team', MatchOptions: ['ABSENT'] } }]
+    });
+    expect(ceUtils.compileFilter({ not: { tag: 'team', values: [''] } })).toEqual({ Not: { Tags: { Key: 'team', MatchOptions: ['ABSENT'] } } });
+  });
+
+  test('returns null for an empty filter', () => {
+    expect(ceUtils.compileFilter(null)).toBeNull();
+    expect(ceUtils.compileFilter(undefined)).toBeNull();
+    expect(ceUtils.compileFilter([])).toBeNull();
+  });
+
+  const deeplyNested = { not: { not: { not: { not: { not: { dimension: 'REGION', values: ['us-east-1'] } } } } } };
+
+  test.each([
+    ['a node that is not an object', { and: ['REGION'] }, 'Invalid filter: filters.and[0] must be an object'],
+    ['an empty and', { and: [] }, 'Invalid filter: filters.and must be a non-empty array'],
+    ['an or that is not an array', { or: { dimension: 'REGION', values: ['us-east-1'] } }, 'Invalid filter: filters.or must be a non-empty array'],
+    ['a node with nothing to match on', { values: ['us-east-1'] }, 'Invalid filter: filters needs one of dimension, tag, costCategory, and, or, not'],
+    ['missing values', { dimension: 'REGION' }, 'Invalid filter: filters.values must be a non-empty array of strings'],
+    ['values that are not strings', { or: [{ dimension: 'REGION', values: ['us-east-1'] }, { dimension: 'REGION', values: [1] }] }, 'Invalid filter: filters.or[1].values must be a non-empty array of strings'],
+    ['an unsupported dimension', { not: { dimension: 'RECORD_TYPE', values: ['Credit'] } }, 'Invalid filter: filters.not.dimension "RECORD_TYPE" is not supported'],
+    ['an empty tag key', { tag: ' ', values: ['core'] }, 'Invalid filter: filters.tag must be a tag key'],
+    ['an empty cost category', { costCategory: '', values: ['Finance'] }, 'Invalid filter: filters.costCategory must be a cost category name'],
+    ['nesting deeper than five levels', deeplyNested, 'Invalid filter: filters.not.not.not.not.not is nested more than 5 levels deep']
+  ])('rejects %s', (_, spec, message) => {
+    expect(() => ceUtils.compileFilter(spec)).toThrow(message);
+  });
+});
+
+describe('credit and refund exclusion', () => {
+  const period = { startDate: '2026-09-01', endDate: '2026-10-01' };
+
+  test('is the whole filter when the caller has none', async () => {
+    await ceUtils.getCostAndUsage(period);
+
+    expect(requests[0][1].Filter).toEqual(EXCLUSION);
+  });
+
+  test('is added to a compiled filter without nesting another And', async () => {
+    const filter = ceUtils.compileFilter([{ dimension: 'REGION', values: ['us-east-1'] }, { tag: 'team', values: ['core'] }]);
+
+    await ceUtils.getCostAndUsage({ ...period, filter });
+
+    expect(requests[0][1].Filter).toEqual({
+      And: [{ Dimensions: { Key: 'REGION', Values: ['us-east-1'] } }, { Tags: { Key: 'team', Values: ['core'] } }, EXCLUSION]
+    });
+  });
+
+  test('is added beside a negated filter on resource-level queries', async () => {
+    const filter = ceUtils.compileFilter({ not: { dimension: 'SERVICE', values: ['ec2'] } });
+
+    await ceUtils.getResourceLevelCosts({ ...period, granularity: 'DAILY', filter });
+
+    expect(requests[0][1].Filter).toEqual({ And: [{ Not: { Dimensions: { Key: 'SERVICE', Values: ['Amazon Elastic Compute Cloud - Compute'] } } }, EXCLUSION] });
+  });
+
+  test('is applied to comparisons and forecasts too', async () => {
+    await ceUtils.getCostAndUsageComparisons({
+      baselineTimePeriod: { start: '2026-08-01', end: '2026-09-01' },
+      comparisonTimePeriod: { start: '2026-09-01', end: '2026-10-01' }
+    });
+    await ceUtils.getCostForecast({ startDate: '2026-10-19', endDate: '2026-11-01' });
+
+    expect(requests.map(([name, input]) => [name, input.Filter])).toEqual([
+      ['GetCostAndUsageComparisonsCommand', EXCLUSION],
+      ['GetCostForecastCommand', EXCLUSION]
+    ]);
+  });
+});
@@ -0,0 +1,160 @@
+import { createHmac } from 'node:crypto';
+import { importSource } from './helpers/import-source';
+
+// Fallback secret for webhook targets without their own
+process.env.WEBHOOK_SIGNING_SECRET = 'stack-secret';
+
+let deliveryUtils: any;
+let fetchMock: jest.SpyInstance;
+
+beforeAll(async () => {
+  deliveryUtils = await importSource('utils/delivery-utils.mjs');
+});
+
+beforeEach(() => {
+  jest.spyOn(console, 'warn').mockImplementation(() => undefined);
+  fetchMock = jest.spyOn(globalThis, 'fetch');
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+  jest.restoreAllMocks();
+});
+
+const report = { requestId: 'req-1', title: 'Daily cost', reportUrl: 'https://reports.example.com/req-1.pdf', summary: 'EC2 cost $10.' };
+const webhook = (extra: Record<string, string> = {}) => ({ type: 'webhook', url: 'https://hooks.example.com/cost', ...extra });
+const respond = (status: number) => Promise.resolve(new Response(null, { status }));
+
+/**
+ * Delivers the report to one target, running backoff waits on fake timers.
+ * @param target - Normalized delivery target
+ */
+async function deliver(target: Record<string, string>) {
+  jest.useFakeTimers();
+  const pending = deliveryUtils.deliverReport({ targets: [target], report });
+  await jest.runAllTimersAsync();
+  const [result] = await pending;
+  return result;
+}
+
+describe('signWebhookPayload', () => {
+  test('signs "<timestamp>.<body>" with HMAC-SHA256', () => {
+    const expected = createHmac('sha256', 'secret').update('1760000000.{"a":1}').digest('hex');
+
+    expect(deliveryUtils.signWebhookPayload('secret', '1760000000', '{"a":1}')).toBe(`sha256=${expected}`);
+  });
+
+  test('changes with the timestamp so a signature cannot be replayed later', () => {
+    expect(deliveryUtils.signWebhookPayload('secret', '1760000000', '{}')).not.toBe(deliveryUtils.signWebhookPayload('secret', '1760000001', '{}'));
+  });
+});
+
+describe('deliverReport', () => {
+  test('sends a signed body the receiver can verify with the target secret', async () => {
+    fetchMock.mockImplementation(() => respond(200));
+
+    const result = await deliver(webhook({ secret: 'target-secret' }));
+
+    expect(result).toMatchObject({ target: 'webhook:hooks.example.com', status: 'DELIVERED', attempts: [{ attempt: 1, statusCode: 200 }] });
+    const [url, { headers, body, redirect }] = fetchMock.mock.calls[0];
+    expect(url).toBe('https://hooks.example.com/cost');
+    expect(redirect).toBe('manual');
+    expect(JSON.parse(body)).toMatchObject({ event: 'report.ready', requestId: 'req-1', reportUrl: report.reportUrl });
+    const timestamp = headers['X-Cost-Report-Timestamp'];
+    expect(headers['X-Cost-Report-Signature']).toBe(deliveryUtils.signWebhookPayload('target-secret', timestamp, body));
+  });
+
+  test('signs with the stack secret when the target has none, and never signs chat messages', async () => {
+    fetchMock.mockImplementation(() => respond(200));
+
+    await deliver(webhook());
+    await deliver({ type: 'slack', url: 'https://hooks.slack.com/services/T/B/X' });
+
+    const [[, webhookRequest], [, slackRequest]] = fetchMock.mock.calls;
+    const { headers, body } = webhookRequest;
+    expect(headers['X-Cost-Report-Signature']).toBe(deliveryUtils.signWebhookPayload('stack-secret', headers['X-Cost-Report-Timestamp'], body));
+    expect(slackRequest.headers).not.toHaveProperty('X-Cost-Report-Signature');
+  });
+
+  test.each([
+    ['a network error', () => Promise.reject(new TypeError('fetch failed'))],
+    ['throttling', () => respond(429)],
+    ['a server error', () => respond(503)]
+  ])('retries %s up to three attempts', async (_, failure) => {
+    fetchMock.mockImplementation(failure);
+
+    const result = await deliver(webhook());
+
+    expect(result.status).toBe('FAILED');
+    expect(fetchMock).toHaveBeenCalledTimes(3);
+  });
+
+  test('stops retrying once an attempt succeeds', async () => {
+    fetchMock.mockImplementationOnce(() => respond(502)).mockImplementation(() => respond(204));
+
+    const result = await deliver(webhook());
+
+    expect(result.status).toBe('DELIVERED');
+    expect(result.attempts.map((a: any) => a.statusCode)).toEqual([502, 204]);
+  });
+
+  test.each([400, 403, 404])('does not retry a %s response', async (status) => {
+    fetchMock.mockImplementation(() => respond(status));
+
+    const result = await deliver(webhook());
+
+    expect(result).toMatchObject({ status: 'FAILED', attempts: [{ statusCode: status, error: `HTTP ${status}` }] });
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+  });
+
+  test('treats a redirect as a failure without following or retrying it', async () => {
+    fetchMock.mockImplementation(() => Promise.resolve(new Response(null, { status: 302, headers: { Location: 'http://elsewhere.example.com/' } })));
+
+    const result = await deliver(webhook());
+
+    expect(result).toMatchObject({ status: 'FAILED', attempts: [{ statusCode: 302, error: 'HTTP 302: redirect not followed' }] });
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+  });
+
+  test('delivers to the other targets when one fails', async () => {
+    fetchMock.mockImplementation((url: any) => respond(String(url).includes('broken') ? 404 : 200));
+    jest.useFakeTimers();
+
+    const pending = deliveryUtils.deliverReport({
+      targets: [webhook({ url: 'https://broken.example.com/hook' }), { type: 'teams', url: 'https://teams.example.com/hook', name: 'Finance' }],
+      report
+    });
+    await jest.runAllTimersAsync();
+
+    expect((await pending).map((r: any) => [r.target, r.status])).toEqual([['webhook:broken.example.com', 'FAILED'], ['Finance', 'DELIVERED']]);
+  });
+});
+
+describe('normalizeDeliveryTargets', () => {
+  test('keeps known fields and drops secrets from chat targets', () => {
+    expect(deliveryUtils.normalizeDeliveryTargets([
+      { type: 'Slack', url: 'https://hooks.slack.com/services/T/B/X', secret: 'unused', extra: true },
+      { type: 'webhook', url: 'https://hooks.example.com/cost', secret: 's3cret', name: 'Billing' }
+    ])).toEqual([
+      { type: 'slack', url: 'https://hooks.slack.com/services/T/B/X' },
+      { type: 'webhook', url: 'https://hooks.example.com/cost', name: 'Billing', secret: 's3cret' }
+    ]);
+  });
+
+  test('treats a missing list as no targets', () => {
+    expect(deliveryUtils.normalizeDeliveryTargets(undefined)).toEqual([]);
+    expect(deliveryUtils.normalizeDeliveryTargets(null)).toEqual([]);
+  });
+
+  test.each([
+    ['http', [{ type: 'webhook', url: 'http://hooks.example.com/cost' }], 'Invalid delivery target 1: url must use https'],
+    ['file', [{ type: 'webhook', url: 'file:///etc/passwd' }], 'Invalid delivery target 1: url must use https'],
+    ['a malformed URL', [{ type: 'slack', url: 'hooks.slack.com/services' }], 'Invalid delivery target 1: url is not a valid URL'],
+    ['an unknown type', [{ type: 'email', url: 'https://example.com' }], 'Invalid delivery target 1: type must be one of slack, teams, webhook'],
+    ['an empty secret', [webhook({ secret: '' })], 'Invalid delivery target 1: secret must be a non-empty string'],
+    ['more than five targets', new Array(6).fill(webhook()), 'Invalid delivery targets: at most 5 are allowed'],
+    ['a target list that is not an array', webhook(), 'Invalid delivery targets: expected an array']
+  ])('rejects %s', (_, targets, message) => {
+    expect(() => deliveryUtils.normalizeDeliveryTargets(targets)).toThrow(message);
+  });
+});
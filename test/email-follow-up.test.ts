@@ -0,0 +1,97 @@
+import { importSource, importSourceDependency } from './helpers/import-source';
+
+let mainHandler: any;
+let report: Record<string, any> | null;
+let updateResult: () => any;
+const updates: any[] = [];
+
+beforeAll(async () => {
+  Object.assign(process.env, {
+    REPORTS_BUCKET: 'reports-bucket',
+    CF_URL: 'https://cdn.example.com',
+    REPORTS_DDB_TABLE: 'CostReportRequests',
+    COST_EXPLORER_CACHE_TABLE: 'CostExplorerCache',
+    SCHEDULES_DDB_TABLE: 'CostReportSchedules',
+    BUDGETS_DDB_TABLE: 'CostBudgets',
+    SCHEDULED_COST_REPORT_LAMBDA_ARN: 'arn:aws:lambda:ap-south-1:123456789012:function:ScheduledCostReport'
+  });
+  const { DynamoDBClient } = await importSourceDependency('@aws-sdk/client-dynamodb');
+  DynamoDBClient.prototype.send = async (command: any) => {
+    if (command.constructor.name === 'GetItemCommand') return { Item: report };
+    if (command.constructor.name === 'UpdateItemCommand') {
+      updates.push(command.input);
+      return updateResult();
+    }
+    return {};
+  };
+  ({ mainHandler } = await importSource('lambdas/index.mjs'));
+});
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => undefined);
+  updates.length = 0;
+  report = { requestId: { S: 'req-1' }, status: { S: 'PENDING' } };
+  updateResult = () => ({});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+/**
+ * Sends the needEmail follow-up for req-1.
+ * @param caller - Email claim of the caller, if signed in
+ */
+async function attachEmail(caller?: string) {
+  const response = await mainHandler({
+    body: JSON.stringify({ requestId: 'req-1', email: 'finance@example.com' }),
+    requestContext: caller ? { authorizer: { claims: { email: caller } } } : {}
+  });
+  return { statusCode: response.statusCode, body: JSON.parse(response.body) };
+}
+
+test('rejects a caller that is not signed in', async () => {
+  const { statusCode } = await attachEmail();
+
+  expect(statusCode).toBe(401);
+  expect(updates).toEqual([]);
+});
+
+test('rejects a caller that does not own the request', async () => {
+  report = { ...report, ownerEmail: { S: 'owner@example.com' } };
+
+  const { statusCode } = await attachEmail('someone@example.com');
+
+  expect(statusCode).toBe(403);
+  expect(updates).toEqual([]);
+});
+
+test('matches the owner whatever the case of the caller\'s email claim', async () => {
+  report = { ...report, ownerEmail: { S: 'dev@example.com' } };
+
+  const { statusCode } = await attachEmail('Dev@Example.com');
+
+  expect(statusCode).toBe(200);
+  expect(updates[0].ExpressionAttributeValues[':caller']).toEqual({ S: 'dev@example.com' });
+});
+
+test('records the caller as owner of a request saved without one', async () => {
+  const { statusCode } = await attachEmail('dev@example.com');
+
+  expect(statusCode).toBe(200);
+  expect(updates).toHaveLength(1);
+  expect(updates[0].UpdateExpression).toContain('ownerEmail = if_not_exists(ownerEmail, :caller)');
+  expect(updates[0].ConditionExpression).toContain('(attribute_not_exists(ownerEmail) OR ownerEmail = :caller)');
+  expect(updates[0].ExpressionAttributeValues[':caller']).toEqual({ S: 'dev@example.com' });
+});
+
+test('rejects a caller that lost the request to another owner in a race', async () => {
+  updateResult = () => {
+    report = { ...report, ownerEmail: { S: 'owner@example.com' }, email: { S: 'owner@example.com' } };
+    throw Object.assign(new Error('The conditional request failed'), { name: 'ConditionalCheckFailedException' });
+  };
+
+  const { statusCode } = await attachEmail('dev@example.com');
+
+  expect(statusCode).toBe(403);
+});
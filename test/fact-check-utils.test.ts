@@ -0,0 +1,116 @@
+import { importSource } from './helpers/import-source';
+
+let extractAmounts: any;
+let checkSummaryFigures: any;
+let collectReferenceFigures: any;
+
+beforeAll(async () => {
+  ({ extractAmounts, checkSummaryFigures, collectReferenceFigures } = await importSource('utils/fact-check-utils.mjs'));
+});
+
+const EC2 = 'Amazon Elastic Compute Cloud - Compute';
+const S3 = 'Amazon Simple Storage Service';
+
+/**
+ * Two days of UnblendedCost grouped by the given keys.
+ * @param costs - Daily costs per group key
+ */
+function costData(costs: Record<string, number[]>) {
+  return {
+    ResultsByTime: [0, 1].map(day => ({
+      TimePeriod: { Start: `2026-10-0${day + 1}`, End: `2026-10-0${day + 2}` },
+      Groups: Object.entries(costs).map(([key, series]) => ({
+        Keys: [key],
+        Metrics: { UnblendedCost: { Amount: String(series[day]), Unit: 'USD' } }
+      }))
+    }))
+  };
+}
+
+// EC2 100 then 120, S3 20 a day: totals 260, EC2 220, S3 40
+const reference = () => collectReferenceFigures('cost', costData({ [EC2]: [100, 120], [S3]: [20, 20] }));
+
+describe('extractAmounts', () => {
+  test('reads dollar and USD amounts with the tolerance their precision implies', () => {
+    const amounts = extractAmounts('Spend was $1,234.56, down -$40 from 12.50 USD and $ 7.');
+
+    expect(amounts).toEqual([
+      { text: '$1,234.56', value: 1234.56, tolerance: expect.closeTo(12.3456, 6) },
+      { text: '-$40', value: 40, tolerance: 0.5 },
+      { text: '12.50 USD', value: 12.5, tolerance: 0.125 },
+      { text: '$ 7', value: 7, tolerance: 0.5 }
+    ]);
+  });
+
+  test.each([
+    ['$1.2k', 1200, 50],
+    ['$3 million', 3e6, 5e5],
+    ['$2.75M', 2.75e6, 27500]
+  ])('scales %s and widens its tolerance to the rounding', (text, value, tolerance) => {
+    const [amount] = extractAmounts(`about ${text} this month`);
+
+    expect(amount.text).toBe(text);
+    expect(amount.value).toBeCloseTo(value, 6);
+    expect(amount.tolerance).toBeCloseTo(tolerance, 6);
+  });
+
+  test('ignores numbers that are not currency', () => {
+    expect(extractAmounts('Usage rose 15% over 7 days across 3 accounts')).toEqual([]);
+  });
+});
+
+describe('checkSummaryFigures', () => {
+  test('verifies amounts that are in the data or derived from it', () => {
+    const summary = 'Total spend was $260.00, averaging $130/day. Amazon EC2 cost $220 and grew by $20; Amazon S3 stayed at $20 a day ($40 in total).';
+
+    expect(checkSummaryFigures(summary, reference())).toEqual({ status: 'VERIFIED', issues: [] });
+  });
+
+  test('flags an amount that matches nothing, naming the closest figure', () => {
+    const result = checkSummaryFigures('Total spend was $300.', reference());
+
+    expect(result).toEqual({
+      status: 'DISCREPANCIES',
+      issues: [{ kind: 'amount', text: '$300', message: '$300 does not match any figure in the data (closest is $260.00)' }]
+    });
+  });
+
+  test('lists a repeated wrong amount once', () => {
+    const result = checkSummaryFigures('Spend was $300. Again: $300.', reference());
+
+    expect(result.issues).toHaveLength(1);
+  });
+
+  test('accepts a rounded amount within its rounding and rejects one outside it', () => {
+    const figures = collectReferenceFigures('cost', costData({ [EC2]: [600, 580] }));
+
+    expect(checkSummaryFigures('EC2 cost $1.2k over the period.', figures).status).toBe('VERIFIED');
+    expect(checkSummaryFigures('EC2 cost $1.3k over the period.', figures).issues).toEqual([
+      { kind: 'amount', text: '$1.3k', message: '$1.3k does not match any figure in the data (closest is $1180.00)' }
+    ]);
+  });
+
+  test('flags service and resource names that are not in the data', () => {
+    const result = checkSummaryFigures('Amazon Redshift rose sharply, led by i-0123456789abcdef0. AWS costs were otherwise flat.', reference());
+
+    expect(result).toEqual({
+      status: 'DISCREPANCIES',
+      issues: [
+        { kind: 'name', text: 'Amazon Redshift', message: 'Amazon Redshift does not appear in the data' },
+        { kind: 'name', text: 'i-0123456789abcdef0', message: 'Resource i-0123456789abcdef0 does not appear in the data' }
+      ]
+    });
+  });
+
+  test('accepts resource IDs that are group keys in the data', () => {
+    const figures = collectReferenceFigures('cost', costData({ 'i-0123456789abcdef0': [5, 7] }));
+
+    expect(checkSummaryFigures('i-0123456789abcdef0 cost $12 over two days.', figures).status).toBe('VERIFIED');
+  });
+
+  test('skips name checks when the data has no names to compare with', () => {
+    const figures = { amounts: [0, 50], names: [] };
+
+    expect(checkSummaryFigures('Amazon Redshift cost $50.', figures)).toEqual({ status: 'VERIFIED', issues: [] });
+  });
+});
@@ -0,0 +1,33 @@
+import { jest } from '@jest/globals';
+import * as path from 'path';
+
+const SRC_DIR = path.join(__dirname, '..', '..', 'src');
+
+/**
+ * Imports a Lambda source module from src/. The sources are plain ES modules
+ * without type declarations, so they are loaded dynamically and typed as any.
+ * Jest needs --experimental-vm-modules for this (see the test script).
+ * @param relativePath - Path under src/, e.g. "utils/anomaly-utils.mjs"
+ */
+export function importSource(relativePath: string): Promise<any> {
+  return import(path.join(SRC_DIR, relativePath));
+}
+
+/**
+ * Imports a package the way the Lambda sources resolve it, so tests patch the
+ * same AWS SDK client classes the sources use (e.g. `Client.prototype.send`).
+ * @param specifier - Package name, e.g. "@aws-sdk/client-dynamodb"
+ */
+export function importSourceDependency(specifier: string): Promise<any> {
+  return import(require.resolve(specifier, { paths: [SRC_DIR] }));
+}
+
+/**
+ * Replaces a source module for the sources imported after this call, e.g. to
+ * stand in for PDF rendering. Must run before the module that imports it.
+ * @param relativePath - Path under src/, e.g. "utils/pdf-utils.mjs"
+ * @param factory - Returns the module's exports
+ */
+export function mockSource(relativePath: string, factory: () => Record<string, unknown>): void {
+  jest.unstable_mockModule(path.join(SRC_DIR, relativePath), factory);
+}
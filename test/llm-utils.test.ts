@@ -0,0 +1,171 @@
+import { importSource, importSourceDependency } from './helpers/import-source';
+
+// Small timeouts so the timeout tests do not wait a minute
+process.env.LLM_TIMEOUT_MS = '50';
+process.env.LLM_PARSE_TIMEOUT_MS = '300';
+
+let llmUtils: any;
+let BedrockRuntimeClient: any;
+let originalSend: any;
+
+/**
+ * Bedrock InvokeModel response for a Nova model.
+ * @param text - Model output
+ */
+const novaResponse = (text: string) => ({
+  body: Buffer.from(JSON.stringify({ output: { message: { content: [{ text }] } }, usage: { inputTokens: 10, outputTokens: 5 } }))
+});
+
+const awsError = (name: string, httpStatusCode: number) => Object.assign(new Error(name), { name, $metadata: { httpStatusCode } });
+
+beforeAll(async () => {
+  ({ BedrockRuntimeClient } = await importSourceDependency('@aws-sdk/client-bedrock-runtime'));
+  originalSend = BedrockRuntimeClient.prototype.send;
+  llmUtils = await importSource('utils/llm-utils.mjs');
+});
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => undefined);
+  jest.spyOn(console, 'warn').mockImplementation(() => undefined);
+  process.env.LLM_PROVIDER = 'bedrock';
+});
+
+afterEach(() => {
+  BedrockRuntimeClient.prototype.send = originalSend;
+  jest.useRealTimers();
+  jest.restoreAllMocks();
+  delete process.env.LLM_PROVIDER;
+});
+
+describe('bedrock provider', () => {
+  test('retries throttling with exponential backoff', async () => {
+    jest.useFakeTimers();
+    const send = jest.fn()
+      .mockRejectedValueOnce(awsError('ThrottlingException', 400))
+      .mockRejectedValueOnce(awsError('ServiceUnavailableException', 503))
+      .mockResolvedValueOnce(novaResponse('{"intent":"daily"}'));
+    BedrockRuntimeClient.prototype.send = send;
+    jest.spyOn(Math, 'random').mockReturnValue(1);
+
+    const pending = llmUtils.completePrompt('prompt', { task: llmUtils.LLM_TASKS.PARSE });
+    await jest.advanceTimersByTimeAsync(999);
+    expect(send).toHaveBeenCalledTimes(1);
+    await jest.advanceTimersByTimeAsync(1);
+    expect(send).toHaveBeenCalledTimes(2);
+    // The second wait doubles
+    await jest.advanceTimersByTimeAsync(2000);
+    const result = await pending;
+
+    expect(send).toHaveBeenCalledTimes(3);
+    expect(result).toMatchObject({ text: '{"intent":"daily"}', usage: { inputTokens: 10, outputTokens: 5 }, provider: 'bedrock' });
+    const retries = (console.warn as jest.Mock).mock.calls.map(([line]) => JSON.parse(line));
+    expect(retries.map(r => [r.attempt, r.delayMs, r.error])).toEqual([[1, 1000, 'ThrottlingException'], [2, 2000, 'ServiceUnavailableException']]);
+  });
+
+  test('gives up after four attempts', async () => {
+    jest.useFakeTimers();
+    const send = jest.fn().mockRejectedValue(awsError('ThrottlingException', 400));
+    BedrockRuntimeClient.prototype.send = send;
+
+    const pending = llmUtils.completePrompt('prompt');
+    const outcome = expect(pending).rejects.toThrow('ThrottlingException');
+    await jest.advanceTimersByTimeAsync(60000);
+    await outcome;
+    expect(send).toHaveBeenCalledTimes(4);
+  });
+
+  test('does not retry errors that would fail again', async () => {
+    const send = jest.fn().mockRejectedValue(awsError('AccessDeniedException', 403));
+    BedrockRuntimeClient.prototype.send = send;
+
+    await expect(llmUtils.completePrompt('prompt')).rejects.toThrow('AccessDeniedException');
+    expect(send).toHaveBeenCalledTimes(1);
+  });
+
+  test('aborts a call that outlives LLM_TIMEOUT_MS', async () => {
+    // Like the SDK, reject when the abort signal fires and never answer otherwise
+    const send = jest.fn((_command: any, { abortSignal }: { abortSignal: AbortSignal }) => new Promise((_resolve, reject) => {
+      abortSignal.addEventListener('abort', () => reject(abortSignal.reason));
+    }));
+    BedrockRuntimeClient.prototype.send = send;
+
+    const startedAt = Date.now();
+    await expect(llmUtils.completePrompt('prompt')).rejects.toMatchObject({ name: 'TimeoutError' });
+    expect(Date.now() - startedAt).toBeLessThan(5000);
+    expect(send).toHaveBeenCalledTimes(1);
+  });
+
+  test('uses LLM_PARSE_TIMEOUT_MS for parse calls', async () => {
+    const send = jest.fn((_command: any, { abortSignal }: { abortSignal: AbortSignal }) => new Promise((_resolve, reject) => {
+      abortSignal.addEventListener('abort', () => reject(abortSignal.reason));
+    }));
+    BedrockRuntimeClient.prototype.send = send;
+
+    const startedAt = Date.now();
+    await expect(llmUtils.completePrompt('prompt', { task: llmUtils.LLM_TASKS.PARSE })).rejects.toMatchObject({ name: 'TimeoutError' });
+    expect(Date.now() - startedAt).toBeGreaterThanOrEqual(250);
+  });
+});
+
+describe('local provider', () => {
+  const ddbCalls: any[] = [];
+  const s3Keys: string[] = [];
+  let mainHandler: any;
+
+  beforeAll(async () => {
+    Object.assign(process.env, {
+      REPORTS_BUCKET: 'reports-bucket',
+      CF_URL: 'https://cdn.example.com',
+      REPORTS_DDB_TABLE: 'CostReportRequests',
+      COST_EXPLORER_CACHE_TABLE: 'CostExplorerCache',
+      SCHEDULES_DDB_TABLE: 'CostReportSchedules',
+      BUDGETS_DDB_TABLE: 'CostBudgets',
+      SCHEDULED_COST_REPORT_LAMBDA_ARN: 'arn:aws:lambda:ap-south-1:123456789012:function:ScheduledCostReport'
+    });
+    const { DynamoDBClient } = await importSourceDependency('@aws-sdk/client-dynamodb');
+    DynamoDBClient.prototype.send = async (command: any) => {
+      ddbCalls.push([command.constructor.name, command.input]);
+      return {};
+    };
+    const { S3Client } = await importSourceDependency('@aws-sdk/client-s3');
+    S3Client.prototype.send = async (command: any) => {
+      s3Keys.push(command.input.Key);
+      return {};
+    };
+    const { CostExplorerClient } = await importSourceDependency('@aws-sdk/client-cost-explorer');
+    CostExplorerClient.prototype.send = async (command: any) => ({
+      ResultsByTime: [
+        { TimePeriod: { Start: command.input.TimePeriod.Start }, Groups: [
+          { Keys: ['Amazon Elastic Compute Cloud - Compute'], Metrics: { UnblendedCost: { Amount: '120.5', Unit: 'USD' } } },
+          { Keys: ['Amazon Simple Storage Service'], Metrics: { UnblendedCost: { Amount: '30.25', Unit: 'USD' } } }
+        ] }
+      ]
+    });
+    ({ mainHandler } = await importSource('lambdas/index.mjs'));
+  });
+
+  test('runs a chat request end to end without calling Bedrock', async () => {
+    process.env.LLM_PROVIDER = 'local';
+    const bedrockSend = jest.fn();
+    BedrockRuntimeClient.prototype.send = bedrockSend;
+
+    const response = await mainHandler({
+      body: JSON.stringify({ message: 'Show my AWS costs for the last 7 days' }),
+      requestContext: { authorizer: { claims: { email: 'dev@example.com' } } }
+    });
+    const body = JSON.parse(response.body);
+
+    expect(response.statusCode).toBe(200);
+    expect(bedrockSend).not.toHaveBeenCalled();
+    // The summary repeats the prompt's figure lines, so the fact check passes
+    expect(body.summary).toContain('$150.75');
+    expect(body.factCheck.status).toBe('VERIFIED');
+    expect(body.reportUrl).toMatch(/^https:\/\/cdn\.example\.com\/cost-reports\/.+\.pdf$/);
+    expect(s3Keys).toContain(body.reportUrl.replace('https://cdn.example.com/', ''));
+    const usage = (console.log as jest.Mock).mock.calls
+      .map(([line]) => (typeof line === 'string' && line.startsWith('{') ? JSON.parse(line) : null))
+      .filter(entry => entry?.msg === 'Model usage');
+    expect(usage.map(entry => [entry.provider, entry.task])).toEqual([['local', 'parse'], ['local', 'summary']]);
+    expect(ddbCalls.some(([name, input]) => name === 'PutItemCommand' && input.TableName === 'CostReportRequests')).toBe(true);
+  });
+});
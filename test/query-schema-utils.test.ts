@@ -0,0 +1,129 @@
+import { importSource } from './helpers/import-source';
+
+let validateParsedQuery: any;
+let formatQueryErrors: any;
+
+beforeAll(async () => {
+  ({ validateParsedQuery, formatQueryErrors } = await importSource('utils/query-schema-utils.mjs'));
+});
+
+const NOW = new Date('2026-10-19T10:00:00Z');
+
+test.each([
+  ['a date range', { intent: 'daily', startDate: '2026-09-01', endDate: '2026-10-01' }],
+  ['a comparison', { intent: 'compare-months', period1: { start: '2026-08-01', end: '2026-09-01' }, period2: { start: '2026-09-01', end: '2026-10-01' } }],
+  ['a schedule', { intent: 'scheduled', reportIntent: 'daily', cronExpression: 'cron(0 8 ? * MON *)', recipients: ['dev@example.com'] }],
+  ['a nested filter', { intent: 'daily', filters: { and: [{ dimension: 'SERVICE', values: ['EC2'] }, { not: { tag: 'env', values: ['dev'] } }] } }],
+  ['fields Bedrock left null', { intent: 'monthly', startDate: null, metric: null }],
+  ['an unknown top-level field', { intent: 'daily', notes: 'anything' }]
+])('accepts %s', (_, query) => {
+  expect(validateParsedQuery(query, NOW)).toEqual([]);
+});
+
+describe('date order', () => {
+  test('rejects an end date before the start date', () => {
+    expect(validateParsedQuery({ intent: 'daily', startDate: '2026-10-01', endDate: '2026-09-01' }, NOW)).toEqual([
+      { field: 'endDate', message: 'must be after startDate (2026-10-01), got 2026-09-01' }
+    ]);
+  });
+
+  test('rejects an end date equal to the start date, since end dates are exclusive', () => {
+    expect(validateParsedQuery({ intent: 'daily', startDate: '2026-10-01', endDate: '2026-10-01' }, NOW)).toEqual([
+      { field: 'endDate', message: 'must be after startDate (2026-10-01), got 2026-10-01' }
+    ]);
+  });
+
+  test('names the period whose dates run backwards', () => {
+    const errors = validateParsedQuery({
+      intent: 'compare-months',
+      period1: { start: '2026-08-01', end: '2026-09-01' },
+      period2: { start: '2026-10-01', end: '2026-09-01' }
+    }, NOW);
+
+    expect(errors).toEqual([{ field: 'period2.end', message: 'must be after period2.start (2026-10-01), got 2026-09-01' }]);
+  });
+
+  test('asks for the missing end of a range', () => {
+    expect(validateParsedQuery({ intent: 'daily', startDate: '2026-09-01' }, NOW)).toEqual([
+      { field: 'endDate', message: 'is required when startDate is given' }
+    ]);
+  });
+
+  test('rejects a date that is not on the calendar without also comparing it', () => {
+    expect(validateParsedQuery({ intent: 'daily', startDate: '2026-02-30', endDate: '2026-01-01' }, NOW)).toEqual([
+      { field: 'startDate', message: 'must be a date in YYYY-MM-DD format, got "2026-02-30"' }
+    ]);
+  });
+
+  test('rejects a forecast end date that is not in the future', () => {
+    expect(validateParsedQuery({ intent: 'forecast', forecastEndDate: '2026-10-19' }, NOW)).toEqual([
+      { field: 'forecastEndDate', message: 'must be in the future, got 2026-10-19' }
+    ]);
+  });
+});
+
+describe('cron expressions', () => {
+  test.each([
+    ['cron(0 8 * * MON *)', '"cron(0 8 * * MON *)" must use "?" in exactly one of day-of-month and day-of-week'],
+    ['cron(0 8 ? * MON)', '"cron(0 8 ? * MON)" needs 6 fields (minutes hours day-of-month month day-of-week year), got 5'],
+    ['cron(0 25 ? * MON *)', '"cron(0 25 ? * MON *)" has an invalid hours field "25"'],
+    ['every monday', '"every monday" must be a cron(...) or rate(...) expression'],
+    ['rate(2 day)', '"rate(2 day)" must look like "rate(1 day)" or "rate(6 hours)"']
+  ])('rejects %s', (cronExpression, message) => {
+    const errors = validateParsedQuery({ intent: 'scheduled', reportIntent: 'daily', cronExpression }, NOW);
+
+    expect(errors).toEqual([{ field: 'cronExpression', message }]);
+  });
+
+  test('requires a cron expression for a scheduled report', () => {
+    expect(validateParsedQuery({ intent: 'scheduled', reportIntent: 'daily' }, NOW)).toEqual([
+      { field: 'cronExpression', message: 'is required' }
+    ]);
+  });
+});
+
+describe('field-level messages', () => {
+  test('reports every bad field with its path', () => {
+    const errors = validateParsedQuery({
+      intent: 'daily',
+      days: 0,
+      granularity: 'HOURLY',
+      recipients: ['dev@example.com', 'not-an-email'],
+      filters: { or: [{ dimension: 'SERVICE', values: [] }, { region: 'us-east-1' }] }
+    }, NOW);
+
+    expect(errors).toEqual([
+      { field: 'days', message: 'must be at least 1, got 0' },
+      { field: 'granularity', message: 'must be one of DAILY, MONTHLY; got "HOURLY"' },
+      { field: 'recipients[1]', message: 'is not valid: "not-an-email"' },
+      { field: 'filters.or[0].values', message: 'must have at least 1 entry' },
+      { field: 'filters.or[1].region', message: 'is not a known field' }
+    ]);
+  });
+
+  test('reports a wrong type without checking the value further', () => {
+    expect(validateParsedQuery({ intent: 'daily', days: '7' }, NOW)).toEqual([
+      { field: 'days', message: 'must be an integer, got "7"' }
+    ]);
+  });
+
+  test('rejects an unknown intent and a query that is not an object', () => {
+    expect(validateParsedQuery({ intent: 'delete-everything' }, NOW)).toEqual([
+      { field: 'intent', message: expect.stringMatching(/^must be one of monthly, daily, .*; got "delete-everything"$/) }
+    ]);
+    expect(validateParsedQuery(['daily'], NOW)).toEqual([{ field: '(query)', message: 'must be an object, got ["daily"]' }]);
+  });
+
+  test('applies the forecast metric rule to scheduled forecasts', () => {
+    const errors = validateParsedQuery({ intent: 'scheduled', reportIntent: 'forecast', cronExpression: 'rate(1 day)', metric: 'UsageQuantity' }, NOW);
+
+    expect(errors).toEqual([{ field: 'metric', message: expect.stringMatching(/^must be one of .*; got "UsageQuantity"$/) }]);
+  });
+
+  test('formats errors one per line', () => {
+    expect(formatQueryErrors([
+      { field: 'endDate', message: 'is required when startDate is given' },
+      { field: 'days', message: 'must be at least 1, got 0' }
+    ])).toBe('- endDate: is required when startDate is given\n- days: must be at least 1, got 0');
+  });
+});
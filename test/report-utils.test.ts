@@ -0,0 +1,108 @@
+import { importSource, importSourceDependency, mockSource } from './helpers/import-source';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let reportUtils: any;
+let ddbUtils: { getCache: jest.Mock, setCache: jest.Mock };
+const pdf: Record<string, jest.Mock> = {};
+const prompts: string[] = [];
+// Metric and unit the Cost Explorer stand-in answers with
+let costMetric = { name: 'UnblendedCost', unit: 'USD' };
+
+beforeAll(async () => {
+  ['generateCostReportPDF', 'generateComparisonReportPDF', 'generateForecastReportPDF', 'generateCommitmentReportPDF', 'generateIncidentReportPDF']
+    .forEach(name => { pdf[name] = jest.fn().mockResolvedValue(Buffer.from('%PDF')); });
+  mockSource('utils/pdf-utils.mjs', () => pdf);
+
+  const { CostExplorerClient } = await importSourceDependency('@aws-sdk/client-cost-explorer');
+  // EC2 costs 10 a day, and 50 on the last day
+  CostExplorerClient.prototype.send = async (command: any) => {
+    const { Start, End } = command.input.TimePeriod;
+    const days = Math.round((Date.parse(End) - Date.parse(Start)) / DAY_MS);
+    return {
+      ResultsByTime: Array.from({ length: days }, (_, i) => ({
+        TimePeriod: { Start: new Date(Date.parse(Start) + i * DAY_MS).toISOString().slice(0, 10) },
+        Groups: command.input.Metrics.includes(costMetric.name)
+          ? [{ Keys: ['Amazon Elastic Compute Cloud - Compute'], Metrics: { [costMetric.name]: { Amount: i === days - 1 ? '50' : '10', Unit: costMetric.unit } } }]
+          : []
+      }))
+    };
+  };
+  const { S3Client } = await importSourceDependency('@aws-sdk/client-s3');
+  S3Client.prototype.send = async () => ({});
+  const { SSMClient } = await importSourceDependency('@aws-sdk/client-ssm');
+  SSMClient.prototype.send = async () => ({});
+  const { SSMIncidentsClient } = await importSourceDependency('@aws-sdk/client-ssm-incidents');
+  SSMIncidentsClient.prototype.send = async () => ({});
+
+  const { registerLlmProvider } = await importSource('utils/llm-utils.mjs');
+  registerLlmProvider('capture', {
+    async complete({ prompt }: { prompt: string }) {
+      prompts.push(prompt);
+      return { text: 'Summary', usage: { inputTokens: 1, outputTokens: 1 }, attempts: 1 };
+    }
+  });
+
+  const { ReportUtils } = await importSource('utils/report-utils.mjs');
+  ddbUtils = { getCache: jest.fn(), setCache: jest.fn() };
+  reportUtils = new ReportUtils({ region: 'us-east-1', bucket: 'reports', cfUrl: 'https://reports.example.com', ddbUtils });
+});
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => undefined);
+  process.env.LLM_PROVIDER = 'capture';
+  prompts.length = 0;
+  ddbUtils.getCache.mockReset().mockResolvedValue({ hit: false });
+  Object.values(pdf).forEach(mock => mock.mockClear());
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+const period = { start: new Date('2026-09-01T00:00:00Z'), end: new Date('2026-10-01T00:00:00Z') };
+
+test.each([
+  ['commitmentReport', 'commitment'],
+  ['rightsizingReport', 'rightsizing'],
+  ['incidentReport', 'incident']
+])('%s rejects an account selection before reading anything', async (method, report) => {
+  const request = reportUtils[method]({ parsedQuery: { accounts: ['prod'] }, userCommand: 'prod accounts only', ...period });
+
+  await expect(request).rejects.toThrow(`Invalid accounts: ${report} reports only cover the account this service runs in`);
+  expect(ddbUtils.getCache).not.toHaveBeenCalled();
+});
+
+test('anomaly report charts and totals the requested metric', async () => {
+  costMetric = { name: 'AmortizedCost', unit: 'USD' };
+
+  const result = await reportUtils.anomalyReport({ parsedQuery: { metric: 'amortized' }, userCommand: 'amortized cost spikes', ...period });
+
+  expect(result.anomalies).toMatchObject([{ service: 'Amazon Elastic Compute Cloud - Compute', date: '2026-09-30', cost: 50, impact: 40 }]);
+  expect(result.totals).toMatchObject({ metric: 'AmortizedCost', totalCost: 340, currency: 'USD' });
+  const [, data, options] = pdf.generateCostReportPDF.mock.calls[0];
+  expect(data.ResultsByTime[0].Groups[0].Metrics).toHaveProperty('AmortizedCost');
+  expect(options).toEqual({ metric: 'AmortizedCost' });
+  expect(prompts[0]).toContain('Total Excess Amortized Cost: $40.00');
+});
+
+test('anomaly report labels usage in its unit rather than dollars', async () => {
+  costMetric = { name: 'UsageQuantity', unit: 'Hrs' };
+
+  await reportUtils.anomalyReport({ parsedQuery: { metric: 'UsageQuantity' }, userCommand: 'usage spikes', ...period });
+
+  expect(prompts[0]).toContain('Usage Quantity 50.00 Hrs vs baseline 10.00 Hrs (+40.00 Hrs');
+  expect(prompts[0]).toContain('Total Excess Usage Quantity: 40.00 Hrs');
+  expect(prompts[0]).not.toMatch(/\$\d/);
+});
+
+test('incident report passes the requested metric to the summary and the PDF', async () => {
+  costMetric = { name: 'UsageQuantity', unit: 'Hrs' };
+
+  const result = await reportUtils.incidentReport({ parsedQuery: { metric: 'UsageQuantity' }, userCommand: 'incidents and usage', ...period });
+
+  expect(result.totals).toMatchObject({ metric: 'UsageQuantity', totalCost: 340, currency: 'Hrs' });
+  expect(pdf.generateIncidentReportPDF.mock.calls[0][2]).toEqual({ metric: 'UsageQuantity' });
+  expect(prompts[0]).toContain('50.00 Hrs vs baseline 10.00 Hrs (+40.00 Hrs)');
+  expect(prompts[0]).not.toMatch(/\$\d/);
+});
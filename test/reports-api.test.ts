@@ -0,0 +1,84 @@
+import { importSource, importSourceDependency } from './helpers/import-source';
+
+let handler: any;
+const queries: any[] = [];
+// Pages the owner index stand-in returns, in order
+let pages: Array<{ Items: any[], LastEvaluatedKey?: any }>;
+
+beforeAll(async () => {
+  process.env.REPORTS_DDB_TABLE = 'CostReportRequests';
+  const { DynamoDBClient } = await importSourceDependency('@aws-sdk/client-dynamodb');
+  DynamoDBClient.prototype.send = async (command: any) => {
+    queries.push(command.input);
+    return pages.shift() || { Items: [] };
+  };
+  ({ handler } = await importSource('lambdas/reports-api.mjs'));
+});
+
+beforeEach(() => {
+  jest.spyOn(console, 'error').mockImplementation(() => undefined);
+  queries.length = 0;
+  pages = [];
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+const keyOf = (requestId: string, createdAt: string, ownerEmail = 'dev@example.com') => ({
+  requestId: { S: requestId }, ownerEmail: { S: ownerEmail }, createdAt: { S: createdAt }
+});
+const row = (requestId: string, createdAt: string) => ({ ...keyOf(requestId, createdAt), intent: { S: 'forecast' }, status: { S: 'DONE' } });
+const cursorFor = (key: any) => Buffer.from(JSON.stringify(key)).toString('base64url');
+
+/**
+ * Calls GET /reports as dev@example.com.
+ * @param query - Query string parameters
+ */
+async function listReports(query: Record<string, string>) {
+  const response = await handler({
+    httpMethod: 'GET',
+    resource: '/reports',
+    queryStringParameters: query,
+    requestContext: { authorizer: { claims: { email: 'Dev@example.com' } } }
+  });
+  return { statusCode: response.statusCode, body: JSON.parse(response.body) };
+}
+
+test('keeps reading filtered pages until the page is full', async () => {
+  pages = [
+    { Items: [], LastEvaluatedKey: keyOf('r-9', '2026-10-09T00:00:00.000Z') },
+    { Items: [row('r-5', '2026-10-05T00:00:00.000Z')], LastEvaluatedKey: keyOf('r-4', '2026-10-04T00:00:00.000Z') },
+    { Items: [row('r-2', '2026-10-02T00:00:00.000Z')], LastEvaluatedKey: keyOf('r-2', '2026-10-02T00:00:00.000Z') }
+  ];
+
+  const { statusCode, body } = await listReports({ intent: 'forecast', limit: '2' });
+
+  expect(statusCode).toBe(200);
+  expect(body.reports.map((r: any) => r.requestId)).toEqual(['r-5', 'r-2']);
+  expect(queries.map(q => q.Limit)).toEqual([2, 2, 1]);
+  expect(queries[1].ExclusiveStartKey).toEqual(keyOf('r-9', '2026-10-09T00:00:00.000Z'));
+  expect(body.cursor).toBe(cursorFor(keyOf('r-2', '2026-10-02T00:00:00.000Z')));
+});
+
+test('returns no cursor once the index is exhausted', async () => {
+  pages = [{ Items: [row('r-1', '2026-10-01T00:00:00.000Z')] }];
+
+  const { body } = await listReports({ intent: 'forecast' });
+
+  expect(body.reports).toHaveLength(1);
+  expect(body.cursor).toBeNull();
+});
+
+test.each([
+  ['another user\'s key', cursorFor(keyOf('r-1', '2026-10-01T00:00:00.000Z', 'someone@example.com'))],
+  ['a key without the index attributes', cursorFor({ requestId: { S: 'r-1' } })],
+  ['a key outside the date range', cursorFor(keyOf('r-1', '2026-08-01T00:00:00.000Z'))],
+  ['a cursor that is not JSON', 'not-a-cursor']
+])('rejects %s with a 400 without querying', async (_, cursor) => {
+  const { statusCode, body } = await listReports({ cursor, from: '2026-09-01' });
+
+  expect(statusCode).toBe(400);
+  expect(body.message).toContain('Invalid pagination cursor');
+  expect(queries).toEqual([]);
+});
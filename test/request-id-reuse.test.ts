@@ -0,0 +1,52 @@
+import { importSource, importSourceDependency } from './helpers/import-source';
+
+let mainHandler: any;
+let report: Record<string, any> | null;
+const ddbCalls: string[] = [];
+
+beforeAll(async () => {
+  Object.assign(process.env, {
+    REPORTS_BUCKET: 'reports-bucket',
+    CF_URL: 'https://cdn.example.com',
+    REPORTS_DDB_TABLE: 'CostReportRequests',
+    COST_EXPLORER_CACHE_TABLE: 'CostExplorerCache',
+    SCHEDULES_DDB_TABLE: 'CostReportSchedules',
+    BUDGETS_DDB_TABLE: 'CostBudgets',
+    SCHEDULED_COST_REPORT_LAMBDA_ARN: 'arn:aws:lambda:ap-south-1:123456789012:function:ScheduledCostReport'
+  });
+  const { DynamoDBClient } = await importSourceDependency('@aws-sdk/client-dynamodb');
+  DynamoDBClient.prototype.send = async (command: any) => {
+    ddbCalls.push(command.constructor.name);
+    return command.constructor.name === 'GetItemCommand' ? { Item: report } : {};
+  };
+  ({ mainHandler } = await importSource('lambdas/index.mjs'));
+});
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => undefined);
+  ddbCalls.length = 0;
+  report = {
+    requestId: { S: 'req-1' },
+    status: { S: 'DONE' },
+    ownerEmail: { S: 'dev@example.com' },
+    userCommand: { S: 'Show my AWS costs for the last 7 days' }
+  };
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+test.each([
+  ['another command', 'Show my AWS costs for last month', 'dev@example.com'],
+  ['another owner', 'Show my AWS costs for the last 7 days', 'someone@example.com']
+])('rejects a requestId reused for %s before any work is done', async (_, message, caller) => {
+  const response = await mainHandler({
+    body: JSON.stringify({ message, requestId: 'req-1', deliveryTargets: [{ type: 'webhook', url: 'https://hooks.example.com/cost' }] }),
+    requestContext: { authorizer: { claims: { email: caller } } }
+  });
+
+  expect(response.statusCode).toBe(400);
+  expect(JSON.parse(response.body).message).toContain('Invalid requestId: req-1 is already used by another request');
+  expect(ddbCalls).toEqual(['GetItemCommand']);
+});
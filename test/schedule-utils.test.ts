@@ -0,0 +1,91 @@
+import { importSource, importSourceDependency } from './helpers/import-source';
+
+let scheduleUtils: any;
+const ruleCalls: Array<[string, any]> = [];
+const tableCalls: Array<[string, any]> = [];
+// Set to make the next table write fail
+let failTableWrite = false;
+
+beforeAll(async () => {
+  const { EventBridgeClient } = await importSourceDependency('@aws-sdk/client-eventbridge');
+  EventBridgeClient.prototype.send = async (command: any) => {
+    ruleCalls.push([command.constructor.name, command.input]);
+    return {};
+  };
+  const { DynamoDBClient } = await importSourceDependency('@aws-sdk/client-dynamodb');
+  DynamoDBClient.prototype.send = async (command: any) => {
+    tableCalls.push([command.constructor.name, command.input]);
+    if (failTableWrite) {
+      throw Object.assign(new Error('Throughput exceeded'), { name: 'ProvisionedThroughputExceededException' });
+    }
+    return {};
+  };
+  const { DDBUtils } = await importSource('utils/dynamodb-utils.mjs');
+  const { ScheduleUtils } = await importSource('utils/schedule-utils.mjs');
+  const ddbUtils = new DDBUtils({ region: 'us-east-1', schedulesTable: 'CostReportSchedules' });
+  scheduleUtils = new ScheduleUtils({ ddbUtils, targetArn: 'arn:aws:lambda:us-east-1:123456789012:function:ScheduledCostReport' });
+});
+
+beforeEach(() => {
+  jest.spyOn(console, 'error').mockImplementation(() => undefined);
+  ruleCalls.length = 0;
+  tableCalls.length = 0;
+  failTableWrite = false;
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+const schedule = {
+  scheduleId: 'sched-1',
+  ownerEmail: 'dev@example.com',
+  name: 'Weekly EC2 report',
+  userCommand: 'Weekly EC2 report',
+  cronExpression: 'cron(0 8 ? * MON *)',
+  parsedQuery: { intent: 'cost', cronExpression: 'cron(0 8 ? * MON *)' },
+  recipients: ['dev@example.com'],
+  deliveryTargets: [],
+  state: 'ENABLED',
+  ruleName: 'ScheduledCostReport-sched-1',
+  createdAt: '2026-10-01T00:00:00.000Z',
+  updatedAt: '2026-10-01T00:00:00.000Z',
+  lastRun: { at: '2026-10-12T08:00:00.000Z', status: 'SUCCESS' }
+};
+
+test('update writes only the edited fields, leaving lastRun alone', async () => {
+  await scheduleUtils.update(schedule, { cronExpression: 'cron(0 9 ? * MON *)' });
+
+  expect(tableCalls.map(([name]) => name)).toEqual(['UpdateItemCommand']);
+  const [, input] = tableCalls[0];
+  expect(input.ConditionExpression).toBe('attribute_exists(scheduleId)');
+  expect(Object.values(input.ExpressionAttributeNames)).not.toContain('lastRun');
+  expect(input.ExpressionAttributeValues[':cronExpression']).toEqual({ S: 'cron(0 9 ? * MON *)' });
+  expect(input.UpdateExpression).toContain('REMOVE #deliveryTargets');
+});
+
+test('update puts the previous rule back when the table write fails', async () => {
+  failTableWrite = true;
+
+  await expect(scheduleUtils.update(schedule, { cronExpression: 'cron(0 9 ? * MON *)' })).rejects.toThrow('Throughput exceeded');
+
+  const schedules = ruleCalls.filter(([name]) => name === 'PutRuleCommand').map(([, input]) => input.ScheduleExpression);
+  expect(schedules).toEqual(['cron(0 9 ? * MON *)', 'cron(0 8 ? * MON *)']);
+});
+
+test('pause re-enables the rule when the table write fails', async () => {
+  failTableWrite = true;
+
+  await expect(scheduleUtils.pause(schedule)).rejects.toThrow('Throughput exceeded');
+
+  expect(ruleCalls.map(([name]) => name)).toEqual(['DisableRuleCommand', 'EnableRuleCommand']);
+});
+
+test('delete recreates the rule when the row cannot be deleted', async () => {
+  failTableWrite = true;
+
+  await expect(scheduleUtils.delete(schedule)).rejects.toThrow('Throughput exceeded');
+
+  expect(ruleCalls.map(([name]) => name)).toEqual(['RemoveTargetsCommand', 'DeleteRuleCommand', 'PutRuleCommand', 'PutTargetsCommand']);
+  expect(ruleCalls[2][1]).toMatchObject({ Name: 'ScheduledCostReport-sched-1', ScheduleExpression: 'cron(0 8 ? * MON *)', State: 'ENABLED' });
+});
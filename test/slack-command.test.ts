@@ -0,0 +1,148 @@
+import { createHmac } from 'crypto';
+import * as http from 'http';
+import { AddressInfo } from 'net';
+import { importSource, importSourceDependency } from './helpers/import-source';
+
+const SIGNING_SECRET = 'test-signing-secret';
+
+// Local stand-in for Slack: users.info under /api and a response_url under /response
+const slackRequests: Array<{ method?: string, url?: string, authorization?: string, body: string }> = [];
+const slack = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    slackRequests.push({ method: req.method, url: req.url, authorization: req.headers.authorization, body });
+    res.setHeader('Content-Type', 'application/json');
+    if (req.url?.startsWith('/api/users.info')) {
+      res.end(JSON.stringify({ ok: true, user: { profile: { email: 'dev@example.com' } } }));
+      return;
+    }
+    res.end('{}');
+  });
+});
+
+let slackUrl: string;
+let slackUtils: any;
+let handler: any;
+const invocations: any[] = [];
+const ddbCalls: any[] = [];
+
+beforeAll(async () => {
+  await new Promise<void>(resolve => slack.listen(0, '127.0.0.1', resolve));
+  slackUrl = `http://127.0.0.1:${(slack.address() as AddressInfo).port}`;
+  Object.assign(process.env, {
+    SLACK_API_URL: `${slackUrl}/api`,
+    SLACK_BOT_TOKEN: 'xoxb-test',
+    SLACK_SIGNING_SECRET: SIGNING_SECRET,
+    AWS_LAMBDA_FUNCTION_NAME: 'SlackCommandLambda',
+    REPORTS_BUCKET: 'reports-bucket',
+    CF_URL: 'https://cdn.example.com',
+    REPORTS_DDB_TABLE: 'CostReportRequests',
+    SCHEDULES_DDB_TABLE: 'CostReportSchedules',
+    BUDGETS_DDB_TABLE: 'CostBudgets',
+    SCHEDULED_COST_REPORT_LAMBDA_ARN: 'arn:aws:lambda:ap-south-1:123456789012:function:ScheduledCostReport'
+  });
+
+  const { LambdaClient } = await importSourceDependency('@aws-sdk/client-lambda');
+  LambdaClient.prototype.send = async (command: any) => {
+    invocations.push(command.input);
+    return {};
+  };
+  const { DynamoDBClient } = await importSourceDependency('@aws-sdk/client-dynamodb');
+  DynamoDBClient.prototype.send = async (command: any) => {
+    ddbCalls.push(command.input);
+    return {};
+  };
+
+  slackUtils = await importSource('utils/slack-utils.mjs');
+  ({ handler } = await importSource('lambdas/slack-command.mjs'));
+});
+
+afterAll(async () => {
+  await new Promise(resolve => slack.close(resolve));
+});
+
+const sign = (timestamp: number, body: string, secret = SIGNING_SECRET) =>
+  `v0=${createHmac('sha256', secret).update(`v0:${timestamp}:${body}`).digest('hex')}`;
+
+describe('verifySlackSignature', () => {
+  const now = Date.UTC(2026, 9, 19, 12, 0, 0);
+  const timestamp = String(now / 1000);
+  const rawBody = 'command=%2Fcost&text=EC2+costs';
+
+  test('accepts a valid signature', () => {
+    expect(slackUtils.verifySlackSignature({ signingSecret: SIGNING_SECRET, timestamp, signature: sign(now / 1000, rawBody), rawBody, now })).toBe(true);
+  });
+
+  test('rejects a request older than five minutes', () => {
+    const later = now + 6 * 60 * 1000;
+    expect(slackUtils.verifySlackSignature({ signingSecret: SIGNING_SECRET, timestamp, signature: sign(now / 1000, rawBody), rawBody, now: later })).toBe(false);
+  });
+
+  test('rejects a tampered body or signature', () => {
+    const signature = sign(now / 1000, rawBody);
+    expect(slackUtils.verifySlackSignature({ signingSecret: SIGNING_SECRET, timestamp, signature, rawBody: `${rawBody}+by+region`, now })).toBe(false);
+    expect(slackUtils.verifySlackSignature({ signingSecret: SIGNING_SECRET, timestamp, signature: sign(now / 1000, rawBody, 'other-secret'), rawBody, now })).toBe(false);
+    expect(slackUtils.verifySlackSignature({ signingSecret: SIGNING_SECRET, timestamp, signature: signature.slice(0, -2), rawBody, now })).toBe(false);
+  });
+});
+
+describe('handler', () => {
+  const slashCommand = (body: string, signature?: string) => {
+    const timestamp = Math.floor(Date.now() / 1000);
+    return {
+      headers: { 'X-Slack-Request-Timestamp': String(timestamp), 'x-slack-signature': signature ?? sign(timestamp, body) },
+      body
+    };
+  };
+
+  test('acknowledges a slash command straight away and queues the work', async () => {
+    invocations.length = 0;
+    const body = new URLSearchParams({ command: '/cost', text: 'EC2 costs last week', user_id: 'U123', response_url: `${slackUrl}/response` }).toString();
+
+    const response = await handler(slashCommand(body));
+
+    expect(response.statusCode).toBe(200);
+    expect(JSON.parse(response.body).text).toContain('Working on "EC2 costs last week"');
+    expect(invocations).toHaveLength(1);
+    expect(invocations[0]).toMatchObject({ FunctionName: 'SlackCommandLambda', InvocationType: 'Event' });
+    expect(JSON.parse(invocations[0].Payload).slackTask).toEqual({
+      type: 'command',
+      text: 'EC2 costs last week',
+      userId: 'U123',
+      responseUrl: `${slackUrl}/response`
+    });
+  });
+
+  test('rejects a request with a bad signature without queueing work', async () => {
+    invocations.length = 0;
+    const response = await handler(slashCommand('text=hello', 'v0=bad'));
+
+    expect(response.statusCode).toBe(401);
+    expect(invocations).toHaveLength(0);
+  });
+});
+
+describe('runSlackTask', () => {
+  test('looks the user up with users.info and posts the reply to response_url', async () => {
+    slackRequests.length = 0;
+    ddbCalls.length = 0;
+
+    await handler({
+      slackTask: { type: 'action', actionId: slackUtils.SLACK_ACTIONS.EMAIL_PDF, value: 'req-1', userId: 'U123', responseUrl: `${slackUrl}/response` }
+    });
+
+    expect(slackRequests.map(r => [r.method, r.url])).toEqual([
+      ['GET', '/api/users.info?user=U123'],
+      ['POST', '/response']
+    ]);
+    expect(slackRequests[0].authorization).toBe('Bearer xoxb-test');
+    // The report does not exist, so the reply says so instead of emailing it
+    expect(ddbCalls[0]).toMatchObject({ TableName: 'CostReportRequests', Key: { requestId: { S: 'req-1' } } });
+    expect(JSON.parse(slackRequests[1].body)).toEqual({
+      response_type: 'ephemeral',
+      replace_original: false,
+      text: '❌ No report found with ID req-1.'
+    });
+  });
+});